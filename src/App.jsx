@@ -23,6 +23,8 @@ import PortfolioView from './components/PortfolioView'
 import TruncatedText from './components/TruncatedText'
 import LandingPage from './components/LandingPage'
 import LoginModal from './components/LoginModal'
+import WrongNetworkBanner from './components/WrongNetworkBanner'
+import TradingModeToggle from './components/TradingModeToggle'
 // import TraderLeaderboard from './components/TraderLeaderboard'
 // import TraderProfile from './components/TraderProfile'
 // import MarketComments from './components/MarketComments'
@@ -31,6 +33,9 @@ import SportsMarketsView from './components/SportsMarketsView'
 // Polymarket is the source of truth for market data
 import { polymarketService } from './services/PolymarketService'
 import { walletService } from './services/WalletService'
+import { portfolioHistoryService } from './services/PortfolioHistoryService'
+import { tradingModeService } from './services/TradingModeService'
+import { unwrap } from './services/DataResult'
 
 // Always use Polymarket service for real data
 const dataService = polymarketService
@@ -70,6 +75,7 @@ function MarketHeaderImage({ market }) {
 export default function SignalBay() {
   const [walletAddress, setWalletAddress] = useState(null)
   const [showLoginModal, setShowLoginModal] = useState(false)
+  const [isPaperTrading, setIsPaperTrading] = useState(tradingModeService.isPaper())
   const [showLanding, setShowLanding] = useState(() => {
     // Check if user has visited before (stored in localStorage)
     try {
@@ -118,8 +124,13 @@ export default function SignalBay() {
       try {
         setLoading(true)
         // Use same limit as MarketsList to leverage cache
-        debugger;
-        const marketData = await dataService.getMarkets({ limit: 1000, active: true, closed: false })
+        const marketData = unwrap(await dataService.getMarkets({
+          limit: 1000,
+          active: true,
+          closed: false,
+          // Cached markets paint first; swap in the refreshed list when it lands
+          onRevalidate: setMarkets,
+        }))
         setMarkets(marketData)
         if (marketData.length > 0 && !selectedMarket) {
           setSelectedMarket(marketData[0])
@@ -134,30 +145,19 @@ export default function SignalBay() {
     fetchMarkets()
   }, [viewMode])
 
-  // Check wallet connection on mount
-  useEffect(() => {
-    const checkWalletConnection = () => {
-      if (walletService.isConnected()) {
-        setWalletAddress(walletService.getAddress())
-      }
-    }
-    checkWalletConnection()
-
-    // Listen for wallet account changes
-    if (window.ethereum) {
-      window.ethereum.on('accountsChanged', (accounts) => {
-        if (accounts.length === 0) {
-          walletService.disconnect()
-          setWalletAddress(null)
-        } else {
-          setWalletAddress(accounts[0])
-        }
-      })
+  // Record portfolio equity snapshots while the app is open
+  useEffect(() => portfolioHistoryService.startRecording(), [])
 
-      window.ethereum.on('chainChanged', () => {
-        window.location.reload()
-      })
-    }
+  // Follow the global paper/live toggle
+  useEffect(() => tradingModeService.subscribe(() => setIsPaperTrading(tradingModeService.isPaper())), [])
+
+  // Follow the wallet connection, and reconnect last visit's wallet silently
+  // (account and network changes in the wallet arrive as WalletService events)
+  useEffect(() => {
+    const unsubscribe = walletService.subscribe(event => setWalletAddress(event.address))
+    setWalletAddress(walletService.getAddress())
+    walletService.reconnect()
+    return unsubscribe
   }, [])
 
   // Handle wallet connection
@@ -240,28 +240,34 @@ export default function SignalBay() {
   useEffect(() => {
     if (!selectedMarket) return
 
+    const applyUpdate = (market, update) => ({
+      ...market,
+      yesPrice: update.yesPrice,
+      noPrice: update.noPrice,
+      ...(Array.isArray(market.outcomes) && update.prices && {
+        outcomes: market.outcomes.map((outcome, index) => ({
+          ...outcome,
+          price: update.prices[index] ?? outcome.price,
+        })),
+      }),
+    })
+
     const handlePriceUpdate = (update) => {
       setSelectedMarket(prev => {
         if (!prev || prev.id !== update.marketId) return prev
-        return {
-          ...prev,
-          yesPrice: update.yesPrice,
-          noPrice: update.noPrice,
-        }
+        return applyUpdate(prev, update)
       })
       
       // Also update in markets list
       setMarkets(prev => prev.map(m => 
-        m.id === update.marketId
-          ? { ...m, yesPrice: update.yesPrice, noPrice: update.noPrice }
-          : m
+        m.id === update.marketId ? applyUpdate(m, update) : m
       ))
     }
 
-    dataService.subscribeToPriceUpdates(selectedMarket.id, handlePriceUpdate)
+    const unsubscribe = dataService.subscribeToPriceUpdates(selectedMarket, handlePriceUpdate)
 
     return () => {
-      dataService.unsubscribeFromPriceUpdates(selectedMarket.id)
+      unsubscribe()
     }
   }, [selectedMarket?.id])
 
@@ -315,6 +321,9 @@ export default function SignalBay() {
         onConnect={handleWalletConnect}
       />
 
+      {/* Wallet off Polygon */}
+      <WrongNetworkBanner />
+
       {/* Top Navigation Bar */}
       <nav className="sticky top-0 z-50 bg-[#0a0d14] border-b border-white/10 px-6 py-4">
         <div className="flex justify-between items-center max-w-[1920px] mx-auto">
@@ -415,34 +424,44 @@ export default function SignalBay() {
             </div>
           </div>
           
-          {/* Wallet Connection Button - Top Right */}
-          {walletAddress ? (
-            <div className="flex items-center gap-2 px-4 py-2 bg-green-500/20 border border-green-500/50 rounded-lg">
-              <div className="w-2 h-2 bg-green-500 rounded-full"></div>
-              <span className="text-sm text-green-400 font-medium">
-                {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
-              </span>
+          {/* Paper/Live Toggle and Wallet Connection Button - Top Right */}
+          <div className="flex items-center gap-3">
+            <TradingModeToggle />
+            {walletAddress ? (
+              <div className="flex items-center gap-2 px-4 py-2 bg-green-500/20 border border-green-500/50 rounded-lg">
+                <div className="w-2 h-2 bg-green-500 rounded-full"></div>
+                <span className="text-sm text-green-400 font-medium">
+                  {walletAddress.slice(0, 6)}...{walletAddress.slice(-4)}
+                </span>
+                <button
+                  onClick={() => {
+                    walletService.disconnect()
+                    setWalletAddress(null)
+                  }}
+                  className="ml-2 text-xs text-gray-400 hover:text-white"
+                >
+                  Disconnect
+                </button>
+              </div>
+            ) : (
               <button
-                onClick={() => {
-                  walletService.disconnect()
-                  setWalletAddress(null)
-                }}
-                className="ml-2 text-xs text-gray-400 hover:text-white"
+                onClick={() => setShowLoginModal(true)}
+                className="px-4 py-2 bg-yellow-500 text-black rounded-lg hover:bg-yellow-600 transition font-semibold text-sm"
               >
-                Disconnect
+                Connect Wallet
               </button>
-            </div>
-          ) : (
-            <button
-              onClick={() => setShowLoginModal(true)}
-              className="px-4 py-2 bg-yellow-500 text-black rounded-lg hover:bg-yellow-600 transition font-semibold text-sm"
-            >
-              Connect Wallet
-            </button>
-          )}
+            )}
+          </div>
         </div>
       </nav>
 
+      {isPaperTrading && (
+        <div className="bg-blue-500/15 border-b border-blue-500/40 px-6 py-2 text-center text-xs text-blue-300">
+          <span className="font-semibold">Paper trading</span>
+          {' '}· Orders are simulated against the live order book with virtual USDC. Nothing is sent to Polymarket.
+        </div>
+      )}
+
       {viewMode === 'analyze' ? (
         <AnalyzeView 
           onSelectMarket={(market) => {
@@ -507,11 +526,11 @@ export default function SignalBay() {
                 // Otherwise, search for markets using event title or slug
                 const searchQuery = event.slug || event.title || event.question || event.name
                 if (searchQuery) {
-                  const searchResults = await dataService.searchMarkets(searchQuery, {
+                  const searchResults = unwrap(await dataService.searchMarkets(searchQuery, {
                     limit_per_type: 100,
                     search_tags: true,
                     sort: 'relevance',
-                  })
+                  }))
                   
                   // Filter results to match event more closely
                   eventMarkets = searchResults.filter(market => {
@@ -535,7 +554,7 @@ export default function SignalBay() {
                   market.id = market.conditionId || market.slug || `event-market-${Date.now()}`
                 }
                 // If market doesn't have prices, try to fetch full market data
-                if (!market.yesPrice || !market.noPrice) {
+                if (!polymarketService.isMultiOutcome(market) && (!market.yesPrice || !market.noPrice)) {
                   try {
                     const fullMarket = await dataService.getMarket(market.id)
                     if (fullMarket) {
@@ -544,9 +563,11 @@ export default function SignalBay() {
                   } catch (error) {
                   }
                 }
-                // Ensure prices have defaults
-                if (!market.yesPrice) market.yesPrice = 50
-                if (!market.noPrice) market.noPrice = 50
+                // Ensure binary prices have defaults (markets with three or more outcomes have none)
+                if (!polymarketService.isMultiOutcome(market)) {
+                  if (!market.yesPrice) market.yesPrice = 50
+                  if (!market.noPrice) market.noPrice = 50
+                }
                 // Add market to markets list if not already present
                 setMarkets(prev => {
                   const exists = prev.find(m => m.id === market.id)
@@ -579,7 +600,7 @@ export default function SignalBay() {
             setLoadingMarket(true)
             try {
               // If market doesn't have prices, try to fetch full market data
-              if (!market.yesPrice || !market.noPrice) {
+              if (!polymarketService.isMultiOutcome(market) && (!market.yesPrice || !market.noPrice)) {
                 try {
                   const fullMarket = await dataService.getMarket(market.id)
                   if (fullMarket) {
@@ -589,9 +610,11 @@ export default function SignalBay() {
                   // Continue with existing market data if fetch fails
                 }
               }
-              // Ensure prices have defaults
-              if (!market.yesPrice) market.yesPrice = 50
-              if (!market.noPrice) market.noPrice = 50
+              // Ensure binary prices have defaults (markets with three or more outcomes have none)
+              if (!polymarketService.isMultiOutcome(market)) {
+                if (!market.yesPrice) market.yesPrice = 50
+                if (!market.noPrice) market.noPrice = 50
+              }
               // Add market to markets list if not already present
               setMarkets(prev => {
                 const exists = prev.find(m => m.id === market.id)
@@ -614,7 +637,7 @@ export default function SignalBay() {
             setLoadingMarket(true)
             try {
               // If market doesn't have prices, try to fetch full market data
-              if (!market.yesPrice || !market.noPrice) {
+              if (!polymarketService.isMultiOutcome(market) && (!market.yesPrice || !market.noPrice)) {
                 try {
                   const fullMarket = await dataService.getMarket(market.id)
                   if (fullMarket) {
@@ -624,9 +647,11 @@ export default function SignalBay() {
                   // Continue with existing market data if fetch fails
                 }
               }
-              // Ensure prices have defaults
-              if (!market.yesPrice) market.yesPrice = 50
-              if (!market.noPrice) market.noPrice = 50
+              // Ensure binary prices have defaults (markets with three or more outcomes have none)
+              if (!polymarketService.isMultiOutcome(market)) {
+                if (!market.yesPrice) market.yesPrice = 50
+                if (!market.noPrice) market.noPrice = 50
+              }
               // Add market to markets list if not already present
               setMarkets(prev => {
                 const exists = prev.find(m => m.id === market.id)
@@ -651,7 +676,7 @@ export default function SignalBay() {
               setLoadingMarket(true)
               try {
                 // If market doesn't have prices, try to fetch full market data
-                if (!market.yesPrice || !market.noPrice) {
+                if (!polymarketService.isMultiOutcome(market) && (!market.yesPrice || !market.noPrice)) {
                   try {
                     const fullMarket = await dataService.getMarket(market.id)
                     if (fullMarket) {
@@ -661,9 +686,11 @@ export default function SignalBay() {
                     // Continue with existing market data if fetch fails
                   }
                 }
-                // Ensure prices have defaults
-                if (!market.yesPrice) market.yesPrice = 50
-                if (!market.noPrice) market.noPrice = 50
+                // Ensure binary prices have defaults (markets with three or more outcomes have none)
+                if (!polymarketService.isMultiOutcome(market)) {
+                  if (!market.yesPrice) market.yesPrice = 50
+                  if (!market.noPrice) market.noPrice = 50
+                }
                 setSelectedMarket(market)
               } finally {
                 setLoadingMarket(false)
@@ -707,8 +734,13 @@ export default function SignalBay() {
                             const noPrice = selectedMarket.noPrice || 0
                             let resolution = null
                             
+                            // Markets with three or more outcomes: the outcome at or near 100¢ won
+                            if (polymarketService.isMultiOutcome(selectedMarket)) {
+                              const leader = polymarketService.getLeadingOutcome(selectedMarket)
+                              if ((leader?.price || 0) >= 99) resolution = { outcome: leader.label, color: 'green' }
+                            }
                             // If Yes is at or near 100¢, Yes won
-                            if (yesPrice >= 99) {
+                            else if (yesPrice >= 99) {
                               resolution = { outcome: 'Yes', color: 'green' }
                             }
                             // If No is at or near 100¢, No won
@@ -729,9 +761,9 @@ export default function SignalBay() {
                                     ? 'bg-red-500/20 text-red-400 border border-red-500/50'
                                     : 'bg-gray-500/20 text-gray-400 border border-gray-500/50'
                                 } rounded-full`}>
-                                  {resolution.outcome === 'Yes' ? '✅ Yes Won' : 
-                                   resolution.outcome === 'No' ? '❌ No Won' : 
-                                   '⏸️ Unresolved'}
+                                  {resolution.outcome === 'No' ? '❌ No Won' : 
+                                   resolution.outcome === 'Unresolved' ? '⏸️ Unresolved' : 
+                                   `✅ ${resolution.outcome} Won`}
                                 </span>
                               )
                             }
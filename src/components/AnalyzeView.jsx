@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react'
 import { TrendingUp, TrendingDown, BarChart3, Activity, ArrowRight, Sparkles } from 'lucide-react'
 import { polymarketService } from '../services/PolymarketService'
+import { tradeTapeService } from '../services/TradeTapeService'
+import { hasData } from '../services/DataResult'
+import { DataStatusBadge, DataUnavailable } from './DataStatus'
 
 const dataService = polymarketService
 
@@ -41,17 +44,27 @@ export default function AnalyzeView({ onSelectMarket }) {
   const [loading, setLoading] = useState(true)
   const [analyzedMarkets, setAnalyzedMarkets] = useState([])
   const [isLoadingMore, setIsLoadingMore] = useState(false)
+  const [marketsResult, setMarketsResult] = useState(null) // ok / stale / unavailable
+  const [reloadCount, setReloadCount] = useState(0)
 
   // Fetch popular markets (sorted by volume) with progressive loading
   useEffect(() => {
     const fetchPopularMarkets = async () => {
       try {
         setLoading(true)
-        const marketData = await dataService.getMarkets({ 
+        const result = await dataService.getMarkets({ 
           limit: 50, 
           active: true, 
           closed: false 
         })
+        setMarketsResult(result)
+        if (!hasData(result)) {
+          setMarkets([])
+          setAnalyzedMarkets([])
+          setLoading(false)
+          return
+        }
+        const marketData = [...result.data]
         
         // Sort by 24hr volume, then total volume
         const sortedMarkets = marketData.sort((a, b) => {
@@ -95,7 +108,7 @@ export default function AnalyzeView({ onSelectMarket }) {
     }
 
     fetchPopularMarkets()
-  }, [])
+  }, [reloadCount])
 
   // Analyze a single market to predict outcome
   const analyzeMarket = async (market, context = {}) => {
@@ -146,9 +159,17 @@ export default function AnalyzeView({ onSelectMarket }) {
         })
       }
 
+      // Sources 4 and 5 need the order book and trade tape
+      const [depthAnalysis, flowAnalysis] = await Promise.all([
+        analyzeMarketDepth(market),
+        analyzeTradeFlow(market),
+      ])
+      analysis.unavailableSources = []
+
       // Source 4: Market Depth (if available)
-      const depthAnalysis = await analyzeMarketDepth(market)
-      if (depthAnalysis) {
+      if (depthAnalysis?.unavailable) {
+        analysis.unavailableSources.push({ name: 'Market Depth', reason: depthAnalysis.reason })
+      } else if (depthAnalysis) {
         analysis.sources.push({
           name: 'Market Depth',
           icon: Sparkles,
@@ -159,6 +180,20 @@ export default function AnalyzeView({ onSelectMarket }) {
         })
       }
 
+      // Source 5: Trade Flow (recent prints)
+      if (flowAnalysis?.unavailable) {
+        analysis.unavailableSources.push({ name: 'Trade Flow', reason: flowAnalysis.reason })
+      } else if (flowAnalysis) {
+        analysis.sources.push({
+          name: 'Trade Flow',
+          icon: Activity,
+          weight: 0.2,
+          signal: flowAnalysis.signal,
+          details: flowAnalysis.details,
+          score: flowAnalysis.score || 0
+        })
+      }
+
       // Aggregate predictions
       const aggregated = aggregatePredictions(analysis.sources)
       analysis.prediction = aggregated.prediction
@@ -171,10 +206,24 @@ export default function AnalyzeView({ onSelectMarket }) {
     return analysis
   }
 
+  // Yes/No prices, or for markets with three or more outcomes the first
+  // outcome against the others combined (the same split as trade flow)
+  const getPricePair = (market) => {
+    if (!polymarketService.isMultiOutcome(market)) {
+      return { yesPrice: market.yesPrice || 50, noPrice: market.noPrice || 50, yesLabel: 'Yes', noLabel: 'No' }
+    }
+    const [primary, ...others] = polymarketService.getOutcomes(market)
+    return {
+      yesPrice: primary.price || 0,
+      noPrice: others.reduce((sum, outcome) => sum + (outcome.price || 0), 0),
+      yesLabel: primary.label,
+      noLabel: 'Other outcomes',
+    }
+  }
+
   // Analyze price trend (more nuanced with scoring)
   const analyzePriceTrend = (market) => {
-    const yesPrice = market.yesPrice || 50
-    const noPrice = market.noPrice || 50
+    const { yesPrice, noPrice, yesLabel, noLabel } = getPricePair(market)
     const priceDiff = yesPrice - noPrice
     const priceSpread = Math.abs(priceDiff)
     
@@ -186,7 +235,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'up',
         signal: 'Very Strong Yes',
-        details: `Yes price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows very strong confidence`,
+        details: `${yesLabel} price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows very strong confidence`,
         score: 0.9
       }
     }
@@ -194,7 +243,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'down',
         signal: 'Very Strong No',
-        details: `No price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows very strong confidence`,
+        details: `${noLabel} price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows very strong confidence`,
         score: -0.9
       }
     }
@@ -204,7 +253,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'up',
         signal: 'Strong Yes',
-        details: `Yes price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) indicates strong market confidence`,
+        details: `${yesLabel} price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) indicates strong market confidence`,
         score: 0.7
       }
     }
@@ -212,7 +261,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'down',
         signal: 'Strong No',
-        details: `No price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) indicates strong market confidence`,
+        details: `${noLabel} price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) indicates strong market confidence`,
         score: -0.7
       }
     }
@@ -222,7 +271,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'up',
         signal: 'Moderate Yes',
-        details: `Yes price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows moderate confidence`,
+        details: `${yesLabel} price at ${yesPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows moderate confidence`,
         score: 0.4
       }
     }
@@ -230,7 +279,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       return {
         direction: 'down',
         signal: 'Moderate No',
-        details: `No price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows moderate confidence`,
+        details: `${noLabel} price at ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ lead) shows moderate confidence`,
         score: -0.4
       }
     }
@@ -239,7 +288,7 @@ export default function AnalyzeView({ onSelectMarket }) {
     return {
       direction: 'neutral',
       signal: 'Neutral',
-      details: `Prices balanced at Yes: ${yesPrice.toFixed(1)}¢, No: ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ spread)`,
+      details: `Prices balanced at ${yesLabel}: ${yesPrice.toFixed(1)}¢, ${noLabel}: ${noPrice.toFixed(1)}¢ (${priceSpread.toFixed(1)}¢ spread)`,
       score: 0
     }
   }
@@ -299,8 +348,7 @@ export default function AnalyzeView({ onSelectMarket }) {
 
   // Analyze momentum (more granular price spread analysis)
   const analyzeMomentum = (market) => {
-    const yesPrice = market.yesPrice || 50
-    const noPrice = market.noPrice || 50
+    const { yesPrice, noPrice, yesLabel, noLabel } = getPricePair(market)
     const momentum = yesPrice - noPrice
     const momentumPercent = Math.abs(momentum) / 50 // Normalize to 0-1 scale
     
@@ -308,14 +356,14 @@ export default function AnalyzeView({ onSelectMarket }) {
     if (momentum > 30) {
       return {
         signal: 'Very Strong Yes Momentum',
-        details: `Yes leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - very strong upward momentum`,
+        details: `${yesLabel} leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - very strong upward momentum`,
         score: 0.9
       }
     }
     if (momentum < -30) {
       return {
         signal: 'Very Strong No Momentum',
-        details: `No leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - very strong downward momentum`,
+        details: `${noLabel} leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - very strong downward momentum`,
         score: -0.9
       }
     }
@@ -324,14 +372,14 @@ export default function AnalyzeView({ onSelectMarket }) {
     if (momentum > 15) {
       return {
         signal: 'Strong Yes Momentum',
-        details: `Yes leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - strong upward momentum`,
+        details: `${yesLabel} leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - strong upward momentum`,
         score: 0.7
       }
     }
     if (momentum < -15) {
       return {
         signal: 'Strong No Momentum',
-        details: `No leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - strong downward momentum`,
+        details: `${noLabel} leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - strong downward momentum`,
         score: -0.7
       }
     }
@@ -340,14 +388,14 @@ export default function AnalyzeView({ onSelectMarket }) {
     if (momentum > 5) {
       return {
         signal: 'Moderate Yes Momentum',
-        details: `Yes leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - moderate upward momentum`,
+        details: `${yesLabel} leading by ${momentum.toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - moderate upward momentum`,
         score: 0.4
       }
     }
     if (momentum < -5) {
       return {
         signal: 'Moderate No Momentum',
-        details: `No leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - moderate downward momentum`,
+        details: `${noLabel} leading by ${Math.abs(momentum).toFixed(1)}¢ (${(momentumPercent * 100).toFixed(0)}% spread) - moderate downward momentum`,
         score: -0.4
       }
     }
@@ -361,15 +409,24 @@ export default function AnalyzeView({ onSelectMarket }) {
   }
 
   // Analyze market depth (order book analysis)
+  // Returns { unavailable, reason } when there is no real book to analyze
   const analyzeMarketDepth = async (market) => {
     try {
-      const orderBook = await dataService.getOrderBook(market.id)
-      if (!orderBook || !orderBook.bids || !orderBook.asks) {
+      const result = await dataService.getOrderBook(market.id)
+      if (!hasData(result) || result.synthetic) {
+        // Never score predictions on a missing or synthetic book
+        return { unavailable: true, reason: result.reason }
+      }
+      // The combined book counts No-side liquidity as Yes liquidity at the complementary price
+      const summary = result.data.combinedSummary || result.data.outcomes[0]?.summary
+      if (!summary) {
         return null
       }
 
-      const totalBids = orderBook.bids.reduce((sum, bid) => sum + (bid.size || bid.amount || 0), 0)
-      const totalAsks = orderBook.asks.reduce((sum, ask) => sum + (ask.size || ask.amount || 0), 0)
+      // Only liquidity near the mid says anything about pressure; resting
+      // orders at 1¢ / 99¢ would otherwise dominate
+      const totalBids = summary.depth.bids
+      const totalAsks = summary.depth.asks
       const totalDepth = totalBids + totalAsks
       
       if (totalDepth === 0) {
@@ -431,7 +488,7 @@ export default function AnalyzeView({ onSelectMarket }) {
       // Balanced (45-55%)
       return {
         signal: 'Balanced Depth',
-        details: `Order book shows balanced liquidity (${(bidRatio * 100).toFixed(0)}% bids, ${totalBids.toFixed(0)} vs ${totalAsks.toFixed(0)})`,
+        details: `Order book shows balanced liquidity within ${summary.depthRange}¢ of the mid (${(bidRatio * 100).toFixed(0)}% bids, ${totalBids.toFixed(0)} vs ${totalAsks.toFixed(0)})`,
         score: 0
       }
     } catch (error) {
@@ -439,6 +496,48 @@ export default function AnalyzeView({ onSelectMarket }) {
     }
   }
 
+  // Analyze recent trades: net buying of the first outcome (buying No counts as selling Yes)
+  // Returns { unavailable, reason } when there is no trade history
+  const analyzeTradeFlow = async (market) => {
+    const result = await tradeTapeService.loadAggregates(market)
+    if (result.status === 'unavailable') {
+      return { unavailable: true, reason: result.reason }
+    }
+
+    const aggregates = result.data
+    if (aggregates.tradeCount < 5) {
+      return null
+    }
+
+    const [primaryOutcome] = polymarketService.getOutcomes(market)
+    const primaryTokenId = String(primaryOutcome?.tokenId || '')
+    let primaryBuying = 0
+    let primarySelling = 0
+    aggregates.byOutcome.forEach((outcome) => {
+      const isPrimary = outcome.tokenId === primaryTokenId
+      primaryBuying += isPrimary ? outcome.buyNotional : outcome.sellNotional
+      primarySelling += isPrimary ? outcome.sellNotional : outcome.buyNotional
+    })
+
+    const total = primaryBuying + primarySelling
+    if (total === 0) {
+      return null
+    }
+
+    const netFlow = (primaryBuying - primarySelling) / total // -1 to 1
+    const primary = aggregates.byOutcome.find(outcome => outcome.tokenId === primaryTokenId)
+    const vwapText = primary && primary.vwap !== null ? `, VWAP ${primary.vwap.toFixed(1)}¢` : ''
+    const details = `${aggregates.tradeCount} recent trades (${aggregates.tradesPerMinute.toFixed(1)}/min${vwapText}): $${primaryBuying.toFixed(0)} into ${primaryOutcome?.label || 'Yes'} vs $${primarySelling.toFixed(0)} out`
+
+    if (netFlow >= 0.3) {
+      return { signal: 'Net Buying', details, score: Math.min(0.8, netFlow) }
+    }
+    if (netFlow <= -0.3) {
+      return { signal: 'Net Selling', details, score: Math.max(-0.8, netFlow) }
+    }
+    return { signal: 'Two-Way Flow', details, score: 0 }
+  }
+
   // Aggregate predictions from all sources using scores
   const aggregatePredictions = (sources) => {
     let weightedScore = 0
@@ -512,6 +611,7 @@ export default function AnalyzeView({ onSelectMarket }) {
                 AI-powered predictions based on aggregated market data
               </p>
             </div>
+            <DataStatusBadge result={marketsResult} className="ml-auto" />
           </div>
         </div>
       </div>
@@ -646,9 +746,31 @@ export default function AnalyzeView({ onSelectMarket }) {
                       </div>
                     )
                   })}
+                  {analysis.unavailableSources?.map(source => (
+                    <div key={source.name} className="flex items-start gap-3 p-3 bg-gray-800/30 border border-dashed border-gray-700 rounded-lg">
+                      <div className="flex-1 min-w-0">
+                        <span className="text-sm font-medium text-gray-400">{source.name}</span>
+                        <p className="text-xs text-gray-500">Not included: {source.reason}</p>
+                      </div>
+                    </div>
+                  ))}
                 </div>
 
                 {/* Current Prices */}
+                {polymarketService.isMultiOutcome(market) ? (
+                <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg mb-4">
+                  <div className="text-center flex-1">
+                    <p className="text-xs text-gray-400 mb-1 truncate">{polymarketService.getLeadingOutcome(market)?.label}</p>
+                    <p className="text-lg font-bold text-blue-400">
+                      {(polymarketService.getLeadingOutcome(market)?.price || 0).toFixed(1)}¢
+                    </p>
+                  </div>
+                  <div className="text-center flex-1 border-x border-gray-700">
+                    <p className="text-xs text-gray-400 mb-1">Outcomes</p>
+                    <p className="text-lg font-bold text-white">{market.outcomes.length}</p>
+                  </div>
+                </div>
+                ) : (
                 <div className="flex items-center justify-between p-3 bg-gray-800/30 rounded-lg mb-4">
                   <div className="text-center flex-1">
                     <p className="text-xs text-gray-400 mb-1">Yes</p>
@@ -663,6 +785,7 @@ export default function AnalyzeView({ onSelectMarket }) {
                     </p>
                   </div>
                 </div>
+                )}
 
                 {/* View Details Button - Pushed to bottom with mt-auto */}
                 <button
@@ -680,7 +803,14 @@ export default function AnalyzeView({ onSelectMarket }) {
           })}
         </div>
 
-        {analyzedMarkets.length === 0 && (
+        {marketsResult && !hasData(marketsResult) ? (
+          <DataUnavailable
+            title="Markets unavailable"
+            reason={marketsResult.reason}
+            onRetry={() => setReloadCount(count => count + 1)}
+            className="py-20"
+          />
+        ) : analyzedMarkets.length === 0 && (
           <div className="text-center py-20">
             <div className="text-6xl mb-4">📊</div>
             <h2 className="text-2xl font-bold text-white mb-2">No Markets to Analyze</h2>
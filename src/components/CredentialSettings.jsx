@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react'
+import { tradingService } from '../services/TradingService'
+import { tradingModeService } from '../services/TradingModeService'
+import { walletService } from '../services/WalletService'
+import { CREDENTIAL_PROTECTION } from '../services/CredentialStore'
+
+const PROTECTION_LABELS = {
+  [CREDENTIAL_PROTECTION.PASSPHRASE]: 'passphrase',
+  [CREDENTIAL_PROTECTION.WALLET]: 'wallet signature',
+}
+
+/**
+ * Saved API credentials for the connected account: remember them encrypted
+ * under a passphrase or a wallet signature, unlock, forget or rotate them
+ * (see TradingService.rememberCredentials and CredentialStore)
+ */
+export default function CredentialSettings() {
+  const [status, setStatus] = useState(null) // { saved, protection, locked }
+  const [mode, setMode] = useState(null) // null, 'remember' or 'unlock'
+  const [protection, setProtection] = useState(CREDENTIAL_PROTECTION.PASSPHRASE)
+  const [passphrase, setPassphrase] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadStatus = async () => {
+    setStatus(tradingService.canSign() ? await tradingService.getSavedCredentialsStatus() : null)
+  }
+
+  useEffect(() => {
+    loadStatus()
+    const unsubscribeWallet = walletService.subscribe(loadStatus)
+    const unsubscribeMode = tradingModeService.subscribe(loadStatus)
+    return () => {
+      unsubscribeWallet()
+      unsubscribeMode()
+    }
+  }, [])
+
+  if (!status) return null
+
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+      setMode(null)
+      setPassphrase('')
+      await loadStatus()
+    } catch (err) {
+      setError(err.message || 'Request failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRotate = () => {
+    if (!window.confirm('Replace your API key? The current key stops working and your wallet will ask to sign for a new one.')) return
+    run(() => tradingService.rotateCredentials())
+  }
+
+  const statusLabel = !status.saved
+    ? 'not saved'
+    : status.locked
+      ? `locked (${PROTECTION_LABELS[status.protection]})`
+      : `saved with ${PROTECTION_LABELS[status.protection]}`
+
+  const linkClass = 'text-blue-400 hover:text-blue-300 disabled:opacity-50'
+  const inputClass = 'w-full bg-white/5 border border-white/10 rounded px-3 py-2 text-white focus:outline-none'
+
+  return (
+    <div className="space-y-2 text-xs text-gray-400">
+      <div className="flex justify-between items-center gap-2">
+        <span>API credentials: <span className="text-white">{statusLabel}</span></span>
+        <span className="flex gap-3">
+          {!status.saved && (
+            <button onClick={() => setMode(mode === 'remember' ? null : 'remember')} disabled={busy} className={linkClass}>
+              Remember
+            </button>
+          )}
+          {status.locked && status.protection === CREDENTIAL_PROTECTION.PASSPHRASE && (
+            <button onClick={() => setMode(mode === 'unlock' ? null : 'unlock')} disabled={busy} className={linkClass}>
+              Unlock
+            </button>
+          )}
+          {status.saved && !status.locked && (
+            <button onClick={handleRotate} disabled={busy} className={linkClass}>
+              Rotate
+            </button>
+          )}
+          {status.saved && (
+            <button onClick={() => run(() => tradingService.forgetCredentials())} disabled={busy} className={linkClass}>
+              Forget
+            </button>
+          )}
+        </span>
+      </div>
+
+      {mode === 'remember' && (
+        <div className="space-y-2 p-3 bg-white/5 border border-white/10 rounded-lg">
+          <select
+            value={protection}
+            onChange={(e) => setProtection(e.target.value)}
+            className={inputClass}
+          >
+            <option value={CREDENTIAL_PROTECTION.PASSPHRASE} className="bg-gray-900">Encrypt with a passphrase</option>
+            <option value={CREDENTIAL_PROTECTION.WALLET} className="bg-gray-900">Encrypt with a wallet signature</option>
+          </select>
+          {protection === CREDENTIAL_PROTECTION.PASSPHRASE ? (
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              autoComplete="new-password"
+              className={inputClass}
+            />
+          ) : (
+            <p>Your wallet signs a message each session to unlock them; nothing to remember.</p>
+          )}
+          <button
+            onClick={() => run(() => tradingService.rememberCredentials(protection, passphrase))}
+            disabled={busy}
+            className="w-full py-1.5 bg-yellow-500 text-black rounded font-semibold hover:bg-yellow-600 transition disabled:opacity-50"
+          >
+            {busy ? 'Saving...' : 'Save Encrypted'}
+          </button>
+        </div>
+      )}
+
+      {mode === 'unlock' && (
+        <div className="flex gap-2">
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && run(() => tradingService.unlockCredentials(passphrase))}
+            placeholder="Passphrase"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+          <button
+            onClick={() => run(() => tradingService.unlockCredentials(passphrase))}
+            disabled={busy}
+            className="px-3 py-1.5 bg-yellow-500 text-black rounded font-semibold hover:bg-yellow-600 transition disabled:opacity-50"
+          >
+            Unlock
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-400">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,58 @@
+import React from 'react'
+import { AlertTriangle, Clock, FlaskConical } from 'lucide-react'
+import { DATA_STATUS, formatAge } from '../services/DataResult'
+
+/**
+ * Small pill for data that is usable but not live: stale cache or demo data
+ * Renders nothing for fresh results.
+ */
+export function DataStatusBadge({ result, className = '' }) {
+  if (!result) return null
+
+  if (result.synthetic) {
+    return (
+      <span
+        className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded bg-purple-500/20 text-purple-300 border border-purple-500/40 ${className}`}
+        title={result.reason || 'Synthetic data, not from Polymarket'}
+      >
+        <FlaskConical className="w-3 h-3" />
+        Demo data
+      </span>
+    )
+  }
+
+  if (result.status === DATA_STATUS.STALE) {
+    return (
+      <span
+        className={`inline-flex items-center gap-1 px-2 py-0.5 text-xs rounded bg-yellow-500/10 text-yellow-300 border border-yellow-500/30 ${className}`}
+        title={result.reason || 'Showing cached data'}
+      >
+        <Clock className="w-3 h-3" />
+        {result.timestamp ? `Updated ${formatAge(result.timestamp)}` : 'Cached'}
+      </span>
+    )
+  }
+
+  return null
+}
+
+/**
+ * Empty state for data that could not be loaded
+ */
+export function DataUnavailable({ title = 'Data unavailable', reason, onRetry, className = '' }) {
+  return (
+    <div className={`flex flex-col items-center justify-center text-center gap-2 p-6 ${className}`}>
+      <AlertTriangle className="w-6 h-6 text-red-400" />
+      <p className="text-sm font-medium text-white">{title}</p>
+      {reason && <p className="text-xs text-gray-400 max-w-xs">{reason}</p>}
+      {onRetry && (
+        <button
+          onClick={onRetry}
+          className="mt-1 px-3 py-1 text-xs border border-white/20 rounded hover:bg-white/5 transition text-gray-300"
+        >
+          Try again
+        </button>
+      )}
+    </div>
+  )
+}
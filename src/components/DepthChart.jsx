@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { OrderBook } from '../services/OrderBook'
+import { PRICE_AXIS, CHART_THEME, DEPTH_CHART_CONFIG } from '../config/chartConfig'
+
+const PADDING = { top: 12, right: 56, bottom: 24, left: 8 }
+
+const formatPrice = (price) => `${price.toFixed(PRICE_AXIS.precision)}¢`
+
+const formatShares = (shares) => {
+  if (shares >= 1000000) return `${(shares / 1000000).toFixed(2)}M`
+  if (shares >= 1000) return `${(shares / 1000).toFixed(1)}K`
+  return shares.toFixed(0)
+}
+
+// Axis step (1, 2 or 5 times a power of ten) giving roughly `count` ticks
+const getTickStep = (span, count) => {
+  const raw = span / count
+  if (!(raw > 0)) return 1
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)))
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= raw) * magnitude
+  return step || magnitude
+}
+
+/**
+ * Cumulative depth chart for one order book
+ * Bid and ask curves around the mid, with the spread shaded and a hover
+ * readout of what it costs to trade through to the hovered price. Prices use
+ * the same axis scale as PredictionChart (PRICE_AXIS).
+ * @param {Object} props
+ *   - book: { bids, asks } levels in cents with cumulative totals, best first
+ */
+export default function DepthChart({ book, height = DEPTH_CHART_CONFIG.height }) {
+  const containerRef = useRef()
+  const [width, setWidth] = useState(0)
+  const [hoverPrice, setHoverPrice] = useState(null)
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+    const measure = () => setWidth(container.clientWidth)
+    measure()
+
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', measure)
+      return () => window.removeEventListener('resize', measure)
+    }
+    const resizeObserver = new ResizeObserver(measure)
+    resizeObserver.observe(container)
+    return () => resizeObserver.disconnect()
+  }, [])
+
+  const engine = useMemo(() => OrderBook.fromLevels(book), [book])
+  const { bestBid, bestAsk, mid, spread } = engine
+
+  // Visible price range: a window around the mid, clamped to the shared axis
+  const center = mid ?? bestBid ?? bestAsk ?? (PRICE_AXIS.min + PRICE_AXIS.max) / 2
+  const minPrice = Math.max(PRICE_AXIS.min, center - DEPTH_CHART_CONFIG.window)
+  const maxPrice = Math.min(PRICE_AXIS.max, center + DEPTH_CHART_CONFIG.window)
+
+  const bids = (book?.bids || []).filter(level => level.price >= minPrice)
+  const asks = (book?.asks || []).filter(level => level.price <= maxPrice)
+  const maxDepth = Math.max(bids[bids.length - 1]?.total || 0, asks[asks.length - 1]?.total || 0, 1)
+
+  const plotWidth = Math.max(0, width - PADDING.left - PADDING.right)
+  const plotHeight = height - PADDING.top - PADDING.bottom
+  const x = price => PADDING.left + ((price - minPrice) / (maxPrice - minPrice || 1)) * plotWidth
+  const y = depth => PADDING.top + plotHeight - (depth / maxDepth) * plotHeight
+
+  // Step curve from the best price outwards, closed down to the axis
+  const buildPath = (levels, edgePrice) => {
+    if (levels.length === 0) return null
+    let path = `M ${x(levels[0].price)} ${y(0)}`
+    levels.forEach((level, index) => {
+      if (index > 0) path += ` L ${x(level.price)} ${y(levels[index - 1].total)}`
+      path += ` L ${x(level.price)} ${y(level.total)}`
+    })
+    path += ` L ${x(edgePrice)} ${y(levels[levels.length - 1].total)} L ${x(edgePrice)} ${y(0)} Z`
+    return path
+  }
+
+  const bidPath = buildPath(bids, minPrice)
+  const askPath = buildPath(asks, maxPrice)
+
+  const priceTicks = []
+  const priceStep = getTickStep(maxPrice - minPrice, 6)
+  for (let price = Math.ceil(minPrice / priceStep) * priceStep; price <= maxPrice; price += priceStep) {
+    priceTicks.push(price)
+  }
+  const depthStep = getTickStep(maxDepth, 4)
+  const depthTicks = []
+  for (let depth = depthStep; depth <= maxDepth; depth += depthStep) {
+    depthTicks.push(depth)
+  }
+
+  const handleMouseMove = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect()
+    const offset = event.clientX - rect.left - PADDING.left
+    if (offset < 0 || offset > plotWidth || plotWidth === 0) {
+      setHoverPrice(null)
+      return
+    }
+    const price = minPrice + (offset / plotWidth) * (maxPrice - minPrice)
+    // Snap to the finest tick so the readout matches a price you can actually quote
+    setHoverPrice(Math.round(price / PRICE_AXIS.minMove) / (1 / PRICE_AXIS.minMove))
+  }
+
+  // What it takes to move the price to the hovered level
+  let readout = null
+  if (hoverPrice !== null) {
+    if (bestAsk !== null && hoverPrice >= bestAsk) {
+      const sweep = engine.sweepTo('BUY', hoverPrice)
+      readout = {
+        color: 'text-green-400',
+        text: `Buy ${formatShares(sweep.shares)} shares for $${sweep.cost.toFixed(2)} (avg ${formatPrice(sweep.averagePrice)}) to lift the ask to ${formatPrice(hoverPrice)}`,
+      }
+    } else if (bestBid !== null && hoverPrice <= bestBid) {
+      const sweep = engine.sweepTo('SELL', hoverPrice)
+      readout = {
+        color: 'text-red-400',
+        text: `Sell ${formatShares(sweep.shares)} shares for $${sweep.cost.toFixed(2)} (avg ${formatPrice(sweep.averagePrice)}) to hit the bid down to ${formatPrice(hoverPrice)}`,
+      }
+    } else {
+      readout = { color: 'text-gray-400', text: `${formatPrice(hoverPrice)} is inside the spread` }
+    }
+  }
+
+  return (
+    <div ref={containerRef} className="relative w-full" style={{ height }}>
+      {width > 0 && (
+        <svg
+          width={width}
+          height={height}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverPrice(null)}
+          className="block"
+        >
+          <rect x={0} y={0} width={width} height={height} fill={CHART_THEME.background} />
+
+          {/* Grid and axes */}
+          {depthTicks.map(depth => (
+            <g key={`depth-${depth}`}>
+              <line x1={PADDING.left} x2={PADDING.left + plotWidth} y1={y(depth)} y2={y(depth)} stroke={CHART_THEME.grid} />
+              <text x={PADDING.left + plotWidth + 6} y={y(depth) + 4} fill={CHART_THEME.text} fontSize="10">
+                {formatShares(depth)}
+              </text>
+            </g>
+          ))}
+          {priceTicks.map(price => (
+            <g key={`price-${price}`}>
+              <line x1={x(price)} x2={x(price)} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke={CHART_THEME.grid} />
+              <text x={x(price)} y={height - 6} fill={CHART_THEME.text} fontSize="10" textAnchor="middle">
+                {formatPrice(price)}
+              </text>
+            </g>
+          ))}
+          <line
+            x1={PADDING.left}
+            x2={PADDING.left + plotWidth}
+            y1={y(0)}
+            y2={y(0)}
+            stroke={CHART_THEME.border}
+          />
+
+          {/* Spread */}
+          {bestBid !== null && bestAsk !== null && (
+            <rect
+              x={x(bestBid)}
+              y={PADDING.top}
+              width={Math.max(0, x(bestAsk) - x(bestBid))}
+              height={plotHeight}
+              fill="rgba(234, 179, 8, 0.08)"
+            />
+          )}
+
+          {/* Depth curves */}
+          {bidPath && <path d={bidPath} fill={CHART_THEME.up} fillOpacity={0.15} stroke={CHART_THEME.up} strokeWidth={1.5} />}
+          {askPath && <path d={askPath} fill={CHART_THEME.down} fillOpacity={0.15} stroke={CHART_THEME.down} strokeWidth={1.5} />}
+
+          {/* Mid */}
+          {mid !== null && (
+            <g>
+              <line
+                x1={x(mid)}
+                x2={x(mid)}
+                y1={PADDING.top}
+                y2={PADDING.top + plotHeight}
+                stroke="#eab308"
+                strokeDasharray="4 3"
+              />
+              <text x={x(mid)} y={PADDING.top + 10} fill="#eab308" fontSize="10" textAnchor="middle">
+                Mid {formatPrice(mid)} · Spread {formatPrice(spread)}
+              </text>
+            </g>
+          )}
+
+          {/* Hover crosshair */}
+          {hoverPrice !== null && (
+            <line
+              x1={x(hoverPrice)}
+              x2={x(hoverPrice)}
+              y1={PADDING.top}
+              y2={PADDING.top + plotHeight}
+              stroke="rgba(255, 255, 255, 0.4)"
+            />
+          )}
+        </svg>
+      )}
+
+      {readout && (
+        <div className={`absolute left-3 top-6 max-w-sm px-2 py-1 text-xs rounded bg-black/70 border border-white/10 pointer-events-none ${readout.color}`}>
+          {readout.text}
+        </div>
+      )}
+
+      {bids.length === 0 && asks.length === 0 && (
+        <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+          No liquidity within {DEPTH_CHART_CONFIG.window}¢ of the mid
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,142 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { createChart, ColorType } from 'lightweight-charts'
+import { portfolioHistoryService, HISTORY_RANGES } from '../services/PortfolioHistoryService'
+import { CHART_THEME, EQUITY_CHART_CONFIG } from '../config/chartConfig'
+
+const formatPercent = value => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(2)}%`
+
+/**
+ * Portfolio equity curve (cash plus position value) from recorded snapshots,
+ * with time-weighted return and max drawdown over the selected range
+ */
+export default function EquityChart() {
+  const chartContainerRef = useRef()
+  const seriesRef = useRef()
+  const [range, setRange] = useState('1W')
+  const [snapshots, setSnapshots] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+    portfolioHistoryService.getSnapshots(range).then((loaded) => {
+      if (!cancelled) setSnapshots(loaded)
+    })
+    const unsubscribe = portfolioHistoryService.subscribe((snapshot) => {
+      if (!cancelled) setSnapshots(prev => [...prev, snapshot])
+    })
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [range])
+
+  // Initialize chart
+  useEffect(() => {
+    const container = chartContainerRef.current
+    if (!container) return
+
+    const chart = createChart(container, {
+      layout: {
+        background: { type: ColorType.Solid, color: CHART_THEME.background },
+        textColor: CHART_THEME.text,
+      },
+      grid: {
+        vertLines: { color: CHART_THEME.grid },
+        horzLines: { color: CHART_THEME.grid },
+      },
+      width: container.clientWidth,
+      height: EQUITY_CHART_CONFIG.height,
+      timeScale: {
+        timeVisible: true,
+        secondsVisible: false,
+        borderColor: CHART_THEME.border,
+      },
+      rightPriceScale: {
+        borderColor: CHART_THEME.border,
+      },
+    })
+
+    seriesRef.current = chart.addAreaSeries({
+      lineColor: EQUITY_CHART_CONFIG.color,
+      topColor: 'rgba(234, 179, 8, 0.25)',
+      bottomColor: 'rgba(234, 179, 8, 0)',
+      lineWidth: 2,
+      priceFormat: { type: 'price', precision: 2, minMove: 0.01 },
+    })
+
+    const handleResize = () => chart.applyOptions({ width: container.clientWidth })
+    let resizeObserver
+    if (typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(handleResize)
+      resizeObserver.observe(container)
+    }
+    window.addEventListener('resize', handleResize)
+
+    return () => {
+      if (resizeObserver) {
+        resizeObserver.disconnect()
+      }
+      window.removeEventListener('resize', handleResize)
+      seriesRef.current = null
+      chart.remove()
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!seriesRef.current) return
+    seriesRef.current.setData(snapshots.map(snapshot => ({
+      time: Math.floor(snapshot.timestamp / 1000),
+      value: snapshot.equity,
+    })))
+  }, [snapshots])
+
+  const performance = portfolioHistoryService.getPerformance(snapshots)
+  const latest = snapshots[snapshots.length - 1]
+
+  return (
+    <div className="bg-gray-900/50 border border-gray-800 rounded-xl overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-800 flex items-center justify-between flex-wrap gap-3">
+        <div className="flex items-center gap-6">
+          <h2 className="text-xl font-bold text-white">Equity</h2>
+          {latest && (
+            <div className="flex items-center gap-4 text-sm">
+              <span className="text-white font-semibold">${latest.equity.toFixed(2)}</span>
+              <span className="text-gray-400">
+                Cash ${latest.cash.toFixed(2)} · Positions ${latest.positionValue.toFixed(2)}
+              </span>
+              <span
+                className={performance.timeWeightedReturn >= 0 ? 'text-green-400' : 'text-red-400'}
+                title="Time-weighted return: deposits and withdrawals are excluded"
+              >
+                TWR {formatPercent(performance.timeWeightedReturn)}
+              </span>
+              <span className="text-red-400" title="Largest fall from a peak in the time-weighted return">
+                Max DD {(performance.maxDrawdown * 100).toFixed(2)}%
+              </span>
+            </div>
+          )}
+        </div>
+        <div className="flex gap-1">
+          {Object.keys(HISTORY_RANGES).map(key => (
+            <button
+              key={key}
+              onClick={() => setRange(key)}
+              className={`px-3 py-1 text-xs rounded transition ${
+                range === key ? 'bg-yellow-500/20 text-yellow-400' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="relative">
+        <div ref={chartContainerRef} style={{ height: EQUITY_CHART_CONFIG.height }} />
+        {snapshots.length < 2 && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500 pointer-events-none">
+            The equity curve fills in as snapshots are recorded while SignalBay is open
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { Star } from 'lucide-react'
 import { polymarketService } from '../services/PolymarketService'
+import { unwrap } from '../services/DataResult'
 
 const eventTabs = ['All', 'Watchlist']
 
@@ -54,13 +55,15 @@ export default function EventsList({ onSelectEvent, eventWatchlist = [], toggleE
       try {
         setLoading(true)
         setError(null)
-        const eventsData = await polymarketService.getEvents({
+        const eventsData = unwrap(await polymarketService.getEvents({
           order: 'volume',
           ascending: false,
           closed: false,
           featured: true,
-          limit: 100
-        })
+          limit: 100,
+          // Cached events paint first; swap in the refreshed list when it lands
+          onRevalidate: setEvents,
+        }))
         setEvents(eventsData)
       } catch (err) {
         console.error('Error fetching events:', err)
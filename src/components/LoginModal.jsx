@@ -1,44 +1,31 @@
-import React, { useState } from 'react'
-import { X } from 'lucide-react'
+import React, { useEffect, useState } from 'react'
+import { Wallet, X } from 'lucide-react'
 import { walletService } from '../services/WalletService'
 
 export default function LoginModal({ isOpen, onClose, onConnect }) {
-  const [connecting, setConnecting] = useState(false)
+  const [connecting, setConnecting] = useState(null) // id of the wallet being connected
   const [error, setError] = useState(null)
+  const [wallets, setWallets] = useState(() => walletService.getWallets())
 
-  if (!isOpen) return null
+  // Wallets can announce themselves after the modal opens
+  useEffect(() => walletService.subscribeToWallets(() => setWallets(walletService.getWallets())), [])
 
-  const handlePhantomConnect = async () => {
-    try {
-      setConnecting(true)
-      setError(null)
-      const result = await walletService.connectPhantom()
-      if (result && onConnect) {
-        onConnect(result)
-        onClose()
-      }
-    } catch (err) {
-      console.error('Phantom connection error:', err)
-      setError(err.message || 'Failed to connect Phantom wallet')
-    } finally {
-      setConnecting(false)
-    }
-  }
+  if (!isOpen) return null
 
-  const handleMetaMaskConnect = async () => {
+  const handleWalletConnect = async (wallet) => {
     try {
-      setConnecting(true)
+      setConnecting(wallet.id)
       setError(null)
-      const result = await walletService.connectMetaMask()
+      const result = await walletService.connect(wallet.id)
       if (result && onConnect) {
         onConnect(result)
         onClose()
       }
     } catch (err) {
-      console.error('MetaMask connection error:', err)
-      setError(err.message || 'Failed to connect MetaMask wallet')
+      console.error(`${wallet.name} connection error:`, err)
+      setError(err.message || `Failed to connect ${wallet.name}`)
     } finally {
-      setConnecting(false)
+      setConnecting(null)
     }
   }
 
@@ -47,9 +34,6 @@ export default function LoginModal({ isOpen, onClose, onConnect }) {
     setError('Email login coming soon')
   }
 
-  const isPhantomInstalled = walletService.isPhantomInstalled()
-  const isMetaMaskInstalled = walletService.isMetaMaskInstalled()
-
   return (
     <div 
       className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-50"
@@ -81,58 +65,35 @@ export default function LoginModal({ isOpen, onClose, onConnect }) {
 
         {/* Wallet Options */}
         <div className="p-6 space-y-3">
-          {/* Phantom */}
-          <button
-            onClick={handlePhantomConnect}
-            disabled={connecting || !isPhantomInstalled}
-            className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg border-2 transition ${
-              isPhantomInstalled
-                ? 'border-white/20 hover:border-purple-400/50 hover:bg-purple-500/10 bg-white/5'
-                : 'border-white/10 bg-white/5 opacity-50 cursor-not-allowed'
-            }`}
-          >
-            <div className="relative">
-              <div className="w-8 h-8 bg-purple-100 rounded-full flex items-center justify-center">
-                <span className="text-xl">👻</span>
-              </div>
-              {isPhantomInstalled && (
-                <div className="absolute -top-1 -right-1 w-3 h-3 bg-green-500 rounded-full border-2 border-white"></div>
-              )}
+          {wallets.length === 0 && (
+            <div className="px-4 py-3 rounded-lg border border-white/10 bg-white/5 text-sm text-gray-400">
+              No browser wallet detected. Install MetaMask, Rabby, Coinbase Wallet or another Ethereum wallet extension, then reload the page.
             </div>
-            <span className="font-medium text-white">
-              {isPhantomInstalled ? 'Phantom' : 'Phantom (Not Installed)'}
-            </span>
-            {connecting && <span className="ml-auto text-sm text-gray-400">Connecting...</span>}
-          </button>
+          )}
 
-          {/* MetaMask */}
-          <button
-            onClick={handleMetaMaskConnect}
-            disabled={connecting || !isMetaMaskInstalled}
-            className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg border-2 transition ${
-              isMetaMaskInstalled
-                ? 'border-white/20 hover:border-orange-400/50 hover:bg-orange-500/10 bg-white/5'
-                : 'border-white/10 bg-white/5 opacity-50 cursor-not-allowed'
-            }`}
-          >
-            <div className="w-8 h-8 flex items-center justify-center">
-              <svg width="24" height="24" viewBox="0 0 24 24" fill="none">
-                <path d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z" fill="#F6851B"/>
-                <path d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z" fill="#F6851B"/>
-                <path d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z" fill="#F6851B"/>
-                <path d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z" fill="#F6851B"/>
-              </svg>
-            </div>
-            <span className="font-medium text-white">
-              {isMetaMaskInstalled ? 'MetaMask' : 'MetaMask (Not Installed)'}
-            </span>
-            {connecting && <span className="ml-auto text-sm text-gray-400">Connecting...</span>}
-          </button>
+          {wallets.map(wallet => (
+            <button
+              key={wallet.id}
+              onClick={() => handleWalletConnect(wallet)}
+              disabled={connecting !== null}
+              className="w-full flex items-center gap-3 px-4 py-3 rounded-lg border-2 border-white/20 hover:border-yellow-400/50 hover:bg-yellow-500/10 bg-white/5 transition disabled:opacity-50"
+            >
+              <div className="w-8 h-8 flex items-center justify-center">
+                {wallet.icon ? (
+                  <img src={wallet.icon} alt="" className="w-8 h-8 rounded" />
+                ) : (
+                  <Wallet className="h-6 w-6 text-gray-400" />
+                )}
+              </div>
+              <span className="font-medium text-white">{wallet.name}</span>
+              {connecting === wallet.id && <span className="ml-auto text-sm text-gray-400">Connecting...</span>}
+            </button>
+          ))}
 
           {/* Email/Social Login */}
           <button
             onClick={handleEmailLogin}
-            disabled={connecting}
+            disabled={connecting !== null}
             className="w-full flex items-center gap-3 px-4 py-3 rounded-lg border-2 border-white/20 hover:border-white/30 hover:bg-white/5 bg-white/5 transition"
           >
             <div className="w-8 h-8 bg-white/10 rounded-full flex items-center justify-center">
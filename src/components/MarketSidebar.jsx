@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef } from 'react'
 import { Search, Sun, Moon } from 'lucide-react'
 import TruncatedText from './TruncatedText'
 import { polymarketService } from '../services/PolymarketService'
+import { unwrap } from '../services/DataResult'
 
 // Component to handle market images with fallback to icon
 function MarketImage({ src, alt, fallbackIcon }) {
@@ -49,11 +50,11 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
           // Strategy 1: Search by category if available
           if (selectedMarket.category) {
             try {
-              const categoryMarkets = await polymarketService.searchMarkets(selectedMarket.category, {
+              const categoryMarkets = unwrap(await polymarketService.searchMarkets(selectedMarket.category, {
                 limit_per_type: 20,
                 search_tags: true,
                 sort: 'relevance',
-              })
+              }))
               // Filter out the current market and add to results
               categoryMarkets
                 .filter(m => m.id !== selectedMarket.id)
@@ -79,11 +80,11 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
             if (words.length > 0) {
               const searchQuery = words.join(' ')
               try {
-                const keywordMarkets = await polymarketService.searchMarkets(searchQuery, {
+                const keywordMarkets = unwrap(await polymarketService.searchMarkets(searchQuery, {
                   limit_per_type: 20,
                   search_tags: true,
                   sort: 'relevance',
-                })
+                }))
                 // Filter out the current market and add to results
                 keywordMarkets
                   .filter(m => m.id !== selectedMarket.id)
@@ -103,12 +104,12 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
               // Get markets with the same tag (use first tag)
               const tagId = selectedMarket.polymarketData.tags[0]
               if (tagId) {
-                const tagMarkets = await polymarketService.getMarkets({
+                const tagMarkets = unwrap(await polymarketService.getMarkets({
                   tag_id: tagId,
                   related_tags: true,
                   limit: 20,
                   active: true,
-                })
+                }))
                 tagMarkets
                   .filter(m => m.id !== selectedMarket.id)
                   .forEach(m => {
@@ -124,10 +125,10 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
           // Strategy 4: Fallback - get trending markets in same category
           if (allRelatedMarkets.length === 0 && selectedMarket.category) {
             try {
-              const fallbackMarkets = await polymarketService.getMarkets({
+              const fallbackMarkets = unwrap(await polymarketService.getMarkets({
                 limit: 30,
                 active: true,
-              })
+              }))
               // Filter by category and exclude current market
               const categoryFiltered = fallbackMarkets.filter(m => 
                 m.category === selectedMarket.category && 
@@ -216,12 +217,12 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
     setIsSearching(true)
     searchTimeoutRef.current = setTimeout(async () => {
       try {
-        const results = await polymarketService.searchMarkets(searchQuery, {
+        const results = unwrap(await polymarketService.searchMarkets(searchQuery, {
           limit_per_type: 50, // Limit results per type (markets, events, etc.)
           search_tags: true, // Search in tags
           search_profiles: false, // Don't search profiles for now
           sort: 'relevance', // Sort by relevance
-        })
+        }))
 
         setSearchResults(results)
       } catch (err) {
@@ -463,17 +464,25 @@ export default function MarketSidebar({ markets, selectedMarket, onSelectMarket,
               </div>
             </div>
             <div className="flex items-center justify-between mt-3">
-              <div className="flex gap-2">
-                <div className="flex items-center gap-1">
-                  <span className="text-xs text-gray-400">Yes</span>
-                  <span className="text-sm font-semibold text-yellow-400">{formatPrice(market.yesPrice)}</span>
+              {market.isYesNo === false ? (
+                <div className="flex items-center gap-1 min-w-0">
+                  <span className="text-xs text-gray-400 truncate">{polymarketService.getLeadingOutcome(market)?.label}</span>
+                  <span className="text-sm font-semibold text-blue-400">{formatPrice(polymarketService.getLeadingOutcome(market)?.price || 0)}</span>
+                  <span className="text-xs text-gray-500">+{market.outcomes.length - 1}</span>
                 </div>
-                <span className="text-gray-600">•</span>
-                <div className="flex items-center gap-1">
-                  <span className="text-xs text-gray-400">No</span>
-                  <span className="text-sm font-semibold text-red-400">{formatPrice(market.noPrice)}</span>
+              ) : (
+                <div className="flex gap-2">
+                  <div className="flex items-center gap-1">
+                    <span className="text-xs text-gray-400">Yes</span>
+                    <span className="text-sm font-semibold text-yellow-400">{formatPrice(market.yesPrice)}</span>
+                  </div>
+                  <span className="text-gray-600">•</span>
+                  <div className="flex items-center gap-1">
+                    <span className="text-xs text-gray-400">No</span>
+                    <span className="text-sm font-semibold text-red-400">{formatPrice(market.noPrice)}</span>
+                  </div>
                 </div>
-              </div>
+              )}
               <div className="text-xs text-gray-500">
                 <span className="text-gray-400">Volume</span>
                 <p className="text-white font-medium">{formatVolume(market.volume)}</p>
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react'
 import { Search, Filter, List, Grid } from 'lucide-react'
 import { polymarketService } from '../services/PolymarketService'
+import { unwrap } from '../services/DataResult'
+import { DataStatusBadge } from './DataStatus'
 
 // Sports Grouped View Component
 function SportsGroupedView({ marketsBySport, onSelectMarket, sortMarkets }) {
@@ -56,11 +58,21 @@ function SportsGroupedView({ marketsBySport, onSelectMarket, sortMarkets }) {
                     <div className="flex items-center justify-between">
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-white truncate">{market.title || market.question}</p>
-                        <div className="flex items-center gap-2 mt-1 text-xs text-gray-400">
-                          <span className="text-green-400">Yes {formatPrice(market.yesPrice || 0)}</span>
-                          <span>•</span>
-                          <span className="text-red-400">No {formatPrice(market.noPrice || 0)}</span>
-                        </div>
+                        {market.isYesNo === false ? (
+                          <div className="flex items-center gap-2 mt-1 text-xs text-gray-400">
+                            <span className="text-blue-400">
+                              {polymarketService.getLeadingOutcome(market)?.label} {formatPrice(polymarketService.getLeadingOutcome(market)?.price || 0)}
+                            </span>
+                            <span>•</span>
+                            <span>{market.outcomes.length} outcomes</span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-2 mt-1 text-xs text-gray-400">
+                            <span className="text-green-400">Yes {formatPrice(market.yesPrice || 0)}</span>
+                            <span>•</span>
+                            <span className="text-red-400">No {formatPrice(market.noPrice || 0)}</span>
+                          </div>
+                        )}
                       </div>
                       <div className="text-right ml-4">
                         <p className="text-xs text-gray-500">Vol</p>
@@ -114,11 +126,19 @@ function SportsGroupedView({ marketsBySport, onSelectMarket, sortMarkets }) {
                         className="w-full text-left p-2 bg-gray-800/50 rounded hover:bg-gray-800 transition text-sm"
                       >
                         <p className="text-white truncate">{market.title || market.question}</p>
-                        <div className="flex items-center gap-2 mt-1 text-xs">
-                          <span className="text-green-400">{formatPrice(market.yesPrice || 0)}</span>
-                          <span className="text-gray-600">•</span>
-                          <span className="text-red-400">{formatPrice(market.noPrice || 0)}</span>
-                        </div>
+                        {market.isYesNo === false ? (
+                          <div className="flex items-center gap-2 mt-1 text-xs">
+                            <span className="text-blue-400 truncate">
+                              {polymarketService.getLeadingOutcome(market)?.label} {formatPrice(polymarketService.getLeadingOutcome(market)?.price || 0)}
+                            </span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-2 mt-1 text-xs">
+                            <span className="text-green-400">{formatPrice(market.yesPrice || 0)}</span>
+                            <span className="text-gray-600">•</span>
+                            <span className="text-red-400">{formatPrice(market.noPrice || 0)}</span>
+                          </div>
+                        )}
                       </button>
                     ))}
                     {sportMarkets.length > 3 && (
@@ -214,6 +234,8 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
   const [markets, setMarkets] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [dataStatus, setDataStatus] = useState(null) // Result behind the current list (ok / stale)
+  const [reloadCount, setReloadCount] = useState(0)
   const [isSearching, setIsSearching] = useState(false)
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('Trending')
@@ -231,6 +253,8 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
   const sportsTagIdsRef = useRef(null) // Cache sports tag IDs
   const tagsRef = useRef(null) // Cache tags data for category-to-tag_id mapping
   const sportsDataRef = useRef(null) // Cache sports metadata
+  const selectedCategoryRef = useRef(selectedCategory) // Latest category for background revalidation
+  selectedCategoryRef.current = selectedCategory
   const [marketsBySport, setMarketsBySport] = useState({}) // Group markets by sport
 
   // Helper function to group markets by sport
@@ -340,7 +364,7 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
       }
 
       try {
-        const tags = await polymarketService.getTags()
+        const tags = unwrap(await polymarketService.getTags())
         tagsRef.current = tags
       } catch (err) {
         tagsRef.current = [] // Set to empty array to prevent repeated failed attempts
@@ -383,16 +407,19 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
               // Parse outcomePrices if it's a string
               let yesPrice = market.yesPrice
               let noPrice = market.noPrice
+              let isMultiOutcome = false
               
               if (!yesPrice && !noPrice && market.outcomePrices) {
                 try {
                   const prices = typeof market.outcomePrices === 'string' 
                     ? JSON.parse(market.outcomePrices) 
                     : market.outcomePrices
-                  if (Array.isArray(prices) && prices.length >= 2) {
+                  if (Array.isArray(prices) && prices.length === 2) {
                     yesPrice = parseFloat(prices[0]) * 100 // Convert from decimal to cents
                     noPrice = parseFloat(prices[1]) * 100
                   }
+                  // Three or more outcomes have no Yes/No pair to default
+                  isMultiOutcome = Array.isArray(prices) && prices.length > 2
                 } catch (e) {
                   // If parsing fails, use defaults
                 }
@@ -402,8 +429,8 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
               return {
                 ...market,
                 id: market.id || market.conditionId || market.slug || `event-market-${Date.now()}`,
-                yesPrice: yesPrice || 50,
-                noPrice: noPrice || 50
+                yesPrice: isMultiOutcome ? null : yesPrice || 50,
+                noPrice: isMultiOutcome ? null : noPrice || 50
               }
             }
             
@@ -418,11 +445,13 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
           // Otherwise, search for markets using event title or slug
           const searchQuery = eventFilter.slug || eventFilter.title || eventFilter.question || eventFilter.name
           if (searchQuery) {
-            const searchResults = await polymarketService.searchMarkets(searchQuery, {
+            const result = await polymarketService.searchMarkets(searchQuery, {
               limit_per_type: 100,
               search_tags: true,
               sort: 'relevance',
             })
+            const searchResults = unwrap(result)
+            setDataStatus(result)
             
             // Filter results to match event more closely
             const eventMarkets = searchResults.filter(market => {
@@ -457,15 +486,24 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
             return
           }
 
-          const marketsData = await polymarketService.getMarkets({
+          const result = await polymarketService.getMarkets({
             limit: 1000, // Increased limit for better results after client-side filtering
             active: true,
             closed: false, // Only fetch open markets
             order: 'endDate', // Sort by endDate
             ascending: true, // Ascending order (earliest dates first)
+            onRevalidate: (freshMarkets) => {
+              categoryCacheRef.current['Trending'] = freshMarkets
+              if (['Trending', 'New'].includes(selectedCategoryRef.current)) {
+                setMarkets(freshMarkets)
+                setDataStatus(null)
+              }
+            },
           })
+          const marketsData = unwrap(result)
           
           setMarkets(marketsData)
+          setDataStatus(result)
           // Cache the results
           categoryCacheRef.current['Trending'] = marketsData
         } else {
@@ -503,7 +541,7 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
             try {
               // Get sports metadata (cache them)
               if (!sportsDataRef.current) {
-                const sports = await polymarketService.getSports()
+                const sports = unwrap(await polymarketService.getSports())
                 sportsDataRef.current = sports
                 // Get all unique tag IDs from all sports
                 const allTagIds = new Set()
@@ -557,7 +595,9 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
           }
 
           // Fetch markets (with server-side filtering if tag_id is available)
-          const marketsData = await polymarketService.getMarkets(apiOptions)
+          const result = await polymarketService.getMarkets(apiOptions)
+          const marketsData = unwrap(result)
+          setDataStatus(result)
           
           // Client-side filtering by category keywords (as fallback or additional filter)
           const filtered = marketsData.filter(market => {
@@ -596,7 +636,7 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
     }
 
     fetchMarkets()
-  }, [selectedCategory, eventFilter]) // Re-fetch when category or eventFilter changes
+  }, [selectedCategory, eventFilter, reloadCount]) // Re-fetch when category or eventFilter changes
 
   // Handle search queries using public-search endpoint
   useEffect(() => {
@@ -613,14 +653,15 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
         setIsSearching(true)
         setError(null)
 
-        const searchResults = await polymarketService.searchMarkets(searchQuery, {
+        const result = await polymarketService.searchMarkets(searchQuery, {
           limit_per_type: 50, // Limit results per type (markets, events, etc.)
           search_tags: true, // Search in tags
           search_profiles: false, // Don't search profiles for now
           sort: 'relevance', // Sort by relevance
         })
 
-        setMarkets(searchResults)
+        setMarkets(unwrap(result))
+        setDataStatus(result)
       } catch (err) {
         console.error('Error searching markets:', err)
         setError(err.message || 'Search failed')
@@ -670,13 +711,13 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
         try {
           const sportPromises = Object.entries(SPORT_TAG_IDS).map(async ([sport, tagId]) => {
             try {
-              const sportMarkets = await polymarketService.getMarkets({
+              const sportMarkets = unwrap(await polymarketService.getMarkets({
                 tag_id: tagId,
                 active: true,
                 closed: false,
                 limit: 200,
                 related_tags: false
-              })
+              }))
               
               // Filter markets to ensure they're actually for this sport
               const keywords = SPORT_KEYWORDS[sport]
@@ -739,8 +780,12 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
     return date.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: '2-digit' })
   }
 
-  const calculateSpread = (yesPrice, noPrice) => {
-    return Math.abs(yesPrice - noPrice)
+  /**
+   * Yes/No price gap; null for markets with three or more outcomes
+   */
+  const calculateSpread = (market) => {
+    if (polymarketService.isMultiOutcome(market)) return null
+    return Math.abs((market.yesPrice || 0) - (market.noPrice || 0))
   }
 
   /**
@@ -860,11 +905,15 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
         <div className="text-center max-w-md px-6">
           <div className="text-6xl mb-6">📊</div>
           <h2 className="text-2xl font-bold text-white mb-3">No Markets Available</h2>
-          <p className="text-gray-400 mb-6">
+          <p className="text-gray-400 mb-2">
             We couldn't fetch markets from Polymarket at this time. This could be due to a temporary connection issue or API maintenance.
           </p>
+          <p className="text-sm text-gray-500 mb-6">{error}</p>
           <button
-            onClick={() => window.location.reload()}
+            onClick={() => {
+              categoryCacheRef.current = {}
+              setReloadCount(count => count + 1)
+            }}
             className="px-6 py-3 bg-yellow-500 text-black rounded-lg hover:bg-yellow-600 transition font-semibold"
           >
             Try Again
@@ -900,6 +949,7 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                       ? `${selectedSport} Markets (${filteredMarkets.length})`
                       : `${filteredMarkets.length} Markets`}
               </h1>
+              <DataStatusBadge result={dataStatus} />
             </div>
             <div className="flex items-center gap-4">
               {/* View Toggle */}
@@ -1057,7 +1107,8 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
               </thead>
               <tbody>
                 {filteredMarkets.map((market) => {
-                  const spread = calculateSpread(market.yesPrice || 0, market.noPrice || 0)
+                  const spread = calculateSpread(market)
+                  const leadingOutcome = polymarketService.getLeadingOutcome(market)
                   const volume24h = market.volume24h || market.volume || 0
                   const totalVolume = market.volume || 0
                   const liquidity = market.liquidity || market.volume || 0
@@ -1086,7 +1137,10 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                                 const noPrice = market.noPrice || 0
                                 let resolution = null
                                 
-                                if (yesPrice >= 99) {
+                                if (polymarketService.isMultiOutcome(market)) {
+                                  const leader = polymarketService.getLeadingOutcome(market)
+                                  if ((leader?.price || 0) >= 99) resolution = { outcome: leader.label, color: 'green' }
+                                } else if (yesPrice >= 99) {
                                   resolution = { outcome: 'Yes', color: 'green' }
                                 } else if (noPrice >= 99) {
                                   resolution = { outcome: 'No', color: 'red' }
@@ -1103,9 +1157,9 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                                         ? 'bg-red-500/20 text-red-400 border border-red-500/50'
                                         : 'bg-gray-500/20 text-gray-400 border border-gray-500/50'
                                     }`}>
-                                      {resolution.outcome === 'Yes' ? '✅ Yes' : 
-                                       resolution.outcome === 'No' ? '❌ No' : 
-                                       '⏸️ Unresolved'}
+                                      {resolution.outcome === 'No' ? '❌ No' : 
+                                       resolution.outcome === 'Unresolved' ? '⏸️ Unresolved' : 
+                                       `✅ ${resolution.outcome}`}
                                     </span>
                                   )
                                 }
@@ -1118,20 +1172,30 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
 
                       {/* Prices */}
                       <td className="py-4 px-4">
-                        <div className="flex items-center gap-2 text-sm">
-                          <span className="text-green-400 font-medium">
-                            Yes {formatPrice(market.yesPrice || 0)}
-                          </span>
-                          <span className="text-gray-600">•</span>
-                          <span className="text-red-400 font-medium">
-                            No {formatPrice(market.noPrice || 0)}
-                          </span>
-                        </div>
+                        {market.isYesNo === false ? (
+                          <div className="flex items-center gap-2 text-sm">
+                            <span className="text-blue-400 font-medium">
+                              {leadingOutcome?.label} {formatPrice(leadingOutcome?.price || 0)}
+                            </span>
+                            <span className="text-gray-600">•</span>
+                            <span className="text-gray-400">{market.outcomes.length} outcomes</span>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-2 text-sm">
+                            <span className="text-green-400 font-medium">
+                              Yes {formatPrice(market.yesPrice || 0)}
+                            </span>
+                            <span className="text-gray-600">•</span>
+                            <span className="text-red-400 font-medium">
+                              No {formatPrice(market.noPrice || 0)}
+                            </span>
+                          </div>
+                        )}
                       </td>
 
                       {/* Spread */}
                       <td className="py-4 px-4 text-right text-sm text-gray-300">
-                        {formatPrice(spread)}
+                        {spread === null ? '—' : formatPrice(spread)}
                       </td>
 
                       {/* 24h Vol */}
@@ -1181,7 +1245,8 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
           /* Tile View */
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
             {filteredMarkets.map((market) => {
-              const spread = calculateSpread(market.yesPrice || 0, market.noPrice || 0)
+              const spread = calculateSpread(market)
+              const leadingOutcome = polymarketService.getLeadingOutcome(market)
               const volume24h = market.volume24h || market.volume || 0
               const totalVolume = market.volume || 0
 
@@ -1212,7 +1277,10 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                     const noPrice = market.noPrice || 0
                     let resolution = null
                     
-                    if (yesPrice >= 99) {
+                    if (polymarketService.isMultiOutcome(market)) {
+                      const leader = polymarketService.getLeadingOutcome(market)
+                      if ((leader?.price || 0) >= 99) resolution = { outcome: leader.label, color: 'green' }
+                    } else if (yesPrice >= 99) {
                       resolution = { outcome: 'Yes', color: 'green' }
                     } else if (noPrice >= 99) {
                       resolution = { outcome: 'No', color: 'red' }
@@ -1230,9 +1298,9 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                               ? 'bg-red-500/20 text-red-400 border border-red-500/50'
                               : 'bg-gray-500/20 text-gray-400 border border-gray-500/50'
                           }`}>
-                            {resolution.outcome === 'Yes' ? '✅ Yes Won' : 
-                             resolution.outcome === 'No' ? '❌ No Won' : 
-                             '⏸️ Unresolved'}
+                            {resolution.outcome === 'No' ? '❌ No Won' : 
+                             resolution.outcome === 'Unresolved' ? '⏸️ Unresolved' : 
+                             `✅ ${resolution.outcome} Won`}
                           </span>
                         </div>
                       )
@@ -1242,15 +1310,25 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
 
                   {/* Prices */}
                   <div className="flex items-center justify-between mb-3">
-                    <div className="flex items-center gap-2">
-                      <span className="text-xs text-green-400 font-medium">
-                        Yes {formatPrice(market.yesPrice || 0)}
-                      </span>
-                      <span className="text-gray-600">•</span>
-                      <span className="text-xs text-red-400 font-medium">
-                        No {formatPrice(market.noPrice || 0)}
-                      </span>
-                    </div>
+                    {market.isYesNo === false ? (
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-blue-400 font-medium">
+                          {leadingOutcome?.label} {formatPrice(leadingOutcome?.price || 0)}
+                        </span>
+                        <span className="text-gray-600">•</span>
+                        <span className="text-xs text-gray-400">{market.outcomes.length} outcomes</span>
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <span className="text-xs text-green-400 font-medium">
+                          Yes {formatPrice(market.yesPrice || 0)}
+                        </span>
+                        <span className="text-gray-600">•</span>
+                        <span className="text-xs text-red-400 font-medium">
+                          No {formatPrice(market.noPrice || 0)}
+                        </span>
+                      </div>
+                    )}
                   </div>
 
                   {/* Stats */}
@@ -1261,7 +1339,7 @@ export default function MarketsList({ onSelectMarket, eventFilter, onClearEventF
                     </div>
                     <div className="text-right">
                       <span className="text-gray-500">Spread</span>
-                      <p className="text-white font-medium">{formatPrice(spread)}</p>
+                      <p className="text-white font-medium">{spread === null ? '—' : formatPrice(spread)}</p>
                     </div>
                   </div>
 
@@ -0,0 +1,289 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { ordersService } from '../services/OrdersService'
+import { polymarketService } from '../services/PolymarketService'
+import { hasData } from '../services/DataResult'
+import { validateLimitOrder } from '../services/OrderRules'
+import { DataStatusBadge, DataUnavailable } from './DataStatus'
+
+const formatTime = (timestamp) => (timestamp
+  ? new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-')
+
+const formatShares = (shares) => {
+  if (shares >= 1000) return `${(shares / 1000).toFixed(2)}K`
+  return shares.toFixed(2)
+}
+
+/**
+ * The user's open orders, for the current market or all markets
+ * Rows update live as orders fill; each row can be cancelled or amended
+ * (cancel and replace at a new price and/or size).
+ */
+export default function OpenOrders({ market }) {
+  const [result, setResult] = useState(null)
+  const [showAllMarkets, setShowAllMarkets] = useState(!market)
+  const [marketTitles, setMarketTitles] = useState({})
+  const [editing, setEditing] = useState(null) // { id, price, size }
+  const [busy, setBusy] = useState(null) // order ID or 'all'
+  const [actionError, setActionError] = useState(null)
+  const [reloadCount, setReloadCount] = useState(0)
+
+  const conditionId = market?.polymarketData?.conditionId || market?.id
+
+  useEffect(() => ordersService.subscribe(setResult), [reloadCount])
+
+  const orders = useMemo(() => {
+    const all = hasData(result) ? result.data : []
+    return showAllMarkets || !conditionId ? all : all.filter(order => order.marketId === conditionId)
+  }, [result, showAllMarkets, conditionId])
+
+  // Titles for the all-markets view
+  useEffect(() => {
+    if (!showAllMarkets) return
+    let cancelled = false
+    const missing = [...new Set(orders.map(order => order.marketId))]
+      .filter(id => id && !(id in marketTitles))
+    missing.forEach((id) => {
+      polymarketService.getMarket(id).then((found) => {
+        if (!cancelled) setMarketTitles(titles => ({ ...titles, [id]: found?.title || null }))
+      })
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [showAllMarkets, orders])
+
+  // Tick size, minimum size and neg-risk flag of an order's market, read
+  // fresh from the CLOB to check and sign a replacement
+  const getMarketParams = async (order) => {
+    const rules = await polymarketService.getTradingRules(order.marketId, { fresh: true })
+    if (hasData(rules)) {
+      return { conditionId: order.marketId, ...rules.data }
+    }
+    const orderMarket = order.marketId === conditionId ? market : await polymarketService.getMarket(order.marketId)
+    return {
+      conditionId: order.marketId,
+      tickSize: orderMarket?.polymarketData?.tickSize,
+      minOrderSize: orderMarket?.polymarketData?.minOrderSize,
+      negRisk: orderMarket?.polymarketData?.negRisk,
+    }
+  }
+
+  const runAction = async (key, action) => {
+    setBusy(key)
+    setActionError(null)
+    try {
+      await action()
+      return true
+    } catch (error) {
+      setActionError(error.message || 'Request failed')
+      return false
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleCancel = (order) => runAction(order.id, () => ordersService.cancel(order))
+
+  const handleCancelAll = (everywhere) => {
+    const scope = everywhere ? 'in every market' : 'in this market'
+    if (!confirm(`Cancel all open orders ${scope}?`)) return
+    runAction('all', () => ordersService.cancelAll(everywhere ? null : conditionId))
+  }
+
+  const handleAmend = async (order) => {
+    const price = parseFloat(editing.price)
+    const size = parseFloat(editing.size)
+    if (!(price > 0 && price < 100) || !(size > 0)) {
+      setActionError('Enter a price between 0 and 100¢ and a size above 0')
+      return
+    }
+    const saved = await runAction(order.id, async () => {
+      const marketParams = await getMarketParams(order)
+      const rejection = validateLimitOrder({ price, size }, marketParams)
+      if (rejection) throw new Error(rejection)
+      await ordersService.amend(order, { price, size }, marketParams)
+    })
+    if (saved) setEditing(null)
+  }
+
+  if (!result) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-yellow-400 mx-auto mb-2"></div>
+        <p className="text-gray-400 text-sm">Loading open orders...</p>
+      </div>
+    )
+  }
+
+  if (!hasData(result)) {
+    return (
+      <DataUnavailable
+        title="Open orders unavailable"
+        reason={result.reason}
+        onRetry={() => setReloadCount(count => count + 1)}
+      />
+    )
+  }
+
+  const hasMarketOrders = conditionId && result.data.some(order => order.marketId === conditionId)
+
+  return (
+    <div className="flex flex-col gap-3 min-h-0 px-2">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-3">
+          {conditionId && (
+            <label className="flex items-center gap-2 text-xs text-gray-400 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showAllMarkets}
+                onChange={(e) => setShowAllMarkets(e.target.checked)}
+                className="accent-yellow-400"
+              />
+              All markets
+            </label>
+          )}
+          <DataStatusBadge result={result} />
+        </div>
+        <div className="flex items-center gap-2">
+          {conditionId && (
+            <button
+              onClick={() => handleCancelAll(false)}
+              disabled={busy !== null || !hasMarketOrders}
+              className="px-2 py-1 text-xs border border-red-500/40 text-red-400 rounded hover:bg-red-500/10 transition disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Cancel all (this market)
+            </button>
+          )}
+          <button
+            onClick={() => handleCancelAll(true)}
+            disabled={busy !== null || result.data.length === 0}
+            className="px-2 py-1 text-xs border border-red-500/40 text-red-400 rounded hover:bg-red-500/10 transition disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Cancel all (everywhere)
+          </button>
+        </div>
+      </div>
+
+      {actionError && (
+        <div className="px-2 py-1 text-xs rounded bg-red-500/10 border border-red-500/30 text-red-300">
+          {actionError}
+        </div>
+      )}
+
+      {orders.length > 0 ? (
+        <div className="overflow-y-auto" style={{ maxHeight: 'calc(100vh - 360px)' }}>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-400 border-b border-white/10">
+                {showAllMarkets && <th className="text-left font-normal pb-2">Market</th>}
+                <th className="text-left font-normal pb-2">Outcome</th>
+                <th className="text-left font-normal pb-2">Side</th>
+                <th className="text-right font-normal pb-2">Price</th>
+                <th className="text-left font-normal pb-2 pl-4">Filled</th>
+                <th className="text-right font-normal pb-2">Remaining</th>
+                <th className="text-right font-normal pb-2">Created</th>
+                <th className="pb-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {orders.map((order) => {
+                const isEditing = editing?.id === order.id
+                const isBusy = busy === order.id || busy === 'all'
+                return (
+                  <tr key={order.id} className="border-b border-white/5 hover:bg-white/5">
+                    {showAllMarkets && (
+                      <td className="py-1.5 pr-2 text-gray-300 max-w-[180px] truncate" title={marketTitles[order.marketId] || order.marketId}>
+                        {marketTitles[order.marketId] || `${order.marketId?.slice(0, 10)}…`}
+                      </td>
+                    )}
+                    <td className="py-1.5 text-gray-300">{order.outcome || '-'}</td>
+                    <td className={order.side === 'BUY' ? 'text-green-400' : 'text-red-400'}>
+                      {order.side === 'BUY' ? 'Buy' : 'Sell'}
+                    </td>
+                    <td className="text-right text-white">
+                      {isEditing ? (
+                        <input
+                          type="number"
+                          value={editing.price}
+                          onChange={(e) => setEditing({ ...editing, price: e.target.value })}
+                          step="0.1"
+                          className="w-16 px-1 py-0.5 bg-black/40 border border-white/20 rounded text-right text-white"
+                        />
+                      ) : (
+                        `${order.price.toFixed(1)}¢`
+                      )}
+                    </td>
+                    <td className="pl-4">
+                      <div className="flex items-center gap-2" title={`${formatShares(order.sizeMatched)} of ${formatShares(order.originalSize)} filled`}>
+                        <div className="w-16 h-1.5 bg-white/10 rounded overflow-hidden">
+                          <div className="h-full bg-yellow-400" style={{ width: `${Math.min(100, order.filledPercent)}%` }} />
+                        </div>
+                        <span className="text-gray-400">{order.filledPercent.toFixed(0)}%</span>
+                      </div>
+                    </td>
+                    <td className="text-right text-gray-300">
+                      {isEditing ? (
+                        <input
+                          type="number"
+                          value={editing.size}
+                          onChange={(e) => setEditing({ ...editing, size: e.target.value })}
+                          step="1"
+                          className="w-20 px-1 py-0.5 bg-black/40 border border-white/20 rounded text-right text-white"
+                        />
+                      ) : (
+                        formatShares(order.remainingSize)
+                      )}
+                    </td>
+                    <td className="text-right text-gray-400">{formatTime(order.createdAt)}</td>
+                    <td className="text-right pl-2 whitespace-nowrap">
+                      {isEditing ? (
+                        <>
+                          <button
+                            onClick={() => handleAmend(order)}
+                            disabled={isBusy}
+                            className="px-2 py-0.5 text-yellow-400 hover:text-yellow-300 disabled:opacity-40"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setEditing(null)}
+                            disabled={isBusy}
+                            className="px-2 py-0.5 text-gray-400 hover:text-white disabled:opacity-40"
+                          >
+                            Discard
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => setEditing({ id: order.id, price: order.price.toFixed(1), size: String(order.remainingSize) })}
+                            disabled={isBusy}
+                            className="px-2 py-0.5 text-gray-300 hover:text-white disabled:opacity-40"
+                          >
+                            Amend
+                          </button>
+                          <button
+                            onClick={() => handleCancel(order)}
+                            disabled={isBusy}
+                            className="px-2 py-0.5 text-red-400 hover:text-red-300 disabled:opacity-40"
+                          >
+                            {busy === order.id ? 'Cancelling…' : 'Cancel'}
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-center text-gray-500 text-sm py-4">
+          {showAllMarkets ? 'No open orders' : 'No open orders in this market'}
+        </p>
+      )}
+    </div>
+  )
+}
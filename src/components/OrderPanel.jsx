@@ -1,26 +1,75 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { Edit, Loader2 } from 'lucide-react'
+import { tradingModeService } from '../services/TradingModeService'
 import { tradingService } from '../services/TradingService'
+import { walletService, SIGNATURE_TYPES, WALLET_EVENTS } from '../services/WalletService'
+import { portfolioService } from '../services/PortfolioService'
 import { polymarketService } from '../services/PolymarketService'
+import { marketStreamService } from '../services/MarketStreamService'
+import { ORDER_TICKET_CONFIG } from '../config/dataConfig'
+import { hasData } from '../services/DataResult'
+import { getTickCents, getTickDecimals, snapToTick, isOnTick, validateLimitOrder, validateOrderSize } from '../services/OrderRules'
 import { OrderType } from '@polymarket/clob-client'
+import TradingAccountSettings from './TradingAccountSettings'
+import CredentialSettings from './CredentialSettings'
+
+// Time in force options per order type; the first is the default
+const TIME_IN_FORCE = {
+  Limit: [
+    { value: 'GTC', label: 'Good til cancelled' },
+    { value: 'GTD', label: 'Good til date' },
+    { value: 'FOK', label: 'Fill or kill' },
+    { value: 'FAK', label: 'Fill and kill' },
+  ],
+  Market: [
+    { value: 'FOK', label: 'Fill or kill' },
+    { value: 'FAK', label: 'Fill and kill' },
+  ],
+}
+
+// Format a timestamp for a datetime-local input (local time, minute precision)
+const toLocalInputValue = (ms) => {
+  const date = new Date(ms)
+  date.setMinutes(date.getMinutes() - date.getTimezoneOffset())
+  return date.toISOString().slice(0, 16)
+}
+
+// A quote in cents, or a dash when that side of the book is empty
+const formatQuote = value => value === null ? '—' : `${value.toFixed(1)}¢`
 
 export default function OrderPanel({ market }) {
   const [side, setSide] = useState('Buy')
-  const [outcome, setOutcome] = useState('Yes')
+  const [outcomeIndex, setOutcomeIndex] = useState(0)
   const [orderType, setOrderType] = useState('Limit')
-  const [price, setPrice] = useState(market?.yesPrice ? market.yesPrice.toFixed(1) : '50.0')
+  const [timeInForce, setTimeInForce] = useState('GTC') // GTC, GTD, FOK or FAK (FOK or FAK for market orders)
+  const [postOnly, setPostOnly] = useState(false)
+  const [expiresAt, setExpiresAt] = useState(() => toLocalInputValue(Date.now() + ORDER_TICKET_CONFIG.defaultGtdMinutes * 60000))
+  const [price, setPrice] = useState(() => {
+    const initialPrice = polymarketService.getOutcomes(market)[0]?.price
+    return initialPrice ? initialPrice.toFixed(1) : '50.0'
+  })
   const [amount, setAmount] = useState('0')
   const [cash, setCash] = useState(0.00)
+  const [availableCash, setAvailableCash] = useState(0.00) // Cash not held by open buy orders
+  // Live funder's on-chain USDC balance, allowances and approvals (see WalletService.getAccountState)
+  const [walletState, setWalletState] = useState(null)
+  const [approvingStep, setApprovingStep] = useState(null)
+  const [approvalError, setApprovalError] = useState(null)
   const [isConnected, setIsConnected] = useState(false)
+  const [connectionError, setConnectionError] = useState(null)
+  const [accountVersion, setAccountVersion] = useState(0) // Bumped when the live account changes
+  const [wrongNetwork, setWrongNetwork] = useState(walletService.isWrongNetwork())
+  const [isPaper, setIsPaper] = useState(tradingModeService.isPaper())
   const [isPlacingOrder, setIsPlacingOrder] = useState(false)
   const [orderStatus, setOrderStatus] = useState(null)
-  const [clobPrices, setClobPrices] = useState({
-    yesBuy: null,
-    yesSell: null,
-    noBuy: null,
-    noSell: null
-  })
+  // Streamed quotes per outcome token: { marketId, byToken: { [tokenId]: { buy, sell, spread } } }
+  const [clobPrices, setClobPrices] = useState({ marketId: null, byToken: {} })
   const [loadingPrices, setLoadingPrices] = useState(false)
+  // CLOB order rules for the market: { conditionId, tickSize, minOrderSize, negRisk }
+  const [tradingRules, setTradingRules] = useState(null)
+  const [tickNotice, setTickNotice] = useState(null)
+  const seededPriceKeyRef = useRef(null)
+  const tickSizeRef = useRef(null)
 
   if (!market) {
     return (
@@ -34,129 +83,318 @@ export default function OrderPanel({ market }) {
   const isMarketClosed = market.closed === true || market.closed === 'true' || 
                          (market.polymarketData && market.polymarketData.closed === true)
 
-  // Extract clobTokenIds
+  const outcomes = polymarketService.getOutcomes(market)
+  const selectedOutcome = outcomes[outcomeIndex] || outcomes[0]
+
+  // Stream best bid/ask for every outcome token from the shared market feed
   useEffect(() => {
-    const fetchClobPrices = async () => {
-      if (!market) return
+    if (!market) return
 
-      let clobTokenIds = []
-      
-      if (market.clobTokenIds) {
-        if (Array.isArray(market.clobTokenIds)) {
-          clobTokenIds = market.clobTokenIds
-        } else if (typeof market.clobTokenIds === 'string') {
-          try {
-            const parsed = JSON.parse(market.clobTokenIds)
-            if (Array.isArray(parsed)) {
-              clobTokenIds = parsed
-            }
-          } catch {
-            clobTokenIds = [market.clobTokenIds]
-          }
+    setOutcomeIndex(0)
+    const tokenIds = polymarketService.getOutcomes(market).map(o => o.tokenId).filter(Boolean)
+    if (tokenIds.length === 0) {
+      // Fallback to market prices if no token IDs
+      setClobPrices({ marketId: market.id, byToken: {} })
+      return
+    }
+
+    setLoadingPrices(true)
+    const unsubscribe = marketStreamService.subscribe(tokenIds, () => {
+      // Buying lifts the best ask, selling hits the best bid
+      const byToken = {}
+      tokenIds.forEach((tokenId) => {
+        const book = marketStreamService.getState(tokenId)
+        if (book) {
+          byToken[tokenId] = { buy: book.bestAsk, sell: book.bestBid, spread: book.spread }
         }
-      }
+      })
+      if (Object.keys(byToken).length === 0) return
 
-      if (clobTokenIds.length < 2) {
-        // Fallback to market prices if no clobTokenIds
-        setClobPrices({
-          yesBuy: market.yesPrice || 50,
-          yesSell: market.yesPrice || 50,
-          noBuy: market.noPrice || 50,
-          noSell: market.noPrice || 50
-        })
-        return
-      }
+      setClobPrices({ marketId: market.id, byToken })
+      setLoadingPrices(false)
+    })
 
-      setLoadingPrices(true)
-      try {
-        // Fetch all prices in parallel
-        const [yesBuy, yesSell, noBuy, noSell] = await Promise.all([
-          polymarketService.getTokenPrice(clobTokenIds[0], 'BUY'),
-          polymarketService.getTokenPrice(clobTokenIds[0], 'SELL'),
-          polymarketService.getTokenPrice(clobTokenIds[1], 'BUY'),
-          polymarketService.getTokenPrice(clobTokenIds[1], 'SELL')
-        ])
-
-        setClobPrices({
-          yesBuy: yesBuy || market.yesPrice || 50,
-          yesSell: yesSell || market.yesPrice || 50,
-          noBuy: noBuy || market.noPrice || 50,
-          noSell: noSell || market.noPrice || 50
-        })
-      } catch (error) {
-        console.error('Error fetching CLOB prices:', error)
-        // Fallback to market prices
-        setClobPrices({
-          yesBuy: market.yesPrice || 50,
-          yesSell: market.yesPrice || 50,
-          noBuy: market.noPrice || 50,
-          noSell: market.noPrice || 50
-        })
-      } finally {
-        setLoadingPrices(false)
-      }
+    return () => unsubscribe()
+  }, [market?.id])
+
+  // Tick size, minimum size and neg-risk flag from the CLOB
+  useEffect(() => {
+    const conditionId = market?.polymarketData?.conditionId
+    if (!conditionId) return
+    let cancelled = false
+    polymarketService.getTradingRules(conditionId).then((result) => {
+      if (!cancelled && hasData(result)) setTradingRules({ conditionId, ...result.data })
+    })
+    return () => {
+      cancelled = true
+    }
+  }, [market?.polymarketData?.conditionId])
+
+  const getQuote = (outcome) => {
+    const quote = clobPrices.marketId === market.id && outcome?.tokenId
+      ? clobPrices.byToken[outcome.tokenId]
+      : null
+    // null when that side of the book is empty: never quote a price no one offers
+    return {
+      buy: quote?.buy ?? null,
+      sell: quote?.sell ?? null,
+      spread: quote?.spread ?? null,
     }
+  }
 
-    fetchClobPrices()
-    
-    // Refresh prices every 5 seconds
-    const interval = setInterval(fetchClobPrices, 5000)
-    return () => clearInterval(interval)
-  }, [market?.id])
+  const bestAsk = getQuote(selectedOutcome).buy
+  const bestBid = getQuote(selectedOutcome).sell
+  const spread = getQuote(selectedOutcome).spread
+  const selectedOutcomePrice = side === 'Buy' ? bestAsk : bestBid
+
+  // The streamed tick size is the latest (it changes near 0 and 100); the
+  // market's rules fill in until the book arrives
+  const liveBook = selectedOutcome?.tokenId ? marketStreamService.getState(selectedOutcome.tokenId) : null
+  const rules = tradingRules?.conditionId === market.polymarketData?.conditionId ? tradingRules : null
+  const tickSize = liveBook?.tickSize || rules?.tickSize || market.polymarketData?.tickSize || null
+  const minOrderSize = rules?.minOrderSize ?? market.polymarketData?.minOrderSize ?? 0
+  const priceDecimals = tickSize ? getTickDecimals(tickSize) : 1
+  const formatPrice = value => tickSize ? snapToTick(value, tickSize).toFixed(priceDecimals) : value.toFixed(1)
 
   // Update price when side or outcome changes
   useEffect(() => {
-    if (clobPrices.yesBuy === null) return // Wait for prices to load
+    if (clobPrices.marketId !== market?.id) return // Wait for prices to load
+
+    // Seed the price once per market/side/outcome - streamed ticks must not
+    // overwrite a price the user is typing
+    const priceKey = `${market.id}-${side}-${outcomeIndex}`
+    if (seededPriceKeyRef.current === priceKey) return
 
-    let newPrice
-    if (outcome === 'Yes') {
-      newPrice = side === 'Buy' ? clobPrices.yesBuy : clobPrices.yesSell
+    // Nothing to seed from an empty side: the user enters a price themselves
+    setPrice(selectedOutcomePrice === null ? '' : formatPrice(selectedOutcomePrice))
+    seededPriceKeyRef.current = priceKey
+  }, [side, outcomeIndex, clobPrices])
+
+  // Revalidate the price when the tick size changes: snap it to the new grid
+  // and say so, rather than let the CLOB reject it
+  useEffect(() => {
+    const previous = tickSizeRef.current
+    tickSizeRef.current = { tokenId: selectedOutcome?.tokenId, tickSize }
+    setTickNotice(null)
+    // A different market or outcome is not a tick size change
+    if (!previous?.tickSize || !tickSize || previous.tokenId !== selectedOutcome?.tokenId || previous.tickSize === tickSize) return
+
+    const current = parseFloat(price)
+    const tick = getTickCents(tickSize)
+    if (current > 0 && !isOnTick(current, tickSize)) {
+      const snapped = formatPrice(current)
+      setPrice(snapped)
+      setTickNotice(`Tick size changed to ${tick.toFixed(priceDecimals)}¢: price moved from ${current}¢ to ${snapped}¢`)
     } else {
-      newPrice = side === 'Buy' ? clobPrices.noBuy : clobPrices.noSell
+      setTickNotice(`Tick size changed to ${tick.toFixed(priceDecimals)}¢`)
     }
+  }, [tickSize, selectedOutcome?.tokenId])
 
-    if (newPrice !== null) {
-      setPrice(newPrice.toFixed(1))
+  const handlePriceBlur = () => {
+    const current = parseFloat(price)
+    if (current > 0 && tickSize) setPrice(formatPrice(current))
+  }
+
+  // Preview the order against the live book, level by level. Limit orders
+  // are amount / limit price shares; market buys spend the amount in USDC
+  // and market sells sell the amount in shares.
+  const isMarketOrder = orderType === 'Market'
+  const restsUnfilled = !isMarketOrder && (timeInForce === 'GTC' || timeInForce === 'GTD')
+  const amountNum = parseFloat(amount) || 0
+  const limitPrice = parseFloat(price) || 0
+  let preview = null
+  let orderShares = 0
+  if (isMarketOrder && side === 'Buy') {
+    preview = liveBook && amountNum > 0 ? liveBook.estimateFill(side, Infinity, 100, { maxCost: amountNum }) : null
+    orderShares = preview ? preview.filledShares : 0
+  } else if (isMarketOrder) {
+    preview = liveBook && amountNum > 0 ? liveBook.estimateFill(side, amountNum, 0) : null
+    orderShares = amountNum
+  } else {
+    orderShares = amountNum > 0 && limitPrice > 0 ? amountNum / (limitPrice / 100) : 0
+    preview = liveBook && orderShares > 0 ? liveBook.estimateFill(side, orderShares, limitPrice) : null
+  }
+  const unfilledAmount = isMarketOrder && side === 'Buy' && preview ? Math.max(0, amountNum - preview.cost) : 0
+  const slippagePercent = preview && preview.slippage !== null && liveBook.mid > 0
+    ? (preview.slippage / liveBook.mid) * 100
+    : null
+  const slippageWarning = slippagePercent !== null && slippagePercent > ORDER_TICKET_CONFIG.slippageWarningPercent
+  const sweepBlocked = preview !== null && preview.levels > ORDER_TICKET_CONFIG.maxSweepLevels
+
+  const shares = orderShares.toFixed(2)
+  const avgPrice = formatQuote(preview?.averagePrice ?? selectedOutcomePrice)
+  const totalCost = (preview
+    ? preview.cost + (restsUnfilled ? preview.restingShares * limitPrice / 100 : 0)
+    : (isMarketOrder && side === 'Sell' ? 0 : amountNum)
+  ).toFixed(2)
+  const maxPayout = orderShares.toFixed(2) // Each share pays $1 if its outcome wins
+
+  // Checks each order type must pass before it is signed (null when it may be sent)
+  const getOrderTypeError = () => {
+    if (amountNum <= 0) return null
+    if (!isMarketOrder && !(limitPrice > 0 && limitPrice < 100)) {
+      return 'Enter a price between 0 and 100¢'
+    }
+    if (!isMarketOrder && timeInForce === 'GTD'
+      && !(new Date(expiresAt).getTime() > Date.now() + ORDER_TICKET_CONFIG.gtdThresholdSeconds * 1000)) {
+      return 'A GTD expiration must be at least a minute from now'
+    }
+    if (isMarketOrder && liveBook && (side === 'Buy' ? liveBook.bestAsk : liveBook.bestBid) === null) {
+      return `There are no ${side === 'Buy' ? 'asks' : 'bids'} to fill a market order`
+    }
+    // A market buy is sized in shares from the book; without one it can't be checked
+    if (isMarketOrder && side === 'Buy' && !preview) {
+      return 'No order book to size this order yet'
+    }
+    if (!preview) return null
+    if (timeInForce === 'FOK') {
+      const fillsCompletely = isMarketOrder && side === 'Buy'
+        ? unfilledAmount < 0.005
+        : preview.filledShares >= orderShares - 0.005
+      if (!fillsCompletely) return 'Not enough liquidity to fill the whole order now: a fill-or-kill order would be killed'
     }
-  }, [side, outcome, clobPrices])
+    if (timeInForce === 'FAK' && preview.filledShares <= 0) {
+      return 'Nothing to match at this price now: a fill-and-kill order would be killed'
+    }
+    if (postOnly && restsUnfilled && liveBook?.wouldCross(side, limitPrice)) {
+      return side === 'Buy'
+        ? `Post-only: ${limitPrice.toFixed(1)}¢ would take liquidity. Price it below the best ask to rest on the book.`
+        : `Post-only: ${limitPrice.toFixed(1)}¢ would take liquidity. Price it above the best bid to rest on the book.`
+    }
+    return null
+  }
+  const orderTypeError = getOrderTypeError()
 
-  const bestAsk = outcome === 'Yes' ? (clobPrices.yesBuy || market.yesPrice || 50) : (clobPrices.noBuy || market.noPrice || 50)
-  const bestBid = outcome === 'Yes' ? (clobPrices.yesSell || market.yesPrice || 50) : (clobPrices.noSell || market.noPrice || 50)
-  const selectedOutcomePrice = outcome === 'Yes' 
-    ? (side === 'Buy' ? bestAsk : bestBid)
-    : (side === 'Buy' ? bestAsk : bestBid)
+  // The market's tick size and minimum size, as the CLOB will check them
+  const getOrderRulesError = () => {
+    if (amountNum <= 0) return null
+    if (!isMarketOrder) {
+      return validateLimitOrder({ price: limitPrice, size: orderShares }, { tickSize, minOrderSize })
+    }
+    return orderShares > 0 ? validateOrderSize(orderShares, { minOrderSize }) : null
+  }
+  // Cash the order needs, against what open buy orders leave available
+  const requiredCash = side === 'Buy' ? parseFloat(totalCost) : 0
+  const getFundsError = () => {
+    if (!isConnected || requiredCash <= 0 || requiredCash <= availableCash + 0.005) return null
+    const held = cash - availableCash
+    return `Not enough cash: this order needs $${requiredCash.toFixed(2)} and $${availableCash.toFixed(2)} is available`
+      + (held > 0.005 ? ` ($${held.toFixed(2)} is held by open buy orders)` : '')
+  }
+
+  // Allowances and approvals this order needs that the funder has not given
+  const negRisk = rules?.negRisk ?? market.polymarketData?.negRisk ?? false
+  const missingApprovals = !isPaper && walletState
+    ? walletService.getMissingApprovals(walletState, { negRisk, side, amount: requiredCash })
+    : []
 
-  const shares = amount && parseFloat(amount) > 0 ? (parseFloat(amount) / (selectedOutcomePrice / 100)).toFixed(2) : '0.00'
-  const avgPrice = selectedOutcomePrice.toFixed(1)
-  const totalCost = amount && parseFloat(amount) > 0 ? parseFloat(amount).toFixed(2) : '0.00'
-  const maxPayout = amount && parseFloat(amount) > 0 ? (parseFloat(amount) * (100 / selectedOutcomePrice)).toFixed(2) : '0.00'
+  const orderError = getOrderRulesError() || orderTypeError || getFundsError()
 
   const quickFillAmounts = [1, 2, 5]
 
+  // Follow the global paper/live toggle and live account changes
+  useEffect(() => tradingModeService.subscribe(() => {
+    setIsPaper(tradingModeService.isPaper())
+    setAccountVersion(version => version + 1)
+  }), [])
+
+  // Account switches reset the trading service (above); a network change keeps
+  // the account, but balances are read again and nothing is signed off Polygon
+  useEffect(() => walletService.subscribe((event) => {
+    setWrongNetwork(walletService.isWrongNetwork())
+    if (event.type === WALLET_EVENTS.CHAIN_CHANGED) setAccountVersion(version => version + 1)
+  }), [])
+
+  const refreshCash = async () => {
+    try {
+      const service = tradingModeService.getService()
+      // Live cash is the funder's USDC on Polygon, read with its allowances
+      let state = null
+      if (!tradingModeService.isPaper()) {
+        state = await walletService.getAccountState(tradingService.getFunderAddress()).catch((error) => {
+          console.error('Error reading wallet balance and allowances:', error)
+          return null
+        })
+      }
+      const [balance, reserved] = await Promise.all([
+        state ? state.balance : service.getCollateralBalance(),
+        service.getReservedCash(),
+      ])
+      setWalletState(state)
+      setCash(balance)
+      setAvailableCash(Math.max(0, balance - reserved))
+    } catch (error) {
+      console.error('Error loading cash balance:', error)
+    }
+  }
+
+  const handleApprove = async (step) => {
+    setApprovingStep(step)
+    setApprovalError(null)
+    try {
+      await walletService.approve(step)
+      // The CLOB caches allowances; have it read them again
+      await tradingService.syncBalanceAllowance().catch(() => {})
+      await refreshCash()
+    } catch (error) {
+      setApprovalError(error.shortMessage || error.message || 'Approval failed')
+    } finally {
+      setApprovingStep(null)
+    }
+  }
+
   // Check if trading service is initialized
   useEffect(() => {
+    let cancelled = false
     const checkConnection = async () => {
+      setIsConnected(false)
+      setConnectionError(null)
+      setCash(0)
+      setAvailableCash(0)
+      setWalletState(null)
       try {
-        // Try to initialize if credentials are available
-        // Note: In Vite, use import.meta.env instead of process.env
-        const privateKey = import.meta.env.VITE_POLYMARKET_PRIVATE_KEY
-        const funderAddress = import.meta.env.VITE_POLYMARKET_FUNDER_ADDRESS
-        
-        if (privateKey && funderAddress) {
-          await tradingService.initialize()
+        // The paper account needs no wallet
+        if (isPaper) {
+          setIsConnected(true)
+          refreshCash()
+          return
+        }
+
+        if (walletService.isWrongNetwork()) {
+          throw new Error('Your wallet is not on Polygon. Switch networks to trade.')
+        }
+
+        // Orders are signed by the connected wallet (or the developer key);
+        // initializing derives API credentials with a wallet signature
+        if (tradingService.canSign()) {
+          await tradingService.ensureInitialized()
+          if (cancelled) return
           setIsConnected(true)
+          refreshCash()
         }
       } catch (error) {
+        if (cancelled) return
         setIsConnected(false)
+        setConnectionError(error.message || 'Could not connect the wallet for trading')
       }
     }
-    
+
     checkConnection()
-  }, [])
+    return () => {
+      cancelled = true
+    }
+  }, [isPaper, accountVersion])
+
+  const selectOrderType = (type) => {
+    setOrderType(type)
+    if (!TIME_IN_FORCE[type].some(option => option.value === timeInForce)) {
+      setTimeInForce(TIME_IN_FORCE[type][0].value)
+    }
+  }
 
   const handleQuickFill = (value) => {
     if (value === 'Max') {
-      setAmount(cash.toFixed(2))
+      setAmount((Math.floor(availableCash * 100) / 100).toFixed(2))
     } else {
       const currentAmount = parseFloat(amount) || 0
       setAmount((currentAmount + value).toFixed(2))
@@ -176,19 +414,27 @@ export default function OrderPanel({ market }) {
     }
 
     if (!isConnected) {
-      alert('Wallet not connected. Please set VITE_POLYMARKET_PRIVATE_KEY and VITE_POLYMARKET_FUNDER_ADDRESS in your .env file.')
+      alert('Wallet not connected. Connect a wallet to trade.')
       return
     }
 
-    const amountNum = parseFloat(amount)
     if (!amountNum || amountNum <= 0) {
       alert('Please enter a valid amount')
       return
     }
 
-    const priceNum = parseFloat(price)
-    if (!priceNum || priceNum < 0 || priceNum > 100) {
-      alert('Please enter a valid price (0-100¢)')
+    if (orderError) {
+      alert(orderError)
+      return
+    }
+
+    if (missingApprovals.length > 0) {
+      alert('Approve Polymarket\'s contracts for this account first (see the steps above the button).')
+      return
+    }
+
+    if (sweepBlocked) {
+      alert(`This order would take liquidity from ${preview.levels} price levels (limit ${ORDER_TICKET_CONFIG.maxSweepLevels}). Reduce the size or tighten the price.`)
       return
     }
 
@@ -196,73 +442,78 @@ export default function OrderPanel({ market }) {
       setIsPlacingOrder(true)
       setOrderStatus(null)
 
-      // Get token ID based on outcome
-      const tokenID = outcome === 'Yes' 
-        ? market.polymarketData.yesTokenId 
-        : market.polymarketData.noTokenId
+      // Get token ID of the selected outcome
+      const tokenID = selectedOutcome?.tokenId
 
       if (!tokenID) {
         throw new Error('Token ID not available for this market')
       }
 
-      // Convert price from cents (0-100) to decimal (0-1)
-      const priceDecimal = tradingService.convertPriceToDecimal(priceNum)
-
-      // Calculate size (amount in USDC / price)
-      // For prediction markets, size is typically the number of shares
-      const size = amountNum / priceDecimal
-
-      // Get market parameters
-      const tickSize = market.polymarketData.tickSize || "0.001"
-      const negRisk = market.polymarketData.negRisk || false
-
-      // Place order
-      const order = await tradingService.placeOrder(
-        {
-          tokenID: tokenID,
-          price: priceDecimal,
-          side: side,
-          size: size,
-          feeRateBps: 0,
-        },
-        {
-          tickSize: tickSize,
-          negRisk: negRisk,
-        },
-        orderType === 'Market' ? OrderType.IOC : OrderType.GTC
-      )
+      const service = tradingModeService.getService()
+
+      // Recheck the market's rules just before signing: the tick size may
+      // have changed since the price was entered
+      const freshRules = await polymarketService.getTradingRules(market.polymarketData.conditionId, { fresh: true })
+      const marketParams = {
+        tickSize: hasData(freshRules) ? freshRules.data.tickSize : tickSize,
+        minOrderSize: hasData(freshRules) ? freshRules.data.minOrderSize : minOrderSize,
+        negRisk: hasData(freshRules) ? freshRules.data.negRisk : rules?.negRisk ?? market.polymarketData.negRisk,
+        conditionId: market.polymarketData.conditionId,
+      }
+      if (hasData(freshRules)) {
+        setTradingRules({ conditionId: marketParams.conditionId, ...freshRules.data })
+      }
+      if (isMarketOrder && side === 'Buy' && !preview) {
+        throw new Error('No order book to size this order yet')
+      }
+      const rejection = isMarketOrder
+        ? validateOrderSize(orderShares, marketParams)
+        : validateLimitOrder({ price: limitPrice, size: orderShares }, marketParams)
+      if (rejection) {
+        throw new Error(rejection)
+      }
+
+      let order
+      if (isMarketOrder) {
+        // Buys spend the amount in USDC, sells sell the amount in shares.
+        // The previewed worst price caps the fill if the book moves.
+        order = await service.placeMarketOrder(
+          {
+            tokenID: tokenID,
+            side: side,
+            amount: amountNum,
+            price: preview?.worstPrice ? service.convertPriceToDecimal(preview.worstPrice) : undefined,
+          },
+          marketParams,
+          OrderType[timeInForce]
+        )
+      } else {
+        // Convert price from cents (0-100) to decimal (0-1)
+        const priceDecimal = service.convertPriceToDecimal(limitPrice)
+
+        order = await service.placeOrder(
+          {
+            tokenID: tokenID,
+            price: priceDecimal,
+            side: side,
+            // Size is the number of shares the amount buys at the limit price
+            size: amountNum / priceDecimal,
+            expiration: timeInForce === 'GTD' ? service.getGtdExpiration(new Date(expiresAt).getTime()) : undefined,
+          },
+          marketParams,
+          OrderType[timeInForce],
+          { postOnly: postOnly && restsUnfilled }
+        )
+      }
 
       setOrderStatus({ success: true, order })
       setAmount('0')
       
-      // Add position to portfolio
-      try {
-        const saved = localStorage.getItem('signalbay-portfolio')
-        const portfolio = saved ? JSON.parse(saved) : { positions: [], history: [] }
-        
-        const newPosition = {
-          id: `pos-${Date.now()}-${order.id || Math.random()}`,
-          marketId: market.id,
-          marketTitle: market.title || market.question,
-          side: side,
-          outcome: outcome,
-          entryPrice: priceNum,
-          currentYesPrice: market.yesPrice || 50,
-          currentNoPrice: market.noPrice || 50,
-          currentPrice: outcome === 'Yes' ? (market.yesPrice || 50) : (market.noPrice || 50),
-          quantity: parseFloat(shares),
-          timestamp: Date.now(),
-          orderId: order.id,
-          market: market
-        }
-        
-        portfolio.positions = [...(portfolio.positions || []), newPosition]
-        localStorage.setItem('signalbay-portfolio', JSON.stringify(portfolio))
-      } catch (error) {
-        console.error('Error saving position to portfolio:', error)
-      }
-      
-      alert(`Order placed successfully! Order ID: ${order.id || 'N/A'}`)
+      // Holdings come from fills; rebuild them in case this order filled right away
+      portfolioService.invalidate()
+      refreshCash()
+
+      alert(`${isPaper ? 'Paper order' : 'Order'} placed successfully! Order ID: ${order.orderID || order.id || 'N/A'}`)
     } catch (error) {
       console.error('Error placing order:', error)
       setOrderStatus({ success: false, error: error.message })
@@ -314,36 +565,37 @@ export default function OrderPanel({ market }) {
       {/* Outcome Selection */}
       <div className="space-y-2">
         <label className="text-xs text-gray-400">Outcome</label>
-        <div className="flex gap-2">
-          <button
-            onClick={() => setOutcome('Yes')}
-            disabled={isMarketClosed}
-            className={`flex-1 py-3 rounded-lg font-semibold transition ${
-              outcome === 'Yes'
-                ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/50'
-                : 'bg-white/5 text-gray-400 hover:bg-white/10'
-            } ${isMarketClosed ? 'opacity-50 cursor-not-allowed' : ''}`}
-          >
-            Yes {loadingPrices ? '...' : (clobPrices.yesBuy || market.yesPrice || 50).toFixed(1)}¢
-          </button>
-          <button
-            onClick={() => setOutcome('No')}
-            disabled={isMarketClosed}
-            className={`flex-1 py-3 rounded-lg font-semibold transition ${
-              outcome === 'No'
-                ? 'bg-red-500/20 text-red-400 border border-red-500/50'
-                : 'bg-white/5 text-gray-400 hover:bg-white/10'
-            } ${isMarketClosed ? 'opacity-50 cursor-not-allowed' : ''}`}
-          >
-            No {loadingPrices ? '...' : (clobPrices.noBuy || market.noPrice || 50).toFixed(1)}¢
-          </button>
+        <div className="flex flex-wrap gap-2">
+          {outcomes.map((outcome, index) => {
+            const isSelected = selectedOutcome?.index === outcome.index
+            const label = outcome.label.toLowerCase()
+            const selectedClass = market.isYesNo !== false && label === 'no'
+              ? 'bg-red-500/20 text-red-400 border border-red-500/50'
+              : market.isYesNo !== false
+              ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/50'
+              : 'bg-blue-500/20 text-blue-400 border border-blue-500/50'
+
+            return (
+              <button
+                key={outcome.tokenId || index}
+                onClick={() => setOutcomeIndex(index)}
+                disabled={isMarketClosed}
+                className={`flex-1 min-w-[45%] py-3 px-2 rounded-lg font-semibold transition truncate ${
+                  isSelected ? selectedClass : 'bg-white/5 text-gray-400 hover:bg-white/10'
+                } ${isMarketClosed ? 'opacity-50 cursor-not-allowed' : ''}`}
+                title={outcome.label}
+              >
+                {outcome.label} {loadingPrices ? '...' : formatQuote(getQuote(outcome).buy)}
+              </button>
+            )
+          })}
         </div>
       </div>
 
       {/* Order Type */}
       <div className="flex gap-2">
         <button
-          onClick={() => setOrderType('Limit')}
+          onClick={() => selectOrderType('Limit')}
           disabled={isMarketClosed}
           className={`flex-1 py-2 text-sm rounded transition ${
             orderType === 'Limit'
@@ -354,7 +606,7 @@ export default function OrderPanel({ market }) {
           Limit
         </button>
         <button
-          onClick={() => setOrderType('Market')}
+          onClick={() => selectOrderType('Market')}
           disabled={isMarketClosed}
           className={`flex-1 py-2 text-sm rounded transition ${
             orderType === 'Market'
@@ -366,29 +618,80 @@ export default function OrderPanel({ market }) {
         </button>
       </div>
 
+      {/* Time in Force */}
+      <div className="space-y-2">
+        <select
+          value={timeInForce}
+          onChange={(e) => setTimeInForce(e.target.value)}
+          disabled={isMarketClosed}
+          className="w-full bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-sm text-white focus:outline-none focus:border-yellow-500/50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {TIME_IN_FORCE[orderType].map(option => (
+            <option key={option.value} value={option.value} className="bg-gray-900">
+              {option.value} · {option.label}
+            </option>
+          ))}
+        </select>
+        {timeInForce === 'GTD' && !isMarketOrder && (
+          <div>
+            <label className="block text-xs text-gray-400 mb-2">Expires</label>
+            <input
+              type="datetime-local"
+              value={expiresAt}
+              min={toLocalInputValue(Date.now())}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              disabled={isMarketClosed}
+              className="w-full bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-sm text-white focus:outline-none focus:border-yellow-500/50 disabled:opacity-50 disabled:cursor-not-allowed"
+            />
+          </div>
+        )}
+        {restsUnfilled && (
+          <label className="flex items-center gap-2 text-xs text-gray-400">
+            <input
+              type="checkbox"
+              checked={postOnly}
+              onChange={(e) => setPostOnly(e.target.checked)}
+              disabled={isMarketClosed}
+            />
+            Post only (cancel instead of taking liquidity)
+          </label>
+        )}
+      </div>
+
       {/* Price Input */}
       <div>
         <label className="block text-xs text-gray-400 mb-2">
-          Price (¢) {orderType === 'Limit' ? `Best ${side === 'Buy' ? 'Ask' : 'Bid'}: ${(side === 'Buy' ? bestAsk : bestBid).toFixed(1)}¢` : 'Market Price'}
+          Price (¢) {orderType === 'Limit' ? `Best ${side === 'Buy' ? 'Ask' : 'Bid'}: ${formatQuote(side === 'Buy' ? bestAsk : bestBid)}` : 'Market Price'}
+          {spread !== null && ` · Spread ${spread.toFixed(1)}¢`}
         </label>
         <input
           type="number"
           value={price}
-          onChange={(e) => setPrice(e.target.value)}
-          step="0.1"
+          onChange={(e) => {
+            setPrice(e.target.value)
+            setTickNotice(null)
+          }}
+          onBlur={handlePriceBlur}
+          step={tickSize ? getTickCents(tickSize) : 0.1}
           min="0"
           max="100"
+          placeholder={selectedOutcomePrice === null ? 'No quote on this side: enter a price' : undefined}
           disabled={orderType === 'Market' || isMarketClosed}
           className="w-full bg-white/5 border border-white/10 rounded-lg px-4 py-2 text-white focus:outline-none focus:border-yellow-500/50 focus:ring-1 focus:ring-yellow-500/50 disabled:opacity-50 disabled:cursor-not-allowed"
         />
+        {tickNotice && orderType === 'Limit' && (
+          <p className="text-xs text-yellow-400 mt-1">{tickNotice}</p>
+        )}
         {orderType === 'Market' && (
-          <p className="text-xs text-gray-500 mt-1">Market orders execute at best available price</p>
+          <p className="text-xs text-gray-500 mt-1">
+            {side === 'Buy' ? 'Spends the amount at the best available prices' : 'Sells the shares at the best available prices'}
+          </p>
         )}
       </div>
 
       {/* Amount Input */}
       <div>
-        <label className="block text-xs text-gray-400 mb-2">Amount</label>
+        <label className="block text-xs text-gray-400 mb-2">{isMarketOrder && side === 'Sell' ? 'Shares' : 'Amount'}</label>
         <div className="relative">
           <input
             type="number"
@@ -400,7 +703,7 @@ export default function OrderPanel({ market }) {
             disabled={isMarketClosed}
             className="w-full bg-white/5 border border-white/10 rounded-lg px-4 py-2 pr-16 text-white focus:outline-none focus:border-yellow-500/50 focus:ring-1 focus:ring-yellow-500/50 disabled:opacity-50 disabled:cursor-not-allowed"
           />
-          <span className="absolute right-4 top-1/2 transform -translate-y-1/2 text-sm text-gray-400">USDC</span>
+          <span className="absolute right-4 top-1/2 transform -translate-y-1/2 text-sm text-gray-400">{isMarketOrder && side === 'Sell' ? 'Shares' : 'USDC'}</span>
         </div>
         <div className="flex gap-2 mt-2">
           {quickFillAmounts.map((val) => (
@@ -410,16 +713,18 @@ export default function OrderPanel({ market }) {
               disabled={isMarketClosed}
               className="px-3 py-1 text-xs bg-white/5 border border-white/10 rounded hover:bg-white/10 transition disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              +${val}
+              +{isMarketOrder && side === 'Sell' ? '' : '$'}{val}
             </button>
           ))}
-          <button
-            onClick={() => handleQuickFill('Max')}
-            disabled={isMarketClosed}
-            className="px-3 py-1 text-xs bg-white/5 border border-white/10 rounded hover:bg-white/10 transition disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Max
-          </button>
+          {!(isMarketOrder && side === 'Sell') && (
+            <button
+              onClick={() => handleQuickFill('Max')}
+              disabled={isMarketClosed}
+              className="px-3 py-1 text-xs bg-white/5 border border-white/10 rounded hover:bg-white/10 transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Max
+            </button>
+          )}
           <button 
             disabled={isMarketClosed}
             className="px-3 py-1 text-xs bg-white/5 border border-white/10 rounded hover:bg-white/10 transition disabled:opacity-50 disabled:cursor-not-allowed"
@@ -432,12 +737,24 @@ export default function OrderPanel({ market }) {
       {/* Financial Details */}
       <div className="space-y-3 pt-4 border-t border-white/10">
         <div className="flex justify-between text-sm">
-          <span className="text-gray-400">Cash</span>
+          <span className="text-gray-400">{isPaper ? 'Paper cash' : 'Cash'}</span>
           <span className="text-white font-semibold">${cash.toFixed(2)}</span>
         </div>
+        {cash - availableCash > 0.005 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-400">Available</span>
+            <span className="text-white">
+              ${availableCash.toFixed(2)}
+              <span className="text-gray-500"> · ${(cash - availableCash).toFixed(2)} in open buys</span>
+            </span>
+          </div>
+        )}
         <div className="flex justify-between text-sm">
           <span className="text-gray-400">Minimum</span>
-          <span className="text-white">$1.00</span>
+          <span className="text-white">
+            {minOrderSize > 0 ? `${minOrderSize} shares` : '-'}
+            {tickSize && <span className="text-gray-500"> · tick {getTickCents(tickSize).toFixed(priceDecimals)}¢</span>}
+          </span>
         </div>
         <div className="flex justify-between text-sm">
           <span className="text-gray-400">Shares</span>
@@ -445,10 +762,43 @@ export default function OrderPanel({ market }) {
         </div>
         <div className="flex justify-between text-sm">
           <span className="text-gray-400">Avg Price</span>
-          <span className="text-white">{avgPrice}¢</span>
+          <span className="text-white">{avgPrice}</span>
         </div>
+        {preview && preview.filledShares > 0 && (
+          <>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-400">Worst Price</span>
+              <span className="text-white">
+                {preview.worstPrice.toFixed(1)}¢
+                <span className="text-gray-500"> · {preview.levels} level{preview.levels === 1 ? '' : 's'}</span>
+              </span>
+            </div>
+            {slippagePercent !== null && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-400">Slippage vs Mid</span>
+                <span className={slippageWarning ? 'text-yellow-400' : 'text-white'}>
+                  {preview.slippage.toFixed(2)}¢ ({slippagePercent.toFixed(2)}%)
+                </span>
+              </div>
+            )}
+          </>
+        )}
+        {preview && preview.restingShares > 0.005 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-400">{restsUnfilled ? 'Rests Unfilled' : 'Cancelled Unfilled'}</span>
+            <span className="text-white">
+              {preview.restingShares.toFixed(2)}{isMarketOrder ? ' shares' : ` @ ${limitPrice.toFixed(1)}¢`}
+            </span>
+          </div>
+        )}
+        {unfilledAmount >= 0.005 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-gray-400">Cancelled Unfilled</span>
+            <span className="text-white">${unfilledAmount.toFixed(2)}</span>
+          </div>
+        )}
         <div className="flex justify-between text-sm">
-          <span className="text-gray-400">Total Cost</span>
+          <span className="text-gray-400">{isMarketOrder && side === 'Sell' ? 'Proceeds' : 'Total Cost'}</span>
           <span className="text-white">${totalCost}</span>
         </div>
         <div className="flex justify-between text-sm">
@@ -457,16 +807,91 @@ export default function OrderPanel({ market }) {
         </div>
       </div>
 
-      {/* Connection Status */}
-      {!isConnected && (
+      {/* Order Checks */}
+      {orderError && (
+        <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-xs text-red-400">
+          <p className="font-semibold mb-1">Order Cannot Be Sent</p>
+          <p className="text-red-300/80">{orderError}</p>
+        </div>
+      )}
+
+      {/* Slippage Checks */}
+      {sweepBlocked ? (
+        <div className="bg-red-500/10 border border-red-500/50 rounded-lg p-3 text-xs text-red-400">
+          <p className="font-semibold mb-1">Order Too Large for the Book</p>
+          <p className="text-red-300/80">
+            It would take liquidity from {preview.levels} price levels (limit {ORDER_TICKET_CONFIG.maxSweepLevels}). Reduce the size or tighten the price.
+          </p>
+        </div>
+      ) : slippageWarning && (
         <div className="bg-yellow-500/10 border border-yellow-500/50 rounded-lg p-3 text-xs text-yellow-400">
-          <p className="font-semibold mb-1">Wallet Not Connected</p>
+          <p className="font-semibold mb-1">High Slippage</p>
           <p className="text-yellow-300/80">
-            Set VITE_POLYMARKET_PRIVATE_KEY and VITE_POLYMARKET_FUNDER_ADDRESS in your .env file to enable trading.
+            The average fill is {slippagePercent.toFixed(2)}% worse than the mid (warning above {ORDER_TICKET_CONFIG.slippageWarningPercent}%).
           </p>
         </div>
       )}
 
+      {/* Connection Status */}
+      {!isPaper && (
+        <>
+          <TradingAccountSettings />
+          {/* Remount once connected, when saved credentials may have been unlocked */}
+          <CredentialSettings key={String(isConnected)} />
+        </>
+      )}
+      {!isConnected && (
+        <div className="bg-yellow-500/10 border border-yellow-500/50 rounded-lg p-3 text-xs text-yellow-400">
+          {connectionError ? (
+            <>
+              <p className="font-semibold mb-1">Wallet Not Ready to Trade</p>
+              <p className="text-yellow-300/80">{connectionError}</p>
+            </>
+          ) : tradingService.canSign() ? (
+            <>
+              <p className="font-semibold mb-1">Connecting Wallet</p>
+              <p className="text-yellow-300/80">Approve the signature request in your wallet to derive your API credentials.</p>
+            </>
+          ) : (
+            <>
+              <p className="font-semibold mb-1">Wallet Not Connected</p>
+              <p className="text-yellow-300/80">Connect a wallet to trade. It signs your orders and API credentials; no private key is stored.</p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Approvals */}
+      {isConnected && missingApprovals.length > 0 && (
+        <div className="bg-yellow-500/10 border border-yellow-500/50 rounded-lg p-3 text-xs text-yellow-400 space-y-2">
+          <p className="font-semibold">Approval Needed</p>
+          {walletService.getTradingAccount()?.signatureType === SIGNATURE_TYPES.EOA ? (
+            <>
+              <p className="text-yellow-300/80">
+                Polymarket's contracts need permission to {side === 'Buy' ? 'spend your USDC' : 'move your shares'}. Each step is one transaction from your wallet (paid in POL).
+              </p>
+              {missingApprovals.map(step => (
+                <div key={`${step.kind}-${step.spender}`} className="flex justify-between items-center gap-2">
+                  <span className="text-yellow-300/80">{step.label}</span>
+                  <button
+                    onClick={() => handleApprove(step)}
+                    disabled={approvingStep !== null}
+                    className="px-3 py-1 bg-yellow-500 text-black rounded font-semibold hover:bg-yellow-600 transition disabled:opacity-50 whitespace-nowrap"
+                  >
+                    {approvingStep === step ? 'Confirming...' : 'Approve'}
+                  </button>
+                </div>
+              ))}
+            </>
+          ) : (
+            <p className="text-yellow-300/80">
+              Your Polymarket proxy has not approved the exchange contracts yet. Enable trading once on polymarket.com, then come back.
+            </p>
+          )}
+          {approvalError && <p className="text-red-400">{approvalError}</p>}
+        </div>
+      )}
+
       {/* Order Status */}
       {orderStatus && (
         <div className={`rounded-lg p-3 text-xs ${
@@ -485,7 +910,7 @@ export default function OrderPanel({ market }) {
       {/* Action Button */}
       <button
         onClick={handlePlaceOrder}
-        disabled={isMarketClosed || !isConnected || isPlacingOrder || !amount || parseFloat(amount) <= 0}
+        disabled={isMarketClosed || !isConnected || (!isPaper && wrongNetwork) || isPlacingOrder || sweepBlocked || orderError !== null || missingApprovals.length > 0 || !amount || parseFloat(amount) <= 0}
         className={`w-full py-4 rounded-lg font-semibold transition flex items-center justify-center gap-2 ${
           side === 'Buy'
             ? 'bg-yellow-500 hover:bg-yellow-600 text-black'
@@ -500,7 +925,7 @@ export default function OrderPanel({ market }) {
         ) : isMarketClosed ? (
           'Market Closed'
         ) : isConnected ? (
-          `${side} ${outcome}`
+          `${side} ${selectedOutcome?.label || ''}${isPaper ? ' (paper)' : ''}`
         ) : (
           'Connect wallet to trade'
         )}
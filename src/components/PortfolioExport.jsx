@@ -0,0 +1,113 @@
+import React, { useRef, useState } from 'react'
+import { Download, Upload } from 'lucide-react'
+import { exportService, EXPORT_SCHEMAS } from '../services/ExportService'
+
+const DATASET_LABELS = {
+  fills: 'Fills',
+  orders: 'Open orders',
+  positions: 'Positions',
+  settled: 'Settled P&L',
+  snapshots: 'Equity snapshots',
+}
+
+/**
+ * Export menu (everything as JSON, or one dataset as CSV) and import of a
+ * previous export
+ * @param {string} lotMethod - Lot method positions are exported with
+ * @param {Function} onImported - Called with the import result
+ */
+export default function PortfolioExport({ lotMethod, onImported }) {
+  const fileInputRef = useRef()
+  const [menuOpen, setMenuOpen] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const runExport = async (format, dataset) => {
+    setMenuOpen(false)
+    setBusy(true)
+    setMessage(null)
+    try {
+      await exportService.download(format, dataset, lotMethod)
+    } catch (error) {
+      console.error('❌ Failed to export portfolio:', error)
+      setMessage({ error: true, text: `Export failed: ${error.message}` })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const runImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setBusy(true)
+    setMessage(null)
+    try {
+      const imported = await exportService.importFile(file, {
+        confirmPaperRestore: () => confirm('This export holds a paper account. Replace the current paper account (cash, orders, fills and positions) with it?'),
+      })
+      const snapshots = `${imported.snapshots} equity snapshot${imported.snapshots === 1 ? '' : 's'}`
+      setMessage({ error: false, text: imported.paperRestored ? `Restored the paper account and ${snapshots}` : `Restored ${snapshots}` })
+      onImported?.(imported)
+    } catch (error) {
+      console.error('❌ Failed to import portfolio:', error)
+      setMessage({ error: true, text: `Import failed: ${error.message}` })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="relative flex items-center gap-2 text-xs">
+      {message && (
+        <span className={message.error ? 'text-red-400' : 'text-green-400'}>{message.text}</span>
+      )}
+      <button
+        onClick={() => setMenuOpen(open => !open)}
+        disabled={busy}
+        className="flex items-center gap-1 px-2 py-1 rounded border border-white/10 text-gray-400 hover:text-white transition disabled:opacity-50"
+      >
+        <Download className="h-3.5 w-3.5" />
+        Export
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={busy}
+        title="Restore equity history, settings and the paper account from a SignalBay export"
+        className="flex items-center gap-1 px-2 py-1 rounded border border-white/10 text-gray-400 hover:text-white transition disabled:opacity-50"
+      >
+        <Upload className="h-3.5 w-3.5" />
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,.csv,application/json,text/csv"
+        onChange={runImport}
+        className="hidden"
+      />
+
+      {menuOpen && (
+        <div className="absolute right-0 top-full mt-1 z-50 w-48 bg-gray-900 border border-gray-700 rounded-lg shadow-xl py-1">
+          <button
+            onClick={() => runExport('json')}
+            className="w-full text-left px-3 py-2 text-gray-300 hover:bg-gray-800 hover:text-white"
+          >
+            Everything (JSON)
+          </button>
+          <div className="border-t border-gray-800 my-1" />
+          {Object.keys(EXPORT_SCHEMAS).map(dataset => (
+            <button
+              key={dataset}
+              onClick={() => runExport('csv', dataset)}
+              className="w-full text-left px-3 py-2 text-gray-300 hover:bg-gray-800 hover:text-white"
+            >
+              {DATASET_LABELS[dataset]} (CSV)
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
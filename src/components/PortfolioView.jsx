@@ -1,225 +1,143 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo } from 'react'
 import { TrendingUp, TrendingDown, DollarSign, BarChart3, Target, Award, AlertCircle, ArrowUpRight, ArrowDownRight } from 'lucide-react'
 import { polymarketService } from '../services/PolymarketService'
+import { portfolioService } from '../services/PortfolioService'
+import { tradingModeService, TRADING_MODES } from '../services/TradingModeService'
+import { paperTradingService } from '../services/PaperTradingService'
+import { walletService, WALLET_EVENTS } from '../services/WalletService'
+import { portfolioHistoryService } from '../services/PortfolioHistoryService'
+import { PORTFOLIO_CONFIG } from '../config/dataConfig'
+import { PositionLedger, LOT_METHODS } from '../services/PositionLedger'
+import { hasData } from '../services/DataResult'
+import { DataStatusBadge, DataUnavailable } from './DataStatus'
+import EquityChart from './EquityChart'
+import PortfolioExport from './PortfolioExport'
 
 const dataService = polymarketService
 
+const LOT_METHOD_KEY = 'signalbay-lot-method'
+
 export default function PortfolioView({ onSelectMarket }) {
   const [positions, setPositions] = useState([])
+  const [closedPositions, setClosedPositions] = useState([])
+  const [result, setResult] = useState(null)
   const [loading, setLoading] = useState(true)
-  const [portfolioStats, setPortfolioStats] = useState(null)
-  const [portfolioHistory, setPortfolioHistory] = useState([])
-
-  // Load portfolio from localStorage
-  useEffect(() => {
-    loadPortfolio()
-  }, [])
-
-  // Update portfolio stats when positions change
+  const [reloadCount, setReloadCount] = useState(0)
+  const [lotMethod, setLotMethod] = useState(() => localStorage.getItem(LOT_METHOD_KEY) || PORTFOLIO_CONFIG.lotMethod)
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const [tradingMode, setTradingMode] = useState(tradingModeService.getMode())
+
+  // Follow the global paper/live toggle, starting over for the other account
+  useEffect(() => tradingModeService.subscribe((mode) => {
+    setPositions([])
+    setClosedPositions([])
+    setResult(null)
+    setLoading(true)
+    setTradingMode(mode)
+  }), [])
+
+  // Another wallet, account or funder is another live portfolio: start over.
+  // A network change keeps the account, so the positions stay.
+  useEffect(() => walletService.subscribe((event) => {
+    if (event.type === WALLET_EVENTS.CHAIN_CHANGED || tradingModeService.isPaper()) return
+    setPositions([])
+    setClosedPositions([])
+    setResult(null)
+    setLoading(true)
+    setReloadCount(count => count + 1)
+    setHistoryVersion(version => version + 1)
+  }), [])
+
+  // Rebuild positions from fills and balances, and keep them current
   useEffect(() => {
-    if (positions.length > 0) {
-      updatePortfolioStats()
-      updatePortfolioHistory()
-    }
-  }, [positions])
-
-  // Poll for price updates to recalculate P&L
-  useEffect(() => {
-    if (positions.length === 0) return
+    let cancelled = false
 
-    const updatePrices = async () => {
-      const updatedPositions = await Promise.all(
-        positions.map(async (position) => {
-          try {
-            const market = await dataService.getMarket(position.marketId)
-            if (market) {
-              return {
-                ...position,
-                currentYesPrice: market.yesPrice || 50,
-                currentNoPrice: market.noPrice || 50,
-                currentPrice: (position.side === 'Buy' && position.outcome === 'Yes')
-                  ? (market.yesPrice || 50)
-                  : (position.side === 'Buy' && position.outcome === 'No')
-                  ? (market.noPrice || 50)
-                  : position.entryPrice,
-                market: market
-              }
-            }
-          } catch (error) {
-            return position
-          }
-        })
-      )
-      setPositions(updatedPositions.filter(p => p))
+    const applyPortfolio = (portfolio) => {
+      if (cancelled) return
+      setPositions(portfolio.positions || [])
+      setClosedPositions(portfolio.closedPositions || [])
     }
 
-    updatePrices()
-    const interval = setInterval(updatePrices, 30000) // Update every 30 seconds
-
-    return () => clearInterval(interval)
-  }, [positions.length])
-
-  // Listen for new positions from localStorage (when orders are placed)
-  useEffect(() => {
-    const handleStorageChange = () => {
-      loadPortfolio()
+    const loadPortfolio = async () => {
+      const loaded = await portfolioService.getPortfolio({ lotMethod, onRevalidate: applyPortfolio })
+      if (cancelled) return
+      setResult(loaded)
+      if (hasData(loaded)) applyPortfolio(loaded.data)
+      setLoading(false)
     }
 
-    window.addEventListener('storage', handleStorageChange)
-    // Also check periodically for changes
-    const interval = setInterval(loadPortfolio, 2000)
+    loadPortfolio()
+    const interval = setInterval(loadPortfolio, PORTFOLIO_CONFIG.refreshInterval)
 
     return () => {
-      window.removeEventListener('storage', handleStorageChange)
+      cancelled = true
       clearInterval(interval)
     }
-  }, [])
-
-  const loadPortfolio = () => {
-    try {
-      const saved = localStorage.getItem('signalbay-portfolio')
-      if (saved) {
-        const portfolio = JSON.parse(saved)
-        setPositions(portfolio.positions || [])
-        setPortfolioHistory(portfolio.history || [])
-      }
-    } catch (error) {
-      console.error('Error loading portfolio:', error)
-    } finally {
-      setLoading(false)
-    }
-  }
+  }, [reloadCount, lotMethod, tradingMode])
 
-  const savePortfolio = (positions, history) => {
-    try {
-      localStorage.setItem('signalbay-portfolio', JSON.stringify({
-        positions,
-        history,
-        lastUpdated: Date.now()
-      }))
-    } catch (error) {
-      console.error('Error saving portfolio:', error)
-    }
+  const changeLotMethod = (method) => {
+    localStorage.setItem(LOT_METHOD_KEY, method)
+    setLotMethod(method)
   }
 
-  const calculatePnL = (position) => {
-    const { entryPrice, quantity, side, outcome } = position
-    
-    if (!entryPrice || !quantity) return 0
-
-    // Get current price based on outcome
-    const currentPrice = (side === 'Buy' && outcome === 'Yes') 
-      ? (position.currentYesPrice || position.entryPrice)
-      : (side === 'Buy' && outcome === 'No')
-      ? (position.currentNoPrice || position.entryPrice)
-      : position.entryPrice
-
-    // For Yes positions: profit if current price > entry price
-    // For No positions: profit if current price < entry price
-    if (side === 'Buy' && outcome === 'Yes') {
-      const priceChange = currentPrice - entryPrice
-      return (priceChange / 100) * quantity // Convert cents to dollars
-    } else if (side === 'Buy' && outcome === 'No') {
-      const priceChange = entryPrice - currentPrice
-      return (priceChange / 100) * quantity
-    }
-    
-    return 0
+  const resetPaperAccount = async () => {
+    if (!confirm('Reset the paper account? Open paper orders, fills and equity history are deleted and cash goes back to the starting balance.')) return
+    paperTradingService.reset()
+    await portfolioHistoryService.deleteSnapshots(tradingModeService.getAccountId())
+    portfolioService.invalidate()
+    setReloadCount(count => count + 1)
+    setHistoryVersion(version => version + 1)
   }
 
-  const calculateROI = (position) => {
-    const cost = (position.entryPrice / 100) * position.quantity
-    const pnl = calculatePnL(position)
-    return cost > 0 ? (pnl / cost) * 100 : 0
+  const handleImported = (imported) => {
+    if (imported.lotMethod) changeLotMethod(imported.lotMethod)
+    // Reload the equity chart with the restored snapshots
+    setHistoryVersion(version => version + 1)
   }
 
-  const updatePortfolioStats = () => {
-    const totalCost = positions.reduce((sum, p) => {
-      return sum + ((p.entryPrice || 0) / 100) * (p.quantity || 0)
-    }, 0)
-
-    const totalPnL = positions.reduce((sum, p) => sum + calculatePnL(p), 0)
-    const totalValue = totalCost + totalPnL
-    const totalROI = totalCost > 0 ? (totalPnL / totalCost) * 100 : 0
-
-    const winningPositions = positions.filter(p => calculatePnL(p) > 0)
-    const losingPositions = positions.filter(p => calculatePnL(p) < 0)
-    const winRate = positions.length > 0 ? (winningPositions.length / positions.length) * 100 : 0
-
-    const bestPosition = positions.reduce((best, current) => {
-      return calculatePnL(current) > calculatePnL(best) ? current : best
-    }, positions[0] || null)
-
-    const worstPosition = positions.reduce((worst, current) => {
-      return calculatePnL(current) < calculatePnL(worst) ? current : worst
-    }, positions[0] || null)
-
-    setPortfolioStats({
-      totalCost,
-      totalPnL,
-      totalValue,
-      totalROI,
-      winRate,
-      winningPositions: winningPositions.length,
-      losingPositions: losingPositions.length,
-      totalPositions: positions.length,
-      bestPosition,
-      worstPosition
-    })
-  }
+  // Stats come from the ledger, at the latest streamed prices
+  const portfolioStats = useMemo(
+    () => portfolioService.getTotals(positions, closedPositions),
+    [positions, closedPositions]
+  )
 
-  const updatePortfolioHistory = () => {
-    const totalValue = positions.reduce((sum, p) => {
-      const cost = ((p.entryPrice || 0) / 100) * (p.quantity || 0)
-      const pnl = calculatePnL(p)
-      return sum + cost + pnl
-    }, 0)
-
-    const newHistoryPoint = {
-      timestamp: Date.now(),
-      value: totalValue,
-      positions: positions.length
-    }
+  // Stream price updates for held markets to recalculate P&L
+  const heldMarketIds = Array.from(new Set(positions.map(p => p.marketId))).join(',')
+  useEffect(() => {
+    if (positions.length === 0) return
 
-    setPortfolioHistory(prev => {
-      const updated = [...prev, newHistoryPoint]
-      // Keep last 100 data points
-      return updated.slice(-100)
-    })
+    const heldMarkets = new Map(positions.map(p => [p.marketId, p.market || p.marketId]))
+    const unsubscribes = Array.from(heldMarkets.values()).map(marketOrId =>
+      dataService.subscribeToPriceUpdates(marketOrId, (update) => {
+        setPositions(prev => {
+          let changed = false
+          const updated = prev.map((position) => {
+            if (position.marketId !== update.marketId || position.outcomeIndex === undefined) return position
+            const currentPrice = update.prices?.[position.outcomeIndex]
+            if (currentPrice === null || currentPrice === undefined || position.currentPrice === currentPrice) {
+              return position
+            }
+            changed = true
+            return { ...position, currentPrice }
+          })
+          // Keep the same array when nothing moved so stats are not recomputed
+          return changed ? updated : prev
+        })
+      })
+    )
 
-    savePortfolio(positions, portfolioHistory)
-  }
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe())
+  }, [heldMarketIds])
 
-  // Add a position (for demo/testing - in real app this would come from trading)
-  const addDemoPosition = async () => {
-    // This is a demo function - in production, positions would be added via trading
-    const markets = await dataService.getMarkets({ limit: 5, active: true })
-    if (markets.length > 0) {
-      const market = markets[0]
-      const newPosition = {
-        id: `pos-${Date.now()}`,
-        marketId: market.id,
-        marketTitle: market.title || market.question,
-        side: 'Buy',
-        outcome: 'Yes',
-        entryPrice: market.yesPrice || 50,
-        currentYesPrice: market.yesPrice || 50,
-        currentNoPrice: market.noPrice || 50,
-        quantity: 100, // $1.00 worth
-        timestamp: Date.now(),
-        market: market
-      }
-      const updated = [...positions, newPosition]
-      setPositions(updated)
-      savePortfolio(updated, portfolioHistory)
-    }
-  }
+  const settledPositions = closedPositions.filter(position => position.resolution)
+  const categoryStats = useMemo(
+    () => portfolioService.getCategoryStats(positions, closedPositions),
+    [positions, closedPositions]
+  )
+  const eventExposure = useMemo(() => portfolioService.getEventExposure(positions), [positions])
 
-  const removePosition = (positionId) => {
-    const updated = positions.filter(p => p.id !== positionId)
-    setPositions(updated)
-    savePortfolio(updated, portfolioHistory)
-  }
+  const calculatePnL = position => portfolioService.getTotalPnl(position)
+  const calculateROI = position => portfolioService.getROI(position)
 
   if (loading) {
     return (
@@ -245,37 +163,60 @@ export default function PortfolioView({ onSelectMarket }) {
               <div>
                 <h1 className="text-3xl font-bold text-white">Portfolio</h1>
                 <p className="text-gray-400 text-sm mt-1">
-                  Track your positions and performance
+                  {tradingMode === TRADING_MODES.PAPER
+                    ? 'Paper account: simulated fills with virtual USDC'
+                    : 'Track your positions and performance'}
                 </p>
               </div>
             </div>
-            {positions.length === 0 && (
-              <button
-                onClick={addDemoPosition}
-                className="px-4 py-2 bg-yellow-500/10 hover:bg-yellow-500/20 border border-yellow-500/50 rounded-lg text-yellow-400 transition text-sm"
-              >
-                Add Demo Position
-              </button>
-            )}
+            <div className="flex items-center gap-3">
+              <DataStatusBadge result={result} />
+              <PortfolioExport lotMethod={lotMethod} onImported={handleImported} />
+              {tradingMode === TRADING_MODES.PAPER && (
+                <button
+                  onClick={resetPaperAccount}
+                  className="px-2 py-1 text-xs rounded border border-blue-500/40 text-blue-300 hover:text-white transition"
+                >
+                  Reset paper account
+                </button>
+              )}
+              <div className="flex items-center gap-1 text-xs" title="How sells are matched against earlier buys">
+                <span className="text-gray-400 mr-1">Cost method</span>
+                {[[LOT_METHODS.AVERAGE, 'Average'], [LOT_METHODS.FIFO, 'FIFO']].map(([method, label]) => (
+                  <button
+                    key={method}
+                    onClick={() => changeLotMethod(method)}
+                    className={`px-2 py-1 rounded border transition ${
+                      lotMethod === method
+                        ? 'bg-yellow-500/20 border-yellow-500/50 text-yellow-400'
+                        : 'border-white/10 text-gray-400 hover:text-white'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
       </div>
 
       {/* Content */}
       <div className="max-w-[1920px] mx-auto px-6 py-8">
-        {positions.length === 0 ? (
+        {!hasData(result) ? (
+          <DataUnavailable
+            title="Portfolio unavailable"
+            reason={result?.reason}
+            onRetry={() => setReloadCount(count => count + 1)}
+            className="py-20"
+          />
+        ) : positions.length === 0 && closedPositions.length === 0 ? (
           <div className="text-center py-20">
             <div className="text-6xl mb-4">📊</div>
             <h2 className="text-2xl font-bold text-white mb-2">No Positions Yet</h2>
             <p className="text-gray-400 mb-6">
-              Start trading to see your portfolio here
+              Positions appear here once your orders fill
             </p>
-            <button
-              onClick={addDemoPosition}
-              className="px-6 py-3 bg-yellow-500 text-black rounded-lg hover:bg-yellow-600 transition font-semibold"
-            >
-              Add Demo Position
-            </button>
           </div>
         ) : (
           <>
@@ -323,6 +264,9 @@ export default function PortfolioView({ onSelectMarket }) {
                 }`}>
                   {portfolioStats?.totalROI.toFixed(2) || '0.00'}% ROI
                 </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Realized ${portfolioStats.realizedPnl.toFixed(2)} · Unrealized ${portfolioStats.unrealizedPnl.toFixed(2)} · Fees ${portfolioStats.fees.toFixed(2)}
+                </p>
               </div>
 
               {/* Win Rate */}
@@ -395,6 +339,55 @@ export default function PortfolioView({ onSelectMarket }) {
               </div>
             )}
 
+            {/* Equity Curve */}
+            <div className="mb-8">
+              <EquityChart key={`${tradingMode}-${historyVersion}`} />
+            </div>
+
+            {/* Breakdowns */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-8">
+              <div className="bg-gray-900/50 border border-gray-800 rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-4">Win Rate by Category</h3>
+                <div className="space-y-2">
+                  {categoryStats.map(stats => (
+                    <div key={stats.category} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-300 capitalize">{stats.category}</span>
+                      <span className="text-gray-400">
+                        <span className="text-white font-medium">{stats.winRate.toFixed(0)}%</span>
+                        {' '}({stats.wins}W / {stats.losses}L) ·{' '}
+                        <span className={stats.totalPnl >= 0 ? 'text-green-400' : 'text-red-400'}>
+                          {stats.totalPnl >= 0 ? '+' : ''}${stats.totalPnl.toFixed(2)}
+                        </span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              <div className="bg-gray-900/50 border border-gray-800 rounded-xl p-6">
+                <h3 className="text-lg font-semibold text-white mb-4">Exposure by Event</h3>
+                {eventExposure.length > 0 ? (
+                  <div className="space-y-3">
+                    {eventExposure.map(exposure => (
+                      <div key={exposure.eventId}>
+                        <div className="flex items-center justify-between text-sm mb-1">
+                          <span className="text-gray-300 line-clamp-1 mr-4">{exposure.title}</span>
+                          <span className="text-gray-400 whitespace-nowrap">
+                            ${exposure.value.toFixed(2)} ({(exposure.share * 100).toFixed(0)}%)
+                          </span>
+                        </div>
+                        <div className="h-1.5 bg-white/10 rounded overflow-hidden">
+                          <div className="h-full bg-yellow-400" style={{ width: `${exposure.share * 100}%` }} />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">No open exposure</p>
+                )}
+              </div>
+            </div>
+
             {/* Positions List */}
             <div className="bg-gray-900/50 border border-gray-800 rounded-xl overflow-hidden">
               <div className="px-6 py-4 border-b border-gray-800">
@@ -404,10 +397,8 @@ export default function PortfolioView({ onSelectMarket }) {
                 {positions.map((position) => {
                   const pnl = calculatePnL(position)
                   const roi = calculateROI(position)
-                  const currentPrice = position.currentPrice || 
-                    (position.side === 'Buy' && position.outcome === 'Yes'
-                      ? position.currentYesPrice
-                      : position.currentNoPrice)
+                  const currentPrice = position.currentPrice ?? position.entryPrice
+                  const unrealizedPnl = PositionLedger.getUnrealizedPnl(position, currentPrice)
 
                   return (
                     <div
@@ -422,37 +413,51 @@ export default function PortfolioView({ onSelectMarket }) {
                               {position.marketTitle || 'Market'}
                             </h3>
                             <span className={`px-2 py-1 text-xs font-semibold rounded ${
-                              position.side === 'Buy' && position.outcome === 'Yes'
+                              position.outcome !== 'No'
                                 ? 'bg-green-500/20 text-green-400'
                                 : 'bg-red-500/20 text-red-400'
                             }`}>
                               {position.side} {position.outcome}
                             </span>
+                            {position.market?.resolution?.status === 'closed' && (
+                              <span className="px-2 py-1 text-xs rounded bg-white/5 text-gray-400" title="Trading has stopped; the outcome is not final yet">
+                                Awaiting resolution
+                              </span>
+                            )}
+                            {!position.reconciled && (
+                              <span
+                                className="flex items-center gap-1 text-xs text-yellow-400"
+                                title={`Fills account for ${position.filledQuantity.toFixed(2)} shares; the wallet holds ${position.quantity.toFixed(2)}. Tokens moved outside the order book are not in the average cost.`}
+                              >
+                                <AlertCircle className="h-3.5 w-3.5" />
+                                Balance differs from fills
+                              </span>
+                            )}
                           </div>
                           
                           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
                             <div>
                               <p className="text-xs text-gray-400 mb-1">Entry Price</p>
                               <p className="text-sm font-medium text-white">
-                                {position.entryPrice.toFixed(1)}¢
+                                {position.entryPrice !== null ? `${position.entryPrice.toFixed(1)}¢` : '-'}
                               </p>
                             </div>
                             <div>
                               <p className="text-xs text-gray-400 mb-1">Current Price</p>
                               <p className="text-sm font-medium text-white">
-                                {currentPrice.toFixed(1)}¢
+                                {currentPrice !== null ? `${currentPrice.toFixed(1)}¢` : '-'}
                               </p>
                             </div>
                             <div>
                               <p className="text-xs text-gray-400 mb-1">Quantity</p>
                               <p className="text-sm font-medium text-white">
-                                {position.quantity} shares
+                                {position.quantity.toFixed(2)} shares
                               </p>
                             </div>
                             <div>
                               <p className="text-xs text-gray-400 mb-1">Cost</p>
                               <p className="text-sm font-medium text-white">
-                                ${((position.entryPrice / 100) * position.quantity).toFixed(2)}
+                                ${position.costBasis.toFixed(2)}
                               </p>
                             </div>
                           </div>
@@ -469,22 +474,78 @@ export default function PortfolioView({ onSelectMarket }) {
                           }`}>
                             {roi >= 0 ? '+' : ''}{roi.toFixed(2)}%
                           </div>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation()
-                              removePosition(position.id)
-                            }}
-                            className="mt-2 text-xs text-gray-400 hover:text-red-400 transition"
-                          >
-                            Remove
-                          </button>
+                          <div className="text-xs text-gray-500 mt-1">
+                            Unrealized {unrealizedPnl >= 0 ? '+' : ''}${unrealizedPnl.toFixed(2)}
+                          </div>
+                          {position.realizedPnl !== 0 && (
+                            <div className="text-xs text-gray-500">
+                              Realized {position.realizedPnl >= 0 ? '+' : ''}${position.realizedPnl.toFixed(2)}
+                            </div>
+                          )}
                         </div>
                       </div>
                     </div>
                   )
                 })}
+                {positions.length === 0 && (
+                  <p className="p-6 text-center text-gray-500 text-sm">No open positions</p>
+                )}
               </div>
             </div>
+
+            {/* Settled Positions */}
+            {settledPositions.length > 0 && (
+              <div className="bg-gray-900/50 border border-gray-800 rounded-xl overflow-hidden mt-8">
+                <div className="px-6 py-4 border-b border-gray-800">
+                  <h2 className="text-xl font-bold text-white">Settled</h2>
+                </div>
+                <div className="divide-y divide-gray-800">
+                  {settledPositions.map((position) => {
+                    const { resolution } = position
+                    const won = resolution.payout === 100
+                    return (
+                      <div
+                        key={position.id}
+                        className="px-6 py-4 hover:bg-gray-800/50 transition cursor-pointer"
+                        onClick={() => position.market && onSelectMarket && onSelectMarket(position.market)}
+                      >
+                        <div className="flex items-center justify-between gap-4">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-3">
+                              <h3 className="text-base font-semibold text-white line-clamp-1">
+                                {position.marketTitle || 'Market'}
+                              </h3>
+                              <span className={`px-2 py-0.5 text-xs font-semibold rounded ${
+                                won ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
+                              }`}>
+                                {position.outcome} {won ? 'won' : 'lost'}
+                              </span>
+                              {position.awaitingRedemption && (
+                                <span
+                                  className="flex items-center gap-1 text-xs text-yellow-400"
+                                  title="Winning shares are still in your wallet. Redeem them on Polymarket to receive the USDC."
+                                >
+                                  <AlertCircle className="h-3.5 w-3.5" />
+                                  Awaiting redemption ({position.walletQuantity.toFixed(2)} shares)
+                                </span>
+                              )}
+                            </div>
+                            <p className="text-xs text-gray-400 mt-1">
+                              {resolution.quantity.toFixed(2)} shares settled at {resolution.payout}¢
+                              {' · '}cost ${resolution.cost.toFixed(2)}, payout ${(resolution.quantity * resolution.payout / 100).toFixed(2)}
+                              {resolution.timestamp && ` · resolved ${new Date(resolution.timestamp).toLocaleDateString()}`}
+                            </p>
+                          </div>
+                          <div className={`text-lg font-bold ${position.realizedPnl >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                            {position.realizedPnl >= 0 ? '+' : ''}${position.realizedPnl.toFixed(2)}
+                          </div>
+                        </div>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -1,44 +1,53 @@
 import React, { useEffect, useRef, useState } from 'react'
 import { createChart, ColorType } from 'lightweight-charts'
 import { polymarketService } from '../services/PolymarketService'
+import { hasData } from '../services/DataResult'
+import { DataStatusBadge, DataUnavailable } from './DataStatus'
+import { PRICE_AXIS, CHART_THEME } from '../config/chartConfig'
 
 // Always use Polymarket service for real data
 const dataService = polymarketService
 
+// Series colors: Yes/No keep green/red, named outcomes use a palette
+const YES_NO_COLORS = [CHART_THEME.up, CHART_THEME.down]
+const OUTCOME_COLORS = ['#eab308', '#3b82f6', '#a855f7', '#06b6d4', '#f97316', '#ec4899', '#84cc16', '#14b8a6']
+
+const getSeriesColor = (market, index) => {
+  return market?.isYesNo !== false && index < 2
+    ? YES_NO_COLORS[index]
+    : OUTCOME_COLORS[index % OUTCOME_COLORS.length]
+}
+
 export default function PredictionChart({ market }) {
   const chartContainerRef = useRef()
   const chartRef = useRef()
-  const yesSeriesRef = useRef()
-  const noSeriesRef = useRef()
+  const seriesRef = useRef([]) // One line series per outcome, in outcome order
   const [timeframe, setTimeframe] = useState('1d')
-  const [priceData, setPriceData] = useState({ yes: [], no: [] })
+  const [priceData, setPriceData] = useState({ outcomes: [] })
+  const [historyResult, setHistoryResult] = useState(null) // ok / stale / unavailable
   const [loading, setLoading] = useState(true)
+  const [reloadCount, setReloadCount] = useState(0)
 
   // Fetch price history when market or timeframe changes
   useEffect(() => {
     if (!market) return
+    let cancelled = false
 
     const fetchPriceHistory = async () => {
-      try {
-        setLoading(true)
-        const history = await dataService.getPriceHistory(market.id, timeframe)
-        setPriceData(history)
-        
-        if (yesSeriesRef.current && history.yes.length > 0) {
-          yesSeriesRef.current.setData(history.yes)
-        }
-        if (noSeriesRef.current && history.no.length > 0) {
-          noSeriesRef.current.setData(history.no)
-        }
-      } catch (error) {
-        console.error('Error fetching price history:', error)
-      } finally {
-        setLoading(false)
-      }
+      setLoading(true)
+      const result = await dataService.getPriceHistory(market.id, timeframe)
+      if (cancelled) return
+      setHistoryResult(result)
+      // Never leave the previous market's or timeframe's lines on screen
+      setPriceData(hasData(result) ? result.data : { outcomes: [] })
+      setLoading(false)
     }
 
     fetchPriceHistory()
-  }, [market?.id, timeframe])
+    return () => {
+      cancelled = true
+    }
+  }, [market?.id, timeframe, reloadCount])
 
   // Initialize chart
   useEffect(() => {
@@ -49,89 +58,66 @@ export default function PredictionChart({ market }) {
     // Create chart
     const chart = createChart(container, {
       layout: {
-        background: { type: ColorType.Solid, color: '#0a0d14' },
-        textColor: '#9ca3af',
+        background: { type: ColorType.Solid, color: CHART_THEME.background },
+        textColor: CHART_THEME.text,
       },
       grid: {
-        vertLines: { color: 'rgba(255, 255, 255, 0.05)' },
-        horzLines: { color: 'rgba(255, 255, 255, 0.05)' },
+        vertLines: { color: CHART_THEME.grid },
+        horzLines: { color: CHART_THEME.grid },
       },
       width: container.clientWidth,
       height: container.clientHeight,
       timeScale: {
         timeVisible: true,
         secondsVisible: false,
-        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderColor: CHART_THEME.border,
       },
       rightPriceScale: {
-        borderColor: 'rgba(255, 255, 255, 0.1)',
+        borderColor: CHART_THEME.border,
         scaleMargins: {
           top: 0.1,
           bottom: 0.1,
         },
-        min: 0,
-        max: 100,
+        min: PRICE_AXIS.min,
+        max: PRICE_AXIS.max,
       },
     })
 
     chartRef.current = chart
 
-    // Add line series for Yes outcome (green/yellow)
-    const yesSeries = chart.addLineSeries({
-      color: '#22c55e', // Green for Yes
+    // Add one line series per outcome
+    const outcomes = dataService.getOutcomes(market)
+    seriesRef.current = outcomes.map((outcome, index) => chart.addLineSeries({
+      color: getSeriesColor(market, index),
       lineWidth: 2,
-      title: 'Yes',
+      title: outcome.label,
       priceFormat: {
         type: 'price',
-        precision: 1,
-        minMove: 0.1,
+        precision: PRICE_AXIS.precision,
+        minMove: PRICE_AXIS.minMove,
       },
-    })
-
-    // Add line series for No outcome (red)
-    const noSeries = chart.addLineSeries({
-      color: '#ef4444', // Red for No
-      lineWidth: 2,
-      title: 'No',
-      priceFormat: {
-        type: 'price',
-        precision: 1,
-        minMove: 0.1,
-      },
-    })
-
-    yesSeriesRef.current = yesSeries
-    noSeriesRef.current = noSeries
+    }))
 
     // Load initial data if available
-    if (priceData.yes.length > 0) {
-      yesSeries.setData(priceData.yes)
-    }
-    if (priceData.no.length > 0) {
-      noSeries.setData(priceData.no)
-    }
+    priceData.outcomes.forEach((series, index) => {
+      if (seriesRef.current[index] && series.data.length > 0) {
+        seriesRef.current[index].setData(series.data)
+      }
+    })
 
     // Subscribe to real-time price updates
     const handlePriceUpdate = (update) => {
-      if (update.marketId === market.id) {
-        if (yesSeriesRef.current && update.yesPrice !== undefined) {
-          const newYesPoint = {
-            time: Math.floor(update.timestamp / 1000),
-            value: update.yesPrice,
-          }
-          yesSeriesRef.current.update(newYesPoint)
-        }
-        if (noSeriesRef.current && update.noPrice !== undefined) {
-          const newNoPoint = {
-            time: Math.floor(update.timestamp / 1000),
-            value: update.noPrice,
-          }
-          noSeriesRef.current.update(newNoPoint)
+      if (update.marketId !== market.id || !update.prices) return
+
+      const time = Math.floor(update.timestamp / 1000)
+      update.prices.forEach((price, index) => {
+        if (seriesRef.current[index] && price !== null && price !== undefined) {
+          seriesRef.current[index].update({ time, value: price })
         }
-      }
+      })
     }
 
-    dataService.subscribeToPriceUpdates(market.id, handlePriceUpdate)
+    const unsubscribe = dataService.subscribeToPriceUpdates(market, handlePriceUpdate)
 
     // Handle resize
     const handleResize = () => {
@@ -151,11 +137,12 @@ export default function PredictionChart({ market }) {
     window.addEventListener('resize', handleResize)
 
     return () => {
-      dataService.unsubscribeFromPriceUpdates(market.id)
+      unsubscribe()
       if (resizeObserver) {
         resizeObserver.disconnect()
       }
       window.removeEventListener('resize', handleResize)
+      seriesRef.current = []
       if (chart) {
         chart.remove()
       }
@@ -164,12 +151,9 @@ export default function PredictionChart({ market }) {
 
   // Update chart when price data changes
   useEffect(() => {
-    if (yesSeriesRef.current && priceData.yes.length > 0) {
-      yesSeriesRef.current.setData(priceData.yes)
-    }
-    if (noSeriesRef.current && priceData.no.length > 0) {
-      noSeriesRef.current.setData(priceData.no)
-    }
+    seriesRef.current.forEach((series, index) => {
+      series.setData(priceData.outcomes[index]?.data || [])
+    })
   }, [priceData])
 
   const timeframes = ['1m', '1h', '6h', '1d', '1w', 'max']
@@ -193,15 +177,14 @@ export default function PredictionChart({ market }) {
             </button>
           ))}
         </div>
-        <div className="flex items-center gap-4 text-xs">
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-0.5 bg-green-500"></div>
-            <span className="text-gray-400">Yes</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-0.5 bg-red-500"></div>
-            <span className="text-gray-400">No</span>
-          </div>
+        <div className="flex items-center gap-4 text-xs flex-wrap justify-end">
+          <DataStatusBadge result={historyResult} />
+          {dataService.getOutcomes(market).map((outcome, index) => (
+            <div key={outcome.tokenId || index} className="flex items-center gap-2">
+              <div className="w-3 h-0.5" style={{ backgroundColor: getSeriesColor(market, index) }}></div>
+              <span className="text-gray-400">{outcome.label}</span>
+            </div>
+          ))}
         </div>
       </div>
 
@@ -215,6 +198,15 @@ export default function PredictionChart({ market }) {
             </div>
           </div>
         )}
+        {!loading && historyResult && !hasData(historyResult) && (
+          <div className="absolute inset-0 flex items-center justify-center bg-[#0a0d14]/80 z-10">
+            <DataUnavailable
+              title="Price history unavailable"
+              reason={historyResult.reason}
+              onRetry={() => setReloadCount(count => count + 1)}
+            />
+          </div>
+        )}
       </div>
     </div>
   )
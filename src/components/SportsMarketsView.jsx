@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { TrendingUp, Calendar, DollarSign, ArrowRight, Grid, ExternalLink } from 'lucide-react'
 import { polymarketService } from '../services/PolymarketService'
+import { unwrap } from '../services/DataResult'
 
 export default function SportsMarketsView({ onSelectMarket, onViewAllMarkets }) {
   const [sports, setSports] = useState([])
@@ -17,7 +18,7 @@ export default function SportsMarketsView({ onSelectMarket, onViewAllMarkets })
         setError(null)
 
         // Step 1: Fetch sports from /sports endpoint
-        const sportsData = await polymarketService.getSports()
+        const sportsData = unwrap(await polymarketService.getSports())
         setSports(sportsData)
 
         // Step 2: Extract all unique tag IDs from all sports
@@ -39,11 +40,11 @@ export default function SportsMarketsView({ onSelectMarket, onViewAllMarkets })
         // Step 3: Fetch events for each tag ID individually
         const eventPromises = uniqueTagIds.map(async (tagId) => {
           try {
-            const eventsForTag = await polymarketService.getEvents({
+            const eventsForTag = unwrap(await polymarketService.getEvents({
               tag_id: tagId,
               limit: 100,
               closed: false
-            })
+            }))
             return { tagId, events: eventsForTag || [] }
           } catch (err) {
             console.error(`Error fetching events for tag_id ${tagId}:`, err)
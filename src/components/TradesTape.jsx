@@ -0,0 +1,130 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { tradeTapeService } from '../services/TradeTapeService'
+import { DataUnavailable } from './DataStatus'
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+})
+
+const formatShares = (shares) => {
+  if (shares >= 1000) return `${(shares / 1000).toFixed(2)}K`
+  return shares.toFixed(2)
+}
+
+const formatUsd = (amount) => `$${amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+
+/**
+ * Recent trades for a market, newest first, with large prints highlighted
+ */
+export default function TradesTape({ market }) {
+  const [trades, setTrades] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [reloadCount, setReloadCount] = useState(0)
+
+  useEffect(() => {
+    if (!market?.id) return
+    let cancelled = false
+
+    setTrades(tradeTapeService.getTrades(market.id))
+    setLoading(true)
+    setError(null)
+
+    const unsubscribe = tradeTapeService.subscribe(market, (buffer) => {
+      if (!cancelled) setTrades(buffer)
+    })
+    tradeTapeService.backfill(market).then((result) => {
+      if (cancelled) return
+      if (result.status === 'unavailable') setError(result.reason)
+      setLoading(false)
+    })
+
+    return () => {
+      cancelled = true
+      unsubscribe()
+    }
+  }, [market?.id, reloadCount])
+
+  const aggregates = useMemo(
+    () => (market?.id ? tradeTapeService.getAggregates(market.id) : null),
+    [market?.id, trades]
+  )
+
+  if (loading && trades.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-yellow-400 mx-auto mb-2"></div>
+        <p className="text-gray-400 text-sm">Loading trades...</p>
+      </div>
+    )
+  }
+
+  if (error && trades.length === 0) {
+    return (
+      <DataUnavailable
+        title="Trades unavailable"
+        reason={error}
+        onRetry={() => setReloadCount(count => count + 1)}
+      />
+    )
+  }
+
+  return (
+    <div className="flex flex-col gap-3 min-h-0">
+      {aggregates && aggregates.tradeCount > 0 && (
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-2 px-2">
+          {[
+            ['Buy Volume', `${formatShares(aggregates.buyVolume)} (${formatUsd(aggregates.buyNotional)})`],
+            ['Sell Volume', `${formatShares(aggregates.sellVolume)} (${formatUsd(aggregates.sellNotional)})`],
+            ['VWAP', aggregates.byOutcome.map(outcome => `${outcome.outcome || '?'} ${outcome.vwap?.toFixed(1) ?? '-'}¢`).join(' · ')],
+            ['Trades / min', aggregates.tradesPerMinute.toFixed(1)],
+          ].map(([label, value]) => (
+            <div key={label} className="bg-white/5 rounded px-2 py-1">
+              <div className="text-xs text-gray-500">{label}</div>
+              <div className="text-sm text-white font-medium truncate" title={value}>{value}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="px-2">
+        <div className="grid grid-cols-6 gap-2 pb-2 mb-1 border-b border-white/10 text-xs text-gray-400">
+          <span>Time</span>
+          <span>Outcome</span>
+          <span>Side</span>
+          <span className="text-right">Price</span>
+          <span className="text-right">Size</span>
+          <span className="text-right">Notional</span>
+        </div>
+        {trades.length > 0 ? (
+          <div className="space-y-0.5 overflow-y-auto" style={{ maxHeight: 'calc(100vh - 360px)' }}>
+            {trades.map(trade => (
+              <div
+                key={trade.id}
+                className={`grid grid-cols-6 gap-2 py-1 text-xs rounded ${
+                  trade.isLarge ? 'bg-yellow-500/10 font-semibold' : 'hover:bg-white/5'
+                }`}
+                title={trade.isLarge ? 'Large print' : undefined}
+              >
+                <span className="text-gray-400">{formatTime(trade.timestamp)}</span>
+                <span className="text-gray-300 truncate">{trade.outcome || '-'}</span>
+                <span className={trade.side === 'BUY' ? 'text-green-400' : 'text-red-400'}>
+                  {trade.side === 'BUY' ? 'Buy' : 'Sell'}
+                </span>
+                <span className="text-right text-white">{trade.price.toFixed(1)}¢</span>
+                <span className="text-right text-gray-300">{formatShares(trade.size)}</span>
+                <span className={`text-right ${trade.isLarge ? 'text-yellow-400' : 'text-gray-300'}`}>
+                  {formatUsd(trade.notional)}
+                </span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-gray-500 text-sm py-4">No recent trades</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from 'react'
+import { walletService, SIGNATURE_TYPES } from '../services/WalletService'
+
+const ACCOUNT_TYPES = [
+  { value: SIGNATURE_TYPES.EOA, label: 'Wallet address' },
+  { value: SIGNATURE_TYPES.POLY_GNOSIS_SAFE, label: 'Polymarket proxy (browser wallet)' },
+  { value: SIGNATURE_TYPES.POLY_PROXY, label: 'Polymarket proxy (email / Magic)' },
+]
+
+const shortAddress = address => `${address.slice(0, 6)}...${address.slice(-4)}`
+
+/**
+ * How the connected wallet trades: from its own address, or through the
+ * Polymarket proxy that holds its funds (see WalletService.setTradingAccount)
+ * Changing it resets the trading client, so credentials are derived again.
+ */
+export default function TradingAccountSettings() {
+  const [account, setAccount] = useState(walletService.getTradingAccount())
+  const [editing, setEditing] = useState(false)
+  const [signatureType, setSignatureType] = useState(SIGNATURE_TYPES.EOA)
+  const [proxyAddress, setProxyAddress] = useState('')
+  const [error, setError] = useState(null)
+
+  useEffect(() => walletService.subscribe(() => setAccount(walletService.getTradingAccount())), [])
+
+  if (!account) return null
+
+  const startEditing = () => {
+    setSignatureType(account.signatureType)
+    setProxyAddress(account.signatureType === SIGNATURE_TYPES.EOA ? '' : account.funderAddress)
+    setError(null)
+    setEditing(true)
+  }
+
+  const handleSave = () => {
+    try {
+      walletService.setTradingAccount({ signatureType, funderAddress: proxyAddress.trim() })
+      setEditing(false)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  if (!editing) {
+    return (
+      <div className="flex justify-between items-center text-xs text-gray-400">
+        <span>
+          Trading from {account.signatureType === SIGNATURE_TYPES.EOA ? 'wallet' : 'proxy'}{' '}
+          <span className="text-white">{shortAddress(account.funderAddress)}</span>
+        </span>
+        <button onClick={startEditing} className="text-blue-400 hover:text-blue-300">
+          Change
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-2 p-3 bg-white/5 border border-white/10 rounded-lg text-xs">
+      <select
+        value={signatureType}
+        onChange={(e) => setSignatureType(parseInt(e.target.value))}
+        className="w-full bg-white/5 border border-white/10 rounded px-3 py-2 text-white focus:outline-none"
+      >
+        {ACCOUNT_TYPES.map(type => (
+          <option key={type.value} value={type.value} className="bg-gray-900">{type.label}</option>
+        ))}
+      </select>
+      {signatureType !== SIGNATURE_TYPES.EOA && (
+        <input
+          type="text"
+          value={proxyAddress}
+          onChange={(e) => setProxyAddress(e.target.value)}
+          placeholder="Proxy address (under your profile picture on polymarket.com)"
+          className="w-full bg-white/5 border border-white/10 rounded px-3 py-2 text-white focus:outline-none"
+        />
+      )}
+      {error && <p className="text-red-400">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          className="flex-1 py-1.5 bg-yellow-500 text-black rounded font-semibold hover:bg-yellow-600 transition"
+        >
+          Save
+        </button>
+        <button
+          onClick={() => setEditing(false)}
+          className="flex-1 py-1.5 bg-white/5 border border-white/10 rounded text-gray-300 hover:bg-white/10 transition"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react'
+import { tradingModeService, TRADING_MODES } from '../services/TradingModeService'
+
+/**
+ * Global switch between the live account and the paper account
+ * Every view that shows account data follows it (see TradingModeService).
+ */
+export default function TradingModeToggle() {
+  const [mode, setMode] = useState(tradingModeService.getMode())
+
+  useEffect(() => tradingModeService.subscribe(setMode), [])
+
+  return (
+    <div
+      className="flex items-center gap-1 p-1 bg-white/5 border border-white/10 rounded-lg text-xs"
+      title="Paper trading simulates fills against the live order book with virtual USDC"
+    >
+      {[[TRADING_MODES.LIVE, 'Live'], [TRADING_MODES.PAPER, 'Paper']].map(([value, label]) => (
+        <button
+          key={value}
+          onClick={() => tradingModeService.setMode(value)}
+          className={`px-3 py-1 rounded font-semibold transition ${
+            mode === value
+              ? value === TRADING_MODES.PAPER
+                ? 'bg-blue-500/30 text-blue-300'
+                : 'bg-green-500/20 text-green-400'
+              : 'text-gray-400 hover:text-white'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -1,35 +1,98 @@
 import React, { useState, useEffect } from 'react'
 import { polymarketService } from '../services/PolymarketService'
+import { marketStreamService } from '../services/MarketStreamService'
+import { STREAM_CONFIG } from '../config/dataConfig'
+import { ok, stale, hasData } from '../services/DataResult'
+import { DataStatusBadge, DataUnavailable } from './DataStatus'
+import DepthChart from './DepthChart'
+import TradesTape from './TradesTape'
+import OpenOrders from './OpenOrders'
 
 export default function TradingTabs({ market }) {
   const [activeTab, setActiveTab] = useState('Order Book')
-  const [orderBook, setOrderBook] = useState(null)
+  const [bookResult, setBookResult] = useState(null) // ok / stale / unavailable order book
+  const [streamStatus, setStreamStatus] = useState(marketStreamService.status)
   const [loading, setLoading] = useState(false)
+  const [reloadCount, setReloadCount] = useState(0)
+  const [bookView, setBookView] = useState('combined') // outcome index or 'combined'
 
-  const tabs = ['Open Orders', 'My Positions', 'Order Book']
+  const tabs = ['Open Orders', 'My Positions', 'Order Book', 'Depth', 'Trades']
+  // The order book and depth chart share one stream subscription and outcome switch
+  const showsBook = activeTab === 'Order Book' || activeTab === 'Depth'
 
-  // Fetch order book when Order Book tab is active and market is available
+  useEffect(() => marketStreamService.onStatusChange(setStreamStatus), [])
+
+  // Binary markets open on the combined book; others fall back to their first outcome
   useEffect(() => {
-    if (activeTab === 'Order Book' && market?.id) {
-      const fetchOrderBook = async () => {
-        try {
-          setLoading(true)
-          const book = await polymarketService.getOrderBook(market.id)
-          setOrderBook(book)
-        } catch (error) {
-          console.error('Error fetching order book:', error)
-        } finally {
-          setLoading(false)
-        }
-      }
+    setBookView('combined')
+  }, [market?.id])
+
+  // Stream the order book when a book tab is active and market is available
+  useEffect(() => {
+    if (!showsBook || !market?.id) return
+    let cancelled = false
+
+    // One-off REST book, used when there is nothing to stream or the stream never syncs
+    const fetchOrderBook = async () => {
+      const result = await polymarketService.getOrderBook(market.id)
+      if (cancelled) return
+      setBookResult(current => current && hasData(current) && !hasData(result) ? current : result)
+      setLoading(false)
+    }
+
+    setLoading(true)
+    setBookResult(null)
 
+    const tokenIds = polymarketService.getOutcomes(market)
+      .map(outcome => outcome.tokenId)
+      .filter(Boolean)
+    if (tokenIds.length === 0) {
       fetchOrderBook()
-      
-      // Refresh order book every 5 seconds
-      const interval = setInterval(fetchOrderBook, 5000)
-      return () => clearInterval(interval)
+      return () => {
+        cancelled = true
+      }
+    }
+
+    // Rebuild every outcome's book (and the combined book) on any update
+    const unsubscribe = marketStreamService.subscribe(tokenIds, () => {
+      const books = polymarketService.getOutcomes(market)
+        .map(outcome => outcome.tokenId ? marketStreamService.getBook(outcome.tokenId) : null)
+      if (books.some(Boolean) && !cancelled) {
+        setBookResult(ok(polymarketService.buildOrderBooks(market, books)))
+        setLoading(false)
+      }
+    })
+
+    // The stream already falls back to a REST snapshot; if neither has
+    // answered after twice that timeout, surface the REST result
+    const fallbackTimer = setTimeout(() => {
+      if (!tokenIds.some(tokenId => marketStreamService.getBook(tokenId))) fetchOrderBook()
+    }, STREAM_CONFIG.snapshotTimeout * 2)
+
+    return () => {
+      cancelled = true
+      clearTimeout(fallbackTimer)
+      unsubscribe()
     }
-  }, [activeTab, market?.id])
+  }, [showsBook, market?.id, reloadCount])
+
+  // A streamed book stops updating while the socket is down
+  const isStreamed = polymarketService.getOutcomes(market).some(outcome => outcome.tokenId)
+  const displayResult = isStreamed && bookResult?.status === 'ok' && !bookResult.synthetic && streamStatus !== 'open'
+    ? stale(bookResult.data, { timestamp: bookResult.timestamp, reason: 'Live feed reconnecting' })
+    : bookResult
+  const orderBooks = hasData(displayResult) ? displayResult.data : null
+
+  // The selected view: one outcome's book, or the combined book when there is one
+  const activeView = bookView === 'combined' && !orderBooks?.combined ? 0 : bookView
+  const primaryLabel = orderBooks?.outcomes[0]?.label
+  const complementLabel = orderBooks?.outcomes[1]?.label
+  const selectedBook = activeView === 'combined'
+    ? orderBooks?.combined
+    : orderBooks?.outcomes[activeView]?.book
+  const selectedSummary = activeView === 'combined'
+    ? orderBooks?.combinedSummary
+    : orderBooks?.outcomes[activeView]?.summary
 
   const formatPrice = (price) => {
     if (!price && price !== 0) return 'N/A'
@@ -42,6 +105,12 @@ export default function TradingTabs({ market }) {
     return amount.toFixed(2)
   }
 
+  const formatImbalance = (imbalance) => {
+    if (imbalance === null || imbalance === undefined) return 'N/A'
+    const percent = Math.round(imbalance * 100)
+    return `${percent > 0 ? '+' : ''}${percent}%`
+  }
+
   return (
     <div className="flex flex-col h-full overflow-hidden">
       <div className="flex border-b border-white/10 flex-shrink-0">
@@ -61,101 +130,125 @@ export default function TradingTabs({ market }) {
       </div>
       
       <div className="flex-1 overflow-y-auto py-6">
-        {activeTab === 'Order Book' ? (
+        {showsBook ? (
           loading ? (
             <div className="text-center py-8">
               <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-yellow-400 mx-auto mb-2"></div>
               <p className="text-gray-400 text-sm">Loading order book...</p>
             </div>
-          ) : orderBook ? (
-            <div className="grid grid-cols-2 gap-6 min-h-0">
-              {/* Asks (Sell Orders) */}
-              <div className="flex flex-col" style={{ maxHeight: 'calc(100vh - 300px)' }}>
-                <div className="flex items-center justify-between mb-3 pb-2 border-b border-white/10 flex-shrink-0">
-                  <h3 className="text-sm font-semibold text-red-400">Asks (Sell)</h3>
-                  <div className="flex gap-4 text-xs text-gray-400">
-                    <span className="w-20 text-right">Price</span>
-                    <span className="w-16 text-right">Size</span>
-                    <span className="w-16 text-right">Total</span>
-                  </div>
-                </div>
-                <div className="space-y-0.5 overflow-y-auto flex-1 min-h-0">
-                  {orderBook.asks && orderBook.asks.length > 0 ? (
-                    orderBook.asks.map((ask, index) => {
-                      const maxTotal = orderBook.asks[orderBook.asks.length - 1]?.total || 1
-                      return (
-                        <div
-                          key={`ask-${index}`}
-                          className="flex items-center justify-between py-1 px-2 hover:bg-red-500/5 transition relative"
-                        >
-                          <div 
-                            className="absolute left-0 h-full bg-red-500/10 transition-all"
-                            style={{ width: `${(ask.total / maxTotal) * 100}%` }}
-                          />
-                          <span className="text-sm text-red-400 font-medium w-20 text-right relative z-10">
-                            {formatPrice(ask.price)}
-                          </span>
-                          <span className="text-xs text-gray-300 w-16 text-right relative z-10">
-                            {formatAmount(ask.amount)}
-                          </span>
-                          <span className="text-xs text-gray-400 w-16 text-right relative z-10">
-                            {formatAmount(ask.total)}
-                          </span>
-                        </div>
-                      )
-                    })
-                  ) : (
-                    <p className="text-center text-gray-500 text-sm py-4">No asks available</p>
-                  )}
+          ) : bookResult && !hasData(bookResult) ? (
+            <DataUnavailable
+              title="Order book unavailable"
+              reason={bookResult.reason}
+              onRetry={() => setReloadCount(count => count + 1)}
+            />
+          ) : orderBooks ? (
+            <div className="flex flex-col gap-3 min-h-0">
+              {(displayResult.status === 'stale' || displayResult.synthetic) && (
+                <div className="flex items-center gap-2 px-2 text-xs text-gray-400">
+                  <DataStatusBadge result={displayResult} />
+                  <span>{displayResult.reason}</span>
                 </div>
+              )}
+
+              {/* Outcome switch */}
+              <div className="flex items-center gap-2 px-2 flex-wrap">
+                {orderBooks.outcomes.map((outcome, index) => (
+                  <button
+                    key={outcome.tokenId || index}
+                    onClick={() => setBookView(index)}
+                    className={`px-3 py-1 text-xs rounded transition ${
+                      activeView === index
+                        ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/50'
+                        : 'text-gray-400 hover:text-white hover:bg-white/5'
+                    }`}
+                  >
+                    {outcome.label}
+                  </button>
+                ))}
+                {orderBooks.combined && (
+                  <button
+                    onClick={() => setBookView('combined')}
+                    className={`px-3 py-1 text-xs rounded transition ${
+                      activeView === 'combined'
+                        ? 'bg-yellow-500/20 text-yellow-400 border border-yellow-500/50'
+                        : 'text-gray-400 hover:text-white hover:bg-white/5'
+                    }`}
+                  >
+                    Combined
+                  </button>
+                )}
+                {activeView === 'combined' && (
+                  <span className="ml-auto text-xs text-gray-500">
+                    Prices in {primaryLabel}. <span className="text-blue-400">◆</span> includes {complementLabel} orders at 100¢ − price
+                  </span>
+                )}
               </div>
 
-              {/* Bids (Buy Orders) */}
-              <div className="flex flex-col" style={{ maxHeight: 'calc(100vh - 300px)' }}>
-                <div className="flex items-center justify-between mb-3 pb-2 border-b border-white/10 flex-shrink-0">
-                  <h3 className="text-sm font-semibold text-green-400">Bids (Buy)</h3>
-                  <div className="flex gap-4 text-xs text-gray-400">
-                    <span className="w-20 text-right">Price</span>
-                    <span className="w-16 text-right">Size</span>
-                    <span className="w-16 text-right">Total</span>
-                  </div>
+              {selectedSummary && (
+                <div className="grid grid-cols-3 lg:grid-cols-6 gap-2 px-2">
+                  {[
+                    ['Best Bid', formatPrice(selectedSummary.bestBid)],
+                    ['Best Ask', formatPrice(selectedSummary.bestAsk)],
+                    ['Mid', formatPrice(selectedSummary.mid)],
+                    ['Spread', formatPrice(selectedSummary.spread)],
+                    ['Microprice', formatPrice(selectedSummary.microprice)],
+                    [`Imbalance ±${selectedSummary.depthRange}¢`, formatImbalance(selectedSummary.imbalance)],
+                  ].map(([label, value]) => (
+                    <div key={label} className="bg-white/5 rounded px-2 py-1">
+                      <div className="text-xs text-gray-500">{label}</div>
+                      <div className="text-sm text-white font-medium">{value}</div>
+                    </div>
+                  ))}
                 </div>
-                <div className="space-y-0.5 overflow-y-auto flex-1 min-h-0">
-                  {orderBook.bids && orderBook.bids.length > 0 ? (
-                    orderBook.bids.map((bid, index) => {
-                      const maxTotal = orderBook.bids[orderBook.bids.length - 1]?.total || 1
-                      return (
-                        <div
-                          key={`bid-${index}`}
-                          className="flex items-center justify-between py-1 px-2 hover:bg-green-500/5 transition relative"
-                        >
-                          <div 
-                            className="absolute left-0 h-full bg-green-500/10 transition-all"
-                            style={{ width: `${(bid.total / maxTotal) * 100}%` }}
-                          />
-                          <span className="text-sm text-green-400 font-medium w-20 text-right relative z-10">
-                            {formatPrice(bid.price)}
-                          </span>
-                          <span className="text-xs text-gray-300 w-16 text-right relative z-10">
-                            {formatAmount(bid.amount)}
-                          </span>
-                          <span className="text-xs text-gray-400 w-16 text-right relative z-10">
-                            {formatAmount(bid.total)}
-                          </span>
-                        </div>
-                      )
-                    })
-                  ) : (
-                    <p className="text-center text-gray-500 text-sm py-4">No bids available</p>
-                  )}
+              )}
+
+              {selectedBook && activeTab === 'Depth' ? (
+                <div className="px-2">
+                  <DepthChart book={selectedBook} />
                 </div>
-              </div>
+              ) : selectedBook ? (
+                <div className="grid grid-cols-2 gap-6 min-h-0">
+                  <BookSide
+                    title="Asks (Sell)"
+                    levels={selectedBook.asks}
+                    side="ask"
+                    complementLabel={complementLabel}
+                    formatPrice={formatPrice}
+                    formatAmount={formatAmount}
+                  />
+                  <BookSide
+                    title="Bids (Buy)"
+                    levels={selectedBook.bids}
+                    side="bid"
+                    complementLabel={complementLabel}
+                    formatPrice={formatPrice}
+                    formatAmount={formatAmount}
+                  />
+                </div>
+              ) : (
+                <DataUnavailable
+                  title={`${orderBooks.outcomes[activeView]?.label || 'Outcome'} order book unavailable`}
+                  reason={orderBooks.outcomes[activeView]?.reason || 'Waiting for the live feed'}
+                  onRetry={() => setReloadCount(count => count + 1)}
+                />
+              )}
+            </div>
+          ) : (
+            <div className="text-center py-8">
+              <p className="text-gray-400 text-sm">No market selected</p>
             </div>
+          )
+        ) : activeTab === 'Trades' ? (
+          market ? (
+            <TradesTape market={market} />
           ) : (
             <div className="text-center py-8">
               <p className="text-gray-400 text-sm">No market selected</p>
             </div>
           )
+        ) : activeTab === 'Open Orders' ? (
+          <OpenOrders market={market} />
         ) : (
           <div className="py-8 text-center">
             <p className="text-gray-400 text-sm">Connect wallet to view {activeTab.toLowerCase()}</p>
@@ -165,3 +258,59 @@ export default function TradingTabs({ market }) {
     </div>
   )
 }
+
+/**
+ * One side of an order book
+ * Levels with a syntheticAmount (mirrored from the complementary outcome in
+ * the combined book) are marked with a diamond.
+ */
+function BookSide({ title, levels = [], side, complementLabel, formatPrice, formatAmount }) {
+  const isAsk = side === 'ask'
+  const textColor = isAsk ? 'text-red-400' : 'text-green-400'
+  const maxTotal = levels[levels.length - 1]?.total || 1
+
+  return (
+    <div className="flex flex-col" style={{ maxHeight: 'calc(100vh - 300px)' }}>
+      <div className="flex items-center justify-between mb-3 pb-2 border-b border-white/10 flex-shrink-0">
+        <h3 className={`text-sm font-semibold ${textColor}`}>{title}</h3>
+        <div className="flex gap-4 text-xs text-gray-400">
+          <span className="w-20 text-right">Price</span>
+          <span className="w-16 text-right">Size</span>
+          <span className="w-16 text-right">Total</span>
+        </div>
+      </div>
+      <div className="space-y-0.5 overflow-y-auto flex-1 min-h-0">
+        {levels.length > 0 ? (
+          levels.map((level, index) => (
+            <div
+              key={`${side}-${index}`}
+              className={`flex items-center justify-between py-1 px-2 transition relative ${
+                isAsk ? 'hover:bg-red-500/5' : 'hover:bg-green-500/5'
+              }`}
+              title={level.syntheticAmount > 0
+                ? `${formatAmount(level.syntheticAmount)} of ${formatAmount(level.amount)} from the ${complementLabel} book`
+                : undefined}
+            >
+              <div
+                className={`absolute left-0 h-full transition-all ${isAsk ? 'bg-red-500/10' : 'bg-green-500/10'}`}
+                style={{ width: `${(level.total / maxTotal) * 100}%` }}
+              />
+              <span className={`text-sm font-medium w-20 text-right relative z-10 ${textColor}`}>
+                {level.syntheticAmount > 0 && <span className="text-blue-400 text-xs mr-1">◆</span>}
+                {formatPrice(level.price)}
+              </span>
+              <span className="text-xs text-gray-300 w-16 text-right relative z-10">
+                {formatAmount(level.amount)}
+              </span>
+              <span className="text-xs text-gray-400 w-16 text-right relative z-10">
+                {formatAmount(level.total)}
+              </span>
+            </div>
+          ))
+        ) : (
+          <p className="text-center text-gray-500 text-sm py-4">No {isAsk ? 'asks' : 'bids'} available</p>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react'
+import { AlertTriangle } from 'lucide-react'
+import { walletService } from '../services/WalletService'
+
+/**
+ * Blocks the app while the connected wallet is on a network other than
+ * Polygon, with a one-click switch back (see WalletService.isWrongNetwork)
+ */
+export default function WrongNetworkBanner() {
+  const [wrongNetwork, setWrongNetwork] = useState(walletService.isWrongNetwork())
+  const [chainId, setChainId] = useState(walletService.getChainId())
+  const [switching, setSwitching] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => walletService.subscribe((event) => {
+    setWrongNetwork(walletService.isWrongNetwork())
+    setChainId(event.chainId)
+    setError(null)
+  }), [])
+
+  if (!wrongNetwork) return null
+
+  const handleSwitch = async () => {
+    setSwitching(true)
+    setError(null)
+    try {
+      await walletService.switchNetwork()
+    } catch (err) {
+      setError(err.message || 'Could not switch networks')
+    } finally {
+      setSwitching(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/70 backdrop-blur-sm flex items-center justify-center z-[60]">
+      <div className="bg-[#0a0d14] border border-yellow-500/50 rounded-lg max-w-md w-full mx-4 p-6 shadow-2xl space-y-4">
+        <div className="flex items-center gap-3">
+          <AlertTriangle className="h-6 w-6 text-yellow-400" />
+          <h2 className="text-xl font-bold text-white">Wrong network</h2>
+        </div>
+        <p className="text-sm text-gray-300">
+          Your wallet is on chain {chainId}. Polymarket trades on Polygon, so SignalBay won't sign
+          anything until you switch back.
+        </p>
+        {error && (
+          <div className="p-3 bg-red-500/20 border border-red-500/50 rounded-lg text-red-400 text-sm">
+            {error}
+          </div>
+        )}
+        <div className="flex gap-2">
+          <button
+            onClick={handleSwitch}
+            disabled={switching}
+            className="flex-1 py-2 bg-yellow-500 text-black rounded font-semibold hover:bg-yellow-600 transition disabled:opacity-50"
+          >
+            {switching ? 'Switching...' : 'Switch to Polygon'}
+          </button>
+          <button
+            onClick={() => walletService.disconnect()}
+            disabled={switching}
+            className="px-4 py-2 bg-white/5 border border-white/10 rounded text-gray-300 hover:bg-white/10 transition"
+          >
+            Disconnect
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
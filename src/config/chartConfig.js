@@ -0,0 +1,34 @@
+/**
+ * Chart Configuration
+ * Shared by PredictionChart, DepthChart and EquityChart, so they read prices
+ * on the same scale and in the same colors
+ */
+
+// Price axis: outcome prices in cents
+export const PRICE_AXIS = {
+  min: 0,
+  max: 100,
+  precision: 1, // Decimal places on axis labels and the crosshair
+  minMove: 0.1, // Smallest price step drawn (the finest CLOB tick, in cents)
+}
+
+export const CHART_THEME = {
+  background: '#0a0d14',
+  text: '#9ca3af',
+  grid: 'rgba(255, 255, 255, 0.05)',
+  border: 'rgba(255, 255, 255, 0.1)',
+  up: '#22c55e', // Yes line / bids
+  down: '#ef4444', // No line / asks
+}
+
+// Depth chart
+export const DEPTH_CHART_CONFIG = {
+  window: 10, // Show levels within 10¢ either side of the mid
+  height: 260,
+}
+
+// Portfolio equity curve
+export const EQUITY_CHART_CONFIG = {
+  height: 280,
+  color: '#eab308',
+}
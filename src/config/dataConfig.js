@@ -1,9 +1,14 @@
 /**
  * Data Configuration
  * SignalBay uses Polymarket as the source of truth for prediction market data
- * Always uses real Polymarket data - no fallback to mock data
+ * Always uses real Polymarket data - no fallback to mock data outside demo mode
  */
 
+// Demo mode: when Polymarket data is unavailable, show clearly labelled
+// synthetic order books and price history instead of an empty state.
+// Enable with VITE_DEMO_MODE=true; never enabled by default.
+export const DEMO_MODE = import.meta.env.VITE_DEMO_MODE === 'true'
+
 // Polymarket API Configuration
 // NOTE: Reading market data does NOT require authentication (public API)
 // API keys are only needed for trading/placing orders
@@ -12,25 +17,52 @@ export const POLYMARKET_CONFIG = {
   gammaApiUrl: 'https://gamma-api.polymarket.com',
   // CLOB API (for trading/order book - may require auth for trading)
   clobApiUrl: 'https://clob.polymarket.com',
+  // Polygon JSON-RPC for on-chain reads when no wallet is connected (balances, allowances)
+  polygonRpcUrl: 'https://polygon-rpc.com',
+  // CLOB WebSocket market channel (public book, price change and trade events)
+  clobWsUrl: 'wss://ws-subscriptions-clob.polymarket.com/ws/market',
+  // CLOB WebSocket user channel (your order and fill events; needs API credentials)
+  clobUserWsUrl: 'wss://ws-subscriptions-clob.polymarket.com/ws/user',
   // API Key (optional - only needed for trading)
   // Get from: https://polymarket.com (when setting up trading)
   apiKey: import.meta.env.VITE_POLYMARKET_API_KEY || null,
-  // Private Key (optional - only needed for trading)
+  // Orders are signed by the connected browser wallet (see WalletService).
+  // Developer option: sign with a private key from .env instead. Only read by
+  // the dev server (`npm run dev`) with VITE_POLYMARKET_DEV_SIGNER=true, so the
+  // key is never compiled into a production bundle.
   // Export from Magic Link: https://reveal.magic.link/polymarket
-  // Or export from your Web3 wallet (MetaMask, Coinbase Wallet, etc.)
-  privateKey: import.meta.env.VITE_POLYMARKET_PRIVATE_KEY || null,
-  // Funder address (optional - only needed for trading)
+  privateKey: import.meta.env.DEV && import.meta.env.VITE_POLYMARKET_DEV_SIGNER === 'true'
+    ? import.meta.env.VITE_POLYMARKET_PRIVATE_KEY || null
+    : null,
+  // Funder address for the developer signer
   // Address shown below your profile picture on Polymarket site
   funderAddress: import.meta.env.VITE_POLYMARKET_FUNDER_ADDRESS || null,
+  // Signature type for the developer signer (1: Magic/Email, 2: Browser Wallet, 0: EOA)
+  signatureType: parseInt(import.meta.env.VITE_POLYMARKET_SIGNATURE_TYPE ?? '1'),
   // Rate limits
-  rateLimit: 100, // requests per minute (estimated)
+  rateLimit: 100, // requests per minute per host (estimated, enforced by RequestScheduler)
 }
 
 
 // Cache configuration
+// Entries older than their TTL are still served, then revalidated in the background
 export const CACHE_CONFIG = {
-  priceCacheTimeout: 60000, // 1 minute
-  historyCacheTimeout: 300000, // 5 minutes
+  ttl: {
+    markets: 60000, // 1 minute
+    search: 60000, // 1 minute
+    events: 120000, // 2 minutes
+    tags: 3600000, // 1 hour
+    sports: 3600000, // 1 hour
+    prices: 15000, // 15 seconds
+    books: 5000, // 5 seconds
+    history: 300000, // 5 minutes
+    portfolio: 30000, // 30 seconds
+    rules: 60000, // 1 minute (tick size, minimum size and neg-risk flag)
+  },
+  // IndexedDB persistence so a reload paints from the last session
+  dbName: 'signalbay-cache',
+  maxPersistedAge: 86400000, // Drop persisted entries older than 1 day
+  hydrateTimeout: 500, // Don't hold the first request longer than this waiting for IndexedDB
 }
 
 // Update intervals (respects API rate limits)
@@ -39,3 +71,82 @@ export const UPDATE_INTERVALS = {
   marketRefresh: 60000, // 1 minute
 }
 
+// Market stream configuration (CLOB WebSocket)
+export const STREAM_CONFIG = {
+  pingInterval: 10000, // Keep-alive PING every 10 seconds
+  staleTimeout: 30000, // Reconnect if nothing is received for 30 seconds
+  reconnectBaseDelay: 1000, // First reconnect after ~1 second
+  reconnectMaxDelay: 30000, // Backoff is capped at 30 seconds
+  snapshotTimeout: 5000, // Fetch a REST snapshot if no book arrives within 5 seconds
+  idleCloseDelay: 5000, // Close the socket 5 seconds after the last unsubscribe
+}
+
+// Order book engine configuration (see OrderBook)
+export const ORDER_BOOK_CONFIG = {
+  depthRange: 5, // Depth and imbalance count levels within 5¢ of the mid
+  resyncCooldown: 2000, // At most one REST resync per token every 2 seconds
+}
+
+// Order ticket configuration (see OrderPanel)
+export const ORDER_TICKET_CONFIG = {
+  slippageWarningPercent: 2, // Warn when the average fill is more than 2% worse than the mid
+  maxSweepLevels: 5, // Block orders that would take liquidity from more than 5 price levels
+  gtdThresholdSeconds: 60, // The CLOB expires GTD orders one minute before their signed expiration
+  defaultGtdMinutes: 60, // The expiration picker starts an hour ahead
+}
+
+// Trade tape configuration (see TradeTapeService)
+export const TRADES_CONFIG = {
+  bufferSize: 500, // Most recent trades kept per market
+  backfillLimit: 100, // Trades loaded from the CLOB when a market is first watched
+  backfillTtl: 60000, // Re-fetch a market that is not being streamed after 1 minute
+  largeTradeNotional: 1000, // A print of $1,000 or more is always large
+  largeTradeMultiple: 5, // ...as is one 5x the average size in the buffer
+}
+
+// Open orders configuration (see OrdersService)
+export const ORDERS_CONFIG = {
+  pollInterval: 30000, // Reconcile with REST every 30 seconds while the user channel is live
+  disconnectedPollInterval: 5000, // ...and every 5 seconds while it is down
+  refreshDelay: 500, // Coalesce refreshes triggered by bursts of fills
+}
+
+// Portfolio configuration (see PortfolioService)
+export const PORTFOLIO_CONFIG = {
+  refreshInterval: 30000, // Rebuild positions from fills and balances every 30 seconds
+  dustShares: 0.01, // Holdings below this are treated as closed
+  lotMethod: 'average', // Default cost method for sells: 'average' or 'fifo' (see PositionLedger)
+  snapshotInterval: 300000, // Record an equity snapshot at most every 5 minutes
+  historyDbName: 'signalbay-portfolio', // IndexedDB database for equity snapshots
+}
+
+// Browser wallet configuration (see WalletService)
+export const WALLET_CONFIG = {
+  storageKey: 'signalbay-trading-accounts', // localStorage key for each wallet's signature type and proxy address
+  connectorStorageKey: 'signalbay-wallet', // localStorage key for the wallet to reconnect on the next visit
+  discoveryTimeout: 1000, // ms to wait for the saved wallet to announce itself before giving up
+}
+
+// Saved API credentials configuration (see CredentialStore)
+export const CREDENTIALS_CONFIG = {
+  dbName: 'signalbay-credentials', // IndexedDB database for encrypted API credentials
+  kdfIterations: 310000, // PBKDF2-SHA256 iterations for the encryption key
+  minPassphraseLength: 8, // Shortest passphrase accepted
+}
+
+// Paper trading configuration (see PaperTradingService)
+export const PAPER_CONFIG = {
+  startingBalance: 1000, // Virtual USDC a new or reset paper account starts with
+  matchInterval: 3000, // Check resting paper orders against the live book every 3 seconds
+  storageKey: 'signalbay-paper-account', // localStorage key for the paper account
+  modeStorageKey: 'signalbay-trading-mode', // localStorage key for the paper/live toggle
+}
+
+// Request scheduler configuration (shared by Gamma and CLOB REST calls)
+export const REQUEST_CONFIG = {
+  burst: 10, // Requests that may start back to back before the budget applies
+  maxRetries: 3, // Retries for 429 and 5xx responses
+  retryBaseDelay: 500, // First retry after ~0.5 seconds
+  retryMaxDelay: 15000, // Backoff is capped at 15 seconds
+  metricsWindow: 60000, // Error rate is measured over the last minute
+}
@@ -0,0 +1,281 @@
+/**
+ * Cache Service
+ * Stale-while-revalidate cache for Polymarket data, persisted to IndexedDB
+ *
+ * Keys are `<resource>:<id>` (e.g. `markets:{...}`, `books:<tokenId>`), and the
+ * resource prefix selects the TTL from CACHE_CONFIG.ttl. load() returns a
+ * typed result (see DataResult): a fresh entry is `ok`, a stale entry is
+ * returned immediately as `stale` while one background request refreshes it,
+ * and a missing entry waits for the fetch (`ok`, or `unavailable` if it fails).
+ *
+ * Entries are mirrored to IndexedDB, so a reload can paint from the previous
+ * session before the network answers. Writes can invalidate entries by key
+ * prefix (see invalidate()).
+ */
+
+import { CACHE_CONFIG } from '../config/dataConfig'
+import { ok, stale, unavailable, getErrorReason } from './DataResult'
+
+const STORE_NAME = 'entries'
+
+class CacheService {
+  constructor() {
+    // key -> { data, timestamp }
+    this.entries = new Map()
+    // key -> Promise of fresh data (one revalidation per key at a time)
+    this.pending = new Map()
+    // key -> reason the last refresh failed (cleared on success)
+    this.failures = new Map()
+    // Listeners for revalidated entries: Set of { prefix, listener }
+    this.listeners = new Set()
+    this.db = null
+    this.ready = this.hydrate()
+  }
+
+  /**
+   * TTL for a key, from its resource prefix
+   */
+  getTtl(key) {
+    const resource = key.split(':')[0]
+    return CACHE_CONFIG.ttl[resource] ?? CACHE_CONFIG.ttl.markets
+  }
+
+  /**
+   * Read a cached value, or fetch it, revalidating stale entries in the background
+   * @param {string} key - Cache key, `<resource>:<id>`
+   * @param {Function} fetcher - Async function returning fresh data (may throw)
+   * @param {Object} options
+   *   - onRevalidate: called with fresh data when a stale entry is refreshed
+   *   - ttl: override the resource TTL
+   * @returns {Promise<Object>} ok / stale / unavailable result
+   */
+  async load(key, fetcher, options = {}) {
+    await this.waitForHydration()
+
+    const entry = this.entries.get(key)
+    const ttl = options.ttl ?? this.getTtl(key)
+
+    if (entry && Date.now() - entry.timestamp < ttl) {
+      return ok(entry.data, { timestamp: entry.timestamp })
+    }
+
+    if (entry) {
+      // Serve stale now, refresh in the background
+      this.revalidate(key, fetcher)
+        .then((data) => options.onRevalidate?.(data))
+        .catch((error) => console.error(`Error revalidating ${key}:`, error))
+      const failure = this.failures.get(key)
+      return stale(entry.data, {
+        timestamp: entry.timestamp,
+        ...(failure && { reason: `${failure}, showing cached data` }),
+      })
+    }
+
+    try {
+      const data = await this.revalidate(key, fetcher)
+      return ok(data)
+    } catch (error) {
+      console.error(`Error loading ${key}:`, error)
+      return unavailable(getErrorReason(error))
+    }
+  }
+
+  /**
+   * Fetch fresh data for a key and store it
+   * Concurrent calls for the same key share one fetch.
+   */
+  revalidate(key, fetcher) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key)
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then((data) => {
+        // An invalidation during the fetch wins over the stale response
+        if (this.pending.get(key) === promise) {
+          this.failures.delete(key)
+          this.set(key, data)
+        }
+        return data
+      }, (error) => {
+        this.failures.set(key, getErrorReason(error))
+        throw error
+      })
+      .finally(() => {
+        if (this.pending.get(key) === promise) {
+          this.pending.delete(key)
+        }
+      })
+
+    this.pending.set(key, promise)
+    return promise
+  }
+
+  /**
+   * Get a cached entry without fetching
+   * @returns {{ data, timestamp }|null}
+   */
+  get(key) {
+    return this.entries.get(key) || null
+  }
+
+  /**
+   * Store a value and persist it
+   */
+  set(key, data) {
+    const entry = { data, timestamp: Date.now() }
+    this.entries.set(key, entry)
+    this.persist(key, entry)
+    this.emit(key, data)
+  }
+
+  /**
+   * Drop every entry whose key starts with a prefix
+   * @param {string} prefix - e.g. `books:` or `prices:<tokenId>`
+   */
+  invalidate(prefix) {
+    Array.from(this.entries.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key)
+      }
+    })
+    Array.from(this.pending.keys()).forEach((key) => {
+      if (key.startsWith(prefix)) {
+        this.pending.delete(key)
+      }
+    })
+    this.removePersisted(prefix)
+  }
+
+  /**
+   * Listen for entries written under a prefix (fresh fetches and revalidations)
+   * @param {string} prefix - Key prefix
+   * @param {Function} listener - Called with (key, data)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(prefix, listener) {
+    const subscription = { prefix, listener }
+    this.listeners.add(subscription)
+    return () => this.listeners.delete(subscription)
+  }
+
+  emit(key, data) {
+    this.listeners.forEach(({ prefix, listener }) => {
+      if (!key.startsWith(prefix)) return
+      try {
+        listener(key, data)
+      } catch (error) {
+        console.error('Error in cache listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Wait for IndexedDB hydration, but never longer than hydrateTimeout
+   */
+  waitForHydration() {
+    return Promise.race([
+      this.ready,
+      new Promise(resolve => setTimeout(resolve, CACHE_CONFIG.hydrateTimeout)),
+    ])
+  }
+
+  /**
+   * Open the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  openDatabase() {
+    return new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      try {
+        const request = indexedDB.open(CACHE_CONFIG.dbName, 1)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => {
+          console.error('Error opening cache database:', request.error)
+          resolve(null)
+        }
+      } catch (error) {
+        console.error('Error opening cache database:', error)
+        resolve(null)
+      }
+    })
+  }
+
+  /**
+   * Load persisted entries into memory, dropping expired ones
+   */
+  async hydrate() {
+    this.db = await this.openDatabase()
+    if (!this.db) return
+
+    await new Promise((resolve) => {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite')
+      const store = transaction.objectStore(STORE_NAME)
+      const request = store.openCursor()
+      const now = Date.now()
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (!cursor) return
+        const { key, data, timestamp } = cursor.value
+        if (now - timestamp > CACHE_CONFIG.maxPersistedAge) {
+          cursor.delete()
+        } else if (!this.entries.has(key)) {
+          // Entries written while we were hydrating are newer
+          this.entries.set(key, { data, timestamp })
+        }
+        cursor.continue()
+      }
+      transaction.oncomplete = resolve
+      transaction.onerror = () => {
+        console.error('Error reading cache database:', transaction.error)
+        resolve()
+      }
+    })
+  }
+
+  persist(key, entry) {
+    if (!this.db) return
+    try {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite')
+      transaction.objectStore(STORE_NAME).put({ key, ...entry })
+      transaction.onerror = () => console.error(`Error persisting ${key}:`, transaction.error)
+    } catch (error) {
+      // Non-cloneable data stays memory-only
+      console.error(`Error persisting ${key}:`, error)
+    }
+  }
+
+  removePersisted(prefix) {
+    if (!this.db) return
+    try {
+      const transaction = this.db.transaction(STORE_NAME, 'readwrite')
+      // Keys sharing a prefix sort together, so a bounded range covers them
+      const range = IDBKeyRange.bound(prefix, `${prefix}￿`)
+      transaction.objectStore(STORE_NAME).delete(range)
+    } catch (error) {
+      console.error(`Error invalidating ${prefix}:`, error)
+    }
+  }
+
+  /**
+   * Clear memory and persisted entries
+   */
+  clear() {
+    this.entries.clear()
+    this.pending.clear()
+    if (!this.db) return
+    this.db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear()
+  }
+}
+
+// Export singleton instance
+export const cacheService = new CacheService()
+export default CacheService
@@ -0,0 +1,218 @@
+/**
+ * Credential Store
+ * CLOB API credentials (key, secret, passphrase) encrypted in IndexedDB
+ *
+ * Deriving credentials takes a wallet signature, so they are kept between
+ * sessions once the user opts in (see TradingService.rememberCredentials).
+ * Nothing is stored in plaintext and nothing goes to localStorage:
+ * - The credentials are encrypted with AES-GCM under a key derived by PBKDF2
+ *   (CREDENTIALS_CONFIG.kdfIterations, random salt per record)
+ * - The key comes from a passphrase the user chooses, or from the wallet's
+ *   signature of a fixed message (wallets sign deterministically, so the same
+ *   wallet always unlocks its own record)
+ * - Unlocked credentials and the key live in memory for the session only
+ *
+ * Records are keyed by account: signer address, signature type and funder.
+ * Record: { account, protection ('passphrase' | 'wallet'), salt, iv,
+ *   ciphertext, createdAt (ms) }
+ */
+
+import { CREDENTIALS_CONFIG } from '../config/dataConfig'
+
+const STORE_NAME = 'credentials'
+
+export const CREDENTIAL_PROTECTION = {
+  PASSPHRASE: 'passphrase',
+  WALLET: 'wallet',
+}
+
+/**
+ * Thrown when stored credentials need a passphrase before they can be used
+ */
+export class CredentialsLockedError extends Error {
+  constructor() {
+    super('Your saved API credentials are locked. Enter your passphrase to unlock them.')
+    this.name = 'CredentialsLockedError'
+  }
+}
+
+class CredentialStore {
+  constructor() {
+    this.db = null
+    this.ready = null
+    // account -> { key (CryptoKey), salt, protection, creds }
+    this.unlocked = new Map()
+  }
+
+  /**
+   * Message the wallet signs to derive its encryption key
+   */
+  getWalletKeyMessage(account) {
+    return `SignalBay: unlock saved Polymarket API credentials\n\nAccount: ${account}\n\nThis signature never leaves your browser and does not authorize any transaction.`
+  }
+
+  /**
+   * The stored record for an account, if any
+   * @returns {Promise<Object|null>}
+   */
+  async getEntry(account) {
+    const db = await this.openDatabase()
+    if (!db) return null
+    return this.request(db, 'readonly', store => store.get(account)).catch((error) => {
+      console.error('Error reading saved credentials:', error)
+      return null
+    }).then(entry => entry || null)
+  }
+
+  /**
+   * Credentials already unlocked this session
+   * @returns {{ key, secret, passphrase }|null}
+   */
+  getCredentials(account) {
+    return this.unlocked.get(account)?.creds || null
+  }
+
+  /**
+   * Decrypt an account's stored credentials for this session
+   * @param {string} account - Account key
+   * @param {string} secret - The passphrase, or the wallet's signature of getWalletKeyMessage()
+   * @returns {Promise<Object>} The credentials
+   * @throws {Error} If nothing is stored or the secret is wrong
+   */
+  async unlock(account, secret) {
+    const entry = await this.getEntry(account)
+    if (!entry) {
+      throw new Error('No saved credentials for this account')
+    }
+
+    const key = await this.deriveKey(secret, entry.salt)
+    let creds
+    try {
+      const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: entry.iv }, key, entry.ciphertext)
+      creds = JSON.parse(new TextDecoder().decode(plaintext))
+    } catch {
+      throw new Error(entry.protection === CREDENTIAL_PROTECTION.PASSPHRASE
+        ? 'Wrong passphrase'
+        : 'This wallet could not unlock the saved credentials')
+    }
+
+    this.unlocked.set(account, { key, salt: entry.salt, protection: entry.protection, creds })
+    return creds
+  }
+
+  /**
+   * Encrypt and store credentials, replacing any stored for the account
+   * @param {string} account - Account key
+   * @param {Object} creds - { key, secret, passphrase }
+   * @param {string} protection - CREDENTIAL_PROTECTION value
+   * @param {string} secret - The passphrase, or the wallet's signature of getWalletKeyMessage()
+   */
+  async save(account, creds, protection, secret) {
+    if (protection === CREDENTIAL_PROTECTION.PASSPHRASE && (secret || '').length < CREDENTIALS_CONFIG.minPassphraseLength) {
+      throw new Error(`Use a passphrase of at least ${CREDENTIALS_CONFIG.minPassphraseLength} characters`)
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const key = await this.deriveKey(secret, salt)
+    await this.write(account, creds, protection, key, salt)
+  }
+
+  /**
+   * Store new credentials under the key already unlocked this session (after a rotation)
+   * @throws {Error} If the account's credentials are not unlocked
+   */
+  async replace(account, creds) {
+    const current = this.unlocked.get(account)
+    if (!current) {
+      throw new Error('Unlock the saved credentials first')
+    }
+    await this.write(account, creds, current.protection, current.key, current.salt)
+  }
+
+  /**
+   * Delete an account's stored credentials and drop them from memory
+   */
+  async forget(account) {
+    this.unlocked.delete(account)
+    const db = await this.openDatabase()
+    if (!db) return
+    await this.request(db, 'readwrite', store => store.delete(account))
+  }
+
+  async write(account, creds, protection, key, salt) {
+    const db = await this.openDatabase()
+    if (!db) {
+      throw new Error('Saving credentials needs IndexedDB, which is not available in this browser')
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify({ key: creds.key, secret: creds.secret, passphrase: creds.passphrase }))
+    )
+    await this.request(db, 'readwrite', store => store.put({
+      account,
+      protection,
+      salt,
+      iv,
+      ciphertext,
+      createdAt: Date.now(),
+    }))
+    this.unlocked.set(account, { key, salt, protection, creds })
+  }
+
+  /**
+   * AES-GCM key from a passphrase or signature (PBKDF2-SHA256); not extractable
+   */
+  async deriveKey(secret, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey'])
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations: CREDENTIALS_CONFIG.kdfIterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    )
+  }
+
+  request(db, mode, operation) {
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode)
+      const request = operation(transaction.objectStore(STORE_NAME))
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+
+  openDatabase() {
+    if (this.ready) return this.ready
+    this.ready = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined' || !globalThis.crypto?.subtle) {
+        resolve(null)
+        return
+      }
+      try {
+        const request = indexedDB.open(CREDENTIALS_CONFIG.dbName, 1)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'account' })
+        }
+        request.onsuccess = () => {
+          this.db = request.result
+          resolve(request.result)
+        }
+        request.onerror = () => {
+          console.error('Error opening credentials database:', request.error)
+          resolve(null)
+        }
+      } catch (error) {
+        console.error('Error opening credentials database:', error)
+        resolve(null)
+      }
+    })
+    return this.ready
+  }
+}
+
+// Export singleton instance
+export const credentialStore = new CredentialStore()
+export default CredentialStore
@@ -0,0 +1,95 @@
+/**
+ * Data Results
+ * Typed results returned by PolymarketService read methods
+ *
+ * - ok: fresh data
+ * - stale: cached data older than its TTL (a refresh is in flight); `reason`
+ *   explains why it may be out of date
+ * - unavailable: no data; `reason` is a short message for the UI
+ *
+ * Every result has { status, data, reason, timestamp }. `synthetic: true`
+ * marks demo-mode data that did not come from Polymarket.
+ */
+
+export const DATA_STATUS = {
+  OK: 'ok',
+  STALE: 'stale',
+  UNAVAILABLE: 'unavailable',
+}
+
+export function ok(data, meta = {}) {
+  return { status: DATA_STATUS.OK, data, reason: null, timestamp: Date.now(), ...meta }
+}
+
+export function stale(data, meta = {}) {
+  return { status: DATA_STATUS.STALE, data, reason: 'Showing cached data while refreshing', timestamp: null, ...meta }
+}
+
+export function unavailable(reason, meta = {}) {
+  return { status: DATA_STATUS.UNAVAILABLE, data: null, reason, timestamp: null, ...meta }
+}
+
+/**
+ * Whether a result carries data (ok or stale)
+ */
+export function hasData(result) {
+  return !!result && result.status !== DATA_STATUS.UNAVAILABLE
+}
+
+/**
+ * Transform the data of a usable result, keeping its status and metadata
+ */
+export function mapResult(result, transform) {
+  return hasData(result) ? { ...result, data: transform(result.data) } : result
+}
+
+/**
+ * Error thrown by unwrap() for an unavailable result
+ */
+export class DataUnavailableError extends Error {
+  constructor(reason) {
+    super(reason || 'Data unavailable')
+    this.name = 'DataUnavailableError'
+    this.reason = reason
+  }
+}
+
+/**
+ * Return a result's data, throwing DataUnavailableError when there is none
+ * For callers that keep try/catch error handling.
+ */
+export function unwrap(result) {
+  if (!hasData(result)) {
+    throw new DataUnavailableError(result?.reason)
+  }
+  return result.data
+}
+
+/**
+ * Short, user-facing reason for a failed request
+ * @param {Error} error - Usually a RequestError from requestScheduler
+ * @returns {string}
+ */
+export function getErrorReason(error) {
+  if (!error) return 'Data unavailable'
+  if (error.reason) return error.reason
+  if (error.status === 429) return 'Rate limited by Polymarket, try again shortly'
+  if (error.status >= 500) return `Polymarket is having problems (HTTP ${error.status})`
+  if (error.status === 404) return 'Not found on Polymarket'
+  if (error.status) return `Polymarket rejected the request (HTTP ${error.status})`
+  return 'Cannot reach Polymarket, check your connection'
+}
+
+/**
+ * How long ago a timestamp was, for stale-data labels (e.g. "5m ago")
+ */
+export function formatAge(timestamp) {
+  if (!timestamp) return ''
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000))
+  if (seconds < 60) return `${seconds}s ago`
+  const minutes = Math.round(seconds / 60)
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.round(minutes / 60)
+  if (hours < 48) return `${hours}h ago`
+  return `${Math.round(hours / 24)}d ago`
+}
@@ -0,0 +1,284 @@
+/**
+ * Export Service
+ * CSV and JSON export of trading activity, and import of a previous export
+ *
+ * Datasets and their columns (EXPORT_SCHEMAS) are fixed, so spreadsheets built
+ * on an export keep working: columns are only ever added at the end, and
+ * JSON exports carry a version. Timestamps are ISO 8601 (UTC), prices cents,
+ * sizes shares and amounts dollars.
+ *
+ * A JSON export holds every dataset. Importing one restores what cannot be
+ * rebuilt from Polymarket: equity snapshots (see PortfolioHistoryService,
+ * under the exporting account) and the lot method preference. A live
+ * account's fills, orders and positions are always rebuilt from the CLOB, so
+ * they are exported for reconciliation only. The paper account only exists
+ * in this browser, so its export also carries the whole paper account
+ * (PaperTradingService.exportAccount), which import restores after asking.
+ * A CSV export of the snapshots dataset can be imported as well.
+ */
+
+import { PORTFOLIO_CONFIG } from '../config/dataConfig'
+import { tradingModeService } from './TradingModeService'
+import { portfolioService } from './PortfolioService'
+import { portfolioHistoryService } from './PortfolioHistoryService'
+import { paperTradingService } from './PaperTradingService'
+import { ordersService } from './OrdersService'
+import { cacheService } from './CacheService'
+import { PositionLedger, LOT_METHODS } from './PositionLedger'
+
+export const EXPORT_FORMAT = 'signalbay-export'
+export const EXPORT_VERSION = 1
+
+const toIso = timestamp => (timestamp ? new Date(timestamp).toISOString() : '')
+const fromIso = value => (value ? Date.parse(value) : null)
+
+// Column name -> value from a record, per dataset
+export const EXPORT_SCHEMAS = {
+  fills: {
+    id: fill => fill.id,
+    time: fill => toIso(fill.timestamp),
+    market_id: fill => fill.marketId,
+    token_id: fill => fill.tokenId,
+    outcome: fill => fill.outcome,
+    side: fill => fill.side,
+    size: fill => fill.size,
+    price_cents: fill => fill.price,
+    fee_rate_bps: fill => fill.feeRateBps,
+    fee_usd: fill => PositionLedger.getFee(fill),
+  },
+  orders: {
+    id: order => order.id,
+    created: order => toIso(order.createdAt),
+    market_id: order => order.marketId,
+    token_id: order => order.tokenId,
+    outcome: order => order.outcome,
+    side: order => order.side,
+    price_cents: order => order.price,
+    original_size: order => order.originalSize,
+    size_matched: order => order.sizeMatched,
+    remaining_size: order => order.remainingSize,
+    order_type: order => order.orderType,
+    status: order => order.status,
+  },
+  positions: {
+    token_id: position => position.tokenId,
+    market_id: position => position.marketId,
+    market: position => position.marketTitle,
+    outcome: position => position.outcome,
+    quantity: position => position.quantity,
+    average_cost_cents: position => position.entryPrice,
+    cost_basis_usd: position => position.costBasis,
+    current_price_cents: position => position.currentPrice,
+    unrealized_pnl_usd: position => PositionLedger.getUnrealizedPnl(position, position.currentPrice),
+    realized_pnl_usd: position => position.realizedPnl,
+    fees_usd: position => position.fees,
+    opened: position => toIso(position.openedAt),
+  },
+  settled: {
+    token_id: position => position.tokenId,
+    market_id: position => position.marketId,
+    market: position => position.marketTitle,
+    outcome: position => position.outcome,
+    payout_cents: position => position.resolution?.payout,
+    quantity: position => position.resolution?.quantity,
+    cost_usd: position => position.resolution?.cost,
+    realized_pnl_usd: position => position.realizedPnl,
+    fees_usd: position => position.fees,
+    resolved: position => toIso(position.resolution?.timestamp),
+    awaiting_redemption: position => position.awaitingRedemption,
+  },
+  snapshots: {
+    time: snapshot => toIso(snapshot.timestamp),
+    cash_usd: snapshot => snapshot.cash,
+    position_value_usd: snapshot => snapshot.positionValue,
+    equity_usd: snapshot => snapshot.equity,
+    cost_basis_usd: snapshot => snapshot.costBasis,
+    realized_pnl_usd: snapshot => snapshot.realizedPnl,
+    unrealized_pnl_usd: snapshot => snapshot.unrealizedPnl,
+    total_pnl_usd: snapshot => snapshot.totalPnl,
+    fees_usd: snapshot => snapshot.fees,
+  },
+}
+
+class ExportService {
+  /**
+   * Gather every dataset for the active account (live or paper)
+   * @param {string} lotMethod - Lot method the positions are costed with
+   * @returns {Promise<Object>} { fills, orders, positions, settled, snapshots,
+   *   paperAccount (paper only) }
+   */
+  async collect(lotMethod = PORTFOLIO_CONFIG.lotMethod) {
+    const service = tradingModeService.getService()
+    await service.ensureInitialized()
+    const [account, orders, snapshots] = await Promise.all([
+      cacheService.revalidate(portfolioService.getCacheKey(), () => portfolioService.fetchAccount()),
+      service.getOpenOrders(),
+      portfolioHistoryService.getSnapshots('All'),
+    ])
+    const portfolio = await portfolioService.buildPortfolio(account, lotMethod)
+
+    return {
+      fills: account.fills,
+      orders: (orders || []).map(order => ordersService.normalizeOrder(order)),
+      positions: portfolio.positions,
+      settled: portfolio.closedPositions.filter(position => position.resolution),
+      snapshots,
+      paperAccount: tradingModeService.isPaper() ? paperTradingService.exportAccount() : undefined,
+    }
+  }
+
+  /**
+   * Rows of a dataset in its export schema
+   * @returns {Array<Object>} One object per record, keys in column order
+   */
+  toRows(dataset, records) {
+    const schema = EXPORT_SCHEMAS[dataset]
+    return records.map(record => Object.fromEntries(
+      Object.entries(schema).map(([column, read]) => [column, read(record) ?? null])
+    ))
+  }
+
+  toCsv(dataset, records) {
+    const columns = Object.keys(EXPORT_SCHEMAS[dataset])
+    const escape = (value) => {
+      if (value === null || value === undefined) return ''
+      const text = String(value)
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    }
+    const lines = this.toRows(dataset, records).map(row => columns.map(column => escape(row[column])).join(','))
+    return [columns.join(','), ...lines].join('\n')
+  }
+
+  toJson(datasets, lotMethod) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      account: portfolioHistoryService.getAccount(),
+      lotMethod,
+      ...Object.fromEntries(Object.keys(EXPORT_SCHEMAS).map(dataset => [
+        dataset,
+        this.toRows(dataset, datasets[dataset] || []),
+      ])),
+      paperAccount: datasets.paperAccount,
+    }, null, 2)
+  }
+
+  /**
+   * Export to a downloaded file
+   * @param {string} format - 'json' (every dataset) or 'csv'
+   * @param {string} dataset - EXPORT_SCHEMAS key (CSV only)
+   * @param {string} lotMethod - Lot method for positions
+   */
+  async download(format, dataset = null, lotMethod = PORTFOLIO_CONFIG.lotMethod) {
+    const datasets = await this.collect(lotMethod)
+    const date = new Date().toISOString().slice(0, 10)
+
+    if (format === 'json') {
+      this.saveFile(this.toJson(datasets, lotMethod), `signalbay-export-${date}.json`, 'application/json')
+    } else {
+      this.saveFile(this.toCsv(dataset, datasets[dataset] || []), `signalbay-${dataset}-${date}.csv`, 'text/csv')
+    }
+  }
+
+  saveFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+  }
+
+  /**
+   * Restore local state from a previous export
+   * @param {File} file - A JSON export, or a CSV export of snapshots
+   * @param {Object} options - { confirmPaperRestore: called before a paper
+   *   account in the export replaces the current one; return false to keep it }
+   * @returns {Promise<Object>} { snapshots (count restored), lotMethod (to apply, or null),
+   *   account (the snapshots were restored under), paperRestored }
+   * @throws {Error} If the file is not a SignalBay export
+   */
+  async importFile(file, options = {}) {
+    const text = await file.text()
+    const isJson = file.name.toLowerCase().endsWith('.json') || text.trimStart().startsWith('{')
+    return isJson ? this.importJson(text, options) : this.importSnapshotsCsv(text)
+  }
+
+  async importJson(text, options = {}) {
+    let data
+    try {
+      data = JSON.parse(text)
+    } catch {
+      throw new Error('The file is not valid JSON')
+    }
+    if (data?.format !== EXPORT_FORMAT) {
+      throw new Error('Not a SignalBay export')
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`This export is from a newer version of SignalBay (format ${data.version})`)
+    }
+
+    const account = data.account || portfolioHistoryService.getAccount()
+    const snapshots = (data.snapshots || []).map(row => this.toSnapshot(row, account)).filter(Boolean)
+    const restored = await portfolioHistoryService.importSnapshots(snapshots)
+    const lotMethod = Object.values(LOT_METHODS).includes(data.lotMethod) ? data.lotMethod : null
+
+    // Paper fills, orders and positions only exist in the export
+    let paperRestored = false
+    if (data.paperAccount && (!options.confirmPaperRestore || options.confirmPaperRestore())) {
+      paperTradingService.importAccount(data.paperAccount)
+      portfolioService.invalidate()
+      paperRestored = true
+    }
+
+    return { snapshots: restored, lotMethod, account, paperRestored }
+  }
+
+  async importSnapshotsCsv(text) {
+    const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim())
+    const columns = Object.keys(EXPORT_SCHEMAS.snapshots)
+    if (header?.trim() !== columns.join(',')) {
+      throw new Error('Only the snapshots CSV can be imported; use the JSON export for everything else')
+    }
+
+    const account = portfolioHistoryService.getAccount()
+    if (!account) {
+      throw new Error('Connect a wallet before importing snapshots')
+    }
+    const snapshots = lines
+      .map(line => Object.fromEntries(line.split(',').map((value, index) => [columns[index], value])))
+      .map(row => this.toSnapshot(row, account))
+      .filter(Boolean)
+    const restored = await portfolioHistoryService.importSnapshots(snapshots)
+    return { snapshots: restored, lotMethod: null, account, paperRestored: false }
+  }
+
+  /**
+   * A snapshot from an exported row (null if the row is unusable)
+   */
+  toSnapshot(row, account) {
+    const timestamp = fromIso(row.time)
+    const equity = parseFloat(row.equity_usd)
+    if (!timestamp || isNaN(equity)) return null
+    const number = value => parseFloat(value) || 0
+    return {
+      account,
+      timestamp,
+      cash: number(row.cash_usd),
+      positionValue: number(row.position_value_usd),
+      equity,
+      costBasis: number(row.cost_basis_usd),
+      realizedPnl: number(row.realized_pnl_usd),
+      unrealizedPnl: number(row.unrealized_pnl_usd),
+      totalPnl: number(row.total_pnl_usd),
+      fees: number(row.fees_usd),
+    }
+  }
+}
+
+// Export singleton instance
+export const exportService = new ExportService()
+export default ExportService
@@ -0,0 +1,517 @@
+/**
+ * Market Stream Service
+ * Streams real-time market data from the Polymarket CLOB WebSocket market channel
+ *
+ * Channel: wss://ws-subscriptions-clob.polymarket.com/ws/market
+ * Events handled:
+ * - book: full order book snapshot for a token
+ * - price_change: level updates for one or more tokens (plus best bid/ask)
+ * - last_trade_price: last matched trade for a token
+ * - tick_size_change: tick size update near the price extremes
+ *
+ * A single socket is shared by the whole app. Subscriptions are reference
+ * counted per CLOB token ID, so several components watching the same market
+ * share one upstream subscription. The socket reconnects with exponential
+ * backoff and resyncs every book from a snapshot after a gap.
+ *
+ * Each token's book is an incremental OrderBook: deltas are applied in place,
+ * and a delta that is out of sequence or leaves the top of book disagreeing
+ * with the server triggers a REST resync. Event hashes only identify duplicate
+ * snapshots; they are not checked against the local book (see OrderBook).
+ */
+
+import { POLYMARKET_CONFIG, STREAM_CONFIG, ORDER_BOOK_CONFIG } from '../config/dataConfig'
+import { requestScheduler } from './RequestScheduler'
+import { OrderBook } from './OrderBook'
+
+class MarketStreamService {
+  constructor() {
+    this.wsUrl = POLYMARKET_CONFIG.clobWsUrl
+    // REST snapshot endpoint (uses proxy in development, like PolymarketService)
+    this.clobUrl = import.meta.env.DEV ? '/api/clob' : POLYMARKET_CONFIG.clobApiUrl
+    this.socket = null
+    this.status = 'closed' // 'connecting' | 'open' | 'reconnecting' | 'closed'
+    this.reconnectAttempts = 0
+    this.reconnectTimer = null
+    this.pingTimer = null
+    this.idleTimer = null
+    this.lastMessageAt = 0
+    // tokenId -> Set of listeners
+    this.listeners = new Map()
+    // tokenId -> OrderBook
+    this.books = new Map()
+    // tokenId -> time of the last REST resync, and a timer for the next one
+    // (at most one per ORDER_BOOK_CONFIG.resyncCooldown)
+    this.lastResyncAt = new Map()
+    this.resyncTimers = new Map()
+    // tokenId -> timeout waiting for the first snapshot
+    this.snapshotTimers = new Map()
+    this.statusListeners = new Set()
+  }
+
+  /**
+   * Subscribe to market events for one or more CLOB token IDs
+   * @param {string|Array<string>} tokenIds - CLOB token ID(s)
+   * @param {Function} listener - Called with { type, tokenId, state, event }, where state is the OrderBook
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(tokenIds, listener) {
+    const ids = (Array.isArray(tokenIds) ? tokenIds : [tokenIds]).filter(Boolean).map(String)
+    if (ids.length === 0 || typeof listener !== 'function') {
+      return () => {}
+    }
+
+    const added = []
+    ids.forEach((tokenId) => {
+      if (!this.listeners.has(tokenId)) {
+        this.listeners.set(tokenId, new Set())
+        added.push(tokenId)
+      }
+      this.listeners.get(tokenId).add(listener)
+    })
+
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer)
+      this.idleTimer = null
+    }
+
+    if (added.length > 0) {
+      if (this.socket && this.status === 'open') {
+        this.send({ assets_ids: added, operation: 'subscribe' })
+        added.forEach(tokenId => this.awaitSnapshot(tokenId))
+      } else {
+        this.connect()
+      }
+    }
+
+    // Replay current state so late subscribers paint immediately
+    ids.forEach((tokenId) => {
+      const book = this.books.get(tokenId)
+      if (book && book.synced) {
+        listener({ type: 'book', tokenId, state: book })
+      }
+    })
+
+    let active = true
+    return () => {
+      if (!active) return
+      active = false
+      this.unsubscribe(ids, listener)
+    }
+  }
+
+  /**
+   * Remove a listener from the given token IDs
+   */
+  unsubscribe(tokenIds, listener) {
+    const removed = []
+    tokenIds.forEach((tokenId) => {
+      const set = this.listeners.get(tokenId)
+      if (!set) return
+      set.delete(listener)
+      if (set.size === 0) {
+        this.listeners.delete(tokenId)
+        this.books.delete(tokenId)
+        this.lastResyncAt.delete(tokenId)
+        clearTimeout(this.resyncTimers.get(tokenId))
+        this.resyncTimers.delete(tokenId)
+        this.clearSnapshotTimer(tokenId)
+        removed.push(tokenId)
+      }
+    })
+
+    if (removed.length > 0 && this.socket && this.status === 'open') {
+      this.send({ assets_ids: removed, operation: 'unsubscribe' })
+    }
+
+    // Close the socket once nothing is subscribed (after a grace period,
+    // so switching between markets does not churn connections)
+    if (this.listeners.size === 0 && !this.idleTimer) {
+      this.idleTimer = setTimeout(() => {
+        this.idleTimer = null
+        if (this.listeners.size === 0) {
+          this.close()
+        }
+      }, STREAM_CONFIG.idleCloseDelay)
+    }
+  }
+
+  /**
+   * Subscribe to connection status changes
+   * @param {Function} listener - Called with the new status string
+   * @returns {Function} Unsubscribe function
+   */
+  onStatusChange(listener) {
+    this.statusListeners.add(listener)
+    listener(this.status)
+    return () => this.statusListeners.delete(listener)
+  }
+
+  setStatus(status) {
+    if (this.status === status) return
+    this.status = status
+    this.statusListeners.forEach((listener) => {
+      try {
+        listener(status)
+      } catch (error) {
+        console.error('Error in stream status listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Open the WebSocket (no-op if already open or connecting)
+   */
+  connect() {
+    if (typeof WebSocket === 'undefined') {
+      return
+    }
+    if (this.socket && (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING)) {
+      return
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+
+    this.setStatus(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting')
+
+    let socket
+    try {
+      socket = new WebSocket(this.wsUrl)
+    } catch (error) {
+      console.error('Error opening market stream:', error)
+      this.scheduleReconnect()
+      return
+    }
+    this.socket = socket
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return
+      this.reconnectAttempts = 0
+      this.lastMessageAt = Date.now()
+      this.setStatus('open')
+
+      const tokenIds = Array.from(this.listeners.keys())
+      if (tokenIds.length > 0) {
+        this.send({ assets_ids: tokenIds, type: 'market' })
+        tokenIds.forEach(tokenId => this.awaitSnapshot(tokenId))
+      }
+      this.startHeartbeat()
+    }
+
+    socket.onmessage = (message) => {
+      if (this.socket !== socket) return
+      this.lastMessageAt = Date.now()
+      if (message.data === 'PONG') return
+
+      let payload
+      try {
+        payload = JSON.parse(message.data)
+      } catch {
+        return
+      }
+      const events = Array.isArray(payload) ? payload : [payload]
+      events.forEach(event => this.handleEvent(event))
+    }
+
+    socket.onerror = (error) => {
+      console.error('Market stream error:', error)
+    }
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return
+      this.socket = null
+      this.stopHeartbeat()
+      // Everything we hold is now potentially behind - resync after reconnect
+      this.books.forEach((book) => {
+        book.synced = false
+      })
+      if (this.listeners.size > 0) {
+        this.scheduleReconnect()
+      } else {
+        this.setStatus('closed')
+      }
+    }
+  }
+
+  /**
+   * Close the socket and stop reconnecting
+   */
+  close() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = null
+    }
+    this.stopHeartbeat()
+    this.snapshotTimers.forEach(timer => clearTimeout(timer))
+    this.snapshotTimers.clear()
+    this.resyncTimers.forEach(timer => clearTimeout(timer))
+    this.resyncTimers.clear()
+    const socket = this.socket
+    this.socket = null
+    this.reconnectAttempts = 0
+    if (socket) {
+      socket.close()
+    }
+    this.setStatus('closed')
+  }
+
+  /**
+   * Reconnect with exponential backoff and jitter
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return
+    const { reconnectBaseDelay, reconnectMaxDelay } = STREAM_CONFIG
+    const backoff = Math.min(reconnectMaxDelay, reconnectBaseDelay * Math.pow(2, this.reconnectAttempts))
+    const delay = backoff / 2 + Math.random() * (backoff / 2)
+    this.reconnectAttempts += 1
+    this.setStatus('reconnecting')
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      this.connect()
+    }, delay)
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat()
+    this.pingTimer = setInterval(() => {
+      if (!this.socket) return
+      // Treat a silent socket as dead - the server answers every PING
+      if (Date.now() - this.lastMessageAt > STREAM_CONFIG.staleTimeout) {
+        this.socket.close()
+        return
+      }
+      this.send('PING')
+    }, STREAM_CONFIG.pingInterval)
+  }
+
+  stopHeartbeat() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer)
+      this.pingTimer = null
+    }
+  }
+
+  send(payload) {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return
+    this.socket.send(typeof payload === 'string' ? payload : JSON.stringify(payload))
+  }
+
+  /**
+   * Fall back to a REST snapshot if the server does not send a book in time
+   */
+  awaitSnapshot(tokenId) {
+    this.clearSnapshotTimer(tokenId)
+    const timer = setTimeout(() => {
+      this.snapshotTimers.delete(tokenId)
+      const book = this.books.get(tokenId)
+      if (!book || !book.synced) {
+        this.resync(tokenId)
+      }
+    }, STREAM_CONFIG.snapshotTimeout)
+    this.snapshotTimers.set(tokenId, timer)
+  }
+
+  clearSnapshotTimer(tokenId) {
+    const timer = this.snapshotTimers.get(tokenId)
+    if (timer) {
+      clearTimeout(timer)
+      this.snapshotTimers.delete(tokenId)
+    }
+  }
+
+  /**
+   * Schedule a REST snapshot to replace local state
+   * Deltas are dropped until the snapshot lands. Requests for the same token
+   * coalesce, and are spaced at least resyncCooldown apart.
+   * @param {string} tokenId - CLOB token ID
+   */
+  resync(tokenId) {
+    if (this.resyncTimers.has(tokenId)) return
+    const lastAt = this.lastResyncAt.get(tokenId) || 0
+    const delay = Math.max(0, lastAt + ORDER_BOOK_CONFIG.resyncCooldown - Date.now())
+    const timer = setTimeout(() => {
+      this.resyncTimers.delete(tokenId)
+      this.lastResyncAt.set(tokenId, Date.now())
+      this.fetchSnapshot(tokenId)
+    }, delay)
+    this.resyncTimers.set(tokenId, timer)
+  }
+
+  /**
+   * Fetch a book snapshot over REST and apply it
+   */
+  async fetchSnapshot(tokenId) {
+    if (!this.listeners.has(tokenId)) return
+    try {
+      const data = await requestScheduler.fetchJson(`${this.clobUrl}/book?token_id=${tokenId}`)
+      if (!data || !this.listeners.has(tokenId)) return
+      this.handleEvent({ ...data, event_type: 'book', asset_id: data.asset_id || tokenId })
+    } catch (error) {
+      console.error(`Error resyncing order book for token ${tokenId}:`, error)
+    }
+  }
+
+  /**
+   * Route a single event from the market channel
+   */
+  handleEvent(event) {
+    if (!event || !event.event_type) return
+
+    switch (event.event_type) {
+      case 'book':
+        this.applySnapshot(event)
+        break
+      case 'price_change':
+        this.applyPriceChange(event)
+        break
+      case 'last_trade_price':
+        this.applyLastTrade(event)
+        break
+      case 'tick_size_change':
+        this.applyTickSizeChange(event)
+        break
+      default:
+        break
+    }
+  }
+
+  getOrCreateBook(tokenId) {
+    let book = this.books.get(tokenId)
+    if (!book) {
+      book = new OrderBook(tokenId)
+      this.books.set(tokenId, book)
+    }
+    return book
+  }
+
+  applySnapshot(event) {
+    const tokenId = String(event.asset_id)
+    if (!this.listeners.has(tokenId)) return
+
+    const book = this.getOrCreateBook(tokenId)
+    this.clearSnapshotTimer(tokenId)
+    // Duplicate (same hash) or out-of-date snapshots change nothing
+    if (!book.applySnapshot(event)) return
+
+    this.emit(tokenId, { type: 'book', tokenId, state: book, event })
+  }
+
+  applyPriceChange(event) {
+    // Current format batches changes for several tokens in price_changes;
+    // older servers send a single asset_id with a changes array
+    const changes = Array.isArray(event.price_changes)
+      ? event.price_changes
+      : (event.changes || []).map(change => ({ ...change, asset_id: event.asset_id, hash: event.hash }))
+    const timestamp = parseInt(event.timestamp) || Date.now()
+
+    // tokenId -> last change for that token (carries the server's best bid/ask)
+    const touched = new Map()
+    const failed = new Set()
+    changes.forEach((change) => {
+      const tokenId = String(change.asset_id)
+      if (!this.listeners.has(tokenId) || failed.has(tokenId)) return
+
+      const book = this.getOrCreateBook(tokenId)
+      if (!book.applyChange(change, timestamp)) {
+        // No snapshot yet, or a delta out of sequence - we missed something
+        failed.add(tokenId)
+        touched.delete(tokenId)
+        this.resync(tokenId)
+        return
+      }
+      touched.set(tokenId, change)
+    })
+
+    touched.forEach((change, tokenId) => {
+      const book = this.books.get(tokenId)
+      if (!book.verifyTopOfBook(change.best_bid, change.best_ask)) {
+        this.resync(tokenId)
+        return
+      }
+      this.emit(tokenId, { type: 'price_change', tokenId, state: book, event })
+    })
+  }
+
+  applyLastTrade(event) {
+    const tokenId = String(event.asset_id)
+    if (!this.listeners.has(tokenId)) return
+
+    const book = this.getOrCreateBook(tokenId)
+    book.lastTrade = {
+      price: parseFloat(event.price) * 100, // Convert to cents
+      size: parseFloat(event.size || 0),
+      side: event.side,
+      timestamp: parseInt(event.timestamp) || Date.now(),
+    }
+
+    this.emit(tokenId, { type: 'last_trade', tokenId, state: book, event })
+  }
+
+  applyTickSizeChange(event) {
+    const tokenId = String(event.asset_id)
+    if (!this.listeners.has(tokenId)) return
+
+    const book = this.getOrCreateBook(tokenId)
+    book.tickSize = String(event.new_tick_size)
+
+    this.emit(tokenId, { type: 'tick_size_change', tokenId, state: book, event })
+  }
+
+  emit(tokenId, update) {
+    const set = this.listeners.get(tokenId)
+    if (!set) return
+    Array.from(set).forEach((listener) => {
+      try {
+        listener(update)
+      } catch (error) {
+        console.error('Error in market stream listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Get the live OrderBook for a token (null until a snapshot arrives)
+   * Read derived values from it: bestBid, bestAsk, mid, spread, microprice,
+   * getDepth() and getImbalance()
+   * @returns {OrderBook|null}
+   */
+  getState(tokenId) {
+    const book = this.books.get(String(tokenId))
+    return book && book.synced ? book : null
+  }
+
+  /**
+   * Get the displayed price for a token in cents
+   * Uses the midpoint, or the last trade when the spread is wider than 10¢
+   * (the same rule Polymarket uses for its displayed price)
+   * @returns {number|null} Price in cents (0-100)
+   */
+  getPrice(tokenId) {
+    const book = this.getState(tokenId)
+    if (!book) return null
+
+    if (book.spread !== null && book.spread <= 10) {
+      return book.mid
+    }
+    if (book.lastTrade) return book.lastTrade.price
+    return book.mid ?? book.bestBid ?? book.bestAsk
+  }
+
+  /**
+   * Get the order book for a token in SignalBay format
+   * Bids sorted high to low, asks low to high, prices in cents, with running totals.
+   * The arrays are reused until the book changes.
+   * @returns {{ bids: Array, asks: Array }|null}
+   */
+  getBook(tokenId) {
+    const book = this.getState(tokenId)
+    return book ? book.getLevels() : null
+  }
+}
+
+// Export singleton instance
+export const marketStreamService = new MarketStreamService()
+
+export default MarketStreamService
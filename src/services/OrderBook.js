@@ -0,0 +1,373 @@
+/**
+ * Order Book
+ * Incremental order book for one CLOB token
+ *
+ * Levels are kept sorted (bids high to low, asks low to high) in cents, so a
+ * price_change delta is a binary search and a splice rather than a rebuild.
+ * getLevels() is memoized per version, so consumers only receive new arrays
+ * when the book actually changed.
+ *
+ * Integrity checks (a failed check means the caller should resync from a
+ * REST snapshot):
+ * - Deltas are rejected until a snapshot has been applied
+ * - Deltas older than the last applied event are out of sequence
+ * - After a batch of deltas, the top of book must match the best bid/ask the
+ *   server reported, and the book must not be crossed
+ * Snapshots with the hash of the current book, or older than it, are ignored.
+ * The server's book hash is not verified after deltas: it is a digest of the
+ * server's own serialization of the book, which a local copy cannot reproduce
+ * exactly, so the top-of-book check above stands in for it.
+ *
+ * Derived values: best bid/ask, mid, spread, microprice, depth within N cents
+ * of the mid and book imbalance.
+ */
+
+import { ORDER_BOOK_CONFIG } from '../config/dataConfig'
+
+// Cents are compared at 1/10000¢ so 0.523 * 100 and 52.3 are the same level
+const toCents = (price) => Math.round(parseFloat(price) * 1000000) / 10000
+const roundCents = (price) => Math.round(price * 10000) / 10000
+
+export class OrderBook {
+  constructor(tokenId = null) {
+    this.tokenId = tokenId
+    this.market = null
+    this.bids = [] // [{ price (cents), size }], best (highest) first
+    this.asks = [] // [{ price (cents), size }], best (lowest) first
+    this.hash = null
+    this.timestamp = 0
+    this.tickSize = null
+    this.lastTrade = null
+    this.synced = false
+    this.version = 0
+    this.levelsCache = null
+  }
+
+  /**
+   * Build a book from SignalBay levels ({ price in cents, amount }), e.g. a
+   * REST or combined book, to read derived values from it
+   * @param {{ bids: Array, asks: Array }} levels
+   * @returns {OrderBook}
+   */
+  static fromLevels(levels, tokenId = null) {
+    const book = new OrderBook(tokenId)
+    const toEntries = (side = []) => side.map(level => ({
+      price: roundCents(level.price),
+      size: level.amount ?? level.size ?? 0,
+    }))
+    book.replaceLevels(toEntries(levels?.bids), toEntries(levels?.asks))
+    book.synced = true
+    return book
+  }
+
+  /**
+   * Replace the book with a snapshot from the WebSocket `book` event or REST /book
+   * @param {Object} snapshot - { bids|buys, asks|sells: [{ price, size }] in decimals, hash, timestamp, market, tick_size }
+   * @returns {boolean} false if the snapshot was ignored as a duplicate or out of date
+   */
+  applySnapshot(snapshot) {
+    const timestamp = parseInt(snapshot.timestamp) || Date.now()
+    if (this.synced && snapshot.hash && snapshot.hash === this.hash) {
+      return false
+    }
+    if (this.synced && timestamp < this.timestamp) {
+      return false
+    }
+
+    const toEntries = (side = []) => side.map(level => ({
+      price: toCents(level.price),
+      size: parseFloat(level.size) || 0,
+    }))
+    this.replaceLevels(
+      toEntries(snapshot.bids || snapshot.buys),
+      toEntries(snapshot.asks || snapshot.sells)
+    )
+    this.market = snapshot.market || this.market
+    this.hash = snapshot.hash || null
+    this.timestamp = timestamp
+    if (snapshot.tick_size) this.tickSize = String(snapshot.tick_size)
+    this.synced = true
+    return true
+  }
+
+  replaceLevels(bids, asks) {
+    const merge = (entries, descending) => {
+      // Snapshots can repeat a price; the last size wins, like a delta would
+      const byPrice = new Map()
+      entries.forEach((entry) => {
+        if (entry.size > 0) byPrice.set(entry.price, entry)
+        else byPrice.delete(entry.price)
+      })
+      return Array.from(byPrice.values())
+        .sort((a, b) => descending ? b.price - a.price : a.price - b.price)
+    }
+    this.bids = merge(bids, true)
+    this.asks = merge(asks, false)
+    this.touch()
+  }
+
+  /**
+   * Apply one level update from a price_change event
+   * @param {Object} change - { side: 'BUY'|'SELL', price (decimal), size, hash }
+   * @param {number} timestamp - Event timestamp in milliseconds
+   * @returns {boolean} false if the delta cannot be applied and the book needs a snapshot
+   */
+  applyChange(change, timestamp = Date.now()) {
+    if (!this.synced) return false
+    if (timestamp < this.timestamp) {
+      this.synced = false
+      return false
+    }
+
+    const levels = String(change.side).toUpperCase() === 'BUY' ? this.bids : this.asks
+    const descending = levels === this.bids
+    const price = toCents(change.price)
+    const size = parseFloat(change.size) || 0
+    const index = this.findIndex(levels, price, descending)
+    const exists = index < levels.length && levels[index].price === price
+
+    if (size > 0 && exists) {
+      levels[index] = { price, size }
+    } else if (size > 0) {
+      levels.splice(index, 0, { price, size })
+    } else if (exists) {
+      levels.splice(index, 1)
+    }
+
+    if (change.hash) this.hash = change.hash
+    this.timestamp = timestamp
+    this.touch()
+    return true
+  }
+
+  /**
+   * Check the top of book against the best bid/ask the server reported
+   * @param {number|string|null} bestBid - Decimal price, or null/undefined to skip
+   * @param {number|string|null} bestAsk - Decimal price, or null/undefined to skip
+   * @returns {boolean} false (and marks the book unsynced) on a mismatch or a crossed book
+   */
+  verifyTopOfBook(bestBid, bestAsk) {
+    const matches = (reported, local) => {
+      if (reported === undefined || reported === null || reported === '') return true
+      const cents = toCents(reported)
+      // The server reports 0 / 1 for an empty side
+      if (local === null) return cents === 0 || cents === 100
+      return cents === local
+    }
+
+    const crossed = this.bestBid !== null && this.bestAsk !== null && this.bestBid >= this.bestAsk
+    if (crossed || !matches(bestBid, this.bestBid) || !matches(bestAsk, this.bestAsk)) {
+      this.synced = false
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Insertion point for a price in a sorted side (binary search)
+   */
+  findIndex(levels, price, descending) {
+    let low = 0
+    let high = levels.length
+    while (low < high) {
+      const middle = (low + high) >> 1
+      const before = descending ? levels[middle].price > price : levels[middle].price < price
+      if (before) low = middle + 1
+      else high = middle
+    }
+    return low
+  }
+
+  touch() {
+    this.version += 1
+    this.levelsCache = null
+  }
+
+  get bestBid() {
+    return this.bids[0]?.price ?? null
+  }
+
+  get bestAsk() {
+    return this.asks[0]?.price ?? null
+  }
+
+  /** Midpoint in cents, or null unless both sides have liquidity */
+  get mid() {
+    if (this.bestBid === null || this.bestAsk === null) return null
+    return roundCents((this.bestBid + this.bestAsk) / 2)
+  }
+
+  /** Spread in cents, or null unless both sides have liquidity */
+  get spread() {
+    if (this.bestBid === null || this.bestAsk === null) return null
+    return roundCents(this.bestAsk - this.bestBid)
+  }
+
+  /**
+   * Size-weighted mid: leans towards the side with less size at the top,
+   * which is where the price is more likely to move
+   */
+  get microprice() {
+    if (this.bestBid === null || this.bestAsk === null) return null
+    const bidSize = this.bids[0].size
+    const askSize = this.asks[0].size
+    if (bidSize + askSize === 0) return this.mid
+    return (this.bestBid * askSize + this.bestAsk * bidSize) / (bidSize + askSize)
+  }
+
+  /**
+   * Shares resting within a range of the mid (or of the best price when one side is empty)
+   * @param {number} range - Distance from the reference price in cents
+   * @returns {{ bids: number, asks: number }}
+   */
+  getDepth(range = ORDER_BOOK_CONFIG.depthRange) {
+    const reference = this.mid ?? this.bestBid ?? this.bestAsk
+    if (reference === null) return { bids: 0, asks: 0 }
+
+    const sum = (levels, withinRange) => {
+      let total = 0
+      for (const level of levels) {
+        if (!withinRange(level.price)) break // Sorted best first
+        total += level.size
+      }
+      return total
+    }
+
+    return {
+      bids: sum(this.bids, price => price >= reference - range),
+      asks: sum(this.asks, price => price <= reference + range),
+    }
+  }
+
+  /**
+   * Book imbalance within a range of the mid
+   * @returns {number|null} -1 (all asks) to 1 (all bids), null for an empty book
+   */
+  getImbalance(range = ORDER_BOOK_CONFIG.depthRange) {
+    const depth = this.getDepth(range)
+    const total = depth.bids + depth.asks
+    return total > 0 ? (depth.bids - depth.asks) / total : null
+  }
+
+  /**
+   * Shares and cost to trade through every level up to a price
+   * @param {string} side - 'BUY' walks the asks up, 'SELL' walks the bids down
+   * @param {number} price - Last level to take, in cents (inclusive)
+   * @returns {{ shares: number, cost: number, averagePrice: number|null }}
+   *   cost in dollars (proceeds for a sell), averagePrice in cents
+   */
+  sweepTo(side, price) {
+    const isBuy = String(side).toUpperCase() === 'BUY'
+    const levels = isBuy ? this.asks : this.bids
+    let shares = 0
+    let cost = 0
+    for (const level of levels) {
+      if (isBuy ? level.price > price : level.price < price) break // Sorted best first
+      shares += level.size
+      cost += level.size * level.price / 100
+    }
+    return {
+      shares,
+      cost,
+      averagePrice: shares > 0 ? (cost / shares) * 100 : null,
+    }
+  }
+
+  /**
+   * What an order of a given size would fill now, and what would rest
+   * @param {string} side - 'BUY' walks the asks up, 'SELL' walks the bids down
+   * @param {number} size - Order size in shares
+   * @param {number} limitPrice - Limit price in cents (levels beyond it are not taken)
+   * @param {Object} options - { maxCost }: stop once this many dollars are spent
+   *   (a market buy sized in USDC; pass Infinity as the size)
+   * @returns {{ filledShares: number, cost: number, averagePrice: number|null,
+   *   worstPrice: number|null, levels: number, restingShares: number, slippage: number|null }}
+   *   cost in dollars (proceeds for a sell); averagePrice and worstPrice in
+   *   cents; levels is how many price levels the fill takes from; slippage is
+   *   the average price's distance from the mid in cents, positive when worse
+   */
+  estimateFill(side, size, limitPrice, options = {}) {
+    const maxCost = options.maxCost ?? Infinity
+    const isBuy = String(side).toUpperCase() === 'BUY'
+    const levels = isBuy ? this.asks : this.bids
+    let filledShares = 0
+    let cost = 0
+    let worstPrice = null
+    let levelCount = 0
+    for (const level of levels) {
+      if (filledShares >= size || cost >= maxCost) break
+      if (isBuy ? level.price > limitPrice : level.price < limitPrice) break // Sorted best first
+      const affordable = (maxCost - cost) / (level.price / 100)
+      const taken = Math.min(level.size, size - filledShares, affordable)
+      filledShares += taken
+      cost += taken * level.price / 100
+      worstPrice = level.price
+      levelCount += 1
+    }
+
+    const averagePrice = filledShares > 0 ? (cost / filledShares) * 100 : null
+    const mid = this.mid
+    return {
+      filledShares,
+      cost,
+      averagePrice,
+      worstPrice,
+      levels: levelCount,
+      restingShares: Number.isFinite(size) ? Math.max(0, size - filledShares) : 0,
+      slippage: averagePrice !== null && mid !== null
+        ? (isBuy ? averagePrice - mid : mid - averagePrice)
+        : null,
+    }
+  }
+
+  /**
+   * Whether a limit order at a price would trade immediately (take liquidity)
+   * rather than rest on the book
+   * @param {string} side - 'BUY' or 'SELL'
+   * @param {number} price - Limit price in cents
+   */
+  wouldCross(side, price) {
+    return String(side).toUpperCase() === 'BUY'
+      ? this.bestAsk !== null && price >= this.bestAsk
+      : this.bestBid !== null && price <= this.bestBid
+  }
+
+  /**
+   * Levels in SignalBay format: { price (cents), amount, total }, best first,
+   * with cumulative totals. Arrays are reused until the book changes.
+   * @returns {{ bids: Array, asks: Array }}
+   */
+  getLevels() {
+    if (!this.levelsCache) {
+      const toLevels = (levels) => {
+        let runningTotal = 0
+        return levels.map((level) => {
+          runningTotal += level.size
+          return { price: level.price, amount: level.size, total: runningTotal }
+        })
+      }
+      this.levelsCache = { bids: toLevels(this.bids), asks: toLevels(this.asks) }
+    }
+    return this.levelsCache
+  }
+
+  /**
+   * Every derived value at once
+   * @param {number} range - Depth range in cents
+   */
+  getSummary(range = ORDER_BOOK_CONFIG.depthRange) {
+    return {
+      bestBid: this.bestBid,
+      bestAsk: this.bestAsk,
+      mid: this.mid,
+      spread: this.spread,
+      microprice: this.microprice,
+      depth: this.getDepth(range),
+      depthRange: range,
+      imbalance: this.getImbalance(range),
+      timestamp: this.timestamp,
+    }
+  }
+}
+
+export default OrderBook
@@ -0,0 +1,88 @@
+/**
+ * Order Rules
+ * Tick size and minimum size checks the CLOB applies to every order
+ *
+ * Each market has a tick size (0.1, 0.01, 0.001 or 0.0001, as a decimal
+ * string) and a minimum order size in shares. Prices must be a whole number
+ * of ticks between one tick and one tick short of $1. The tick size can
+ * change while a market trades near 0 or 100, so checks take the tick size
+ * in force now (see PolymarketService.getTradingRules and the stream's
+ * tick_size_change events).
+ *
+ * Prices here are in cents (0-100), as in the UI.
+ */
+
+/**
+ * Tick size in cents (e.g. "0.001" -> 0.1)
+ */
+export function getTickCents(tickSize) {
+  const tick = parseFloat(tickSize) * 100
+  return tick > 0 ? tick : null
+}
+
+/**
+ * Decimal places a price in cents needs at a tick size
+ */
+export function getTickDecimals(tickSize) {
+  const tick = getTickCents(tickSize)
+  return tick ? Math.max(0, Math.ceil(-Math.log10(tick) - 1e-9)) : 1
+}
+
+/**
+ * Snap a price in cents to the nearest valid tick
+ * @param {number} price - Price in cents
+ * @param {string} tickSize - Tick size as a decimal string
+ * @param {string} direction - 'nearest', 'down' or 'up'
+ * @returns {number} A price between one tick and 100 minus one tick
+ */
+export function snapToTick(price, tickSize, direction = 'nearest') {
+  const tick = getTickCents(tickSize)
+  if (!tick || !Number.isFinite(price)) return price
+
+  const round = direction === 'down' ? Math.floor : direction === 'up' ? Math.ceil : Math.round
+  // Nudge by a fraction of a tick so 0.30000000000000004 rounds the right way
+  const nudge = direction === 'down' ? 1e-9 : direction === 'up' ? -1e-9 : 0
+  const ticks = round(price / tick + nudge)
+  const snapped = Math.min(100 - tick, Math.max(tick, ticks * tick))
+  return parseFloat(snapped.toFixed(getTickDecimals(tickSize)))
+}
+
+/**
+ * Whether a price in cents is a whole number of ticks
+ */
+export function isOnTick(price, tickSize) {
+  const tick = getTickCents(tickSize)
+  if (!tick) return true
+  return Math.abs(price / tick - Math.round(price / tick)) < 1e-6
+}
+
+/**
+ * Check a limit order against a market's rules
+ * @param {Object} order - { price (cents), size (shares) }
+ * @param {Object} rules - { tickSize, minOrderSize }
+ * @returns {string|null} Why the CLOB would reject the order, or null
+ */
+export function validateLimitOrder(order, rules) {
+  const tick = getTickCents(rules.tickSize)
+  if (tick) {
+    const decimals = getTickDecimals(rules.tickSize)
+    if (order.price < tick - 1e-9 || order.price > 100 - tick + 1e-9) {
+      return `Price must be between ${tick.toFixed(decimals)}¢ and ${(100 - tick).toFixed(decimals)}¢ at this market's ${tick.toFixed(decimals)}¢ tick size`
+    }
+    if (!isOnTick(order.price, rules.tickSize)) {
+      return `Price must be a multiple of this market's ${tick.toFixed(decimals)}¢ tick size (nearest: ${snapToTick(order.price, rules.tickSize).toFixed(decimals)}¢)`
+    }
+  }
+  return validateOrderSize(order.size, rules)
+}
+
+/**
+ * Check an order's size in shares against a market's minimum
+ * @returns {string|null} Why the CLOB would reject the order, or null
+ */
+export function validateOrderSize(size, rules) {
+  if (rules.minOrderSize > 0 && size < rules.minOrderSize - 1e-9) {
+    return `The minimum order in this market is ${rules.minOrderSize} shares; this order is ${size.toFixed(2)}`
+  }
+  return null
+}
@@ -0,0 +1,416 @@
+/**
+ * Orders Service
+ * Live view of the user's open orders
+ *
+ * Orders are loaded over REST (TradingService.getOpenOrders) and kept current
+ * from the authenticated CLOB WebSocket user channel:
+ * - order events: PLACEMENT adds a row, UPDATE carries the new size_matched
+ *   (a fill), CANCELLATION removes the row
+ * - trade events: trigger a coalesced REST refresh, since a fill can touch
+ *   several of our orders at once, and drop the cached portfolio
+ * REST also reconciles on a timer (faster while the socket is down), so a
+ * missed event never leaves a stale row for long.
+ *
+ * Orders belong to the active account (see TradingModeService). The paper
+ * account emits the same events locally in place of the user channel, and
+ * switching accounts reloads the list.
+ *
+ * Listeners receive a typed result (see DataResult) with normalized orders:
+ * { id, marketId (condition ID), tokenId, outcome, side, price (cents),
+ *   originalSize, sizeMatched, remainingSize, filledPercent, orderType,
+ *   expiration, createdAt (ms), status }
+ */
+
+import { POLYMARKET_CONFIG, STREAM_CONFIG, ORDERS_CONFIG } from '../config/dataConfig'
+import { tradingModeService } from './TradingModeService'
+import { paperTradingService } from './PaperTradingService'
+import { portfolioService } from './PortfolioService'
+import { ok, stale, unavailable, getErrorReason } from './DataResult'
+
+class OrdersService {
+  constructor() {
+    this.wsUrl = POLYMARKET_CONFIG.clobUserWsUrl
+    // order ID -> normalized order
+    this.orders = new Map()
+    this.listeners = new Set()
+    this.result = null
+    this.socket = null
+    this.socketOpen = false
+    this.reconnectAttempts = 0
+    this.reconnectTimer = null
+    this.pingTimer = null
+    this.pollTimer = null
+    this.refreshTimer = null
+    this.refreshing = null
+    this.paperUnsubscribe = null
+
+    tradingModeService.subscribe(() => this.restart())
+  }
+
+  /**
+   * Watch open orders
+   * @param {Function} listener - Called with an ok / stale / unavailable result of the order list
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    if (this.listeners.size === 1) {
+      this.start()
+    } else if (this.result) {
+      listener(this.result)
+    }
+
+    let active = true
+    return () => {
+      if (!active) return
+      active = false
+      this.listeners.delete(listener)
+      if (this.listeners.size === 0) {
+        this.stop()
+      }
+    }
+  }
+
+  async start() {
+    try {
+      await tradingModeService.getService().ensureInitialized()
+    } catch (error) {
+      this.publish(unavailable('Connect a wallet to see your open orders'))
+      return
+    }
+    if (this.listeners.size === 0) return
+
+    await this.refresh()
+    this.connect()
+    this.schedulePoll()
+  }
+
+  /**
+   * Reload from scratch for the newly active account
+   */
+  restart() {
+    this.stop()
+    this.orders = new Map()
+    this.result = null
+    this.refreshing = null
+    if (this.listeners.size > 0) {
+      this.start()
+    }
+  }
+
+  stop() {
+    if (this.paperUnsubscribe) {
+      this.paperUnsubscribe()
+      this.paperUnsubscribe = null
+    }
+    clearTimeout(this.pollTimer)
+    clearTimeout(this.refreshTimer)
+    clearTimeout(this.reconnectTimer)
+    clearInterval(this.pingTimer)
+    this.pollTimer = null
+    this.refreshTimer = null
+    this.reconnectTimer = null
+    this.pingTimer = null
+    const socket = this.socket
+    this.socket = null
+    this.socketOpen = false
+    this.reconnectAttempts = 0
+    if (socket) {
+      socket.close()
+    }
+  }
+
+  /**
+   * Reload every open order over REST (concurrent calls share one request)
+   */
+  refresh() {
+    if (this.refreshing) return this.refreshing
+
+    const service = tradingModeService.getService()
+    const refreshing = service.getOpenOrders()
+      .then((orders) => {
+        // Ignore a response for the account we just switched away from
+        if (service !== tradingModeService.getService()) return
+        this.orders = new Map((orders || []).map(order => [order.id, this.normalizeOrder(order)]))
+        this.publishOrders()
+      })
+      .catch((error) => {
+        if (service !== tradingModeService.getService()) return
+        // Keep showing what we have; only an empty view becomes unavailable
+        this.publish(this.orders.size > 0
+          ? stale(this.getOrders(), { reason: `${getErrorReason(error)}, showing last known orders` })
+          : unavailable(getErrorReason(error)))
+      })
+      .finally(() => {
+        if (this.refreshing === refreshing) this.refreshing = null
+      })
+    this.refreshing = refreshing
+    return refreshing
+  }
+
+  /**
+   * Refresh soon, coalescing bursts of events into one request
+   */
+  scheduleRefresh() {
+    if (this.refreshTimer) return
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null
+      this.refresh()
+    }, ORDERS_CONFIG.refreshDelay)
+  }
+
+  schedulePoll() {
+    clearTimeout(this.pollTimer)
+    if (this.listeners.size === 0) return
+    const interval = this.socketOpen ? ORDERS_CONFIG.pollInterval : ORDERS_CONFIG.disconnectedPollInterval
+    this.pollTimer = setTimeout(async () => {
+      await this.refresh()
+      this.schedulePoll()
+    }, interval)
+  }
+
+  /**
+   * Open the user channel (skipped when WebSockets or credentials are unavailable;
+   * polling still keeps the list current), or listen to the paper account
+   */
+  connect() {
+    if (tradingModeService.isPaper()) {
+      if (!this.paperUnsubscribe) {
+        this.paperUnsubscribe = paperTradingService.subscribe(event => this.handleEvent(event))
+      }
+      this.socketOpen = true
+      return
+    }
+
+    const creds = tradingModeService.getService().getCredentials()
+    if (typeof WebSocket === 'undefined' || !creds || this.socket) return
+
+    let socket
+    try {
+      socket = new WebSocket(this.wsUrl)
+    } catch (error) {
+      console.error('Error opening user stream:', error)
+      this.scheduleReconnect()
+      return
+    }
+    this.socket = socket
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return
+      this.socketOpen = true
+      this.reconnectAttempts = 0
+      socket.send(JSON.stringify({
+        auth: { apiKey: creds.key, secret: creds.secret, passphrase: creds.passphrase },
+        markets: [],
+        type: 'user',
+      }))
+      this.pingTimer = setInterval(() => {
+        if (socket.readyState === WebSocket.OPEN) socket.send('PING')
+      }, STREAM_CONFIG.pingInterval)
+      // Anything that happened while we were down
+      this.refresh()
+      this.schedulePoll()
+    }
+
+    socket.onmessage = (message) => {
+      if (this.socket !== socket || message.data === 'PONG') return
+      let payload
+      try {
+        payload = JSON.parse(message.data)
+      } catch {
+        return
+      }
+      const events = Array.isArray(payload) ? payload : [payload]
+      events.forEach(event => this.handleEvent(event))
+    }
+
+    socket.onerror = (error) => {
+      console.error('User stream error:', error)
+    }
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return
+      this.socket = null
+      this.socketOpen = false
+      clearInterval(this.pingTimer)
+      this.pingTimer = null
+      if (this.listeners.size > 0) {
+        this.publishOrders()
+        this.schedulePoll()
+        this.scheduleReconnect()
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return
+    const { reconnectBaseDelay, reconnectMaxDelay } = STREAM_CONFIG
+    const backoff = Math.min(reconnectMaxDelay, reconnectBaseDelay * Math.pow(2, this.reconnectAttempts))
+    this.reconnectAttempts += 1
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null
+      if (this.listeners.size > 0) this.connect()
+    }, backoff / 2 + Math.random() * (backoff / 2))
+  }
+
+  /**
+   * Apply one event from the user channel
+   */
+  handleEvent(event) {
+    if (event?.event_type === 'trade') {
+      // A fill changes holdings as well as orders
+      portfolioService.invalidate()
+      this.scheduleRefresh()
+      return
+    }
+    if (event?.event_type !== 'order' || !event.id) return
+
+    const type = String(event.type).toUpperCase()
+    const existing = this.orders.get(event.id)
+    if (type === 'CANCELLATION') {
+      this.orders.delete(event.id)
+    } else {
+      const order = this.normalizeOrder({ ...(existing?.raw || {}), ...event })
+      if (order.remainingSize <= 0) {
+        this.orders.delete(event.id)
+      } else {
+        this.orders.set(event.id, order)
+      }
+    }
+    this.publishOrders()
+  }
+
+  normalizeOrder(order) {
+    const originalSize = parseFloat(order.original_size) || 0
+    const sizeMatched = parseFloat(order.size_matched) || 0
+    const createdAt = parseInt(order.created_at || order.timestamp) || 0
+
+    return {
+      id: order.id,
+      marketId: order.market,
+      tokenId: String(order.asset_id),
+      outcome: order.outcome || null,
+      side: String(order.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+      price: parseFloat(order.price) * 100, // Convert to cents
+      originalSize,
+      sizeMatched,
+      remainingSize: Math.max(0, originalSize - sizeMatched),
+      filledPercent: originalSize > 0 ? (sizeMatched / originalSize) * 100 : 0,
+      orderType: order.order_type || 'GTC',
+      expiration: parseInt(order.expiration) || 0,
+      // The API reports seconds; the user channel may report milliseconds
+      createdAt: createdAt > 1e12 ? createdAt : createdAt * 1000,
+      status: order.status || 'LIVE',
+      raw: order,
+    }
+  }
+
+  /**
+   * Current orders, newest first
+   * @param {Object} filter - Optional { marketId } (condition ID)
+   */
+  getOrders(filter = {}) {
+    return Array.from(this.orders.values())
+      .filter(order => !filter.marketId || order.marketId === filter.marketId)
+      .sort((a, b) => b.createdAt - a.createdAt)
+  }
+
+  publishOrders() {
+    const orders = this.getOrders()
+    // REST polling still works without the socket, but updates lag behind fills
+    this.publish(this.socketOpen || !tradingModeService.getService().getCredentials()
+      ? ok(orders)
+      : stale(orders, { reason: 'Live order updates reconnecting' }))
+  }
+
+  publish(result) {
+    this.result = result
+    this.listeners.forEach((listener) => {
+      try {
+        listener(result)
+      } catch (error) {
+        console.error('Error in open orders listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Cancel one order
+   * @throws {Error} If the CLOB did not confirm the cancellation
+   */
+  async cancel(order) {
+    const response = await tradingModeService.getService().cancelOrder(order.id)
+    this.assertCancelResponse(response)
+    const reason = response.not_canceled?.[order.id]
+    if (reason || !(response.canceled || []).includes(order.id)) {
+      throw new Error(reason || 'The order was not cancelled')
+    }
+    this.removeOrders([order])
+    return response
+  }
+
+  /**
+   * Cancel every open order in a market, or everywhere
+   * Only orders the CLOB confirms as cancelled leave the table.
+   * @param {string} marketId - Condition ID (omit for all markets)
+   */
+  async cancelAll(marketId = null) {
+    const affected = this.getOrders({ marketId })
+    const response = await tradingModeService.getService().cancelAll(marketId)
+    this.assertCancelResponse(response)
+    const cancelled = new Set(response.canceled || [])
+    this.removeOrders(affected.filter(order => cancelled.has(order.id)))
+    this.scheduleRefresh()
+    return response
+  }
+
+  /**
+   * Throw the CLOB's error for a failed cancel request (it resolves with
+   * { error, status } instead of failing)
+   */
+  assertCancelResponse(response) {
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response to the cancel request')
+    }
+  }
+
+  /**
+   * Replace an order at a new price and/or remaining size (see TradingService.amendOrder)
+   * @param {Object} order - Normalized order
+   * @param {Object} changes - { price (cents), size (shares) }
+   * @param {Object} marketParams - { tickSize, negRisk }
+   */
+  async amend(order, changes, marketParams) {
+    const service = tradingModeService.getService()
+    try {
+      return await service.amendOrder(
+        order.id,
+        {
+          tokenID: order.tokenId,
+          price: service.convertPriceToDecimal(changes.price ?? order.price),
+          side: order.side,
+          size: changes.size ?? order.remainingSize,
+          // A GTD order keeps its expiration (as signed, threshold included)
+          expiration: order.expiration || undefined,
+        },
+        marketParams,
+        order.orderType
+      )
+    } finally {
+      // Whatever happened, the server is the source of truth now
+      this.refresh()
+    }
+  }
+
+  removeOrders(orders) {
+    orders.forEach((order) => {
+      this.orders.delete(order.id)
+      tradingModeService.getService().invalidateTokenCache(order.tokenId)
+    })
+    this.publishOrders()
+  }
+}
+
+// Export singleton instance
+export const ordersService = new OrdersService()
+export default OrdersService
@@ -0,0 +1,665 @@
+/**
+ * Paper Trading Service
+ * A practice account with virtual USDC, filled against the live order book
+ *
+ * Same interface as TradingService (placeOrder, cancelOrder, getOpenOrders,
+ * getOrderStatus, getTrades, balances, ...) and the same CLOB shapes for
+ * orders and trades, so OrdersService, PortfolioService and the views work
+ * unchanged on either account (see TradingModeService).
+ *
+ * Matching:
+ * - A new order walks the real book (PolymarketService.getTradableBook) up
+ *   to its limit price and fills at each level's price, as a taker
+ * - FOK orders fill completely or are rejected; FAK orders cancel whatever
+ *   does not fill at once; GTC/GTD orders rest. Post-only orders are
+ *   rejected if they would take liquidity.
+ * - Market orders (placeMarketOrder) spend a USDC amount or sell a number of
+ *   shares, FOK or FAK, and never rest
+ * - Resting orders are checked every PAPER_CONFIG.matchInterval and fill at
+ *   their own price, as a maker (no fee), once the book crosses them. GTD
+ *   orders are cancelled at their expiration.
+ * Paper fills never take liquidity out of the real book, so the same level
+ * can fill several paper orders; the simulation is optimistic in thin books.
+ *
+ * Buys reserve price * size (plus fee) of cash and sells reserve shares while
+ * open, like the CLOB's balance check. The account is kept in localStorage.
+ *
+ * Listeners receive events shaped like the CLOB user channel:
+ * { event_type: 'order', type: 'PLACEMENT'|'UPDATE'|'CANCELLATION', ...order }
+ * and { event_type: 'trade', ...trade }
+ */
+
+import { OrderType } from '@polymarket/clob-client'
+import { PAPER_CONFIG, ORDER_TICKET_CONFIG } from '../config/dataConfig'
+import { polymarketService } from './PolymarketService'
+import { PositionLedger } from './PositionLedger'
+import { validateLimitOrder } from './OrderRules'
+
+const PAPER_OWNER = 'paper'
+
+class PaperTradingService {
+  constructor() {
+    this.isInitialized = true
+    this.account = this.load()
+    this.listeners = new Set()
+    this.matchTimer = null
+    this.matching = false
+
+    // Orders left resting in an earlier session keep matching
+    if (this.getLiveOrders().length > 0) {
+      this.startMatching()
+    }
+  }
+
+  createAccount() {
+    return {
+      cash: PAPER_CONFIG.startingBalance,
+      balances: {}, // tokenId -> shares
+      orders: {}, // order ID -> CLOB-shaped order (open and closed)
+      trades: [], // CLOB-shaped trades, oldest first
+      nextId: 1,
+    }
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PAPER_CONFIG.storageKey))
+      return stored && typeof stored.cash === 'number' ? { ...this.createAccount(), ...stored } : this.createAccount()
+    } catch {
+      return this.createAccount()
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(PAPER_CONFIG.storageKey, JSON.stringify(this.account))
+    } catch (error) {
+      console.error('Error saving paper account:', error)
+    }
+  }
+
+  /**
+   * Start over with the starting balance, no orders and no history
+   */
+  reset() {
+    this.getLiveOrders().forEach(order => this.emit({ event_type: 'order', type: 'CANCELLATION', ...order }))
+    this.stopMatching()
+    this.account = this.createAccount()
+    this.save()
+  }
+
+  /**
+   * The whole account (cash, balances, orders, trades), for a JSON export
+   */
+  exportAccount() {
+    return JSON.parse(JSON.stringify(this.account))
+  }
+
+  /**
+   * Replace the account with one from exportAccount() (see ExportService)
+   * @throws {Error} If the state is not a paper account
+   */
+  importAccount(state) {
+    if (!state || typeof state.cash !== 'number' || typeof state.orders !== 'object' || !Array.isArray(state.trades)) {
+      throw new Error('The export has no usable paper account')
+    }
+    this.getLiveOrders().forEach(order => this.emit({ event_type: 'order', type: 'CANCELLATION', ...order }))
+    this.stopMatching()
+    this.account = { ...this.createAccount(), ...state }
+    this.save()
+    this.getLiveOrders().forEach(order => this.emit({ event_type: 'order', type: 'PLACEMENT', ...order }))
+    if (this.getLiveOrders().length > 0) {
+      this.startMatching()
+    }
+  }
+
+  // TradingService interface: the paper account needs no wallet or API key
+
+  async initialize() {
+    return this
+  }
+
+  async ensureInitialized() {
+    return this
+  }
+
+  getCredentials() {
+    return null
+  }
+
+  /**
+   * Place a paper limit order
+   * @param {Object} orderParams - { tokenID, price (0-1), side, size, feeRateBps, expiration (s, GTD) }
+   * @param {Object} marketParams - { conditionId (required), tickSize, minOrderSize, negRisk }
+   * @param {string} orderType - OrderType.GTC, GTD, FOK or FAK
+   * @param {Object} options - { postOnly }: reject the order if it would take liquidity
+   * @returns {Promise<Object>} { success, errorMsg, orderID, status: 'matched'|'live', transactionsHashes }
+   */
+  async placeOrder(orderParams, marketParams = {}, orderType = OrderType.GTC, options = {}) {
+    try {
+      const side = String(orderParams.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY'
+      const price = parseFloat(orderParams.price)
+      const size = parseFloat(orderParams.size)
+      const feeRateBps = parseFloat(orderParams.feeRateBps) || 0
+
+      if (!(price > 0 && price < 1) || !(size > 0)) {
+        throw new Error('Invalid order: price must be between 0 and 1 and size above 0')
+      }
+      if (!marketParams.conditionId) {
+        throw new Error('Paper orders need the market condition ID')
+      }
+      // The market's tick size and minimum size, when the caller knows them
+      const rejection = validateLimitOrder({ price: price * 100, size }, marketParams)
+      if (rejection) {
+        throw new Error(rejection)
+      }
+
+      // Same check the CLOB makes: open orders reserve funds
+      if (side === 'BUY') {
+        const required = price * size + PositionLedger.getFee({ price: price * 100, size, feeRateBps })
+        if (required > this.getAvailableCash() + 1e-9) {
+          throw new Error('not enough balance / allowance')
+        }
+      } else if (size > this.getAvailableShares(orderParams.tokenID) + 1e-9) {
+        throw new Error('not enough balance / allowance')
+      }
+
+      const book = await this.getBook(orderParams.tokenID)
+      if (options.postOnly && book.wouldCross(side, price * 100)) {
+        throw new Error('Post-only order would cross the book and take liquidity')
+      }
+      const fills = this.walkBook(book, side, price * 100, size)
+
+      return await this.submitOrder({
+        side,
+        price,
+        size,
+        feeRateBps,
+        conditionId: marketParams.conditionId,
+        tokenID: orderParams.tokenID,
+        expiration: orderType === OrderType.GTD ? parseInt(orderParams.expiration) || 0 : 0,
+      }, fills, orderType)
+    } catch (error) {
+      console.error('❌ Failed to place paper order:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Place a paper market order: FOK or FAK, never rests
+   * @param {Object} orderParams - { tokenID, side, amount (USDC to spend for a buy, shares for a sell),
+   *   price (0-1, optional worst price), feeRateBps }
+   * @param {Object} marketParams - { conditionId (required), tickSize, negRisk }
+   * @param {string} orderType - OrderType.FOK or FAK
+   * @returns {Promise<Object>} As placeOrder
+   */
+  async placeMarketOrder(orderParams, marketParams = {}, orderType = OrderType.FOK) {
+    try {
+      const side = String(orderParams.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY'
+      const amount = parseFloat(orderParams.amount)
+      const feeRateBps = parseFloat(orderParams.feeRateBps) || 0
+
+      if (!(amount > 0)) {
+        throw new Error('Invalid order: amount must be above 0')
+      }
+      if (!marketParams.conditionId) {
+        throw new Error('Paper orders need the market condition ID')
+      }
+      if (side === 'BUY' ? amount > this.getAvailableCash() + 1e-9 : amount > this.getAvailableShares(orderParams.tokenID) + 1e-9) {
+        throw new Error('not enough balance / allowance')
+      }
+
+      const limitPrice = orderParams.price ? parseFloat(orderParams.price) * 100 : (side === 'BUY' ? 100 : 0)
+      const book = await this.getBook(orderParams.tokenID)
+      const fills = side === 'BUY'
+        ? this.walkBook(book, side, limitPrice, Infinity, amount, feeRateBps)
+        : this.walkBook(book, side, limitPrice, amount, Infinity, feeRateBps)
+      // Same check as limit orders: what the fills cost, fees included (the
+      // walk keeps fees within the amount, so cash never goes negative)
+      if (side === 'BUY') {
+        const required = fills.reduce((sum, fill) => sum + fill.size * fill.price / 100 + fill.fee, 0)
+        if (required > this.getAvailableCash() + 1e-9) {
+          throw new Error('not enough balance / allowance')
+        }
+      }
+      const filled = fills.reduce((sum, fill) => sum + fill.size, 0)
+      const worstPrice = fills.length > 0 ? fills[fills.length - 1].price : limitPrice
+
+      return await this.submitOrder({
+        side,
+        price: worstPrice / 100,
+        // A buy is sized in dollars: what the book could not fill is unfilled size
+        size: side === 'BUY' ? filled + this.getUnspentShares(fills, amount, worstPrice) : amount,
+        feeRateBps,
+        conditionId: marketParams.conditionId,
+        tokenID: orderParams.tokenID,
+        expiration: 0,
+      }, fills, orderType === OrderType.FAK ? OrderType.FAK : OrderType.FOK)
+    } catch (error) {
+      console.error('❌ Failed to place paper market order:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Shares the unspent part of a dollar amount would have bought at a price
+   */
+  getUnspentShares(fills, amount, price) {
+    const spent = fills.reduce((sum, fill) => sum + fill.size * fill.price / 100 + fill.fee, 0)
+    return price > 0 ? Math.max(0, amount - spent) / (price / 100) : 0
+  }
+
+  /**
+   * Apply time in force to an order and its immediate fills, then record it
+   * @param {Object} params - { side, price (0-1), size, feeRateBps, conditionId, tokenID, expiration }
+   * @param {Array} fills - From walkBook
+   * @param {string} orderType - OrderType value
+   */
+  async submitOrder(params, fills, orderType) {
+    const filled = fills.reduce((sum, fill) => sum + fill.size, 0)
+    if (orderType === OrderType.FOK && filled < params.size - 1e-9) {
+      throw new Error("order couldn't be fully filled. FOK orders are fully filled or killed.")
+    }
+    if (orderType === OrderType.FAK && filled <= 0) {
+      throw new Error('no orders found to match with FAK order. FAK orders are partially filled or killed if no match is found.')
+    }
+
+    const order = {
+      id: `paper-${this.account.nextId++}`,
+      status: 'LIVE',
+      owner: PAPER_OWNER,
+      maker_address: PAPER_OWNER,
+      market: params.conditionId,
+      asset_id: String(params.tokenID),
+      side: params.side,
+      original_size: params.size,
+      size_matched: 0,
+      price: params.price,
+      fee_rate_bps: params.feeRateBps,
+      outcome: await this.getOutcomeLabel(params.conditionId, params.tokenID),
+      expiration: params.expiration,
+      order_type: orderType,
+      created_at: Math.floor(Date.now() / 1000),
+      associate_trades: [],
+    }
+    this.account.orders[order.id] = order
+
+    fills.forEach(fill => this.fillOrder(order, fill.size, fill.price, params.feeRateBps))
+
+    const remaining = order.original_size - order.size_matched
+    const rests = remaining > 1e-9 && orderType !== OrderType.FOK && orderType !== OrderType.FAK
+    if (remaining <= 1e-9) {
+      order.status = 'MATCHED'
+    } else if (!rests) {
+      order.status = 'CANCELED'
+    } else {
+      this.emit({ event_type: 'order', type: 'PLACEMENT', ...order })
+      this.startMatching()
+    }
+    this.save()
+
+    return {
+      success: true,
+      errorMsg: '',
+      orderID: order.id,
+      status: rests ? 'live' : 'matched',
+      transactionsHashes: [],
+    }
+  }
+
+  /**
+   * Take liquidity from a book up to a limit price
+   * @param {OrderBook} book
+   * @param {string} side - 'BUY' walks the asks, 'SELL' the bids
+   * @param {number} limitPrice - Cents
+   * @param {number} size - Shares wanted
+   * @param {number} maxCost - Dollars to spend at most, fees included (market buys)
+   * @param {number} feeRateBps - Fee rate, to estimate each fill's fee
+   * @returns {Array<{ size: number, price: number, fee: number }>} Fills at each level's price (cents), fee in dollars
+   */
+  walkBook(book, side, limitPrice, size, maxCost = Infinity, feeRateBps = 0) {
+    const levels = side === 'BUY' ? book.asks : book.bids
+    const fills = []
+    let remaining = size
+    let budget = maxCost
+    for (const level of levels) {
+      if (remaining <= 1e-9 || budget <= 1e-9) break
+      if (side === 'BUY' ? level.price > limitPrice : level.price < limitPrice) break // Sorted best first
+      // Dollars per share at this level, fee included
+      const unitCost = level.price / 100 + PositionLedger.getFee({ price: level.price, size: 1, feeRateBps })
+      const taken = Math.min(remaining, level.size, budget / unitCost)
+      const fee = PositionLedger.getFee({ price: level.price, size: taken, feeRateBps })
+      fills.push({ size: taken, price: level.price, fee })
+      remaining -= taken
+      budget -= taken * unitCost
+    }
+    return fills
+  }
+
+  /**
+   * Record a fill: move cash and shares, and log the trade
+   * @param {number} price - Fill price in cents
+   */
+  fillOrder(order, size, price, feeRateBps) {
+    const fee = PositionLedger.getFee({ price, size, feeRateBps })
+    const value = size * price / 100
+    const tokenId = order.asset_id
+    const balances = this.account.balances
+
+    if (order.side === 'BUY') {
+      this.account.cash -= value + fee
+      balances[tokenId] = (balances[tokenId] || 0) + size
+    } else {
+      this.account.cash += value - fee
+      balances[tokenId] = Math.max(0, (balances[tokenId] || 0) - size)
+    }
+    order.size_matched += size
+
+    const trade = {
+      id: `paper-trade-${this.account.nextId++}`,
+      taker_order_id: order.id,
+      market: order.market,
+      asset_id: tokenId,
+      side: order.side,
+      size,
+      fee_rate_bps: feeRateBps,
+      price: price / 100,
+      status: 'CONFIRMED',
+      match_time: String(Math.floor(Date.now() / 1000)),
+      outcome: order.outcome,
+      owner: PAPER_OWNER,
+      maker_address: PAPER_OWNER,
+      trader_side: 'TAKER',
+      maker_orders: [],
+    }
+    order.associate_trades.push(trade.id)
+    this.account.trades.push(trade)
+    this.emit({ event_type: 'trade', ...trade })
+  }
+
+  startMatching() {
+    if (this.matchTimer) return
+    this.matchTimer = setInterval(() => {
+      this.matchRestingOrders().catch(error => console.error('Error matching paper orders:', error))
+    }, PAPER_CONFIG.matchInterval)
+  }
+
+  stopMatching() {
+    clearInterval(this.matchTimer)
+    this.matchTimer = null
+  }
+
+  /**
+   * Expire GTD orders and fill resting orders the live book now crosses
+   */
+  async matchRestingOrders() {
+    if (this.matching) return
+    this.matching = true
+    try {
+      const now = Math.floor(Date.now() / 1000)
+      this.getLiveOrders()
+        .filter(order => order.expiration > 0 && order.expiration - ORDER_TICKET_CONFIG.gtdThresholdSeconds <= now)
+        .forEach(order => this.closeOrder(order))
+
+      const live = this.getLiveOrders()
+      if (live.length === 0) {
+        this.stopMatching()
+        this.save()
+        return
+      }
+
+      const tokenIds = [...new Set(live.map(order => order.asset_id))]
+      for (const tokenId of tokenIds) {
+        let book
+        try {
+          book = await this.getBook(tokenId)
+        } catch {
+          continue // Try again next round
+        }
+
+        // Oldest orders first, each taking from what the previous ones left
+        const available = {
+          asks: book.asks.map(level => ({ ...level })),
+          bids: book.bids.map(level => ({ ...level })),
+        }
+        this.getLiveOrders()
+          .filter(order => order.asset_id === tokenId)
+          .sort((a, b) => a.created_at - b.created_at)
+          .forEach((order) => {
+            const remaining = order.original_size - order.size_matched
+            const fills = this.walkBook(available, order.side, order.price * 100, remaining)
+            if (fills.length === 0) return
+
+            const levels = order.side === 'BUY' ? available.asks : available.bids
+            fills.forEach((fill) => {
+              const level = levels.find(candidate => candidate.price === fill.price)
+              level.size -= fill.size
+            })
+            // A resting order is the maker: it fills at its own price, without a fee
+            const filled = fills.reduce((sum, fill) => sum + fill.size, 0)
+            this.fillOrder(order, filled, order.price * 100, 0)
+            if (order.original_size - order.size_matched <= 1e-9) {
+              order.status = 'MATCHED'
+            }
+            this.emit({ event_type: 'order', type: 'UPDATE', ...order })
+          })
+      }
+      this.save()
+    } finally {
+      this.matching = false
+    }
+  }
+
+  /**
+   * The live book for a token (see PolymarketService.getTradableBook)
+   * @returns {Promise<OrderBook>}
+   */
+  getBook(tokenId) {
+    return polymarketService.getTradableBook(tokenId)
+  }
+
+  async getOutcomeLabel(conditionId, tokenId) {
+    try {
+      const market = await polymarketService.getMarket(conditionId)
+      return market
+        ? polymarketService.getOutcomes(market).find(outcome => outcome.tokenId === String(tokenId))?.label || null
+        : null
+    } catch {
+      return null
+    }
+  }
+
+  getLiveOrders() {
+    return Object.values(this.account.orders).filter(order => order.status === 'LIVE')
+  }
+
+  /**
+   * Cash held by open buy orders (price * remaining size, plus fee)
+   */
+  getReservedCash() {
+    return this.getLiveOrders()
+      .filter(order => order.side === 'BUY')
+      .reduce((sum, order) => {
+        const remaining = order.original_size - order.size_matched
+        return sum + order.price * remaining
+          + PositionLedger.getFee({ price: order.price * 100, size: remaining, feeRateBps: order.fee_rate_bps })
+      }, 0)
+  }
+
+  /**
+   * Cash not reserved by open buy orders
+   */
+  getAvailableCash() {
+    return this.account.cash - this.getReservedCash()
+  }
+
+  /**
+   * Shares of a token not reserved by open sell orders
+   */
+  getAvailableShares(tokenId) {
+    const reserved = this.getLiveOrders()
+      .filter(order => order.side === 'SELL' && order.asset_id === String(tokenId))
+      .reduce((sum, order) => sum + order.original_size - order.size_matched, 0)
+    return (this.account.balances[String(tokenId)] || 0) - reserved
+  }
+
+  closeOrder(order) {
+    order.status = 'CANCELED'
+    this.emit({ event_type: 'order', type: 'CANCELLATION', ...order })
+  }
+
+  /**
+   * Get order status
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} The order, open or closed
+   */
+  async getOrderStatus(orderId) {
+    const order = this.account.orders[orderId]
+    return order ? { ...order } : null
+  }
+
+  /**
+   * Cancel an order
+   * @returns {Promise<Object>} { canceled: [ids], not_canceled: { id: reason } }
+   */
+  async cancelOrder(orderId) {
+    return this.cancelOrders([orderId])
+  }
+
+  async cancelOrders(orderIds) {
+    const response = { canceled: [], not_canceled: {} }
+    orderIds.forEach((orderId) => {
+      const order = this.account.orders[orderId]
+      if (order?.status === 'LIVE') {
+        this.closeOrder(order)
+        response.canceled.push(orderId)
+      } else {
+        response.not_canceled[orderId] = 'order not found or already canceled'
+      }
+    })
+    this.save()
+    return response
+  }
+
+  /**
+   * Cancel every open order, or only those in one market
+   * @param {string} conditionId - Market condition ID (omit to cancel everywhere)
+   */
+  async cancelAll(conditionId = null) {
+    const ids = this.getLiveOrders()
+      .filter(order => !conditionId || order.market === conditionId)
+      .map(order => order.id)
+    return this.cancelOrders(ids)
+  }
+
+  /**
+   * Replace an open order (see TradingService.amendOrder)
+   * If the replacement is rejected, the original is reopened as it was.
+   * @throws {Error} If the original could not be cancelled or the replacement failed
+   */
+  async amendOrder(orderId, orderParams, marketParams = {}, orderType = OrderType.GTC) {
+    const original = this.account.orders[orderId]
+    const cancelResponse = await this.cancelOrder(orderId)
+    const notCanceled = cancelResponse.not_canceled[orderId]
+    if (notCanceled) {
+      throw new Error(`Order could not be cancelled: ${notCanceled}. Nothing was replaced.`)
+    }
+
+    try {
+      return await this.placeOrder(
+        { ...orderParams, feeRateBps: orderParams.feeRateBps ?? original.fee_rate_bps },
+        { ...marketParams, conditionId: marketParams.conditionId || original.market },
+        orderType
+      )
+    } catch (error) {
+      // The original was only cancelled locally, so it reopens unchanged
+      original.status = 'LIVE'
+      this.save()
+      this.emit({ event_type: 'order', type: 'PLACEMENT', ...original })
+      throw new Error(`The replacement failed, so the original order was kept: ${error.message}`)
+    }
+  }
+
+  /**
+   * Get open orders
+   * @param {Object} params - Optional filters: { id, market (condition ID), asset_id }
+   */
+  async getOpenOrders(params = {}) {
+    return this.getLiveOrders()
+      .filter(order => (!params.id || order.id === params.id)
+        && (!params.market || order.market === params.market)
+        && (!params.asset_id || order.asset_id === String(params.asset_id)))
+      .map(order => ({ ...order }))
+  }
+
+  /**
+   * Get trade history
+   * @param {Object} params - Optional filters: { market, asset_id, before, after } (times in seconds)
+   */
+  async getTrades(params = {}) {
+    return this.account.trades
+      .filter(trade => (!params.market || trade.market === params.market)
+        && (!params.asset_id || trade.asset_id === String(params.asset_id))
+        && (!params.before || parseInt(trade.match_time) < parseInt(params.before))
+        && (!params.after || parseInt(trade.match_time) > parseInt(params.after)))
+      .map(trade => ({ ...trade }))
+  }
+
+  /**
+   * Virtual USDC balance, including cash reserved by open orders
+   * @returns {Promise<number>} Dollars
+   */
+  async getCollateralBalance() {
+    return this.account.cash
+  }
+
+  /**
+   * @returns {Promise<number>} Shares held of a token
+   */
+  async getConditionalBalance(tokenID) {
+    return this.account.balances[String(tokenID)] || 0
+  }
+
+  /**
+   * Expiration to sign for a GTD order (see TradingService.getGtdExpiration)
+   * @param {number} expiresAt - When the order should stop matching (ms)
+   * @returns {number} Unix seconds
+   */
+  getGtdExpiration(expiresAt) {
+    return Math.floor(expiresAt / 1000) + ORDER_TICKET_CONFIG.gtdThresholdSeconds
+  }
+
+  // Paper orders never reach the real book, so there is nothing cached to drop
+  invalidateTokenCache() {}
+
+  convertPriceToDecimal(priceCents) {
+    return priceCents / 100
+  }
+
+  convertPriceToCents(priceDecimal) {
+    return priceDecimal * 100
+  }
+
+  /**
+   * Listen for order and trade events
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit(event) {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event)
+      } catch (error) {
+        console.error('Error in paper trading listener:', error)
+      }
+    })
+  }
+}
+
+// Export singleton instance
+export const paperTradingService = new PaperTradingService()
+export default PaperTradingService
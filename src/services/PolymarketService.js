@@ -15,6 +15,18 @@
  * - /events endpoint for fetching events
  * - /tags endpoint for fetching tags (to get tag_id values for filtering)
  * - /sports endpoint for fetching sports metadata (to get sport tag IDs)
+ * - CLOB WebSocket market channel for live prices (via MarketStreamService)
+ *
+ * All REST calls go through requestScheduler, which enforces the per-host
+ * rate limit, merges identical in-flight requests and retries 429/5xx.
+ * Responses are cached stale-while-revalidate by cacheService with a TTL per
+ * resource (CACHE_CONFIG.ttl). getMarkets and getEvents accept an onRevalidate callback
+ * that receives fresh data when a stale response was served.
+ *
+ * Read methods return typed results (see DataResult): { status: 'ok' | 'stale'
+ * | 'unavailable', data, reason }. They never substitute mock data; synthetic
+ * order books and history are only generated in DEMO_MODE, marked
+ * `synthetic: true`.
  * 
  * TODO: 
  * - Consider implementing /health endpoint for API health monitoring
@@ -28,7 +40,12 @@
  * 3. See POLYMARKET_SETUP.md for detailed trading setup
  */
 
-import { POLYMARKET_CONFIG } from '../config/dataConfig'
+import { POLYMARKET_CONFIG, CACHE_CONFIG, DEMO_MODE } from '../config/dataConfig'
+import { marketStreamService } from './MarketStreamService'
+import { requestScheduler } from './RequestScheduler'
+import { cacheService } from './CacheService'
+import { OrderBook } from './OrderBook'
+import { ok, unavailable, hasData, mapResult, getErrorReason } from './DataResult'
 
 class PolymarketService {
   constructor() {
@@ -44,118 +61,114 @@ class PolymarketService {
     // API key (optional - only for trading)
     this.apiKey = POLYMARKET_CONFIG.apiKey
     this.funderAddress = POLYMARKET_CONFIG.funderAddress
-    // Cache for market data
-    this.cache = new Map()
-    this.cacheTimeout = 300000 // 5 minutes cache (300000 ms = 5 * 60 * 1000)
+    // Response cache (stale-while-revalidate, persisted to IndexedDB)
+    this.cache = cacheService
+    // Market ID index: condition ID / Gamma ID / slug / token ID -> { market, timestamp }
+    this.marketIndex = new Map()
+    // Batched getMarket lookups: marketId -> { kind, promise, resolve, queued }
+    this.pendingLookups = new Map()
+    this.lookupTimer = null
+    this.lookupBatchDelay = 10 // ms to collect concurrent lookups into one request
+    // Price update subscriptions: marketId -> Set of unsubscribe functions
     this.subscriptions = new Map()
   }
 
   /**
    * Fetch markets from Polymarket
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} Array of market objects
+   * @param {Function} options.onRevalidate - Called with fresh markets if cached ones were stale
+   * @returns {Promise<Object>} Result with an array of market objects
    */
   async getMarkets(options = {}) {
-    try {
-      
-      let cacheKey = null
-      
+    const { onRevalidate, ...query } = options
+    const cacheKey = `markets:${JSON.stringify(query)}`
 
-      // If no suitable cache found, create new cache key
-      cacheKey = `markets-${JSON.stringify(options)}`
-
-      // Polymarket Gamma Markets API endpoint
-      // Documentation: https://docs.polymarket.com/developers/gamma-markets-api/get-markets
-      const params = new URLSearchParams({
-        limit: String(options.limit || 20),
-        offset: String(options.offset || 0),
-        active: options.active !== false ? true : false,
-        closed: options.closed !== undefined ? options.closed : false, // Exclude closed markets by default
-        ...(options.tag_id && { 
-          tag_id: Array.isArray(options.tag_id) 
-            ? options.tag_id.map(String).join(',') 
-            : String(options.tag_id) 
-        }),
-        ...(options.related_tags !== undefined && { related_tags: String(options.related_tags) }),
-        ...(options.sports_market_types && { 
-          sports_market_types: Array.isArray(options.sports_market_types) 
-            ? options.sports_market_types.join(',') 
-            : String(options.sports_market_types) 
-        }),
-        ...(options.order && { order: options.order }),
-        ...(options.ascending !== undefined && { ascending: String(options.ascending) }),
-        ...(options.clob_token_ids && { 
-          clob_token_ids: Array.isArray(options.clob_token_ids) 
-            ? options.clob_token_ids.join(',') 
-            : String(options.clob_token_ids) 
-        }),
-        // Add category for debugging visibility (API will ignore unknown params)
-        ...(options._category && { category: options._category }),
-      })
-      // Try the Gamma Markets API endpoint (uses proxy in dev, direct in prod)
-      const url = `${this.apiUrl}/markets?${params.toString()}`
-      debugger;
-      const response = await fetch(url,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          },
-        }
-      )
-
-      if (!response.ok) {
-        const errorText = await response.text()
-        console.error(`Polymarket API error: ${response.status}`, errorText)
-        
-        // If it's a validation error with tag_id, try without tag_id
-        if (response.status === 422 && errorText.includes('tag_id')) {
-          // Remove tag_id and related_tags from options and retry
-          const retryOptions = { ...options }
-          delete retryOptions.tag_id
-          delete retryOptions.related_tags
-          return this.getMarkets(retryOptions)
-        }
-        
-        // Throw error instead of returning fallback - we want REAL data only
-        throw new Error(`Polymarket API error: ${response.status} - ${errorText}`)
-      }
+    const result = await this.cache.load(cacheKey, () => this.fetchMarkets(query), { onRevalidate })
+    if (hasData(result)) {
+      // Markets restored from a previous session still need indexing
+      this.indexMarkets(result.data, result.timestamp)
+    }
+    return result
+  }
 
-      const data = await response.json()
-      
-      // Handle different response formats
-      const marketsData = Array.isArray(data) ? data : (data.data || data.markets || [])
+  /**
+   * Fetch markets from the Gamma API, bypassing the cache
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Array of market objects
+   */
+  async fetchMarkets(options = {}) {
+    // Polymarket Gamma Markets API endpoint
+    // Documentation: https://docs.polymarket.com/developers/gamma-markets-api/get-markets
+    const params = new URLSearchParams({
+      limit: String(options.limit || 20),
+      offset: String(options.offset || 0),
+      active: options.active !== false ? true : false,
+      closed: options.closed !== undefined ? options.closed : false, // Exclude closed markets by default
+      ...(options.tag_id && { 
+        tag_id: Array.isArray(options.tag_id) 
+          ? options.tag_id.map(String).join(',') 
+          : String(options.tag_id) 
+      }),
+      ...(options.related_tags !== undefined && { related_tags: String(options.related_tags) }),
+      ...(options.sports_market_types && { 
+        sports_market_types: Array.isArray(options.sports_market_types) 
+          ? options.sports_market_types.join(',') 
+          : String(options.sports_market_types) 
+      }),
+      ...(options.order && { order: options.order }),
+      ...(options.ascending !== undefined && { ascending: String(options.ascending) }),
+      ...(options.clob_token_ids && { 
+        clob_token_ids: Array.isArray(options.clob_token_ids) 
+          ? options.clob_token_ids.join(',') 
+          : String(options.clob_token_ids) 
+      }),
+      // Add category for debugging visibility (API will ignore unknown params)
+      ...(options._category && { category: options._category }),
+    })
+    // Try the Gamma Markets API endpoint (uses proxy in dev, direct in prod)
+    const url = `${this.apiUrl}/markets?${params.toString()}`
+    let data
+    try {
+      data = await requestScheduler.fetchJson(url)
+    } catch (error) {
+      console.error(`Polymarket API error: ${error.status}`, error.body)
       
-      if (!marketsData || marketsData.length === 0) {
-        // Return empty array instead of fallback - we want REAL data only
-        return []
+      // If it's a validation error with tag_id, try without tag_id
+      if (error.status === 422 && error.body?.includes('tag_id')) {
+        // Remove tag_id and related_tags from options and retry
+        const retryOptions = { ...options }
+        delete retryOptions.tag_id
+        delete retryOptions.related_tags
+        return this.fetchMarkets(retryOptions)
       }
       
-      const markets = this.transformMarkets(marketsData)
-
-      // Cache the result (5 minute TTL)
-      this.cache.set(cacheKey, {
-        data: markets,
-        timestamp: Date.now(),
-      })
-
-      return markets.length > 0 ? markets : []
-    } catch (error) {
-      console.error('Error fetching Polymarket markets:', error)
       // Throw error instead of returning fallback - we want REAL data only
       throw error
     }
+    
+    // Handle different response formats
+    const marketsData = Array.isArray(data) ? data : (data?.data || data?.markets || [])
+    
+    if (!marketsData || marketsData.length === 0) {
+      // Return empty array instead of fallback - we want REAL data only
+      return []
+    }
+    
+    return this.transformMarkets(marketsData)
   }
 
   /**
    * Transform Polymarket market data to SignalBay format
+   * @param {Array} polymarketData - Gamma markets
+   * @param {Object} options - { includeClosed }: keep closed markets without prices
+   *   (market lookups, which held positions and resolution rely on)
    */
-  transformMarkets(polymarketData) {
+  transformMarkets(polymarketData, { includeClosed = false } = {}) {
     if (!Array.isArray(polymarketData)) {
         return []
     }
     
-    return polymarketData
+    const markets = polymarketData
       .filter(market => {
         // More lenient filter - accept any market with an id or question/title
         const isValid = market && (market.id || market.question || market.title || market.slug)
@@ -163,13 +176,14 @@ class PolymarketService {
           return false
         }
         // Filter out closed markets unless they have valid prices
-        if (market.closed === true) {
+        if (market.closed === true && !includeClosed) {
           // Check if market has any meaningful price data
-          const hasPrices = market.outcomePrices && 
-            (typeof market.outcomePrices === 'string' ? 
-              JSON.parse(market.outcomePrices).some(p => parseFloat(p) > 0) :
-              market.outcomePrices.some(p => parseFloat(p) > 0))
-          if (!hasPrices) {
+          try {
+            const prices = typeof market.outcomePrices === 'string'
+              ? JSON.parse(market.outcomePrices)
+              : market.outcomePrices
+            return Array.isArray(prices) && prices.some(p => parseFloat(p) > 0)
+          } catch (e) {
             return false
           }
         }
@@ -198,24 +212,39 @@ class PolymarketService {
         } catch (e) {
         }
         
-        // Find Yes/No indices
-        const yesIndex = outcomes.findIndex(o => 
-          (typeof o === 'string' && (o === 'Yes' || o === 'YES' || o.toLowerCase().includes('yes'))) ||
-          (o && (o.outcome === 'Yes' || o.outcome === 'YES' || o.side === 'YES'))
-        )
-        const noIndex = outcomes.findIndex(o => 
-          (typeof o === 'string' && (o === 'No' || o === 'NO' || o.toLowerCase().includes('no'))) ||
-          (o && (o.outcome === 'No' || o.outcome === 'NO' || o.side === 'NO'))
-        )
+        // Parse token IDs from clobTokenIds (same order as outcomes)
+        let tokenIds = []
+        try {
+          if (market.clobTokenIds) {
+            const parsed = typeof market.clobTokenIds === 'string' 
+              ? JSON.parse(market.clobTokenIds) 
+              : market.clobTokenIds
+            if (Array.isArray(parsed)) {
+              tokenIds = parsed.map(String)
+            }
+          }
+        } catch (e) {
+        }
+
+        // Find Yes/No indices (exact labels only - "No" must not match "Noah")
+        const getOutcomeLabel = (o) => typeof o === 'string' ? o : (o?.outcome || o?.side || o?.name || '')
+        const yesIndex = outcomes.findIndex(o => getOutcomeLabel(o).trim().toLowerCase() === 'yes')
+        const noIndex = outcomes.findIndex(o => getOutcomeLabel(o).trim().toLowerCase() === 'no')
+        const isYesNo = outcomes.length === 2 && yesIndex >= 0 && noIndex >= 0
+        // Three or more outcomes have no Yes/No pair; only per-outcome prices apply
+        const isBinary = outcomes.length <= 2
+        // Named two-outcome markets (teams, Over/Under) map to Yes/No by position
+        const primaryIndex = isYesNo ? yesIndex : 0
+        const secondaryIndex = isYesNo ? noIndex : 1
         
         // Get prices from outcomePrices array or from token objects
         let yesPrice = 50
         let noPrice = 50
         
-        if (outcomePrices.length > 0 && yesIndex >= 0 && noIndex >= 0) {
+        if (outcomePrices.length >= 2) {
           // Prices from outcomePrices array
-          yesPrice = parseFloat(outcomePrices[yesIndex] || 0) * 100
-          noPrice = parseFloat(outcomePrices[noIndex] || 0) * 100
+          yesPrice = parseFloat(outcomePrices[primaryIndex] || 0) * 100
+          noPrice = parseFloat(outcomePrices[secondaryIndex] || 0) * 100
         } else if (market.bestAsk !== undefined && market.bestBid !== undefined) {
           // Use bestAsk/bestBid if available
           yesPrice = parseFloat(market.bestAsk || 0) * 100
@@ -300,22 +329,27 @@ class PolymarketService {
                            market.slug ||
                            `polymarket-${Date.now()}-${Math.random()}`
         
-        // Parse token IDs from clobTokenIds if available
-        let yesTokenId = null
-        let noTokenId = null
-        try {
-          if (market.clobTokenIds) {
-            const tokenIds = typeof market.clobTokenIds === 'string' 
-              ? JSON.parse(market.clobTokenIds) 
-              : market.clobTokenIds
-            if (Array.isArray(tokenIds) && tokenIds.length >= 2) {
-              // First token is typically Yes, second is No (but may vary)
-              yesTokenId = tokenIds[0]
-              noTokenId = tokenIds[1]
-            }
-          }
-        } catch (e) {
-        }
+        // Generic outcome model: one entry per outcome, in API order
+        const outcomeModels = outcomes.length > 0
+          ? outcomes.map((o, index) => {
+              const rawPrice = outcomePrices[index] !== undefined ? outcomePrices[index] : o?.price
+              const parsedPrice = parseFloat(rawPrice)
+              return {
+                index,
+                label: getOutcomeLabel(o) || `Outcome ${index + 1}`,
+                price: !isNaN(parsedPrice)
+                  ? Math.max(0, Math.min(100, parsedPrice * 100))
+                  : (isBinary && index === primaryIndex ? yesPrice : isBinary && index === secondaryIndex ? noPrice : 0),
+                tokenId: tokenIds[index] || (o?.token_id ? String(o.token_id) : null),
+              }
+            })
+          : [
+              { index: 0, label: 'Yes', price: yesPrice, tokenId: tokenIds[0] || null },
+              { index: 1, label: 'No', price: noPrice, tokenId: tokenIds[1] || null },
+            ]
+        const yesTokenId = outcomeModels[outcomes.length > 0 ? primaryIndex : 0]?.tokenId || null
+        const noTokenId = outcomeModels[outcomes.length > 0 ? secondaryIndex : 1]?.tokenId || null
+        const isClosed = market.closed === true || market.closed === 'true' || market.closed === 1
 
         return {
           id: conditionId,
@@ -323,30 +357,74 @@ class PolymarketService {
           imageUrl: imageUrl,
           title: title,
           description: description,
-          yesPrice: Math.max(0.1, Math.min(99.9, yesPrice)),
-          noPrice: Math.max(0.1, Math.min(99.9, noPrice)),
+          // Binary convenience prices (first/second outcome for named outcomes);
+          // null for markets with three or more outcomes - use outcomes[] there
+          yesPrice: isBinary ? Math.max(0, Math.min(100, yesPrice)) : null,
+          noPrice: isBinary ? Math.max(0, Math.min(100, noPrice)) : null,
+          outcomes: outcomeModels,
+          isYesNo: outcomes.length === 0 || isYesNo,
           volume: volume,
           volume24h: volume24h,
           liquidity: liquidity,
           category: category,
           startDate: startDate,
           endDate: endDate,
-          closed: market.closed === true || market.closed === 'true' || market.closed === 1, // Preserve closed status
+          closed: isClosed, // Preserve closed status
+          resolution: this.getResolution(market, isClosed, outcomeModels, endDate),
           // Polymarket-specific data
           polymarketData: {
             conditionId: conditionId,
+            gammaId: market.id,
             slug: market.slug || market.id,
             resolutionSource: market.resolutionSource || market.resolution_source,
             marketMakerAddress: market.marketMakerAddress || market.market_maker_address,
+            // Parent event, for grouping related markets
+            eventId: market.events?.[0]?.id || null,
+            eventTitle: market.events?.[0]?.title || null,
             yesTokenId: yesTokenId,
             noTokenId: noTokenId,
-            tickSize: market.tickSize || market.tick_size || '0.001',
+            // Order rules; the CLOB's (getTradingRules) are authoritative
+            tickSize: market.orderPriceMinTickSize ? String(market.orderPriceMinTickSize) : (market.tickSize || market.tick_size || null),
+            minOrderSize: parseFloat(market.orderMinSize) || null,
             negRisk: market.negRisk || market.neg_risk || market.enableNegRisk || false,
-            closed: market.closed === true || market.closed === 'true' || market.closed === 1, // Also preserve in polymarketData
+            closed: isClosed, // Also preserve in polymarketData
           },
         }
       })
       .filter(market => market.id && market.title) // Filter out invalid transformations
+
+    this.indexMarkets(markets)
+    return markets
+  }
+
+  /**
+   * Resolution state of a Gamma market
+   * A closed market is resolved once its prices settle: one outcome at 100¢
+   * (outcomePrices 1) and every other at 0.
+   * @returns {Object} { status: 'open' | 'closed' | 'resolved', winningOutcomeIndex,
+   *   winningOutcome, winningTokenId, resolvedAt (ms) }. 'closed' means trading has
+   *   stopped but the outcome is not final yet.
+   */
+  getResolution(market, isClosed, outcomeModels, endDate) {
+    const unresolved = { winningOutcomeIndex: null, winningOutcome: null, winningTokenId: null, resolvedAt: null }
+    if (!isClosed) return { status: 'open', ...unresolved }
+
+    const winners = outcomeModels.filter(outcome => outcome.price >= 99.5)
+    const settled = winners.length === 1 && outcomeModels.every(outcome => outcome === winners[0] || outcome.price <= 0.5)
+    if (!settled) {
+      return { status: 'closed', ...unresolved }
+    }
+
+    // closedTime looks like "2024-11-06 12:34:56+00"
+    const closedTime = market.closedTime && String(market.closedTime).replace(' ', 'T').replace(/\+00$/, 'Z')
+    const resolvedAt = Date.parse(closedTime || market.umaEndDate || endDate)
+    return {
+      status: 'resolved',
+      winningOutcomeIndex: winners[0].index,
+      winningOutcome: winners[0].label,
+      winningTokenId: winners[0].tokenId,
+      resolvedAt: isNaN(resolvedAt) ? null : resolvedAt,
+    }
   }
 
   /**
@@ -367,206 +445,254 @@ class PolymarketService {
     return categoryIcons[category?.toLowerCase()] || '📊'
   }
 
+  /**
+   * Classify a market identifier for lookup
+   * @param {string} marketId - Condition ID, CLOB token ID, Gamma market ID or slug
+   * @returns {string} Gamma /markets query parameter to look it up by
+   */
+  getLookupKind(marketId) {
+    const id = String(marketId)
+    if (/^0x[0-9a-fA-F]{64}$/.test(id)) return 'condition_ids'
+    // CLOB token IDs are large uint256 decimals; Gamma IDs are short integers
+    if (/^\d{20,}$/.test(id)) return 'clob_token_ids'
+    if (/^\d+$/.test(id)) return 'id'
+    return 'slug'
+  }
+
+  /**
+   * Add transformed markets to the ID index
+   * Every market is reachable by condition ID, Gamma ID, slug and CLOB token IDs
+   */
+  indexMarkets(markets, timestamp = Date.now()) {
+    markets.forEach((market) => {
+      const entry = { market, timestamp }
+      const keys = [
+        market.id,
+        market.polymarketData?.conditionId,
+        market.polymarketData?.gammaId,
+        market.polymarketData?.slug,
+        ...this.getClobTokenIds(market),
+      ]
+      keys.filter(Boolean).forEach(key => this.marketIndex.set(String(key), entry))
+    })
+  }
+
   /**
    * Get market by ID
+   * Looks up by condition ID, slug, Gamma ID or CLOB token ID. Markets already
+   * transformed are served from the ID index (stale entries are returned while
+   * they refresh); concurrent misses are batched into one request per
+   * identifier kind.
+   * @param {string} marketId - Market identifier
+   * @returns {Promise<Object|null>} Market object, or null if not found
    */
   async getMarket(marketId) {
-    try {
-      // Try to get from cache first
-      const markets = await this.getMarkets({ limit: 100 })
-      let market = markets.find(m => 
-        m.id === marketId || 
-        m.polymarketData?.conditionId === marketId ||
-        m.polymarketData?.slug === marketId
-      )
+    if (!marketId) return null
 
-      if (!market) {
-        debugger;
-        // Try fetching specific market by condition ID or tokens
-        try {
-          const response = await fetch(
-            `${this.apiUrl}/markets?tokens=${marketId}&limit=1`,
-            {
-              headers: {
-                'Accept': 'application/json',
-                'Content-Type': 'application/json',
-              },
-            }
-          )
-          if (response.ok) {
-            const data = await response.json()
-            const marketsData = Array.isArray(data) ? data : (data.data || data.markets || [])
-            const transformed = this.transformMarkets(marketsData)
-            market = transformed[0]
-          }
-        } catch (error) {
-        }
-      }
+    const key = String(marketId)
+    const indexed = this.marketIndex.get(key)
+    if (indexed && Date.now() - indexed.timestamp < CACHE_CONFIG.ttl.markets) {
+      return indexed.market
+    }
 
-      return market || null
-    } catch (error) {
-      console.error('Error fetching market:', error)
-      return null
+    // Join a lookup that is already queued or in flight for this ID
+    if (this.pendingLookups.has(key)) {
+      return indexed ? indexed.market : this.pendingLookups.get(key).promise
     }
+
+    let resolve
+    const promise = new Promise((res) => {
+      resolve = res
+    })
+    this.pendingLookups.set(key, { kind: this.getLookupKind(key), promise, resolve, queued: true })
+
+    if (!this.lookupTimer) {
+      this.lookupTimer = setTimeout(() => this.flushMarketLookups(), this.lookupBatchDelay)
+    }
+
+    // Serve a stale market immediately; the lookup refreshes the index
+    return indexed ? indexed.market : promise
   }
 
   /**
-   * Get price history for a market using CLOB fills API
-   * This is the correct endpoint for Polymarket price history
+   * Send every queued lookup, one request per identifier kind
    */
-  async getPriceHistory(marketId, timeframe = '1d') {
-    try {
-      // Get market to find the CLOB token IDs
-      const market = await this.getMarket(marketId)
-      if (!market) {
-        return { yes: this.generateMockHistory(50, timeframe), no: this.generateMockHistory(50, timeframe) }
-      }
+  async flushMarketLookups() {
+    this.lookupTimer = null
+
+    const batches = new Map()
+    this.pendingLookups.forEach((lookup, key) => {
+      if (!lookup.queued) return
+      lookup.queued = false
+      if (!batches.has(lookup.kind)) batches.set(lookup.kind, [])
+      batches.get(lookup.kind).push(key)
+    })
 
-      // Extract clobTokenIds array (first is "yes", second is "no")
-      // clobTokenIds can be a string array or already parsed array
-      let clobTokenIds = []
-      
-      if (market.clobTokenIds) {
-        if (Array.isArray(market.clobTokenIds)) {
-          clobTokenIds = market.clobTokenIds
-        } else if (typeof market.clobTokenIds === 'string') {
-          try {
-            const parsed = JSON.parse(market.clobTokenIds)
-            if (Array.isArray(parsed)) {
-              clobTokenIds = parsed
-            }
-          } catch {
-            // If parsing fails, try using the string directly as single token
-            clobTokenIds = [market.clobTokenIds]
-          }
+    await Promise.all(Array.from(batches.entries()).map(async ([kind, keys]) => {
+      try {
+        const params = new URLSearchParams({ limit: String(keys.length) })
+        keys.forEach(key => params.append(kind, key))
+
+        const data = await requestScheduler.fetchJson(`${this.apiUrl}/markets?${params.toString()}`)
+        const marketsData = Array.isArray(data) ? data : (data?.data || data?.markets || [])
+        // transformMarkets indexes everything it returns; lookups keep closed
+        // markets so held positions can read their resolution
+        this.transformMarkets(marketsData, { includeClosed: true })
+
+        // Gamma may leave closed markets out; ask for any still missing explicitly
+        const missing = keys.filter(key => !this.marketIndex.has(key))
+        if (missing.length > 0) {
+          const closedParams = new URLSearchParams({ limit: String(missing.length), closed: 'true' })
+          missing.forEach(key => closedParams.append(kind, key))
+          const closedData = await requestScheduler.fetchJson(`${this.apiUrl}/markets?${closedParams.toString()}`)
+          this.transformMarkets(Array.isArray(closedData) ? closedData : (closedData?.data || closedData?.markets || []), { includeClosed: true })
         }
+      } catch (error) {
+        console.error(`Error looking up markets by ${kind}:`, error)
+      } finally {
+        keys.forEach((key) => {
+          const lookup = this.pendingLookups.get(key)
+          this.pendingLookups.delete(key)
+          lookup?.resolve(this.marketIndex.get(key)?.market || null)
+        })
       }
+    }))
+  }
 
-      // Fallback to other token ID fields if clobTokenIds is not available
-      if (clobTokenIds.length === 0) {
-        const yesTokenId = market.polymarketData?.yesTokenId || market.yesTokenId
-        const noTokenId = market.polymarketData?.noTokenId || market.noTokenId
-        if (yesTokenId) clobTokenIds.push(yesTokenId)
-        if (noTokenId) clobTokenIds.push(noTokenId)
-      }
+  /**
+   * Get price history for a market using CLOB fills API
+   * This is the correct endpoint for Polymarket price history
+   * @returns {Promise<Object>} Result with { outcomes: Array<{ label, tokenId, status, data }> },
+   *   one series per outcome. Stale if any series is stale; unavailable if none loaded.
+   */
+  async getPriceHistory(marketId, timeframe = '1d') {
+    // Get market to find the CLOB token ID of every outcome
+    const market = await this.getMarket(marketId)
+    if (!market) {
+      return this.withDemoData(unavailable('Market not found'), () => ({
+        outcomes: this.getOutcomes({ yesPrice: 50, noPrice: 50 }).map(outcome => ({
+          label: outcome.label,
+          tokenId: null,
+          data: this.generateMockHistory(outcome.price, timeframe),
+        })),
+      }))
+    }
 
-      if (clobTokenIds.length === 0) {
-        // Fallback to mock if we can't find valid token IDs
-        const yesPrice = market.yesPrice || 50
-        return {
-          yes: this.generateMockHistory(yesPrice, timeframe),
-          no: this.generateMockHistory(100 - yesPrice, timeframe)
-        }
-      }
+    const outcomes = this.getOutcomes(market)
+    const generateDemoHistory = () => ({
+      outcomes: outcomes.map(outcome => ({
+        label: outcome.label,
+        tokenId: outcome.tokenId,
+        data: this.generateMockHistory(outcome.price ?? 50, timeframe),
+      })),
+    })
 
-      // Map timeframe to interval parameter
-      const intervalMap = {
-        '1m': '1m',
-        '1H': '1h',
-        '1h': '1h',
-        '6h': '6h',
-        '6H': '6h',
-        '1D': '1d',
-        '1d': '1d',
-        '1W': '1w',
-        '1w': '1w',
-        '1M': '1w', // Map 1M to 1w as closest option
-        'All': 'max',
-        'max': 'max'
-      }
+    if (outcomes.every(outcome => !outcome.tokenId)) {
+      return this.withDemoData(unavailable('This market has no price history'), generateDemoHistory)
+    }
 
-      const interval = intervalMap[timeframe] || '1d'
-      
-      // Set fidelity (resolution in minutes) based on timeframe
-      // Lower fidelity = more data points (higher resolution)
-      // Higher fidelity = fewer data points (lower resolution, better for long timeframes)
-      const fidelityMap = {
-        '1m': 1,   // 1 minute resolution for 1m view
-        '1h': 5,   // 5 minute resolution for 1h view
-        '6h': 10,  // 10 minute resolution for 6h view
-        '1d': 30,  // 30 minute resolution for 1d view
-        '1w': 60,  // 1 hour resolution for 1w view
-        'max': 120 // 2 hour resolution for max view
-      }
-      const fidelity = fidelityMap[interval] || 10 // Default to 10 minutes
+    // Map timeframe to interval parameter
+    const intervalMap = {
+      '1m': '1m',
+      '1H': '1h',
+      '1h': '1h',
+      '6h': '6h',
+      '6H': '6h',
+      '1D': '1d',
+      '1d': '1d',
+      '1W': '1w',
+      '1w': '1w',
+      '1M': '1w', // Map 1M to 1w as closest option
+      'All': 'max',
+      'max': 'max'
+    }
 
-      // Note: interval and startTs/endTs are mutually exclusive
-      // We use interval here, which represents a duration ending at the current time
+    const interval = intervalMap[timeframe] || '1d'
+    
+    // Set fidelity (resolution in minutes) based on timeframe
+    // Lower fidelity = more data points (higher resolution)
+    // Higher fidelity = fewer data points (lower resolution, better for long timeframes)
+    const fidelityMap = {
+      '1m': 1,   // 1 minute resolution for 1m view
+      '1h': 5,   // 5 minute resolution for 1h view
+      '6h': 10,  // 10 minute resolution for 6h view
+      '1d': 30,  // 30 minute resolution for 1d view
+      '1w': 60,  // 1 hour resolution for 1w view
+      'max': 120 // 2 hour resolution for max view
+    }
+    const fidelity = fidelityMap[interval] || 10 // Default to 10 minutes
 
-      // Fetch price history for both Yes and No tokens
-      const fetchHistory = async (tokenId) => {
-        try {
-          const url = `${this.clobUrl}/prices-history?market=${tokenId}&interval=${interval}&fidelity=${fidelity}`
-          const response = await fetch(url, {
-            headers: {
-              'Accept': 'application/json',
-              'Content-Type': 'application/json',
-            },
-          })
+    // Note: interval and startTs/endTs are mutually exclusive
+    // We use interval here, which represents a duration ending at the current time
 
-          if (!response.ok) {
-            throw new Error(`CLOB API error: ${response.status}`)
-          }
+    // Fetch price history for one outcome token
+    const fetchHistory = async (tokenId) => {
+      const url = `${this.clobUrl}/prices-history?market=${tokenId}&interval=${interval}&fidelity=${fidelity}`
+      const result = await this.cache.load(
+        `history:${tokenId}:${interval}:${fidelity}`,
+        () => requestScheduler.fetchJson(url)
+      )
 
-          const json = await response.json()
+      return mapResult(result, (json) => {
+        if (!json?.history || !Array.isArray(json.history)) {
+          return []
+        }
 
-          if (!json.history || !Array.isArray(json.history) || json.history.length === 0) {
-            return []
+        // Convert prices-history format to lightweight-charts format
+        return json.history.map((point) => {
+          const price = parseFloat(point.p || point.price || 0)
+          const normalizedPrice = Math.max(0, Math.min(1, price))
+          const timestamp = point.t || point.timestamp || Date.now() / 1000
+          
+          return {
+            time: Math.floor(timestamp),
+            value: normalizedPrice * 100 // Convert to cents (0-100)
           }
+        }).sort((a, b) => a.time - b.time)
+      })
+    }
 
-          // Convert prices-history format to lightweight-charts format
-          return json.history.map((point) => {
-            const price = parseFloat(point.p || point.price || 0)
-            const normalizedPrice = Math.max(0, Math.min(1, price))
-            const timestamp = point.t || point.timestamp || Date.now() / 1000
-            
-            return {
-              time: Math.floor(timestamp),
-              value: normalizedPrice * 100 // Convert to cents (0-100)
-            }
-          }).sort((a, b) => a.time - b.time)
-        } catch (error) {
-          console.error(`Error fetching price history for token ${tokenId}:`, error)
-          return []
-        }
-      }
+    // Fetch every outcome's history in parallel
+    const histories = await Promise.all(
+      outcomes.map(outcome => outcome.tokenId
+        ? fetchHistory(outcome.tokenId)
+        : Promise.resolve(unavailable('No token for this outcome')))
+    )
 
-      // Fetch both histories in parallel
-      const [yesHistory, noHistory] = await Promise.all([
-        fetchHistory(clobTokenIds[0]),
-        clobTokenIds[1] ? fetchHistory(clobTokenIds[1]) : Promise.resolve([])
-      ])
+    const loaded = histories.filter(hasData)
+    if (loaded.length === 0) {
+      return this.withDemoData(unavailable(histories[0].reason), generateDemoHistory)
+    }
 
-      // If we have data, return it; otherwise fallback to mock
-      const yesPrice = market.yesPrice || 50
-      const noPrice = market.noPrice || (100 - yesPrice)
+    const staleResult = loaded.find(history => history.status === 'stale')
+    const data = {
+      outcomes: outcomes.map((outcome, index) => ({
+        label: outcome.label,
+        tokenId: outcome.tokenId,
+        status: histories[index].status,
+        data: histories[index].data || [],
+      })),
+    }
+    return staleResult
+      ? { ...staleResult, data }
+      : ok(data, { timestamp: Math.min(...loaded.map(history => history.timestamp)) })
+  }
 
-      return {
-        yes: yesHistory.length > 0 ? yesHistory : this.generateMockHistory(yesPrice, timeframe),
-        no: noHistory.length > 0 ? noHistory : this.generateMockHistory(noPrice, timeframe)
-      }
-    } catch (error) {
-      console.error('Error fetching price history from CLOB:', error)
-      // Fallback to mock history on error
-      try {
-        const market = await this.getMarket(marketId)
-        const yesPrice = market?.yesPrice || 50
-        const noPrice = market?.noPrice || (100 - yesPrice)
-        return {
-          yes: this.generateMockHistory(yesPrice, timeframe),
-          no: this.generateMockHistory(noPrice, timeframe)
-        }
-      } catch {
-        return {
-          yes: this.generateMockHistory(50, timeframe),
-          no: this.generateMockHistory(50, timeframe)
-        }
-      }
+  /**
+   * Substitute synthetic data for an unavailable result, in demo mode only
+   * @param {Object} result - Result from a read method
+   * @param {Function} generate - Returns synthetic data
+   * @returns {Object} The original result, or an ok result marked synthetic
+   */
+  withDemoData(result, generate) {
+    if (!DEMO_MODE || hasData(result)) {
+      return result
     }
+    return ok(generate(), { synthetic: true, reason: `Demo data: ${result.reason}` })
   }
 
   /**
-   * Generate mock history (Polymarket doesn't provide public price history API)
+   * Generate synthetic history for demo mode (random walk around basePrice)
    */
   generateMockHistory(basePrice, timeframe) {
     const data = []
@@ -604,49 +730,161 @@ class PolymarketService {
   }
 
   /**
-   * Subscribe to real-time price updates
-   * Note: Polymarket doesn't have public WebSocket, so we poll the API
+   * Get the CLOB token IDs for a market as [yesTokenId, noTokenId]
+   * Accepts transformed markets (polymarketData) or raw Gamma markets (clobTokenIds)
+   * @param {Object} market - Market object
+   * @returns {Array<string>} Token IDs (empty if unavailable)
+   */
+  getClobTokenIds(market) {
+    if (!market) return []
+
+    const yesTokenId = market.polymarketData?.yesTokenId || market.yesTokenId
+    const noTokenId = market.polymarketData?.noTokenId || market.noTokenId
+    if (yesTokenId) {
+      return noTokenId ? [yesTokenId, noTokenId] : [yesTokenId]
+    }
+
+    if (Array.isArray(market.clobTokenIds)) {
+      return market.clobTokenIds
+    }
+    if (typeof market.clobTokenIds === 'string') {
+      try {
+        const parsed = JSON.parse(market.clobTokenIds)
+        return Array.isArray(parsed) ? parsed : [market.clobTokenIds]
+      } catch {
+        return [market.clobTokenIds]
+      }
+    }
+    return []
+  }
+
+  /**
+   * Get the outcome model for a market: [{ index, label, price, tokenId }]
+   * Markets built before the outcome model (or raw event markets) are read
+   * as a Yes/No pair from yesPrice/noPrice
+   * @param {Object} market - Market object
+   * @returns {Array<Object>} Outcomes in API order
    */
-  subscribeToPriceUpdates(marketId, callback) {
-    if (!this.subscriptions) {
-      this.subscriptions = new Map()
+  getOutcomes(market) {
+    if (!market) return []
+    if (Array.isArray(market.outcomes) && market.outcomes.length > 0 && typeof market.outcomes[0] === 'object') {
+      return market.outcomes
     }
 
-    const updatePrice = async () => {
+    const [yesTokenId, noTokenId] = this.getClobTokenIds(market)
+    return [
+      { index: 0, label: 'Yes', price: market.yesPrice ?? 50, tokenId: yesTokenId || null },
+      { index: 1, label: 'No', price: market.noPrice ?? 50, tokenId: noTokenId || null },
+    ]
+  }
+
+  /**
+   * Get the outcome with the highest price
+   * @param {Object} market - Market object
+   * @returns {Object|null} Leading outcome
+   */
+  getLeadingOutcome(market) {
+    return this.getOutcomes(market).reduce((leader, outcome) => {
+      return !leader || (outcome.price || 0) > (leader.price || 0) ? outcome : leader
+    }, null)
+  }
+
+  /**
+   * Whether the market has three or more outcomes, so no Yes/No prices
+   * @param {Object} market - Market object
+   * @returns {boolean}
+   */
+  isMultiOutcome(market) {
+    return this.getOutcomes(market).length > 2
+  }
+
+  /**
+   * Subscribe to real-time price updates
+   * Prices stream from the shared CLOB WebSocket feed (see MarketStreamService)
+   * @param {string|Object} marketOrId - Market object or market ID
+   * @param {Function} callback - Called with { marketId, yesPrice, noPrice, prices, timestamp }
+   *   where prices[i] is the price of outcome i (null until it streams); yesPrice and
+   *   noPrice are null for markets with three or more outcomes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToPriceUpdates(marketOrId, callback) {
+    const marketId = typeof marketOrId === 'object' ? marketOrId?.id : marketOrId
+    let unsubscribeStream = null
+    let cancelled = false
+
+    const start = async () => {
       try {
-        const market = await this.getMarket(marketId)
-        if (market) {
+        // Use the market object directly when it already carries token IDs
+        const market = typeof marketOrId === 'object' && this.getClobTokenIds(marketOrId).length > 0
+          ? marketOrId
+          : await this.getMarket(marketId)
+        const outcomes = this.getOutcomes(market)
+        const tokenIds = outcomes.map(outcome => outcome.tokenId).filter(Boolean)
+        if (cancelled || tokenIds.length === 0) return
+
+        // Binary convenience prices follow the Yes/No tokens (first/second for named outcomes);
+        // markets with three or more outcomes only get per-outcome prices
+        const isBinary = outcomes.length <= 2
+        const [yesTokenId, noTokenId] = this.getClobTokenIds(market)
+        const yesIndex = Math.max(0, outcomes.findIndex(outcome => outcome.tokenId === yesTokenId))
+        const noIndex = outcomes.findIndex(outcome => outcome.tokenId === noTokenId)
+
+        unsubscribeStream = marketStreamService.subscribe(tokenIds, () => {
+          const prices = outcomes.map(outcome => outcome.tokenId ? marketStreamService.getPrice(outcome.tokenId) : null)
+          if (prices.every(price => price === null)) return
+
+          if (!isBinary) {
+            callback({ marketId, yesPrice: null, noPrice: null, prices, timestamp: Date.now() })
+            return
+          }
+
+          const yesPrice = prices[yesIndex] ?? null
+          const noPrice = noIndex >= 0 ? (prices[noIndex] ?? null) : null
           callback({
             marketId,
-            yesPrice: market.yesPrice,
-            noPrice: market.noPrice,
+            yesPrice: yesPrice ?? (noPrice !== null ? 100 - noPrice : null),
+            noPrice: noPrice ?? (yesPrice !== null ? 100 - yesPrice : null),
+            prices,
             timestamp: Date.now(),
           })
-        }
+        })
       } catch (error) {
-        console.error('Error updating price:', error)
+        console.error('Error subscribing to price updates:', error)
       }
     }
 
-    // Update immediately
-    updatePrice()
+    start()
 
-    // Then update every 30 seconds (respects API rate limits)
-    const interval = setInterval(updatePrice, 30000)
+    const unsubscribe = () => {
+      cancelled = true
+      if (unsubscribeStream) {
+        unsubscribeStream()
+        unsubscribeStream = null
+      }
+      const set = this.subscriptions.get(marketId)
+      if (set) {
+        set.delete(unsubscribe)
+        if (set.size === 0) this.subscriptions.delete(marketId)
+      }
+    }
+
+    if (!this.subscriptions.has(marketId)) {
+      this.subscriptions.set(marketId, new Set())
+    }
+    this.subscriptions.get(marketId).add(unsubscribe)
 
-    this.subscriptions.set(marketId, { callback, interval })
+    return unsubscribe
   }
 
   /**
-   * Unsubscribe from price updates
+   * Unsubscribe every price update listener for a market
+   * Prefer the function returned by subscribeToPriceUpdates, which only
+   * removes that one listener
    */
   unsubscribeFromPriceUpdates(marketId) {
-    if (this.subscriptions) {
-      const subscription = this.subscriptions.get(marketId)
-      if (subscription && subscription.interval) {
-        clearInterval(subscription.interval)
-        this.subscriptions.delete(marketId)
-      }
+    const set = this.subscriptions.get(marketId)
+    if (set) {
+      Array.from(set).forEach(unsubscribe => unsubscribe())
     }
   }
 
@@ -654,133 +892,236 @@ class PolymarketService {
    * Get current price for a token from CLOB API
    * @param {string} tokenId - The CLOB token ID
    * @param {string} side - 'BUY' or 'SELL'
-   * @returns {Promise<number>} Price in cents (0-100)
+   * @returns {Promise<Object>} Result with the price in cents (0-100)
    */
   async getTokenPrice(tokenId, side = 'BUY') {
-    try {
-      const url = `${this.clobUrl}/price?token_id=${tokenId}&side=${side.toUpperCase()}`
-      const response = await fetch(url, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-      })
+    const url = `${this.clobUrl}/price?token_id=${tokenId}&side=${side.toUpperCase()}`
+    const result = await this.cache.load(
+      `prices:${tokenId}:${side.toUpperCase()}`,
+      () => requestScheduler.fetchJson(url)
+    )
+
+    // The API returns price in decimal (0-1), convert to cents (0-100)
+    const price = hasData(result) ? parseFloat(result.data?.price ?? result.data) : NaN
+    if (Number.isNaN(price)) {
+      return hasData(result) ? unavailable('No price quoted for this token') : result
+    }
+    return { ...result, data: Math.max(0, Math.min(100, price * 100)) }
+  }
+
+  /**
+   * Get the order books for a market: one per outcome, plus a combined book
+   * that merges complementary liquidity on binary markets
+   * @returns {Promise<Object>} Result with { outcomes, combined, combinedSummary } (see buildOrderBooks)
+   */
+  async getOrderBook(marketId) {
+    const market = await this.getMarket(marketId)
+    if (!market) {
+      return unavailable('Market not found')
+    }
+
+    const outcomes = this.getOutcomes(market)
+    const generateDemoBooks = () => this.buildOrderBooks(
+      market,
+      outcomes.map(outcome => this.generateMockOrderBook(outcome.price ?? 50))
+    )
+
+    if (!outcomes.some(outcome => outcome.tokenId)) {
+      return this.withDemoData(unavailable('This market has no order book'), generateDemoBooks)
+    }
 
-      if (!response.ok) {
-        throw new Error(`CLOB API error: ${response.status}`)
+    // Fetch every outcome's book in parallel
+    const books = await Promise.all(outcomes.map(async (outcome) => {
+      if (!outcome.tokenId) {
+        return unavailable('No token for this outcome')
       }
+      return this.getTokenOrderBook(outcome.tokenId)
+    }))
 
-      const data = await response.json()
-      
-      // The API returns price in decimal (0-1), convert to cents (0-100)
-      const price = parseFloat(data.price || data || 0.5)
-      return Math.max(0, Math.min(100, price * 100))
-    } catch (error) {
-      console.error(`Error fetching price for token ${tokenId} (${side}):`, error)
-      return null
+    const loaded = books.filter(hasData)
+    if (loaded.length === 0) {
+      return this.withDemoData(unavailable(books[0].reason), generateDemoBooks)
     }
+
+    const data = this.buildOrderBooks(market, books.map(book => hasData(book) ? book.data : null), books)
+    const staleResult = loaded.find(book => book.status === 'stale')
+    return staleResult
+      ? { ...staleResult, data }
+      : ok(data, { timestamp: Math.min(...loaded.map(book => book.timestamp)) })
   }
 
   /**
-   * Get order book for a market
+   * Get the order book for one outcome token
+   * @param {string} tokenId - CLOB token ID
+   * @returns {Promise<Object>} Result with { bids, asks } (prices in cents, best first)
    */
-  async getOrderBook(marketId) {
-    try {
-      const market = await this.getMarket(marketId)
-      if (!market) {
-        return this.generateMockOrderBook(marketId)
+  async getTokenOrderBook(tokenId) {
+    const result = await this.cache.load(
+      `books:${tokenId}`,
+      () => requestScheduler.fetchJson(`${this.clobUrl}/book?token_id=${tokenId}`)
+    )
+    return mapResult(result, data => this.transformOrderBook(data))
+  }
+
+  /**
+   * The freshest book for one token to trade against: the streamed book when
+   * the token is subscribed, otherwise REST
+   * @param {string} tokenId - CLOB token ID
+   * @returns {Promise<OrderBook>}
+   * @throws {Error} If no book is available
+   */
+  async getTradableBook(tokenId) {
+    const streamed = marketStreamService.getState(tokenId)
+    if (streamed) return streamed
+
+    const result = await this.getTokenOrderBook(tokenId)
+    if (!hasData(result)) {
+      throw new Error(result.reason || 'Order book unavailable')
+    }
+    return OrderBook.fromLevels(result.data, tokenId)
+  }
+
+  /**
+   * A market's order rules from the CLOB: tick size, minimum size and neg-risk flag
+   * @param {string} conditionId - Market condition ID
+   * @param {Object} options - { fresh }: skip the cache (checked again just before signing)
+   * @returns {Promise<Object>} Result with { tickSize (decimal string), minOrderSize (shares), negRisk }
+   */
+  async getTradingRules(conditionId, options = {}) {
+    if (!conditionId) {
+      return unavailable('No condition ID for this market')
+    }
+
+    const key = `rules:${conditionId}`
+    const fetcher = () => requestScheduler.fetchJson(`${this.clobUrl}/markets/${conditionId}`)
+    let result
+    if (options.fresh) {
+      try {
+        result = ok(await this.cache.revalidate(key, fetcher))
+      } catch (error) {
+        result = unavailable(getErrorReason(error))
       }
+    } else {
+      result = await this.cache.load(key, fetcher)
+    }
 
-      // Try to get real order book from Polymarket CLOB API
-      // Note: This may have CORS restrictions in browser
-      if (market.polymarketData?.yesTokenId) {
-        try {
-          const tokenId = market.polymarketData.yesTokenId
-          const response = await fetch(
-            `${this.clobUrl}/book?token_id=${tokenId}`,
-            {
-              headers: {
-                'Accept': 'application/json',
-              },
-            }
-          )
-
-          if (response.ok) {
-            const data = await response.json()
-            
-            // Transform order book data
-            const bids = (data.bids || []).map(order => ({
-              price: parseFloat(order.price || order[0] || 0) * 100, // Convert to cents
-              amount: parseFloat(order.size || order[1] || 0),
-              total: 0, // Will be calculated
-            }))
-            
-            const asks = (data.asks || []).map(order => ({
-              price: parseFloat(order.price || order[0] || 0) * 100,
-              amount: parseFloat(order.size || order[1] || 0),
-              total: 0,
-            }))
-            
-            // Calculate cumulative totals
-            let runningTotal = 0
-            bids.forEach(order => {
-              runningTotal += order.amount
-              order.total = runningTotal
-            })
-            
-            runningTotal = 0
-            asks.forEach(order => {
-              runningTotal += order.amount
-              order.total = runningTotal
-            })
-            
-            return { bids, asks }
-          }
-        } catch (error) {
-        }
+    return mapResult(result, data => ({
+      tickSize: data.minimum_tick_size ? String(data.minimum_tick_size) : null,
+      minOrderSize: parseFloat(data.minimum_order_size) || 0,
+      negRisk: data.neg_risk === true,
+    }))
+  }
+
+  /**
+   * Assemble per-outcome books and the combined book for a market
+   * Shared by getOrderBook (REST) and the streamed book in TradingTabs.
+   * @param {Object} market - Market object
+   * @param {Array<Object|null>} books - { bids, asks } per outcome, in outcome order (null if missing)
+   * @param {Array<Object>} results - Optional per-outcome results, for status and reason
+   * @returns {Object} { outcomes: [{ label, tokenId, status, reason, book, summary }], combined, combinedSummary }
+   *   combined is the first outcome's book merged with the second's complement,
+   *   or null unless the market has exactly two outcomes with books. Summaries
+   *   are OrderBook.getSummary() values (best bid/ask, mid, spread, microprice,
+   *   depth, imbalance).
+   */
+  buildOrderBooks(market, books, results = []) {
+    const summarize = book => book ? OrderBook.fromLevels(book).getSummary() : null
+    const outcomes = this.getOutcomes(market).map((outcome, index) => ({
+      label: outcome.label,
+      tokenId: outcome.tokenId,
+      status: results[index]?.status || (books[index] ? 'ok' : 'unavailable'),
+      reason: results[index]?.reason || null,
+      book: books[index] || null,
+      summary: summarize(books[index]),
+    }))
+
+    const [primary, complement] = outcomes
+    const combined = outcomes.length === 2 && primary.book && complement.book
+      ? this.mergeComplementaryBooks(primary.book, complement.book)
+      : null
+
+    return { outcomes, combined, combinedSummary: summarize(combined) }
+  }
+
+  /**
+   * Merge a binary market's second outcome into the first outcome's book
+   * Outcome prices sum to 100¢, so a No bid at 30¢ is a Yes ask at 70¢ and a
+   * No ask at 30¢ is a Yes bid at 70¢. Complement levels are mirrored onto the
+   * first outcome's price scale and added to its native levels.
+   * @param {Object} primary - { bids, asks } for the first outcome
+   * @param {Object} complement - { bids, asks } for the second outcome
+   * @returns {{ bids: Array, asks: Array }} Levels as { price, amount, syntheticAmount, total },
+   *   where syntheticAmount is the part of the level mirrored from the complement
+   */
+  mergeComplementaryBooks(primary, complement) {
+    const merge = (native, mirrored, descending) => {
+      const byPrice = new Map()
+      const add = (price, amount, synthetic) => {
+        // Round away float noise from 100 - price so equal prices share a level
+        const key = Math.round(price * 10000) / 10000
+        const level = byPrice.get(key) || { price: key, amount: 0, syntheticAmount: 0, total: 0 }
+        level.amount += amount
+        if (synthetic) level.syntheticAmount += amount
+        byPrice.set(key, level)
       }
-      
-      // Fallback to mock order book
-      return this.generateMockOrderBook(marketId)
-    } catch (error) {
-      console.error('Error fetching order book:', error)
-      return this.generateMockOrderBook(marketId)
+      native.forEach(level => add(level.price, level.amount, false))
+      mirrored.forEach(level => add(100 - level.price, level.amount, true))
+      return this.withRunningTotals(Array.from(byPrice.values()), descending)
+    }
+
+    return {
+      bids: merge(primary.bids || [], complement.asks || [], true),
+      asks: merge(primary.asks || [], complement.bids || [], false),
     }
   }
 
   /**
-   * Generate mock order book if API fails
+   * Sort levels best first and fill in cumulative totals
+   * @param {Array<Object>} levels - Levels with price (cents) and amount
+   * @param {boolean} descending - true for bids (highest first), false for asks
    */
-  async generateMockOrderBook(marketId) {
-    const market = await this.getMarket(marketId)
-    if (!market) return { bids: [], asks: [] }
+  withRunningTotals(levels, descending) {
+    let runningTotal = 0
+    return levels
+      .sort((a, b) => descending ? b.price - a.price : a.price - b.price)
+      .map((level) => {
+        runningTotal += level.amount
+        return { ...level, total: runningTotal }
+      })
+  }
+
+  /**
+   * Convert a CLOB /book response to SignalBay levels with cumulative totals
+   * @param {Object} data - { bids: [{ price, size }], asks: [...] } in decimals
+   * @returns {{ bids: Array, asks: Array }} Levels as { price (cents), amount, total }, best first
+   */
+  transformOrderBook(data) {
+    const book = new OrderBook(data?.asset_id)
+    book.applySnapshot(data || {})
+    return book.getLevels()
+  }
 
-    const generateOrders = (side, basePrice, count = 15) => {
+  /**
+   * Generate a synthetic order book around a price in cents, for demo mode
+   */
+  generateMockOrderBook(basePrice = 50) {
+    const generateOrders = (side, count = 15) => {
       const orders = []
       for (let i = 0; i < count; i++) {
-        const offset = side === 'bid'
-          ? (count - i) * 0.1
-          : (i + 1) * 0.1
-        const orderPrice = side === 'bid'
-          ? Math.max(0, basePrice - offset)
-          : Math.min(100, basePrice + offset)
+        const offset = (i + 1) * 0.1
         orders.push({
-          price: orderPrice,
+          price: side === 'bid'
+            ? Math.max(0, basePrice - offset)
+            : Math.min(100, basePrice + offset),
           amount: Math.random() * 10 + 0.1,
-          total: 0
         })
       }
-      let runningTotal = 0
-      orders.forEach(order => {
-        runningTotal += order.amount
-        order.total = runningTotal
-      })
-      return orders
+      return this.withRunningTotals(orders, side === 'bid')
     }
 
     return {
-      bids: generateOrders('bid', market.yesPrice, 15),
-      asks: generateOrders('ask', market.yesPrice, 15),
+      bids: generateOrders('bid'),
+      asks: generateOrders('ask'),
     }
   }
 
@@ -798,216 +1139,123 @@ class PolymarketService {
    * Search markets using Polymarket public-search endpoint
    * @param {string} query - Search query string
    * @param {Object} options - Additional search options
-   * @returns {Promise<Array>} Array of market objects
+   * @returns {Promise<Object>} Result with an array of market objects
    */
   async searchMarkets(query, options = {}) {
-    try {
-      if (!query || query.trim().length === 0) {
-        return []
-      }
-
-      // Check cache first
-      const cacheKey = `search-${query}-${JSON.stringify(options)}`
-      const cached = this.cache.get(cacheKey)
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data
-      }
-      
+    if (!query || query.trim().length === 0) {
+      return ok([])
+    }
 
-      const params = new URLSearchParams({
-        q: query.trim(),
-        ...(options.cache !== undefined && { cache: String(options.cache) }),
-        ...(options.events_status && { events_status: options.events_status }),
-        ...(options.limit_per_type && { limit_per_type: String(options.limit_per_type) }),
-        ...(options.page && { page: String(options.page) }),
-        ...(options.events_tag && Array.isArray(options.events_tag) && { 
-          events_tag: options.events_tag.join(',') 
-        }),
-        ...(options.keep_closed_markets !== undefined && { keep_closed_markets: String(options.keep_closed_markets) }),
-        ...(options.sort && { sort: options.sort }),
-        ...(options.ascending !== undefined && { ascending: String(options.ascending) }),
-        ...(options.search_tags !== undefined && { search_tags: String(options.search_tags) }),
-        ...(options.search_profiles !== undefined && { search_profiles: String(options.search_profiles) }),
-        ...(options.recurrence && { recurrence: options.recurrence }),
-        ...(options.exclude_tag_id && Array.isArray(options.exclude_tag_id) && { 
-          exclude_tag_id: options.exclude_tag_id.map(String).join(',') 
-        }),
-        ...(options.optimized !== undefined && { optimized: String(options.optimized) }),
-      })
-      const url = `${this.apiUrl}/public-search?${params.toString()}`
-      
-      const response = await fetch(url, {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json',
-        },
-      })
+    const cacheKey = `search:${query.trim()}:${JSON.stringify(options)}`
+
+    const params = new URLSearchParams({
+      q: query.trim(),
+      ...(options.cache !== undefined && { cache: String(options.cache) }),
+      ...(options.events_status && { events_status: options.events_status }),
+      ...(options.limit_per_type && { limit_per_type: String(options.limit_per_type) }),
+      ...(options.page && { page: String(options.page) }),
+      ...(options.events_tag && Array.isArray(options.events_tag) && { 
+        events_tag: options.events_tag.join(',') 
+      }),
+      ...(options.keep_closed_markets !== undefined && { keep_closed_markets: String(options.keep_closed_markets) }),
+      ...(options.sort && { sort: options.sort }),
+      ...(options.ascending !== undefined && { ascending: String(options.ascending) }),
+      ...(options.search_tags !== undefined && { search_tags: String(options.search_tags) }),
+      ...(options.search_profiles !== undefined && { search_profiles: String(options.search_profiles) }),
+      ...(options.recurrence && { recurrence: options.recurrence }),
+      ...(options.exclude_tag_id && Array.isArray(options.exclude_tag_id) && { 
+        exclude_tag_id: options.exclude_tag_id.map(String).join(',') 
+      }),
+      ...(options.optimized !== undefined && { optimized: String(options.optimized) }),
+    })
+    const url = `${this.apiUrl}/public-search?${params.toString()}`
+    
+    const result = await this.cache.load(cacheKey, () => requestScheduler.fetchJson(url))
+    return mapResult(result, data => this.transformMarkets(this.extractSearchMarkets(data || {})))
+  }
 
-      if (!response.ok) {
-        const errorText = await response.text()
-        throw new Error(`Search API error: ${response.status} - ${errorText}`)
+  /**
+   * Collect markets from a /public-search response
+   * @param {Object} data - Search response
+   * @returns {Array} Raw Gamma markets
+   */
+  extractSearchMarkets(data) {
+    // Handle different response formats
+    // The public-search endpoint returns results organized by type: { markets: [], events: [], tags: [] }
+    let marketsData = []
+    
+    // First, extract markets from data.markets
+    if (Array.isArray(data)) {
+      // If response is directly an array, use it
+      marketsData = data
+    } else if (data.markets) {
+      // Check for markets array first (most common structure for /public-search)
+      marketsData = Array.isArray(data.markets) ? data.markets : []
+    } else if (data.data) {
+      // Check for nested data.markets or data as array
+      if (Array.isArray(data.data)) {
+        marketsData = data.data
+      } else if (data.data.markets && Array.isArray(data.data.markets)) {
+        marketsData = data.data.markets
       }
-
-      const data = await response.json()
-      
-      // Handle different response formats
-      // The public-search endpoint returns results organized by type: { markets: [], events: [], tags: [] }
-      let marketsData = []
+    } else if (data.results) {
+      // Check for results array
+      marketsData = Array.isArray(data.results) ? data.results : []
+    }
+    
+    // Also extract markets from events (events contain markets)
+    if (data.events && Array.isArray(data.events) && data.events.length > 0) {
+      const marketsFromEvents = []
       
-      // First, extract markets from data.markets
-      if (Array.isArray(data)) {
-        // If response is directly an array, use it
-        marketsData = data
-      } else if (data.markets) {
-        // Check for markets array first (most common structure for /public-search)
-        marketsData = Array.isArray(data.markets) ? data.markets : []
-      } else if (data.data) {
-        // Check for nested data.markets or data as array
-        if (Array.isArray(data.data)) {
-          marketsData = data.data
-        } else if (data.data.markets && Array.isArray(data.data.markets)) {
-          marketsData = data.data.markets
+      data.events.forEach(event => {
+        // Events may have a markets property with an array of markets
+        if (event.markets && Array.isArray(event.markets)) {
+          marketsFromEvents.push(...event.markets)
         }
-      } else if (data.results) {
-        // Check for results array
-        marketsData = Array.isArray(data.results) ? data.results : []
-      }
-      
-      // Also extract markets from events (events contain markets)
-      if (data.events && Array.isArray(data.events) && data.events.length > 0) {
-        const marketsFromEvents = []
-        
-        data.events.forEach(event => {
-          // Events may have a markets property with an array of markets
-          if (event.markets && Array.isArray(event.markets)) {
-            marketsFromEvents.push(...event.markets)
-          }
-          // Some events might be market-like objects themselves
-          // Check if the event itself looks like a market (has question, outcomes, etc.)
-          else if (event.question || event.title || event.outcomes) {
-            // Treat the event as a market
-            marketsFromEvents.push(event)
-          }
-        })
-        
-        if (marketsFromEvents.length > 0) {
-          marketsData = [...marketsData, ...marketsFromEvents]
-        } else {
+        // Some events might be market-like objects themselves
+        // Check if the event itself looks like a market (has question, outcomes, etc.)
+        else if (event.question || event.title || event.outcomes) {
+          // Treat the event as a market
+          marketsFromEvents.push(event)
         }
-      }
+      })
       
-      // Log the structure for debugging
-      if (data.events !== undefined) {
+      if (marketsFromEvents.length > 0) {
+        marketsData = [...marketsData, ...marketsFromEvents]
+      } else {
       }
-
-      // Transform the markets
-      const markets = this.transformMarkets(marketsData)
-
-      // Cache the result (5 minute TTL)
-      this.cache.set(cacheKey, {
-        data: markets,
-        timestamp: Date.now(),
-      })
-
-      return markets
-    } catch (error) {
-      console.error('Error searching markets:', error)
-      throw error
     }
+    
+    // Log the structure for debugging
+    if (data.events !== undefined) {
+    }
+
+    return marketsData
   }
 
   /**
    * Fetch tags from Polymarket
    * Tags can be used to get tag_id values for filtering markets by category
-   * @returns {Promise<Array>} Array of tag objects with id, name, etc.
+   * @returns {Promise<Object>} Result with an array of tag objects with id, name, etc.
    */
   async getTags() {
-    try {
-      // Check cache first
-      const cacheKey = 'tags-metadata'
-      const cached = this.cache.get(cacheKey)
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data
-      }
-      
-
-      const response = await fetch(
-        `${this.apiUrl}/tags`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          },
-        }
-      )
-
-      if (!response.ok) {
-        throw new Error(`Polymarket API error: ${response.status}`)
-      }
-
-      const data = await response.json()
-      const tagsData = Array.isArray(data) ? data : (data.data || data.tags || [])
-
-      // Cache the result (5 minute TTL)
-      this.cache.set(cacheKey, {
-        data: tagsData,
-        timestamp: Date.now(),
-      })
-
-      return tagsData
-    } catch (error) {
-      console.error('Error fetching Polymarket tags:', error)
-      throw error
-    }
+    return this.cache.load('tags:metadata', async () => {
+      const data = await requestScheduler.fetchJson(`${this.apiUrl}/tags`) || []
+      return Array.isArray(data) ? data : (data.data || data.tags || [])
+    })
   }
 
   /**
    * Fetch sports metadata from Polymarket
    * Returns sports with their tag IDs, images, series info, etc.
    * Use this to get tag_id values for filtering sports markets
-   * @returns {Promise<Array>} Array of sport objects with sport name, tags, series, etc.
+   * @returns {Promise<Object>} Result with an array of sport objects with sport name, tags, series, etc.
    */
   async getSports() {
-    try {
-      // Check cache first
-      const cacheKey = 'sports-metadata'
-      const cached = this.cache.get(cacheKey)
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data
-      }
-      
-      debugger;
-      const response = await fetch(
-        `${this.apiUrl}/sports`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          },
-        }
-      )
-
-      if (!response.ok) {
-        throw new Error(`Polymarket API error: ${response.status}`)
-      }
-
-      const data = await response.json()
-      const sportsData = Array.isArray(data) ? data : (data.data || data.sports || [])
-
-      // Cache the result (5 minute TTL)
-      this.cache.set(cacheKey, {
-        data: sportsData,
-        timestamp: Date.now(),
-      })
-
-      return sportsData
-    } catch (error) {
-      console.error('Error fetching Polymarket sports:', error)
-      throw error
-    }
+    return this.cache.load('sports:metadata', async () => {
+      const data = await requestScheduler.fetchJson(`${this.apiUrl}/sports`) || []
+      return Array.isArray(data) ? data : (data.data || data.sports || [])
+    })
   }
 
   /**
@@ -1017,7 +1265,7 @@ class PolymarketService {
    */
   async getSportTagIds(sportName) {
     try {
-      const sports = await this.getSports()
+      const sports = (await this.getSports()).data || []
       const sport = sports.find(s => 
         s.sport && s.sport.toUpperCase() === sportName.toUpperCase()
       )
@@ -1043,89 +1291,32 @@ class PolymarketService {
   /**
    * Fetch events from Polymarket
    * @param {Object} options - Query options
-   * @returns {Promise<Array>} Array of event objects
+   * @param {Function} options.onRevalidate - Called with fresh events if cached ones were stale
+   * @returns {Promise<Object>} Result with an array of event objects
    */
   async getEvents(options = {}) {
-    try {
-      // Check cache first
-      const cacheKey = `events-${JSON.stringify(options)}`
-      const cached = this.cache.get(cacheKey)
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data
-      }
-      
-
-      // Polymarket Events API endpoint
-      const params = new URLSearchParams({
-        order: options.order || 'id',
-        ascending: String(options.ascending !== undefined ? options.ascending : false),
-        closed: String(options.closed !== undefined ? options.closed : false),
-        limit: String(options.limit || 100),
-        ...(options.offset && { offset: String(options.offset) }),
-        ...(options.featured !== undefined && { featured: String(options.featured) }),
-        ...(options.tag_id && { 
-          tag_id: Array.isArray(options.tag_id) 
-            ? options.tag_id.map(String).join(',') 
-            : String(options.tag_id) 
-        }),
-      })
-      debugger;
-      const response = await fetch(
-        `${this.apiUrl}/events?${params.toString()}`,
-        {
-          headers: {
-            'Accept': 'application/json',
-            'Content-Type': 'application/json',
-          },
-        }
-      )
-
-      if (!response.ok) {
-        throw new Error(`Polymarket API error: ${response.status}`)
-      }
-
-      const data = await response.json()
-      
+    // JSON.stringify skips onRevalidate, so it doesn't split the cache key
+    const cacheKey = `events:${JSON.stringify(options)}`
+
+    // Polymarket Events API endpoint
+    const params = new URLSearchParams({
+      order: options.order || 'id',
+      ascending: String(options.ascending !== undefined ? options.ascending : false),
+      closed: String(options.closed !== undefined ? options.closed : false),
+      limit: String(options.limit || 100),
+      ...(options.offset && { offset: String(options.offset) }),
+      ...(options.featured !== undefined && { featured: String(options.featured) }),
+      ...(options.tag_id && { 
+        tag_id: Array.isArray(options.tag_id) 
+          ? options.tag_id.map(String).join(',') 
+          : String(options.tag_id) 
+      }),
+    })
+    return this.cache.load(cacheKey, async () => {
+      const data = await requestScheduler.fetchJson(`${this.apiUrl}/events?${params.toString()}`) || []
       // Handle different response formats
-      const eventsData = Array.isArray(data) ? data : (data.data || data.events || [])
-
-      // Cache the result (5 minute TTL)
-      this.cache.set(cacheKey, {
-        data: eventsData,
-        timestamp: Date.now(),
-      })
-
-      return eventsData
-    } catch (error) {
-      console.error('Error fetching Polymarket events:', error)
-      throw error
-    }
-  }
-
-  /**
-   * Fallback markets if API fails
-   */
-  getFallbackMarkets() {
-    return [
-      {
-        id: 'fallback-polymarket',
-        icon: '📊',
-        title: 'Polymarket API Unavailable',
-        description: 'Unable to fetch real markets. Check your connection or try again later.',
-        yesPrice: 50,
-        noPrice: 50,
-        volume: 0,
-        category: 'general',
-        endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-        polymarketData: {
-          conditionId: 'fallback',
-          slug: 'fallback',
-          tickSize: '0.001',
-          negRisk: false,
-        },
-      },
-    ]
+      return Array.isArray(data) ? data : (data.data || data.events || [])
+    }, { onRevalidate: options.onRevalidate })
   }
 }
 
@@ -0,0 +1,291 @@
+/**
+ * Portfolio History Service
+ * Equity snapshots over time, persisted to IndexedDB
+ *
+ * While the app is open a snapshot of the portfolio is recorded every
+ * PORTFOLIO_CONFIG.snapshotInterval: cash (USDC balance), position value at
+ * current prices and the ledger's P&L (see PortfolioService).
+ *
+ * Snapshots belong to the active account (see TradingModeService), so the
+ * paper account has its own history. A live account is only recorded once
+ * it is initialized for trading; the timer never asks the wallet to sign.
+ *
+ * Snapshots: { account (TradingModeService account ID), timestamp (ms), cash,
+ *   positionValue, equity, costBasis, realizedPnl, unrealizedPnl, totalPnl,
+ *   fees } in dollars
+ *
+ * Returns are time-weighted: each interval's return is its change in P&L over
+ * the equity at its start, so deposits and withdrawals (which move equity but
+ * not P&L) don't count as performance. Drawdown is measured on the same
+ * compounded return index.
+ */
+
+import { PORTFOLIO_CONFIG } from '../config/dataConfig'
+import { tradingModeService } from './TradingModeService'
+import { portfolioService } from './PortfolioService'
+
+const STORE_NAME = 'snapshots'
+
+export const HISTORY_RANGES = {
+  '1D': 86400000,
+  '1W': 7 * 86400000,
+  '1M': 30 * 86400000,
+  All: null,
+}
+
+class PortfolioHistoryService {
+  constructor() {
+    this.db = null
+    this.ready = null
+    // account ID -> time of its last snapshot
+    this.lastSnapshotAt = new Map()
+    this.timer = null
+    this.listeners = new Set()
+  }
+
+  getAccount() {
+    return tradingModeService.getAccountId()
+  }
+
+  /**
+   * Record snapshots on a timer until the returned function is called
+   * @returns {Function} Stop function
+   */
+  startRecording() {
+    if (this.timer) return () => {}
+
+    const tick = () => {
+      this.recordSnapshot().catch(error => console.error('Error recording portfolio snapshot:', error))
+    }
+    tick()
+    this.timer = setInterval(tick, PORTFOLIO_CONFIG.snapshotInterval)
+    // Start the newly active account's history right away
+    const unsubscribe = tradingModeService.subscribe(tick)
+
+    return () => {
+      clearInterval(this.timer)
+      this.timer = null
+      unsubscribe()
+    }
+  }
+
+  /**
+   * Take a snapshot now, unless one was taken within the snapshot interval
+   * @returns {Promise<Object|null>} The snapshot, or null if none was taken
+   */
+  async recordSnapshot() {
+    // Never initialize trading from the timer: for a live account that asks
+    // the wallet to sign. Record once the user has connected it for trading.
+    const service = tradingModeService.getService()
+    if (!service.isInitialized) return null
+    // The live account is known once initialized (the funder address)
+    const account = this.getAccount()
+    if (!account) return null
+    if (Date.now() - (this.lastSnapshotAt.get(account) || 0) < PORTFOLIO_CONFIG.snapshotInterval * 0.9) return null
+
+    // Always fresh data: a cached portfolio would record an old state as now
+    const [portfolio, cash] = await Promise.all([
+      portfolioService.refreshPortfolio(),
+      service.getCollateralBalance(),
+    ])
+    const { positions, closedPositions } = portfolio
+    const totals = portfolioService.getTotals(positions, closedPositions)
+    const positionValue = totals.totalValue
+
+    // The account was switched while this snapshot was being taken
+    if (account !== this.getAccount()) return null
+
+    const snapshot = {
+      account,
+      timestamp: Date.now(),
+      cash,
+      positionValue,
+      equity: cash + positionValue,
+      costBasis: totals.totalCost,
+      realizedPnl: totals.realizedPnl,
+      unrealizedPnl: totals.unrealizedPnl,
+      totalPnl: totals.totalPnL,
+      fees: totals.fees,
+    }
+
+    this.lastSnapshotAt.set(account, snapshot.timestamp)
+    await this.save(snapshot)
+    this.listeners.forEach((listener) => {
+      try {
+        listener(snapshot)
+      } catch (error) {
+        console.error('Error in portfolio history listener:', error)
+      }
+    })
+    return snapshot
+  }
+
+  /**
+   * Listen for new snapshots
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Snapshots for the current account, oldest first
+   * @param {string} range - HISTORY_RANGES key
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSnapshots(range = 'All') {
+    const db = await this.openDatabase()
+    if (!db) return []
+
+    const span = HISTORY_RANGES[range]
+    const from = span ? Date.now() - span : 0
+    const account = this.getAccount()
+
+    return new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(STORE_NAME, 'readonly')
+        const request = transaction.objectStore(STORE_NAME)
+          .getAll(IDBKeyRange.bound([account, from], [account, Number.MAX_SAFE_INTEGER]))
+        request.onsuccess = () => resolve(request.result || [])
+        request.onerror = () => {
+          console.error('Error reading portfolio history:', request.error)
+          resolve([])
+        }
+      } catch (error) {
+        console.error('Error reading portfolio history:', error)
+        resolve([])
+      }
+    })
+  }
+
+  /**
+   * Time-weighted return and max drawdown over snapshots
+   * @param {Array<Object>} snapshots - Oldest first
+   * @returns {Object} { timeWeightedReturn, maxDrawdown (fractions), returnIndex: [{ timestamp, value }] }
+   */
+  getPerformance(snapshots) {
+    let growth = 1
+    let peak = 1
+    let maxDrawdown = 0
+    const returnIndex = snapshots.length > 0 ? [{ timestamp: snapshots[0].timestamp, value: 1 }] : []
+
+    for (let i = 1; i < snapshots.length; i++) {
+      const previous = snapshots[i - 1]
+      const current = snapshots[i]
+      const periodReturn = previous.equity > 0 ? (current.totalPnl - previous.totalPnl) / previous.equity : 0
+      growth *= 1 + periodReturn
+      peak = Math.max(peak, growth)
+      maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - growth) / peak : 0)
+      returnIndex.push({ timestamp: current.timestamp, value: growth })
+    }
+
+    return {
+      timeWeightedReturn: growth - 1,
+      maxDrawdown,
+      returnIndex,
+    }
+  }
+
+  async save(snapshot) {
+    const db = await this.openDatabase()
+    if (!db) return
+    await new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite')
+        transaction.objectStore(STORE_NAME).put(snapshot)
+        transaction.oncomplete = resolve
+        transaction.onerror = () => {
+          console.error('Error saving portfolio snapshot:', transaction.error)
+          resolve()
+        }
+      } catch (error) {
+        console.error('Error saving portfolio snapshot:', error)
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Store snapshots from an import (see ExportService). Snapshots are keyed by
+   * account and timestamp, so importing the same export twice changes nothing.
+   * @param {Array<Object>} snapshots
+   * @returns {Promise<number>} How many were stored
+   */
+  async importSnapshots(snapshots) {
+    const db = await this.openDatabase()
+    if (!db) {
+      throw new Error('Portfolio history storage (IndexedDB) is unavailable in this browser')
+    }
+    if (snapshots.length === 0) return 0
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, 'readwrite')
+      const store = transaction.objectStore(STORE_NAME)
+      snapshots.forEach(snapshot => store.put(snapshot))
+      transaction.oncomplete = () => resolve(snapshots.length)
+      transaction.onerror = () => reject(transaction.error)
+    })
+  }
+
+  /**
+   * Delete every snapshot of an account (e.g. when the paper account is reset)
+   * @param {string} account - Account ID
+   */
+  async deleteSnapshots(account) {
+    this.lastSnapshotAt.delete(account)
+    const db = await this.openDatabase()
+    if (!db) return
+    await new Promise((resolve) => {
+      try {
+        const transaction = db.transaction(STORE_NAME, 'readwrite')
+        transaction.objectStore(STORE_NAME)
+          .delete(IDBKeyRange.bound([account, 0], [account, Number.MAX_SAFE_INTEGER]))
+        transaction.oncomplete = resolve
+        transaction.onerror = () => {
+          console.error('Error deleting portfolio history:', transaction.error)
+          resolve()
+        }
+      } catch (error) {
+        console.error('Error deleting portfolio history:', error)
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Open the snapshot database once
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  openDatabase() {
+    if (this.ready) return this.ready
+    this.ready = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      try {
+        const request = indexedDB.open(PORTFOLIO_CONFIG.historyDbName, 1)
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, { keyPath: ['account', 'timestamp'] })
+        }
+        request.onsuccess = () => {
+          this.db = request.result
+          resolve(request.result)
+        }
+        request.onerror = () => {
+          console.error('Error opening portfolio history database:', request.error)
+          resolve(null)
+        }
+      } catch (error) {
+        console.error('Error opening portfolio history database:', error)
+        resolve(null)
+      }
+    })
+    return this.ready
+  }
+}
+
+// Export singleton instance
+export const portfolioHistoryService = new PortfolioHistoryService()
+export default PortfolioHistoryService
@@ -0,0 +1,317 @@
+/**
+ * Portfolio Service
+ * Positions reconstructed from the user's fills and outcome-token balances
+ *
+ * Nothing is recorded when an order is posted: an order only becomes a
+ * holding once it fills. Positions are rebuilt from two sources:
+ * - fills: the CLOB trade history, as taker or as maker (failed settlements
+ *   are ignored), replayed through a PositionLedger for cost basis and
+ *   realized P&L with the chosen lot method
+ * - balances: the funder's balance of every token that appears in the fills,
+ *   which is what is actually held
+ * The balance decides the quantity. When it disagrees with the fills (tokens
+ * split, merged or transferred outside the CLOB) the position is flagged.
+ *
+ * When a market resolves (market.resolution, see PolymarketService) its
+ * tokens settle in the ledger at their payout, 100¢ for the winning outcome
+ * and 0 for the rest, and the position moves to the closed list with its
+ * resolution. Winning tokens still in the wallet await redemption.
+ *
+ * Everything is read from the active account (see TradingModeService), live
+ * or paper. The fetched account (fills and balances) goes through cacheService
+ * (`portfolio:<account ID>`), so the stored copy is only ever a cache; switching
+ * lot method re-runs the ledger without refetching.
+ *
+ * Portfolio: { positions (open), closedPositions (sold out or settled), lotMethod, timestamp }
+ * Positions are ledger positions (see PositionLedger) plus { id, marketTitle,
+ *   market, outcomeIndex, side ('Buy'), entryPrice (average cost, cents),
+ *   filledQuantity, reconciled, currentPrice (cents), walletQuantity,
+ *   awaitingRedemption }
+ */
+
+import { PORTFOLIO_CONFIG } from '../config/dataConfig'
+import { tradingModeService } from './TradingModeService'
+import { polymarketService } from './PolymarketService'
+import { marketStreamService } from './MarketStreamService'
+import { cacheService } from './CacheService'
+import { PositionLedger } from './PositionLedger'
+import { hasData, unavailable } from './DataResult'
+
+class PortfolioService {
+  /**
+   * Load the user's positions
+   * @param {Object} options
+   *   - lotMethod: 'average' or 'fifo' (see LOT_METHODS)
+   *   - onRevalidate: called with the rebuilt portfolio when a stale account is refreshed
+   * @returns {Promise<Object>} ok / stale result with the portfolio, or unavailable
+   */
+  async getPortfolio(options = {}) {
+    try {
+      await tradingModeService.getService().ensureInitialized()
+    } catch (error) {
+      return unavailable('Connect a wallet to see your portfolio')
+    }
+
+    const lotMethod = options.lotMethod || PORTFOLIO_CONFIG.lotMethod
+    const result = await cacheService.load(this.getCacheKey(), () => this.fetchAccount(), {
+      onRevalidate: async (account) => options.onRevalidate?.(await this.buildPortfolio(account, lotMethod)),
+    })
+    if (!hasData(result)) return result
+
+    return { ...result, data: await this.buildPortfolio(result.data, lotMethod) }
+  }
+
+  /**
+   * Rebuild the portfolio from a fresh fetch, bypassing the cached account
+   * @param {string} lotMethod - 'average' or 'fifo'
+   * @returns {Promise<Object>} Portfolio (throws if the fetch fails)
+   */
+  async refreshPortfolio(lotMethod = PORTFOLIO_CONFIG.lotMethod) {
+    await tradingModeService.getService().ensureInitialized()
+    const account = await cacheService.revalidate(this.getCacheKey(), () => this.fetchAccount())
+    return this.buildPortfolio(account, lotMethod)
+  }
+
+  getCacheKey() {
+    return `portfolio:${tradingModeService.getAccountId()}`
+  }
+
+  /**
+   * Drop the cached portfolio (e.g. after a fill) so the next load rebuilds it
+   */
+  invalidate() {
+    cacheService.invalidate('portfolio:')
+  }
+
+  /**
+   * Fetch fills and the balance of every token they touch
+   * @returns {Promise<Object>} { fills, balances: { tokenId: shares | null } }
+   */
+  async fetchAccount() {
+    const service = tradingModeService.getService()
+    const trades = await service.getTrades()
+    const fills = this.getUserFills(trades)
+    const tokenIds = [...new Set(fills.map(fill => fill.tokenId))]
+
+    const balances = {}
+    await Promise.all(tokenIds.map(async (tokenId) => {
+      try {
+        balances[tokenId] = await service.getConditionalBalance(tokenId)
+      } catch {
+        // Fall back to the fills for this token
+        balances[tokenId] = null
+      }
+    }))
+
+    return { fills, balances }
+  }
+
+  /**
+   * Run the ledger over an account and attach market data
+   */
+  async buildPortfolio(account, lotMethod) {
+    const ledger = PositionLedger.fromFills(account.fills, lotMethod)
+    const ledgerPositions = ledger.getPositions()
+
+    const markets = new Map()
+    await Promise.all([...new Set(ledgerPositions.map(position => position.marketId))].map(async (marketId) => {
+      markets.set(marketId, await polymarketService.getMarket(marketId))
+    }))
+
+    // Settle tokens of resolved markets at their payout
+    ledgerPositions.forEach((position) => {
+      const resolution = markets.get(position.marketId)?.resolution
+      const balance = account.balances[position.tokenId] ?? 0
+      if (resolution?.status !== 'resolved') return
+      if (position.quantity <= 0 && balance < PORTFOLIO_CONFIG.dustShares) return
+      const payout = String(resolution.winningTokenId) === position.tokenId ? 100 : 0
+      ledger.resolve(position.tokenId, payout, resolution.resolvedAt || Date.now())
+    })
+
+    const positions = ledger.getPositions().map(position =>
+      this.toPosition(position, markets.get(position.marketId), account.balances[position.tokenId] ?? null)
+    )
+    const open = positions.filter(position => position.quantity >= PORTFOLIO_CONFIG.dustShares)
+    const closed = positions.filter(position => position.quantity < PORTFOLIO_CONFIG.dustShares)
+
+    return {
+      positions: open.sort((a, b) => b.openedAt - a.openedAt),
+      closedPositions: closed.sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0)),
+      lotMethod: ledger.method,
+      timestamp: Date.now(),
+    }
+  }
+
+  /**
+   * The user's side of each trade: the taker fill, or the matched maker orders
+   * @param {Array} trades - CLOB trades (TradingService.getTrades)
+   * @returns {Array<Object>} Fills, oldest first: { id, tokenId, marketId, outcome,
+   *   side ('BUY' | 'SELL'), size (shares), price (cents), feeRateBps, timestamp (ms) }
+   */
+  getUserFills(trades) {
+    const funder = tradingModeService.getAccountId()
+    const apiKey = tradingModeService.getService().getCredentials()?.key
+
+    return (trades || [])
+      .filter(trade => String(trade.status).toUpperCase() !== 'FAILED')
+      .flatMap((trade) => {
+        const timestamp = (parseInt(trade.match_time) || 0) * 1000 // Seconds -> ms
+        if (trade.trader_side !== 'MAKER') {
+          return [this.toFill(trade.id, trade, trade.market, timestamp, trade.size)]
+        }
+        return (trade.maker_orders || [])
+          .filter(order => order.owner === apiKey || order.maker_address?.toLowerCase() === funder)
+          .map(order => this.toFill(`${trade.id}:${order.order_id}`, order, trade.market, timestamp, order.matched_amount))
+      })
+      .sort((a, b) => a.timestamp - b.timestamp)
+  }
+
+  toFill(id, source, marketId, timestamp, size) {
+    return {
+      id,
+      tokenId: String(source.asset_id),
+      marketId,
+      outcome: source.outcome || null,
+      side: String(source.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+      size: parseFloat(size) || 0,
+      price: parseFloat(source.price) * 100, // Convert to cents
+      feeRateBps: parseFloat(source.fee_rate_bps) || 0,
+      timestamp,
+    }
+  }
+
+  toPosition(position, market, balance) {
+    const outcome = polymarketService.getOutcomes(market)
+      .find(candidate => String(candidate.tokenId) === position.tokenId)
+    // A resolved token is closed whatever the wallet still holds (it may not be redeemed yet)
+    const walletQuantity = balance ?? position.quantity
+    const quantity = position.resolution ? 0 : walletQuantity
+    const entryPrice = position.averageCost
+
+    return {
+      ...position,
+      id: position.tokenId,
+      marketId: market?.id || position.marketId,
+      marketTitle: market?.title || null,
+      market,
+      outcome: outcome?.label || position.outcome,
+      outcomeIndex: outcome?.index,
+      side: 'Buy',
+      quantity,
+      entryPrice,
+      // Held shares are costed at the ledger's average, including any the fills don't explain
+      costBasis: entryPrice !== null ? (entryPrice / 100) * quantity : 0,
+      filledQuantity: position.quantity,
+      reconciled: position.resolution !== null || balance === null ||
+        Math.abs(balance - position.quantity) < PORTFOLIO_CONFIG.dustShares,
+      currentPrice: position.resolution
+        ? position.resolution.payout
+        : marketStreamService.getPrice(position.tokenId) ?? outcome?.price ?? entryPrice,
+      walletQuantity,
+      // Winning tokens pay out only once redeemed on Polymarket
+      awaitingRedemption: position.resolution?.payout === 100 && walletQuantity >= PORTFOLIO_CONFIG.dustShares,
+    }
+  }
+
+  /**
+   * Portfolio totals at current prices
+   * @param {Array<Object>} positions - Open positions (with currentPrice)
+   * @param {Array<Object>} closedPositions
+   * @returns {Object} { totalCost, totalValue, realizedPnl, unrealizedPnl, totalPnL, fees,
+   *   totalROI, winRate, winningPositions, losingPositions, totalPositions, bestPosition, worstPosition }
+   */
+  getTotals(positions, closedPositions = []) {
+    const all = [...positions, ...closedPositions]
+    const totalPnLOf = position => this.getTotalPnl(position)
+
+    const totalCost = positions.reduce((sum, p) => sum + p.costBasis, 0)
+    const unrealizedPnl = positions.reduce((sum, p) => sum + PositionLedger.getUnrealizedPnl(p, p.currentPrice), 0)
+    const realizedPnl = all.reduce((sum, p) => sum + p.realizedPnl, 0)
+    const invested = all.reduce((sum, p) => sum + p.boughtCost, 0)
+    const totalPnL = realizedPnl + unrealizedPnl
+
+    const winningPositions = all.filter(p => totalPnLOf(p) > 0)
+    const losingPositions = all.filter(p => totalPnLOf(p) < 0)
+
+    return {
+      totalCost,
+      totalValue: totalCost + unrealizedPnl,
+      realizedPnl,
+      unrealizedPnl,
+      totalPnL,
+      fees: all.reduce((sum, p) => sum + p.fees, 0),
+      totalROI: invested > 0 ? (totalPnL / invested) * 100 : 0,
+      winRate: all.length > 0 ? (winningPositions.length / all.length) * 100 : 0,
+      winningPositions: winningPositions.length,
+      losingPositions: losingPositions.length,
+      totalPositions: positions.length,
+      bestPosition: all.reduce((best, p) => (!best || totalPnLOf(p) > totalPnLOf(best) ? p : best), null),
+      worstPosition: all.reduce((worst, p) => (!worst || totalPnLOf(p) < totalPnLOf(worst) ? p : worst), null),
+    }
+  }
+
+  /**
+   * Win rate per market category, over open and closed positions
+   * @returns {Array<Object>} [{ category, positions, wins, losses, winRate, totalPnl }], most positions first
+   */
+  getCategoryStats(positions, closedPositions = []) {
+    const byCategory = new Map()
+    const all = [...positions, ...closedPositions]
+    all.forEach((position) => {
+      const category = position.market?.category || 'general'
+      const stats = byCategory.get(category) || { category, positions: 0, wins: 0, losses: 0, totalPnl: 0 }
+      const pnl = this.getTotalPnl(position)
+      stats.positions += 1
+      stats.wins += pnl > 0 ? 1 : 0
+      stats.losses += pnl < 0 ? 1 : 0
+      stats.totalPnl += pnl
+      byCategory.set(category, stats)
+    })
+    return Array.from(byCategory.values())
+      .map(stats => ({ ...stats, winRate: (stats.wins / stats.positions) * 100 }))
+      .sort((a, b) => b.positions - a.positions)
+  }
+
+  /**
+   * Market value of open positions per event (markets without one stand alone)
+   * @returns {Array<Object>} [{ eventId, title, value, share (0-1), positions }], largest first
+   */
+  getEventExposure(positions) {
+    const byEvent = new Map()
+    positions.forEach((position) => {
+      const data = position.market?.polymarketData
+      const eventId = data?.eventId || position.marketId
+      const exposure = byEvent.get(eventId) || {
+        eventId,
+        title: data?.eventTitle || position.marketTitle || 'Market',
+        value: 0,
+        positions: 0,
+      }
+      exposure.value += position.quantity * (position.currentPrice ?? position.entryPrice ?? 0) / 100
+      exposure.positions += 1
+      byEvent.set(eventId, exposure)
+    })
+    const total = Array.from(byEvent.values()).reduce((sum, exposure) => sum + exposure.value, 0)
+    return Array.from(byEvent.values())
+      .map(exposure => ({ ...exposure, share: total > 0 ? exposure.value / total : 0 }))
+      .sort((a, b) => b.value - a.value)
+  }
+
+  /**
+   * Realized plus unrealized P&L of one position ($)
+   */
+  getTotalPnl(position) {
+    return position.realizedPnl + PositionLedger.getUnrealizedPnl(position, position.currentPrice)
+  }
+
+  /**
+   * Total P&L as a percentage of everything spent on the position
+   */
+  getROI(position) {
+    return position.boughtCost > 0 ? (this.getTotalPnl(position) / position.boughtCost) * 100 : 0
+  }
+}
+
+// Export singleton instance
+export const portfolioService = new PortfolioService()
+export default PortfolioService
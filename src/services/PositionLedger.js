@@ -0,0 +1,196 @@
+/**
+ * Position Ledger
+ * Buys, sells and resolutions per outcome token, with realized and unrealized P&L
+ *
+ * Every holding is a long position in one outcome token (a No position is
+ * the No token, priced at the No price), so P&L is always
+ * value - cost, never inverted by outcome.
+ *
+ * Lot methods:
+ * - fifo: a sell closes the oldest lots first
+ * - average: all lots are pooled at their weighted average cost
+ *
+ * Fees follow the CLOB fee formula, rate * min(price, 1 - price) * size.
+ * A buy's fee is added to its lot's cost; a sell's fee is taken from its
+ * proceeds. Resolution closes whatever is left at the payout: 100¢ for the
+ * winning outcome, 0¢ otherwise.
+ *
+ * Positions: { tokenId, marketId, outcome, quantity (shares), costBasis ($,
+ *   open lots incl. fees), averageCost (cents), realizedPnl ($), fees ($),
+ *   boughtQuantity, boughtCost ($, every buy incl. fees), soldQuantity,
+ *   unmatchedSellQuantity, openedAt, closedAt,
+ *   resolution: { payout (cents), quantity, cost ($), timestamp } | null }
+ */
+
+import { PORTFOLIO_CONFIG } from '../config/dataConfig'
+
+export const LOT_METHODS = {
+  FIFO: 'fifo',
+  AVERAGE: 'average',
+}
+
+export class PositionLedger {
+  constructor(method = PORTFOLIO_CONFIG.lotMethod) {
+    this.method = method === LOT_METHODS.FIFO ? LOT_METHODS.FIFO : LOT_METHODS.AVERAGE
+    // tokenId -> { ...position, lots: [{ size, cost ($) }] }
+    this.positions = new Map()
+  }
+
+  /**
+   * Build a ledger from fills, oldest first (see PortfolioService.getUserFills)
+   * @param {Array<Object>} fills
+   * @param {string} method - LOT_METHODS value
+   * @returns {PositionLedger}
+   */
+  static fromFills(fills, method) {
+    const ledger = new PositionLedger(method)
+    fills.forEach(fill => ledger.applyFill(fill))
+    return ledger
+  }
+
+  /**
+   * Fee in dollars for a fill
+   * @param {{ size: number, price: number (cents), feeRateBps: number }} fill
+   */
+  static getFee(fill) {
+    const price = fill.price / 100
+    return ((fill.feeRateBps || 0) / 10000) * Math.min(price, 1 - price) * fill.size
+  }
+
+  getOrCreatePosition(fill) {
+    let position = this.positions.get(fill.tokenId)
+    if (!position) {
+      position = {
+        tokenId: fill.tokenId,
+        marketId: fill.marketId,
+        outcome: fill.outcome,
+        quantity: 0,
+        costBasis: 0,
+        realizedPnl: 0,
+        fees: 0,
+        boughtQuantity: 0,
+        boughtCost: 0,
+        soldQuantity: 0,
+        unmatchedSellQuantity: 0,
+        openedAt: null,
+        closedAt: null,
+        resolution: null,
+        lots: [],
+      }
+      this.positions.set(fill.tokenId, position)
+    }
+    return position
+  }
+
+  /**
+   * Apply one fill
+   * @param {Object} fill - { tokenId, marketId, outcome, side, size (shares), price (cents), feeRateBps, timestamp }
+   */
+  applyFill(fill) {
+    if (!(fill.size > 0)) return
+    const position = this.getOrCreatePosition(fill)
+    const fee = PositionLedger.getFee(fill)
+    position.fees += fee
+
+    if (fill.side === 'BUY') {
+      if (position.quantity <= 0) {
+        position.openedAt = fill.timestamp
+        position.closedAt = null
+      }
+      const cost = fill.size * fill.price / 100 + fee
+      this.addLot(position, fill.size, cost)
+      position.boughtQuantity += fill.size
+      position.boughtCost += cost
+      return
+    }
+
+    // Sells beyond what the fills show as held (history before the first
+    // fill, tokens from outside the order book) have no cost to close
+    const closing = Math.min(fill.size, position.quantity)
+    position.unmatchedSellQuantity += fill.size - closing
+    position.soldQuantity += closing
+
+    const proceeds = closing * fill.price / 100 - fee * (closing / fill.size)
+    const closedCost = this.removeShares(position, closing)
+    position.realizedPnl += proceeds - closedCost
+    if (position.quantity <= 0) {
+      position.closedAt = fill.timestamp
+    }
+  }
+
+  /**
+   * Close what is left of a token at its resolution payout
+   * @param {string} tokenId - CLOB token ID
+   * @param {number} payout - 100 for the winning outcome, 0 otherwise (cents)
+   * @param {number} timestamp - When the market resolved (ms)
+   */
+  resolve(tokenId, payout, timestamp = Date.now()) {
+    const position = this.positions.get(tokenId)
+    if (!position || position.resolution) return
+
+    const quantity = position.quantity
+    const closedCost = this.removeShares(position, quantity)
+    position.realizedPnl += quantity * payout / 100 - closedCost
+    position.resolution = { payout, quantity, cost: closedCost, timestamp }
+    position.closedAt = timestamp
+  }
+
+  addLot(position, size, cost) {
+    if (this.method === LOT_METHODS.AVERAGE && position.lots.length > 0) {
+      position.lots[0].size += size
+      position.lots[0].cost += cost
+    } else {
+      position.lots.push({ size, cost })
+    }
+    position.quantity += size
+    position.costBasis += cost
+  }
+
+  /**
+   * Take shares out of the open lots (oldest first; one pooled lot for average cost)
+   * @returns {number} Cost of the removed shares ($)
+   */
+  removeShares(position, size) {
+    let remaining = size
+    let removedCost = 0
+    while (remaining > 1e-9 && position.lots.length > 0) {
+      const lot = position.lots[0]
+      const taken = Math.min(remaining, lot.size)
+      const cost = lot.cost * (taken / lot.size)
+      lot.size -= taken
+      lot.cost -= cost
+      removedCost += cost
+      remaining -= taken
+      if (lot.size <= 1e-9) {
+        position.lots.shift()
+      }
+    }
+    position.quantity = Math.max(0, position.quantity - size)
+    position.costBasis = position.lots.reduce((sum, lot) => sum + lot.cost, 0)
+    return removedCost
+  }
+
+  /**
+   * Unrealized P&L of a position at a price
+   * @param {Object} position - Ledger position
+   * @param {number} price - Current price of the token (cents)
+   * @returns {number} Dollars
+   */
+  static getUnrealizedPnl(position, price) {
+    if (!(position.quantity > 0) || price === null || price === undefined) return 0
+    return position.quantity * price / 100 - position.costBasis
+  }
+
+  /**
+   * Every position, open or closed, without its lots
+   * @returns {Array<Object>}
+   */
+  getPositions() {
+    return Array.from(this.positions.values()).map(({ lots, ...position }) => ({
+      ...position,
+      averageCost: position.quantity > 0 ? (position.costBasis / position.quantity) * 100 : null,
+    }))
+  }
+}
+
+export default PositionLedger
@@ -0,0 +1,357 @@
+/**
+ * Request Scheduler
+ * Single REST request layer for the Polymarket Gamma and CLOB hosts
+ *
+ * - Rate limiting: each host has a token bucket refilled at
+ *   POLYMARKET_CONFIG.rateLimit requests per minute. Requests queue in FIFO
+ *   order until their host has budget.
+ * - Dedupe: identical GET requests that are already queued or in flight share
+ *   one network call and one parsed result.
+ * - Retry: 429 and 5xx responses are retried with jittered exponential
+ *   backoff. A Retry-After header overrides the backoff and pauses the whole
+ *   host, not just the request that received it.
+ * - Metrics: queue depth, in-flight count, dedupe hit rate and error rate
+ *   via getMetrics() / onMetrics() for a debug panel.
+ *
+ * Results are parsed JSON rather than Response objects, because a Response
+ * body can only be read once and deduped callers share the same result.
+ */
+
+import { POLYMARKET_CONFIG, REQUEST_CONFIG } from '../config/dataConfig'
+
+/**
+ * Error for a request that failed after all retries
+ * `status` is the HTTP status (0 for network errors) and `body` the response text
+ */
+export class RequestError extends Error {
+  constructor(message, { status = 0, body = '', url = '' } = {}) {
+    super(message)
+    this.name = 'RequestError'
+    this.status = status
+    this.body = body
+    this.url = url
+  }
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.rateLimit = options.rateLimit || POLYMARKET_CONFIG.rateLimit // requests per minute per host
+    this.burst = options.burst || REQUEST_CONFIG.burst
+    this.maxRetries = options.maxRetries ?? REQUEST_CONFIG.maxRetries
+    this.retryBaseDelay = options.retryBaseDelay || REQUEST_CONFIG.retryBaseDelay
+    this.retryMaxDelay = options.retryMaxDelay || REQUEST_CONFIG.retryMaxDelay
+    this.metricsWindow = options.metricsWindow || REQUEST_CONFIG.metricsWindow
+    // host -> { tokens, updatedAt, blockedUntil }
+    this.buckets = new Map()
+    // FIFO of jobs waiting for budget
+    this.queue = []
+    this.pumpTimer = null
+    // dedupe key -> Promise of parsed result
+    this.inFlight = new Map()
+    this.activeCount = 0
+    this.metricsListeners = new Set()
+    this.resetMetrics()
+  }
+
+  /**
+   * Fetch a URL through the scheduler and parse the JSON body
+   * @param {string} url - Absolute or proxy-relative URL
+   * @param {Object} options - fetch options, plus:
+   *   - dedupe: share identical in-flight requests (default true for GET)
+   *   - retries: override the retry count for this request
+   * @returns {Promise<any>} Parsed JSON body
+   * @throws {RequestError} When the request fails after all retries
+   */
+  fetchJson(url, options = {}) {
+    const { dedupe, retries, ...init } = options
+    const method = (init.method || 'GET').toUpperCase()
+    const shouldDedupe = dedupe ?? method === 'GET'
+    const key = `${method} ${url}`
+
+    this.metrics.requests++
+
+    if (shouldDedupe && this.inFlight.has(key)) {
+      this.metrics.deduped++
+      this.emitMetrics()
+      return this.inFlight.get(key)
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({
+        url,
+        init: {
+          ...init,
+          headers: { 'Accept': 'application/json', ...init.headers },
+        },
+        host: this.getHost(url),
+        attempt: 0,
+        maxRetries: retries ?? this.maxRetries,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+      })
+    })
+
+    if (shouldDedupe) {
+      this.inFlight.set(key, promise)
+      const clear = () => {
+        if (this.inFlight.get(key) === promise) this.inFlight.delete(key)
+      }
+      promise.then(clear, clear)
+    }
+
+    this.emitMetrics()
+    this.pump()
+    return promise
+  }
+
+  /**
+   * Host key for a URL; proxy paths (/api/polymarket, /api/clob) count as their own host
+   */
+  getHost(url) {
+    if (url.startsWith('/')) {
+      return url.split('/').slice(0, 3).join('/')
+    }
+    try {
+      return new URL(url).host
+    } catch {
+      return url
+    }
+  }
+
+  /**
+   * Refill and return the bucket for a host
+   */
+  getBucket(host) {
+    const now = Date.now()
+    let bucket = this.buckets.get(host)
+    if (!bucket) {
+      bucket = { tokens: this.burst, updatedAt: now, blockedUntil: 0 }
+      this.buckets.set(host, bucket)
+    }
+    const refillPerMs = this.rateLimit / 60000
+    bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+    bucket.updatedAt = now
+    return bucket
+  }
+
+  /**
+   * Milliseconds until a host can start another request
+   */
+  getWaitTime(host) {
+    const bucket = this.getBucket(host)
+    const blockedFor = Math.max(0, bucket.blockedUntil - Date.now())
+    const refillFor = bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / (this.rateLimit / 60000))
+    return Math.max(blockedFor, refillFor)
+  }
+
+  /**
+   * Start every queued job whose host has budget, then wait for the next one
+   * Jobs for a throttled host do not hold up jobs for other hosts.
+   */
+  pump() {
+    if (this.pumpTimer) {
+      clearTimeout(this.pumpTimer)
+      this.pumpTimer = null
+    }
+
+    let nextWait = Infinity
+    const waiting = []
+    const blockedHosts = new Set()
+
+    this.queue.forEach((job) => {
+      // Preserve FIFO order within a host
+      if (blockedHosts.has(job.host)) {
+        waiting.push(job)
+        return
+      }
+      const wait = this.getWaitTime(job.host)
+      if (wait > 0) {
+        blockedHosts.add(job.host)
+        nextWait = Math.min(nextWait, wait)
+        waiting.push(job)
+        return
+      }
+      this.getBucket(job.host).tokens -= 1
+      this.run(job)
+    })
+
+    this.queue = waiting
+    if (this.queue.length > 0 && nextWait !== Infinity) {
+      this.pumpTimer = setTimeout(() => this.pump(), nextWait)
+    }
+    this.emitMetrics()
+  }
+
+  /**
+   * Execute one attempt of a job and settle, retry or fail it
+   */
+  async run(job) {
+    this.activeCount++
+    this.metrics.sent++
+    if (job.attempt === 0) {
+      this.metrics.totalQueueTime += Date.now() - job.enqueuedAt
+    }
+
+    let response = null
+    try {
+      response = await fetch(job.url, job.init)
+    } catch (error) {
+      this.activeCount--
+      this.fail(job, new RequestError(`Network error: ${error.message}`, { url: job.url }))
+      return
+    }
+
+    this.activeCount--
+
+    if (response.ok) {
+      try {
+        const text = await response.text()
+        const data = text ? JSON.parse(text) : null
+        this.recordOutcome(true)
+        job.resolve(data)
+      } catch (error) {
+        this.fail(job, new RequestError(`Invalid JSON from ${job.url}`, { status: response.status, url: job.url }))
+      }
+      this.emitMetrics()
+      return
+    }
+
+    const retryable = response.status === 429 || response.status >= 500
+    if (retryable && job.attempt < job.maxRetries) {
+      const retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'))
+      if (response.status === 429) {
+        this.metrics.throttled++
+        if (retryAfter !== null) {
+          const bucket = this.getBucket(job.host)
+          bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + retryAfter)
+        }
+      }
+      this.retry(job, retryAfter)
+      return
+    }
+
+    const body = await response.text().catch(() => '')
+    this.fail(job, new RequestError(`HTTP ${response.status} from ${job.url}`, {
+      status: response.status,
+      body,
+      url: job.url,
+    }))
+  }
+
+  /**
+   * Re-queue a job after a jittered exponential backoff (or Retry-After)
+   */
+  retry(job, retryAfter) {
+    const exponential = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** job.attempt)
+    // Full jitter keeps clients that failed together from retrying together
+    const delay = retryAfter ?? Math.round(Math.random() * exponential)
+
+    job.attempt++
+    this.metrics.retried++
+    this.emitMetrics()
+
+    setTimeout(() => {
+      this.queue.push(job)
+      this.pump()
+    }, delay)
+  }
+
+  fail(job, error) {
+    this.recordOutcome(false)
+    job.reject(error)
+    this.emitMetrics()
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+   * @returns {number|null}
+   */
+  parseRetryAfter(value) {
+    if (!value) return null
+    const seconds = Number(value)
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000)
+    }
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+  }
+
+  recordOutcome(ok) {
+    const now = Date.now()
+    if (ok) {
+      this.metrics.succeeded++
+    } else {
+      this.metrics.failed++
+    }
+    this.recentOutcomes.push({ at: now, ok })
+    while (this.recentOutcomes.length > 0 && now - this.recentOutcomes[0].at > this.metricsWindow) {
+      this.recentOutcomes.shift()
+    }
+  }
+
+  /**
+   * Snapshot of scheduler metrics for a debug panel
+   * @returns {Object} Counters plus queueDepth, inFlight, hitRate and errorRate (0-1)
+   */
+  getMetrics() {
+    const now = Date.now()
+    const recent = this.recentOutcomes.filter(outcome => now - outcome.at <= this.metricsWindow)
+    const recentErrors = recent.filter(outcome => !outcome.ok).length
+    const firstAttempts = this.metrics.sent - this.metrics.retried
+
+    return {
+      ...this.metrics,
+      queueDepth: this.queue.length,
+      inFlight: this.activeCount,
+      hitRate: this.metrics.requests > 0 ? this.metrics.deduped / this.metrics.requests : 0,
+      errorRate: recent.length > 0 ? recentErrors / recent.length : 0,
+      averageQueueTime: firstAttempts > 0 ? this.metrics.totalQueueTime / firstAttempts : 0,
+      hosts: Array.from(this.buckets.keys()).map(host => ({
+        host,
+        tokens: Math.floor(this.getBucket(host).tokens),
+        blockedFor: Math.max(0, this.getBucket(host).blockedUntil - now),
+      })),
+    }
+  }
+
+  /**
+   * Listen for metric changes
+   * @param {Function} listener - Called with getMetrics()
+   * @returns {Function} Unsubscribe function
+   */
+  onMetrics(listener) {
+    this.metricsListeners.add(listener)
+    return () => this.metricsListeners.delete(listener)
+  }
+
+  emitMetrics() {
+    if (this.metricsListeners.size === 0) return
+    const metrics = this.getMetrics()
+    this.metricsListeners.forEach((listener) => {
+      try {
+        listener(metrics)
+      } catch (error) {
+        console.error('Error in request metrics listener:', error)
+      }
+    })
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      requests: 0, // fetchJson calls
+      deduped: 0, // calls served by an identical in-flight request
+      sent: 0, // network attempts, including retries
+      retried: 0,
+      throttled: 0, // 429 responses
+      succeeded: 0,
+      failed: 0,
+      totalQueueTime: 0,
+    }
+    this.recentOutcomes = []
+  }
+}
+
+// Export singleton instance
+export const requestScheduler = new RequestScheduler()
+export default RequestScheduler
@@ -0,0 +1,299 @@
+/**
+ * Trade Tape Service
+ * Rolling buffer of recent trades per market
+ *
+ * A market's buffer is backfilled from the CLOB's public trade events
+ * (/live-activity/events/<conditionId>) the first time it is watched, then
+ * extended live from last_trade_price events
+ * on the shared CLOB WebSocket (see MarketStreamService). Trades are kept
+ * newest first, capped at TRADES_CONFIG.bufferSize.
+ *
+ * Trades: { id, timestamp (ms), tokenId, outcome, side ('BUY' | 'SELL'),
+ * price (cents), size (shares), notional ($), isLarge }
+ *
+ * getAggregates() summarizes a buffer (buy/sell volume, VWAP, trades per
+ * minute) for AnalyzeView.
+ */
+
+import { POLYMARKET_CONFIG, TRADES_CONFIG } from '../config/dataConfig'
+import { marketStreamService } from './MarketStreamService'
+import { polymarketService } from './PolymarketService'
+import { requestScheduler } from './RequestScheduler'
+import { ok, unavailable, getErrorReason } from './DataResult'
+
+class TradeTapeService {
+  constructor() {
+    this.clobUrl = import.meta.env.DEV ? '/api/clob' : POLYMARKET_CONFIG.clobApiUrl
+    // marketId -> { trades, seen, backfill, backfilledAt, listeners, unsubscribeStream, timestamp }
+    this.buffers = new Map()
+  }
+
+  /**
+   * Watch a market's trades: backfill, then stream
+   * @param {Object} market - Market object
+   * @param {Function} listener - Called with the buffer (newest first) whenever it changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(market, listener) {
+    if (!market?.id) return () => {}
+
+    const buffer = this.getOrCreateBuffer(market)
+    buffer.listeners.add(listener)
+
+    if (!buffer.unsubscribeStream) {
+      // Trades may have been missed while nothing was streaming - backfill again
+      buffer.backfill = null
+      const outcomes = polymarketService.getOutcomes(market)
+      const tokenIds = outcomes.map(outcome => outcome.tokenId).filter(Boolean)
+      buffer.unsubscribeStream = marketStreamService.subscribe(tokenIds, (update) => {
+        if (update.type !== 'last_trade' || !update.event) return
+        const outcome = outcomes.find(candidate => String(candidate.tokenId) === update.tokenId)
+        this.addTrades(market.id, [this.transformStreamTrade(update.event, outcome)])
+      })
+    }
+
+    this.backfill(market)
+    if (buffer.trades.length > 0) {
+      listener(buffer.trades)
+    }
+
+    let active = true
+    return () => {
+      if (!active) return
+      active = false
+      buffer.listeners.delete(listener)
+      if (buffer.listeners.size === 0 && buffer.unsubscribeStream) {
+        // Keep the trades for the next viewer (and for AnalyzeView), stop streaming
+        buffer.unsubscribeStream()
+        buffer.unsubscribeStream = null
+      }
+    }
+  }
+
+  getOrCreateBuffer(market) {
+    let buffer = this.buffers.get(market.id)
+    if (!buffer) {
+      buffer = {
+        trades: [],
+        seen: new Set(),
+        backfill: null,
+        backfilledAt: 0,
+        listeners: new Set(),
+        unsubscribeStream: null,
+        timestamp: 0,
+      }
+      this.buffers.set(market.id, buffer)
+    }
+    return buffer
+  }
+
+  /**
+   * Load recent trades from the CLOB
+   * A streamed buffer is backfilled once; an idle one again after backfillTtl.
+   * @param {Object} market - Market object
+   * @returns {Promise<Object>} ok result with the buffer, or unavailable
+   */
+  backfill(market) {
+    const buffer = this.getOrCreateBuffer(market)
+    const isFresh = buffer.unsubscribeStream || Date.now() - buffer.backfilledAt < TRADES_CONFIG.backfillTtl
+    if (buffer.backfill && isFresh) return buffer.backfill
+
+    const conditionId = market.polymarketData?.conditionId || market.conditionId
+    if (!conditionId) {
+      return Promise.resolve(unavailable('This market has no trade history'))
+    }
+
+    const outcomes = polymarketService.getOutcomes(market)
+    const url = `${this.clobUrl}/live-activity/events/${conditionId}`
+    buffer.backfilledAt = Date.now()
+    buffer.backfill = requestScheduler.fetchJson(url)
+      .then((data) => {
+        const trades = (Array.isArray(data) ? data : [])
+          .slice(0, TRADES_CONFIG.backfillLimit)
+          .map(trade => this.transformApiTrade(trade, outcomes))
+        this.addTrades(market.id, trades)
+        return ok(buffer.trades)
+      })
+      .catch((error) => {
+        console.error(`Error loading trades for market ${market.id}:`, error)
+        // Allow a later viewer to try again
+        buffer.backfill = null
+        return unavailable(getErrorReason(error))
+      })
+    return buffer.backfill
+  }
+
+  /**
+   * Merge trades into a market's buffer, newest first, without duplicates
+   */
+  addTrades(marketId, trades) {
+    const buffer = this.buffers.get(marketId)
+    if (!buffer) return
+
+    const fresh = trades.filter((trade) => {
+      if (!trade || buffer.seen.has(trade.id)) return false
+      buffer.seen.add(trade.id)
+      return true
+    })
+    if (fresh.length === 0) return
+
+    const merged = [...fresh, ...buffer.trades].sort((a, b) => b.timestamp - a.timestamp)
+    const dropped = merged.splice(TRADES_CONFIG.bufferSize)
+    dropped.forEach(trade => buffer.seen.delete(trade.id))
+
+    this.markLargeTrades(merged)
+    buffer.trades = merged
+    buffer.timestamp = Date.now()
+
+    buffer.listeners.forEach((listener) => {
+      try {
+        listener(merged)
+      } catch (error) {
+        console.error('Error in trade tape listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Flag prints above the absolute notional threshold, or well above the
+   * buffer's average size
+   */
+  markLargeTrades(trades) {
+    const averageSize = trades.reduce((sum, trade) => sum + trade.size, 0) / (trades.length || 1)
+    trades.forEach((trade) => {
+      trade.isLarge = trade.notional >= TRADES_CONFIG.largeTradeNotional ||
+        (trades.length >= 10 && trade.size >= averageSize * TRADES_CONFIG.largeTradeMultiple)
+    })
+  }
+
+  /**
+   * Build a trade id that matches between the REST backfill and the stream,
+   * which has no transaction hash
+   */
+  getTradeKey(tokenId, timestampMs, price, size) {
+    return `${tokenId}:${Math.floor(timestampMs / 1000)}:${price.toFixed(2)}:${size.toFixed(2)}`
+  }
+
+  /**
+   * Transform a CLOB trade event (clob-client MarketTradeEvent)
+   */
+  transformApiTrade(trade, outcomes) {
+    const tokenId = String(trade.market?.asset_id || '')
+    const outcome = outcomes.find(candidate => String(candidate.tokenId) === tokenId) ||
+      outcomes[trade.outcome_index]
+    const price = parseFloat(trade.price) * 100 // Convert to cents
+    const size = parseFloat(trade.size) || 0
+    const rawTimestamp = parseInt(trade.timestamp) || 0
+    const timestamp = rawTimestamp < 1e12 ? rawTimestamp * 1000 : rawTimestamp // Seconds -> ms
+
+    return {
+      id: this.getTradeKey(tokenId, timestamp, price, size),
+      timestamp,
+      tokenId,
+      outcome: outcome?.label || trade.outcome || null,
+      side: String(trade.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+      price,
+      size,
+      notional: size * price / 100,
+      isLarge: false,
+    }
+  }
+
+  transformStreamTrade(event, outcome) {
+    const tokenId = String(event.asset_id)
+    const price = parseFloat(event.price) * 100 // Convert to cents
+    const size = parseFloat(event.size) || 0
+    const timestamp = parseInt(event.timestamp) || Date.now()
+
+    return {
+      id: this.getTradeKey(tokenId, timestamp, price, size),
+      timestamp,
+      tokenId,
+      outcome: outcome?.label || null,
+      side: String(event.side).toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+      price,
+      size,
+      notional: size * price / 100,
+      isLarge: false,
+    }
+  }
+
+  /**
+   * Get a market's buffered trades, newest first
+   * @returns {Array<Object>}
+   */
+  getTrades(marketId) {
+    return this.buffers.get(marketId)?.trades || []
+  }
+
+  /**
+   * Summarize a market's buffered trades
+   * @param {string} marketId - Market ID
+   * @param {Object} options
+   *   - since: only count trades at or after this timestamp (ms)
+   * @returns {Object} { tradeCount, tradesPerMinute, buyVolume, sellVolume, buyNotional,
+   *   sellNotional, largeTradeCount, from, to, byOutcome: [{ outcome, tokenId, tradeCount,
+   *   buyVolume, sellVolume, vwap }] }. Volumes are shares, notionals dollars, VWAP cents.
+   */
+  getAggregates(marketId, options = {}) {
+    const trades = this.getTrades(marketId)
+      .filter(trade => !options.since || trade.timestamp >= options.since)
+
+    const summarize = (list) => {
+      const volume = list.reduce((sum, trade) => sum + trade.size, 0)
+      const notional = list.reduce((sum, trade) => sum + trade.notional, 0)
+      const buys = list.filter(trade => trade.side === 'BUY')
+      const sells = list.filter(trade => trade.side === 'SELL')
+      return {
+        tradeCount: list.length,
+        buyVolume: buys.reduce((sum, trade) => sum + trade.size, 0),
+        sellVolume: sells.reduce((sum, trade) => sum + trade.size, 0),
+        buyNotional: buys.reduce((sum, trade) => sum + trade.notional, 0),
+        sellNotional: sells.reduce((sum, trade) => sum + trade.notional, 0),
+        // VWAP only makes sense within one outcome's price scale
+        vwap: volume > 0 ? (notional / volume) * 100 : null,
+      }
+    }
+
+    const byToken = new Map()
+    trades.forEach((trade) => {
+      if (!byToken.has(trade.tokenId)) byToken.set(trade.tokenId, [])
+      byToken.get(trade.tokenId).push(trade)
+    })
+
+    const from = trades.length > 0 ? trades[trades.length - 1].timestamp : null
+    const to = trades.length > 0 ? trades[0].timestamp : null
+    // At least a minute, so a burst of prints does not read as an extreme rate
+    const minutes = from !== null ? Math.max(1, (to - from) / 60000) : 1
+    const { vwap, ...totals } = summarize(trades)
+
+    return {
+      ...totals,
+      tradesPerMinute: trades.length / minutes,
+      largeTradeCount: trades.filter(trade => trade.isLarge).length,
+      from,
+      to,
+      byOutcome: Array.from(byToken.entries()).map(([tokenId, list]) => ({
+        outcome: list[0].outcome,
+        tokenId,
+        ...summarize(list),
+      })),
+    }
+  }
+
+  /**
+   * Backfill a market if needed, then summarize it
+   * @param {Object} market - Market object
+   * @param {Object} options - See getAggregates
+   * @returns {Promise<Object>} ok result with aggregates, or unavailable
+   */
+  async loadAggregates(market, options = {}) {
+    const result = await this.backfill(market)
+    if (result.status === 'unavailable') return result
+    return ok(this.getAggregates(market.id, options), { timestamp: this.buffers.get(market.id)?.timestamp })
+  }
+}
+
+// Export singleton instance
+export const tradeTapeService = new TradeTapeService()
+export default TradeTapeService
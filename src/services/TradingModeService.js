@@ -0,0 +1,110 @@
+/**
+ * Trading Mode Service
+ * The global switch between the live Polymarket account and the paper account
+ *
+ * Everything that reads or changes the user's account (orders, fills,
+ * balances, portfolio history) asks this service for the active trading
+ * service instead of importing TradingService directly, so one toggle moves
+ * every view between accounts. Both services share TradingService's
+ * interface (see PaperTradingService).
+ *
+ * Account IDs keep the two apart wherever account data is stored: the live
+ * account is the funder address, the paper account is 'paper'. Listeners are
+ * also called when the live account changes (wallet connect, disconnect or
+ * switch, see TradingService.reset) while live trading is on.
+ */
+
+import { PAPER_CONFIG } from '../config/dataConfig'
+import { tradingService } from './TradingService'
+import { paperTradingService } from './PaperTradingService'
+
+export const TRADING_MODES = {
+  LIVE: 'live',
+  PAPER: 'paper',
+}
+
+class TradingModeService {
+  constructor() {
+    this.mode = this.loadMode()
+    this.listeners = new Set()
+
+    tradingService.subscribe(() => {
+      if (!this.isPaper()) this.notify()
+    })
+  }
+
+  loadMode() {
+    try {
+      return localStorage.getItem(PAPER_CONFIG.modeStorageKey) === TRADING_MODES.PAPER
+        ? TRADING_MODES.PAPER
+        : TRADING_MODES.LIVE
+    } catch {
+      return TRADING_MODES.LIVE
+    }
+  }
+
+  getMode() {
+    return this.mode
+  }
+
+  isPaper() {
+    return this.mode === TRADING_MODES.PAPER
+  }
+
+  /**
+   * The trading service for the active account
+   * @returns {TradingService|PaperTradingService}
+   */
+  getService() {
+    return this.isPaper() ? paperTradingService : tradingService
+  }
+
+  /**
+   * ID of the active account, for keying stored account data
+   * @returns {string} 'paper', or the lowercased funder address ('' until the live account is initialized)
+   */
+  getAccountId() {
+    return this.isPaper() ? 'paper' : (tradingService.getFunderAddress() || '').toLowerCase()
+  }
+
+  /**
+   * Switch accounts and notify every listener
+   * @param {string} mode - TRADING_MODES value
+   */
+  setMode(mode) {
+    const next = mode === TRADING_MODES.PAPER ? TRADING_MODES.PAPER : TRADING_MODES.LIVE
+    if (next === this.mode) return
+
+    this.mode = next
+    try {
+      localStorage.setItem(PAPER_CONFIG.modeStorageKey, next)
+    } catch (error) {
+      console.error('Error saving trading mode:', error)
+    }
+    this.notify()
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.mode)
+      } catch (error) {
+        console.error('Error in trading mode listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Listen for account switches
+   * @param {Function} listener - Called with the active mode
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+}
+
+// Export singleton instance
+export const tradingModeService = new TradingModeService()
+export default TradingModeService
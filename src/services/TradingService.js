@@ -1,16 +1,32 @@
 /**
  * Trading Service
  * Handles order placement on Polymarket using CLOB client
- * 
- * Setup required:
- * 1. Private key from wallet or Magic Link (https://reveal.magic.link/polymarket)
- * 2. Funder address (shown below profile picture on Polymarket site)
- * 3. Set VITE_POLYMARKET_PRIVATE_KEY and VITE_POLYMARKET_FUNDER_ADDRESS in .env
+ *
+ * Orders are signed by the connected browser wallet (WalletService), and the
+ * CLOB API credentials are derived by a wallet signature. The wallet's
+ * trading account sets the signature type and funder: the wallet address
+ * itself (EOA) or its Polymarket proxy address. Changing wallet or trading
+ * account resets the client; the next call derives credentials again.
+ * Nothing is signed while the wallet is on another network than Polygon.
+ *
+ * Derived credentials can be saved encrypted (CredentialStore) under a
+ * passphrase or a wallet-signed key, so a reload does not need the derivation
+ * signature. rememberCredentials, unlockCredentials, forgetCredentials and
+ * rotateCredentials manage them for the connected account.
+ *
+ * Developer option: with VITE_POLYMARKET_DEV_SIGNER=true on the dev server,
+ * VITE_POLYMARKET_PRIVATE_KEY, VITE_POLYMARKET_FUNDER_ADDRESS and
+ * VITE_POLYMARKET_SIGNATURE_TYPE sign instead when no wallet is connected
+ * (see POLYMARKET_CONFIG). Production builds never read the key.
  */
 
-import { ApiKeyCreds, ClobClient, OrderType, Side } from "@polymarket/clob-client"
+import { ApiKeyCreds, AssetType, ClobClient, OrderType, Side } from "@polymarket/clob-client"
 import { Wallet } from "@ethersproject/wallet"
-import { POLYMARKET_CONFIG } from '../config/dataConfig'
+import { POLYMARKET_CONFIG, ORDER_TICKET_CONFIG } from '../config/dataConfig'
+import { cacheService } from './CacheService'
+import { polymarketService } from './PolymarketService'
+import { walletService, SIGNATURE_TYPES, WALLET_EVENTS } from './WalletService'
+import { credentialStore, CredentialsLockedError, CREDENTIAL_PROTECTION } from './CredentialStore'
 
 class TradingService {
   constructor() {
@@ -18,49 +34,57 @@ class TradingService {
     this.chainId = 137 // Polygon mainnet
     this.clobClient = null
     this.isInitialized = false
-    this.signatureType = 1 // 1: Magic/Email, 2: Browser Wallet, 0: EOA
+    this.initializing = null // Promise while ensureInitialized() is deriving credentials
+    this.signatureType = SIGNATURE_TYPES.EOA
+    this.funderAddress = null
+    this.signerAddress = null
+    this.account = null // Credential store key of the initialized account
+    this.generation = 0 // Bumped by reset(), so a stale initialize() is discarded
+    this.listeners = new Set()
+
+    walletService.subscribe((event) => {
+      // Same account on another network: the client looks up the wallet's new
+      // signer when it signs (getWalletClobSigner), so the credentials stay
+      if (event.type !== WALLET_EVENTS.CHAIN_CHANGED) this.reset()
+    })
   }
 
   /**
-   * Initialize the CLOB client with wallet credentials
-   * @param {Object} options - Wallet configuration
-   * @param {string} options.privateKey - Private key (or from env)
-   * @param {string} options.funderAddress - Funder address (or from env)
-   * @param {number} options.signatureType - Signature type (1: Magic/Email, 2: Browser Wallet, 0: EOA)
+   * Initialize the CLOB client with the connected wallet (or the developer key)
+   * @param {Object} options - Override the signing account
+   * @param {Object} options.signer - ethers signer (v5 or v6); defaults to the connected wallet's
+   * @param {string} options.funderAddress - Address holding the funds; defaults to the wallet's trading account
+   * @param {number} options.signatureType - SIGNATURE_TYPES value; defaults to the wallet's trading account
    * @returns {Promise<ClobClient>} Initialized CLOB client
    */
   async initialize(options = {}) {
     try {
-      // Get credentials from options, config, or environment
-      const privateKey = options.privateKey || POLYMARKET_CONFIG.privateKey
-      const funderAddress = options.funderAddress || POLYMARKET_CONFIG.funderAddress
+      const generation = this.generation
+      const { signer, messageSigner, signatureType, funderAddress, signerAddress, account } = await this.resolveAccount(options)
 
-      if (!privateKey) {
-        throw new Error('Private key is required. Set VITE_POLYMARKET_PRIVATE_KEY in .env or pass as option.')
+      // Saved credentials if there are any, otherwise create or derive the
+      // API key through the signer (the wallet asks to sign)
+      const creds = await this.loadSavedCredentials(account, messageSigner)
+        || await new ClobClient(this.host, this.chainId, signer).createOrDeriveApiKey()
+      if (generation !== this.generation) {
+        throw new Error('Wallet changed while connecting. Try again.')
       }
 
-      if (!funderAddress) {
-        throw new Error('Funder address is required. Set VITE_POLYMARKET_FUNDER_ADDRESS in .env or pass as option.')
-      }
-
-      const signer = new Wallet(privateKey)
-      this.signatureType = options.signatureType || this.signatureType
-
-      // Create or derive API key (don't create new one, always derive)
-      const creds = new ClobClient(this.host, this.chainId, signer).createOrDeriveApiKey()
-      
       // Initialize CLOB client
       this.clobClient = new ClobClient(
         this.host,
         this.chainId,
         signer,
-        await creds,
-        this.signatureType,
+        creds,
+        signatureType,
         funderAddress
       )
-
+      this.signatureType = signatureType
+      this.funderAddress = funderAddress
+      this.signerAddress = signerAddress
+      this.account = account
       this.isInitialized = true
-      
+
       return this.clobClient
     } catch (error) {
       console.error('❌ Failed to initialize trading service:', error)
@@ -69,20 +93,290 @@ class TradingService {
   }
 
   /**
-   * Place an order on Polymarket
+   * Signer, signature type and funder to trade with
+   * @throws {Error} If no wallet is connected and no developer key is set
+   */
+  getSigningAccount(options = {}) {
+    const walletSigner = options.signer || walletService.getSigner()
+    if (walletSigner) {
+      const account = walletService.getTradingAccount() || {}
+      const signatureType = options.signatureType ?? account.signatureType ?? SIGNATURE_TYPES.EOA
+      const funderAddress = options.funderAddress || account.funderAddress || walletService.getAddress()
+      if (!funderAddress) {
+        throw new Error('Funder address is required for a Polymarket proxy account.')
+      }
+      const signer = options.signer ? this.toClobSigner(walletSigner) : this.getWalletClobSigner()
+      return { signer, messageSigner: walletSigner, signatureType, funderAddress }
+    }
+
+    if (POLYMARKET_CONFIG.privateKey) {
+      const funderAddress = options.funderAddress || POLYMARKET_CONFIG.funderAddress
+      if (!funderAddress) {
+        throw new Error('Funder address is required. Set VITE_POLYMARKET_FUNDER_ADDRESS in .env or pass as option.')
+      }
+      const signer = new Wallet(POLYMARKET_CONFIG.privateKey)
+      return {
+        signer,
+        messageSigner: signer,
+        signatureType: options.signatureType ?? POLYMARKET_CONFIG.signatureType,
+        funderAddress,
+      }
+    }
+
+    throw new Error('Connect a wallet to trade.')
+  }
+
+  /**
+   * The signing account with its addresses and credential store key
+   */
+  async resolveAccount(options = {}) {
+    const signing = this.getSigningAccount(options)
+    const signerAddress = await signing.signer.getAddress()
+    const account = [signerAddress, signing.signatureType, signing.funderAddress].join(':').toLowerCase()
+    return { ...signing, signerAddress, account }
+  }
+
+  /**
+   * Credentials saved for an account: already unlocked this session, or
+   * unlocked now with a wallet signature
+   * @returns {Promise<Object|null>} null if none are saved
+   * @throws {CredentialsLockedError} If they are saved under a passphrase and still locked
+   */
+  async loadSavedCredentials(account, messageSigner) {
+    const unlocked = credentialStore.getCredentials(account)
+    if (unlocked) return unlocked
+
+    const entry = await credentialStore.getEntry(account)
+    if (!entry) return null
+    if (entry.protection === CREDENTIAL_PROTECTION.WALLET) {
+      const signature = await messageSigner.signMessage(credentialStore.getWalletKeyMessage(account))
+      return credentialStore.unlock(account, signature)
+    }
+    throw new CredentialsLockedError()
+  }
+
+  /**
+   * How the connected account's credentials are saved
+   * @returns {Promise<{ saved: boolean, protection: string|null, locked: boolean }>}
+   */
+  async getSavedCredentialsStatus() {
+    try {
+      const { account } = await this.resolveAccount()
+      const entry = await credentialStore.getEntry(account)
+      return {
+        saved: Boolean(entry),
+        protection: entry?.protection || null,
+        locked: Boolean(entry) && !credentialStore.getCredentials(account),
+      }
+    } catch {
+      return { saved: false, protection: null, locked: false }
+    }
+  }
+
+  /**
+   * Save the current credentials encrypted, so reloads skip the derivation signature
+   * @param {string} protection - CREDENTIAL_PROTECTION.PASSPHRASE or WALLET
+   * @param {string} passphrase - Required for PASSPHRASE
+   */
+  async rememberCredentials(protection, passphrase) {
+    const client = await this.ensureInitialized()
+    const { messageSigner, account } = await this.resolveAccount()
+    const secret = protection === CREDENTIAL_PROTECTION.WALLET
+      ? await messageSigner.signMessage(credentialStore.getWalletKeyMessage(account))
+      : passphrase
+    await credentialStore.save(account, client.creds, protection, secret)
+  }
+
+  /**
+   * Unlock passphrase-protected credentials and retry initializing
+   */
+  async unlockCredentials(passphrase) {
+    const { account } = await this.resolveAccount()
+    await credentialStore.unlock(account, passphrase)
+    this.reset()
+  }
+
+  /**
+   * Delete the connected account's saved credentials (the API key itself stays valid)
+   */
+  async forgetCredentials() {
+    const { account } = await this.resolveAccount()
+    await credentialStore.forget(account)
+    // A locked account can now derive its credentials instead
+    if (!this.isInitialized) this.reset()
+  }
+
+  /**
+   * Replace the API key: delete it on the CLOB and create a new one (the
+   * wallet asks to sign). Saved credentials are re-encrypted under the same
+   * passphrase or wallet key.
+   */
+  async rotateCredentials() {
+    const client = await this.ensureInitialized()
+    const account = this.account
+    const previousKey = client.creds?.key
+    let deleted = false
+
+    try {
+      const deleteResponse = await client.deleteApiKey()
+      if (!deleteResponse || deleteResponse.error) {
+        throw new Error(`The current API key could not be deleted: ${deleteResponse?.error || 'no response'}`)
+      }
+      deleted = true
+
+      let creds = await client.createApiKey()
+      if (!creds?.key) {
+        creds = await client.createOrDeriveApiKey()
+      }
+      // Deriving can hand back the old key, which is not a rotation
+      if (!creds?.key || creds.key === previousKey) {
+        throw new Error('The CLOB did not return a new API key')
+      }
+
+      if (await credentialStore.getEntry(account)) {
+        await credentialStore.replace(account, creds)
+      }
+      // Reconnect everything (user channel, orders) with the new key
+      this.reset()
+      return creds
+    } catch (error) {
+      console.error('❌ Failed to rotate API credentials:', error)
+      // The old key is gone: drop any saved copy and derive again on the next call
+      if (deleted) {
+        await credentialStore.forget(account).catch(() => {})
+        this.reset()
+      }
+      throw error
+    }
+  }
+
+  /**
+   * The CLOB client signs with the ethers v5 signer API (_signTypedData);
+   * browser wallets connect through ethers v6 (signTypedData)
+   */
+  toClobSigner(signer) {
+    if (typeof signer._signTypedData === 'function') return signer
+    return {
+      getAddress: () => signer.getAddress(),
+      _signTypedData: (domain, types, value) => signer.signTypedData(domain, types, value),
+    }
+  }
+
+  /**
+   * The connected wallet as a CLOB signer, resolved on every call: a network
+   * change replaces the wallet's signer, and nothing is signed off Polygon
+   */
+  getWalletClobSigner() {
+    const current = () => {
+      if (walletService.isWrongNetwork()) {
+        throw new Error('Your wallet is not on Polygon. Switch networks to trade.')
+      }
+      const signer = walletService.getSigner()
+      if (!signer) {
+        throw new Error('Connect a wallet to trade.')
+      }
+      return this.toClobSigner(signer)
+    }
+    return {
+      getAddress: () => current().getAddress(),
+      _signTypedData: (domain, types, value) => current()._signTypedData(domain, types, value),
+    }
+  }
+
+  /**
+   * Whether there is a signer to trade with (a connected wallet or the developer key)
+   */
+  canSign() {
+    return walletService.isConnected() || Boolean(POLYMARKET_CONFIG.privateKey)
+  }
+
+  /**
+   * Address holding the funds of the initialized account (null until initialized)
+   */
+  getFunderAddress() {
+    return this.funderAddress
+  }
+
+  /**
+   * Drop the client and credentials (the wallet or its trading account changed)
+   */
+  reset() {
+    this.generation++
+    this.clobClient = null
+    this.isInitialized = false
+    this.initializing = null
+    this.funderAddress = null
+    this.signerAddress = null
+    this.account = null
+    this.emit()
+  }
+
+  /**
+   * Watch account changes (reset)
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  emit() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener()
+      } catch (error) {
+        console.error('Error in trading account listener:', error)
+      }
+    })
+  }
+
+  /**
+   * Initialize from the connected wallet once, sharing the attempt between callers
+   * @returns {Promise<ClobClient>} Initialized CLOB client
+   * @throws {Error} If no wallet is connected or initialization fails
+   */
+  async ensureInitialized() {
+    if (this.isInitialized && this.clobClient) {
+      return this.clobClient
+    }
+    if (!this.initializing) {
+      const initializing = this.initialize().finally(() => {
+        if (this.initializing === initializing) this.initializing = null
+      })
+      this.initializing = initializing
+    }
+    return this.initializing
+  }
+
+  /**
+   * API credentials of the initialized client (for the authenticated user WebSocket channel)
+   * @returns {{ key: string, secret: string, passphrase: string }|null}
+   */
+  getCredentials() {
+    return this.clobClient?.creds || null
+  }
+
+  /**
+   * Place a limit order on Polymarket
    * @param {Object} orderParams - Order parameters
    * @param {string} orderParams.tokenID - Token ID from market data
    * @param {number} orderParams.price - Price (0-1 decimal format)
    * @param {string} orderParams.side - 'BUY' or 'SELL'
    * @param {number} orderParams.size - Order size
-   * @param {number} orderParams.feeRateBps - Fee rate in basis points (default: 0)
+   * @param {number} orderParams.feeRateBps - Fee rate in basis points (default: the market's, looked up by the client)
+   * @param {number} orderParams.expiration - Unix seconds (GTD only; see getGtdExpiration)
    * @param {Object} marketParams - Market parameters
-   * @param {string} marketParams.tickSize - Tick size (e.g., "0.001")
-   * @param {boolean} marketParams.negRisk - Negative risk flag
-   * @param {string} orderType - Order type (OrderType.GTC, OrderType.IOC, etc.)
+   * @param {string} marketParams.tickSize - Tick size (e.g., "0.001"; looked up if missing)
+   * @param {boolean} marketParams.negRisk - Negative risk flag (looked up if missing)
+   * @param {string} orderType - OrderType.GTC, GTD, FOK or FAK
+   * @param {Object} options - { postOnly }: refuse to sign an order that would
+   *   take liquidity. Checked against the current book before signing (this
+   *   client has no server-side post-only flag), so a book that moves in the
+   *   meantime can still match it.
    * @returns {Promise<Object>} Order response
    */
-  async placeOrder(orderParams, marketParams, orderType = OrderType.GTC) {
+  async placeOrder(orderParams, marketParams, orderType = OrderType.GTC, options = {}) {
     if (!this.isInitialized || !this.clobClient) {
       throw new Error('Trading service not initialized. Call initialize() first.')
     }
@@ -90,28 +384,138 @@ class TradingService {
     try {
       const side = orderParams.side.toUpperCase() === 'BUY' ? Side.BUY : Side.SELL
 
+      if (options.postOnly) {
+        const book = await polymarketService.getTradableBook(orderParams.tokenID)
+        if (book.wouldCross(side, orderParams.price * 100)) {
+          throw new Error('Post-only order would cross the book and take liquidity')
+        }
+      }
+
       const order = await this.clobClient.createAndPostOrder(
         {
           tokenID: orderParams.tokenID,
           price: orderParams.price,
           side: side,
           size: orderParams.size,
-          feeRateBps: orderParams.feeRateBps || 0,
+          feeRateBps: orderParams.feeRateBps,
+          expiration: orderType === OrderType.GTD ? orderParams.expiration : undefined,
         },
+        await this.getOrderOptions(orderParams.tokenID, marketParams),
+        orderType
+      )
+      this.assertAccepted(order)
+
+      // The order changes this token's book and may move its price
+      this.invalidateTokenCache(orderParams.tokenID)
+
+      return order
+    } catch (error) {
+      console.error('❌ Failed to place order:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Place a market order through the CLOB market-order path
+   * @param {Object} orderParams - Order parameters
+   * @param {string} orderParams.tokenID - Token ID from market data
+   * @param {string} orderParams.side - 'BUY' or 'SELL'
+   * @param {number} orderParams.amount - USDC to spend for a buy, shares to sell for a sell
+   * @param {number} orderParams.price - Worst acceptable price (0-1); omit to let the client price it from the book
+   * @param {number} orderParams.feeRateBps - Fee rate in basis points (default: the market's, looked up by the client)
+   * @param {Object} marketParams - { tickSize, negRisk }
+   * @param {string} orderType - OrderType.FOK (all or nothing) or OrderType.FAK (fill what is there)
+   * @returns {Promise<Object>} Order response
+   */
+  async placeMarketOrder(orderParams, marketParams, orderType = OrderType.FOK) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      const order = await this.clobClient.createAndPostMarketOrder(
         {
-          tickSize: marketParams.tickSize || "0.001",
-          negRisk: marketParams.negRisk || false,
+          tokenID: orderParams.tokenID,
+          side: orderParams.side.toUpperCase() === 'BUY' ? Side.BUY : Side.SELL,
+          amount: orderParams.amount,
+          price: orderParams.price,
+          feeRateBps: orderParams.feeRateBps,
+          orderType,
         },
+        await this.getOrderOptions(orderParams.tokenID, marketParams),
         orderType
       )
+      this.assertAccepted(order)
+
+      this.invalidateTokenCache(orderParams.tokenID)
 
       return order
     } catch (error) {
-      console.error('❌ Failed to place order:', error)
+      console.error('❌ Failed to place market order:', error)
       throw error
     }
   }
 
+  /**
+   * Tick size and neg-risk flag to sign an order with (CreateOrderOptions)
+   * Values passed in were read from the CLOB just before signing (the panel
+   * rechecks them) and are signed as given; missing ones are looked up on the
+   * CLOB rather than guessed, since an order signed at the wrong tick size is
+   * rejected.
+   * @param {string} tokenID - Token ID
+   * @param {Object} marketParams - { tickSize, negRisk }
+   * @returns {Promise<Object>} { tickSize, negRisk }
+   */
+  async getOrderOptions(tokenID, marketParams = {}) {
+    const [tickSize, negRisk] = await Promise.all([
+      marketParams.tickSize ? String(marketParams.tickSize) : this.clobClient.getTickSize(tokenID),
+      typeof marketParams.negRisk === 'boolean' ? marketParams.negRisk : this.clobClient.getNegRisk(tokenID),
+    ])
+    return { tickSize, negRisk }
+  }
+
+  /**
+   * Throw the CLOB's error for a failed read (clob-client resolves with
+   * { error, status } on HTTP errors), so callers keep their last known
+   * value instead of reading it as zero
+   */
+  assertResponse(response) {
+    if (!response || response.error) {
+      throw new Error(response?.error || 'No response from the CLOB')
+    }
+  }
+
+  /**
+   * Throw the CLOB's rejection reason for an order it did not accept
+   * (posting resolves with { success: false, errorMsg } or { error } instead of failing)
+   */
+  assertAccepted(response) {
+    if (response?.success === false || response?.errorMsg || response?.error) {
+      throw new Error(response.errorMsg || response.error || 'Order was rejected')
+    }
+  }
+
+  /**
+   * Expiration to sign for a GTD order meant to expire at a given time
+   * The CLOB treats expirations as one minute earlier (a security threshold),
+   * so the threshold is added back.
+   * @param {number} expiresAt - When the order should stop matching (ms)
+   * @returns {number} Unix seconds
+   */
+  getGtdExpiration(expiresAt) {
+    return Math.floor(expiresAt / 1000) + ORDER_TICKET_CONFIG.gtdThresholdSeconds
+  }
+
+  /**
+   * Drop cached book and price entries for a token after a write
+   * @param {string} tokenID - CLOB token ID
+   */
+  invalidateTokenCache(tokenID) {
+    if (!tokenID) return
+    cacheService.invalidate(`books:${tokenID}`)
+    cacheService.invalidate(`prices:${tokenID}:`)
+  }
+
   /**
    * Convert price from cents (0-100) to decimal (0-1) format
    * @param {number} priceCents - Price in cents (0-100)
@@ -151,7 +555,7 @@ class TradingService {
   /**
    * Cancel an order
    * @param {string} orderId - Order ID
-   * @returns {Promise<Object>} Cancellation response
+   * @returns {Promise<Object>} Cancellation response ({ canceled: [ids], not_canceled: { id: reason } })
    */
   async cancelOrder(orderId) {
     if (!this.isInitialized || !this.clobClient) {
@@ -159,29 +563,265 @@ class TradingService {
     }
 
     try {
-      return await this.clobClient.cancelOrder(orderId)
+      return await this.clobClient.cancelOrder({ orderID: orderId })
     } catch (error) {
       console.error('❌ Failed to cancel order:', error)
       throw error
     }
   }
 
+  /**
+   * Cancel several orders in one request
+   * @param {Array<string>} orderIds - Order IDs
+   * @returns {Promise<Object>} Cancellation response
+   */
+  async cancelOrders(orderIds) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      return await this.clobClient.cancelOrders(orderIds)
+    } catch (error) {
+      console.error('❌ Failed to cancel orders:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Cancel every open order, or only those in one market
+   * @param {string} conditionId - Market condition ID (omit to cancel everywhere)
+   * @returns {Promise<Object>} Cancellation response
+   */
+  async cancelAll(conditionId = null) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      return conditionId
+        ? await this.clobClient.cancelMarketOrders({ market: conditionId })
+        : await this.clobClient.cancelAll()
+    } catch (error) {
+      console.error('❌ Failed to cancel orders:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Replace an open order with one at a new price and/or size
+   * The CLOB has no native replace, so this signs the replacement first, then
+   * cancels the original and only posts the replacement once the cancel is
+   * confirmed. An order that cannot be cancelled (e.g. it filled meanwhile)
+   * is left alone and nothing is posted. If the replacement is rejected, the
+   * original's unfilled remainder is placed again (the wallet signs it).
+   * @param {string} orderId - Order to replace
+   * @param {Object} orderParams - Replacement, as for placeOrder (size is the new
+   *   remaining size; expiration as signed, for GTD)
+   * @param {Object} marketParams - { tickSize, negRisk }
+   * @param {string} orderType - Order type for the replacement
+   * @returns {Promise<Object>} Post response for the replacement
+   * @throws {Error} With `originalCancelled: true` if the original was cancelled and
+   *   neither the replacement nor the original could be placed
+   */
+  async amendOrder(orderId, orderParams, marketParams, orderType = OrderType.GTC) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    // Sign before cancelling, so a signing failure leaves the original untouched
+    const signedOrder = await this.clobClient.createOrder(
+      {
+        tokenID: orderParams.tokenID,
+        price: orderParams.price,
+        side: orderParams.side.toUpperCase() === 'BUY' ? Side.BUY : Side.SELL,
+        size: orderParams.size,
+        feeRateBps: orderParams.feeRateBps,
+        expiration: orderType === OrderType.GTD ? orderParams.expiration : undefined,
+      },
+      await this.getOrderOptions(orderParams.tokenID, marketParams)
+    )
+
+    const cancelResponse = await this.cancelOrder(orderId)
+    const notCanceled = cancelResponse?.not_canceled?.[orderId]
+    if (notCanceled || !(cancelResponse?.canceled || []).includes(orderId)) {
+      throw new Error(`Order could not be cancelled${notCanceled ? `: ${notCanceled}` : ''}. Nothing was replaced.`)
+    }
+
+    try {
+      const response = await this.clobClient.postOrder(signedOrder, orderType)
+      this.assertAccepted(response)
+      this.invalidateTokenCache(orderParams.tokenID)
+      return response
+    } catch (error) {
+      console.error('❌ Failed to post replacement order:', error)
+      try {
+        await this.restoreOrder(orderId, marketParams)
+      } catch (restoreError) {
+        console.error('❌ Failed to restore the original order:', restoreError)
+        const amendError = new Error(`The replacement failed (${error.message}) and the original order could not be placed again (${restoreError.message}). The original order is cancelled; you have no order open.`)
+        amendError.originalCancelled = true
+        throw amendError
+      }
+      throw new Error(`The replacement failed, so the original order was placed again: ${error.message}`)
+    }
+  }
+
+  /**
+   * Place a cancelled order's unfilled remainder again, at its price, type
+   * and expiration (after a failed amend)
+   * @param {string} orderId - The cancelled order
+   * @param {Object} marketParams - { tickSize, negRisk }
+   * @returns {Promise<Object>} Post response
+   * @throws {Error} If the original can't be read, nothing of it was left unfilled,
+   *   or the CLOB rejects it
+   */
+  async restoreOrder(orderId, marketParams) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    const original = await this.clobClient.getOrder(orderId)
+    if (!original || original.error) {
+      throw new Error(original?.error || 'Original order not found')
+    }
+    const size = (parseFloat(original.original_size) || 0) - (parseFloat(original.size_matched) || 0)
+    if (!(size > 0)) {
+      throw new Error('Nothing of the original order was left unfilled')
+    }
+
+    const orderType = OrderType[original.order_type] || OrderType.GTC
+    const response = await this.clobClient.createAndPostOrder(
+      {
+        tokenID: original.asset_id,
+        price: parseFloat(original.price),
+        side: String(original.side).toUpperCase() === 'BUY' ? Side.BUY : Side.SELL,
+        size,
+        expiration: orderType === OrderType.GTD ? parseInt(original.expiration) || undefined : undefined,
+      },
+      await this.getOrderOptions(original.asset_id, marketParams),
+      orderType
+    )
+    this.assertAccepted(response)
+    this.invalidateTokenCache(original.asset_id)
+    return response
+  }
+
   /**
    * Get user's open orders
+   * @param {Object} params - Optional filters: { id, market (condition ID), asset_id }
    * @returns {Promise<Array>} Array of open orders
    */
-  async getOpenOrders() {
+  async getOpenOrders(params = {}) {
     if (!this.isInitialized || !this.clobClient) {
       throw new Error('Trading service not initialized. Call initialize() first.')
     }
 
     try {
-      return await this.clobClient.getOpenOrders()
+      return await this.clobClient.getOpenOrders(params)
     } catch (error) {
       console.error('❌ Failed to get open orders:', error)
       throw error
     }
   }
+
+  /**
+   * Get the user's trade history (every page)
+   * @param {Object} params - Optional filters: { market (condition ID), asset_id, before, after }
+   * @returns {Promise<Array>} Trades, each with the taker side and any maker orders matched against it
+   */
+  async getTrades(params = {}) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      return await this.clobClient.getTrades(params)
+    } catch (error) {
+      console.error('❌ Failed to get trades:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the funder's USDC balance available to trade
+   * @returns {Promise<number>} Balance in dollars
+   */
+  async getCollateralBalance() {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      const response = await this.clobClient.getBalanceAllowance({ asset_type: AssetType.COLLATERAL })
+      this.assertResponse(response)
+      // USDC has 6 decimals
+      return (parseFloat(response?.balance) || 0) / 1e6
+    } catch (error) {
+      console.error('❌ Failed to get USDC balance:', error)
+      throw error
+    }
+  }
+
+  /**
+   * USDC held by open buy orders (price * remaining size), which the CLOB
+   * will not let new orders spend
+   * @returns {Promise<number>} Dollars
+   */
+  async getReservedCash() {
+    const orders = await this.getOpenOrders()
+    if (!Array.isArray(orders)) {
+      this.assertResponse(orders)
+      throw new Error('Open orders unavailable')
+    }
+    return orders
+      .filter(order => String(order.side).toUpperCase() === 'BUY')
+      .reduce((sum, order) => {
+        const remaining = (parseFloat(order.original_size) || 0) - (parseFloat(order.size_matched) || 0)
+        return sum + (parseFloat(order.price) || 0) * Math.max(0, remaining)
+      }, 0)
+  }
+
+  /**
+   * Ask the CLOB to re-read the funder's on-chain balance and allowances
+   * (it caches them; call after an approval transaction)
+   */
+  async syncBalanceAllowance() {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      await this.clobClient.updateBalanceAllowance({ asset_type: AssetType.COLLATERAL })
+    } catch (error) {
+      console.error('❌ Failed to refresh balance and allowance:', error)
+      throw error
+    }
+  }
+
+  /**
+   * Get the funder's balance of an outcome token
+   * @param {string} tokenID - CLOB token ID
+   * @returns {Promise<number>} Balance in shares
+   */
+  async getConditionalBalance(tokenID) {
+    if (!this.isInitialized || !this.clobClient) {
+      throw new Error('Trading service not initialized. Call initialize() first.')
+    }
+
+    try {
+      const response = await this.clobClient.getBalanceAllowance({
+        asset_type: AssetType.CONDITIONAL,
+        token_id: tokenID,
+      })
+      this.assertResponse(response)
+      // Outcome tokens have 6 decimals
+      return (parseFloat(response?.balance) || 0) / 1e6
+    } catch (error) {
+      console.error('❌ Failed to get token balance:', error)
+      throw error
+    }
+  }
 }
 
 // Export singleton instance
@@ -1,9 +1,76 @@
 /**
  * Wallet Service
- * Handles wallet connections (Phantom, MetaMask, etc.)
- * For Polymarket trading on Polygon network
+ * Handles browser wallet connections for Polymarket trading on Polygon
+ *
+ * Wallets are discovered through EIP-6963: every installed extension (MetaMask,
+ * Rabby, Coinbase Wallet, Brave Wallet, Phantom...) announces its own provider,
+ * so several can coexist without fighting over window.ethereum. Wallets that
+ * don't announce themselves are offered through window.ethereum instead.
+ * connect() works the same for all of them; the connected wallet is saved and
+ * reconnect() restores it without a prompt on the next visit.
+ *
+ * The connected wallet's own events are followed: switching accounts in the
+ * wallet replaces the signer, leaving Polygon flags isWrongNetwork() until
+ * switchNetwork() brings it back, and locking or disconnecting it ends the
+ * session. Each change reaches subscribers as a WALLET_EVENTS event.
+ *
+ * The connected wallet signs orders and derives the CLOB API credentials
+ * (see TradingService). Each wallet address remembers how it trades:
+ * - EOA: from the wallet address itself
+ * - POLY_GNOSIS_SAFE: through the Polymarket proxy (Safe) created when the
+ *   wallet first logged in to polymarket.com; the funder is that proxy
+ *   address, shown under the profile picture on the site
+ * - POLY_PROXY: through a Polymarket email / Magic account proxy
+ *
+ * Before the CLOB can match an order the funder needs USDC and approvals
+ * for Polymarket's contracts on Polygon (getContractConfig in clob-client):
+ * - USDC allowance for the exchange (every market), and for the neg-risk
+ *   exchange and neg-risk adapter (neg-risk markets)
+ * - Conditional-token (CTF) approval for the same contracts, to sell shares
+ * getAccountState reads all of these; approve sends a missing one from the
+ * wallet (EOA accounts; a proxy's approvals are set up by polymarket.com).
  */
 
+import { getContractConfig, COLLATERAL_TOKEN_DECIMALS } from '@polymarket/clob-client'
+import { POLYMARKET_CONFIG, WALLET_CONFIG } from '../config/dataConfig'
+
+const ERC20_ABI = [
+  'function balanceOf(address owner) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+]
+
+const CTF_ABI = [
+  'function isApprovedForAll(address owner, address operator) view returns (bool)',
+  'function setApprovalForAll(address operator, bool approved)',
+]
+
+// Contracts that spend USDC and move outcome tokens, and which markets need them
+const SPENDERS = [
+  { id: 'exchange', label: 'Exchange', negRiskOnly: false },
+  { id: 'negRiskExchange', label: 'Neg-risk exchange', negRiskOnly: true },
+  { id: 'negRiskAdapter', label: 'Neg-risk adapter', negRiskOnly: true },
+]
+
+// Wallet id for the legacy window.ethereum provider (wallets without EIP-6963)
+const LEGACY_WALLET_ID = 'injected'
+
+// Events passed to subscribe() listeners, as { type, address, chainId }
+export const WALLET_EVENTS = {
+  CONNECTED: 'connected',
+  DISCONNECTED: 'disconnected',
+  ACCOUNT_CHANGED: 'accountChanged', // Another account selected in the same wallet
+  CHAIN_CHANGED: 'chainChanged', // See isWrongNetwork()
+  TRADING_ACCOUNT_CHANGED: 'tradingAccountChanged', // setTradingAccount()
+}
+
+// CLOB signature types (order-utils SignatureType)
+export const SIGNATURE_TYPES = {
+  EOA: 0,
+  POLY_PROXY: 1,
+  POLY_GNOSIS_SAFE: 2,
+}
+
 class WalletService {
   constructor() {
     this.wallet = null
@@ -11,195 +78,302 @@ class WalletService {
     this.signer = null
     this.address = null
     this.chainId = 137 // Polygon mainnet
+    this.listeners = new Set()
+    this.readProvider = null
+    // EIP-6963 wallet id (rdns) -> { info: { uuid, name, icon, rdns }, provider }
+    this.discovered = new Map()
+    this.walletListeners = new Set()
+    // The connected wallet's id and its EIP-1193 provider
+    this.walletId = null
+    this.walletChainId = null
+    this.injectedProvider = null
+    this.providerHandlers = null // EIP-1193 event handlers on injectedProvider
+
+    if (typeof window !== 'undefined') {
+      this.startDiscovery()
+    }
   }
 
   /**
-   * Check if Phantom wallet is installed
-   * Phantom supports both Solana and Ethereum
+   * Listen for EIP-6963 wallet announcements and ask installed wallets to announce
+   * Wallets that load later announce themselves when they are ready.
    */
-  isPhantomInstalled() {
-    return typeof window !== 'undefined' && (
-      (window.ethereum && window.ethereum.isPhantom) ||
-      (window.phantom && window.phantom.ethereum)
-    )
+  startDiscovery() {
+    window.addEventListener('eip6963:announceProvider', (event) => {
+      const { info, provider } = event.detail || {}
+      if (!info || !provider) return
+      this.discovered.set(info.rdns || info.uuid, { info, provider })
+      this.emitWallets()
+    })
+    window.dispatchEvent(new Event('eip6963:requestProvider'))
   }
 
   /**
-   * Check if MetaMask is installed
+   * Detected browser wallets
+   * Falls back to the legacy window.ethereum provider when no wallet announces
+   * itself through EIP-6963 (older extensions)
+   * @returns {Array<Object>} [{ id, name, icon (data URI or null) }]
    */
-  isMetaMaskInstalled() {
-    return typeof window !== 'undefined' && window.ethereum && window.ethereum.isMetaMask
+  getWallets() {
+    const wallets = Array.from(this.discovered.entries()).map(([id, { info }]) => ({
+      id,
+      name: info.name,
+      icon: info.icon || null,
+    }))
+    if (wallets.length === 0 && this.getLegacyProvider()) {
+      wallets.push({ id: LEGACY_WALLET_ID, name: 'Browser wallet', icon: null })
+    }
+    return wallets
+  }
+
+  getLegacyProvider() {
+    return window.ethereum || window.phantom?.ethereum || null
+  }
+
+  getInjectedProvider(walletId) {
+    if (walletId === LEGACY_WALLET_ID) return this.getLegacyProvider()
+    return this.discovered.get(walletId)?.provider || null
   }
 
   /**
-   * Connect to Phantom wallet (Ethereum mode)
-   * Note: Phantom supports both Solana and Ethereum
+   * Connect a detected wallet and switch it to Polygon
+   * The wallet is remembered and reconnected silently on the next visit.
+   * @param {string} walletId - id from getWallets()
+   * @param {Object} options - { silent: only use accounts already authorized, never prompt }
+   * @returns {Promise<Object|null>} { address, provider, signer }, or null when a
+   *   silent connect would need the user's approval
    */
-  async connectPhantom() {
+  async connect(walletId, { silent = false } = {}) {
     try {
-      if (!this.isPhantomInstalled()) {
-        throw new Error('Phantom wallet is not installed. Please install it from https://phantom.app')
-      }
-
-      // Get Phantom's Ethereum provider
-      let ethereumProvider = null
-      if (window.ethereum && window.ethereum.isPhantom) {
-        ethereumProvider = window.ethereum
-      } else if (window.phantom && window.phantom.ethereum) {
-        ethereumProvider = window.phantom.ethereum
+      const injected = this.getInjectedProvider(walletId)
+      if (!injected) {
+        throw new Error('Wallet not found. Is the extension installed and unlocked?')
       }
 
-      if (ethereumProvider) {
-        // Request account access
-        const accounts = await ethereumProvider.request({
-          method: 'eth_requestAccounts',
-        })
+      // Request account access
+      const accounts = await injected.request({
+        method: silent ? 'eth_accounts' : 'eth_requestAccounts',
+      })
 
-        if (accounts.length === 0) {
-          throw new Error('No accounts found')
-        }
+      if (accounts.length === 0) {
+        if (silent) return null
+        throw new Error('No accounts found')
+      }
 
-        this.address = accounts[0]
-        this.provider = ethereumProvider
-
-        // Check if we're on the correct network (Polygon)
-        const chainId = await ethereumProvider.request({ method: 'eth_chainId' })
-        const polygonChainId = '0x89' // 137 in hex
-
-        if (chainId !== polygonChainId) {
-          // Request to switch to Polygon
-          try {
-            await ethereumProvider.request({
-              method: 'wallet_switchEthereumChain',
-              params: [{ chainId: polygonChainId }],
-            })
-          } catch (switchError) {
-            // If chain doesn't exist, add it
-            if (switchError.code === 4902) {
-              await ethereumProvider.request({
-                method: 'wallet_addEthereumChain',
-                params: [
-                  {
-                    chainId: polygonChainId,
-                    chainName: 'Polygon Mainnet',
-                    nativeCurrency: {
-                      name: 'MATIC',
-                      symbol: 'MATIC',
-                      decimals: 18,
-                    },
-                    rpcUrls: ['https://polygon-rpc.com'],
-                    blockExplorerUrls: ['https://polygonscan.com'],
-                  },
-                ],
-              })
-            } else {
-              throw switchError
-            }
-          }
-        }
+      // Check if we're on the correct network (Polygon). A silent reconnect
+      // doesn't prompt; the wrong-network banner offers the switch instead.
+      let chainId = parseInt(await injected.request({ method: 'eth_chainId' }), 16)
+      if (chainId !== this.chainId && !silent) {
+        await this.switchToPolygon(injected)
+        chainId = this.chainId
+      }
 
-        // Import ethers to create signer
-        const { ethers } = await import('ethers')
-        this.provider = new ethers.BrowserProvider(ethereumProvider)
-        this.signer = await this.provider.getSigner()
-        this.address = await this.signer.getAddress()
+      this.detachProviderEvents()
+      this.injectedProvider = injected
+      this.walletId = walletId
+      this.walletChainId = chainId
+      await this.loadSigner(accounts[0])
+      this.attachProviderEvents(injected)
+      this.saveWalletId(walletId)
+      this.emit(WALLET_EVENTS.CONNECTED)
 
-        return {
-          address: this.address,
-          provider: this.provider,
-          signer: this.signer,
-        }
-      } else {
-        throw new Error('Phantom Ethereum provider not found')
+      return {
+        address: this.address,
+        provider: this.provider,
+        signer: this.signer,
       }
     } catch (error) {
-      console.error('Error connecting Phantom wallet:', error)
+      console.error('Error connecting wallet:', error)
       throw error
     }
   }
 
   /**
-   * Connect to MetaMask wallet
+   * Reconnect the wallet used last time, without prompting
+   * Waits up to WALLET_CONFIG.discoveryTimeout for it to announce itself.
+   * @returns {Promise<Object|null>} As connect(), or null if it can't reconnect silently
    */
-  async connectMetaMask() {
-    try {
-      if (!this.isMetaMaskInstalled()) {
-        throw new Error('MetaMask is not installed. Please install it from https://metamask.io')
-      }
+  async reconnect() {
+    const walletId = this.loadWalletId()
+    if (!walletId || this.isConnected()) return null
 
-      // Request account access
-      const accounts = await window.ethereum.request({
-        method: 'eth_requestAccounts',
+    if (!this.getInjectedProvider(walletId)) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(done, WALLET_CONFIG.discoveryTimeout)
+        const unsubscribe = this.subscribeToWallets(() => {
+          if (this.getInjectedProvider(walletId)) done()
+        })
+        function done() {
+          clearTimeout(timer)
+          unsubscribe()
+          resolve()
+        }
       })
+    }
 
-      if (accounts.length === 0) {
-        throw new Error('No accounts found')
+    try {
+      return await this.connect(walletId, { silent: true })
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Ask the connected wallet to switch back to Polygon (from the wrong-network banner)
+   */
+  async switchNetwork() {
+    if (!this.injectedProvider) {
+      throw new Error('Connect a wallet first')
+    }
+    await this.switchToPolygon(this.injectedProvider)
+  }
+
+  /**
+   * Ask the wallet to switch to Polygon, adding the network if it doesn't know it
+   */
+  async switchToPolygon(injected) {
+    const polygonChainId = '0x89' // 137 in hex
+    try {
+      await injected.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: polygonChainId }],
+      })
+    } catch (switchError) {
+      // If chain doesn't exist, add it
+      if (switchError.code === 4902) {
+        await injected.request({
+          method: 'wallet_addEthereumChain',
+          params: [
+            {
+              chainId: polygonChainId,
+              chainName: 'Polygon Mainnet',
+              nativeCurrency: {
+                name: 'MATIC',
+                symbol: 'MATIC',
+                decimals: 18,
+              },
+              rpcUrls: ['https://polygon-rpc.com'],
+              blockExplorerUrls: ['https://polygonscan.com'],
+            },
+          ],
+        })
+      } else {
+        throw switchError
       }
+    }
+  }
 
-      this.address = accounts[0]
-      this.provider = window.ethereum
+  /**
+   * Create the ethers provider and signer for an account of the connected wallet
+   * ethers fixes a provider's network when it is first used, so a chain change
+   * needs a new one too.
+   */
+  async loadSigner(account) {
+    const injected = this.injectedProvider
+    // Import ethers to create signer
+    const { ethers } = await import('ethers')
+    const provider = new ethers.BrowserProvider(injected)
+    const signer = await provider.getSigner(account)
+    const address = await signer.getAddress()
+    // Another wallet was connected, or this one disconnected, meanwhile
+    if (injected !== this.injectedProvider) return false
+
+    this.provider = provider
+    this.signer = signer
+    this.address = address
+    return true
+  }
 
-      // Check if we're on the correct network (Polygon)
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' })
-      const polygonChainId = '0x89' // 137 in hex
+  /**
+   * Follow the wallet's account, network and connection (EIP-1193 events)
+   */
+  attachProviderEvents(injected) {
+    if (typeof injected.on !== 'function') return
 
-      if (chainId !== polygonChainId) {
-        // Request to switch to Polygon
+    this.providerHandlers = {
+      accountsChanged: async (accounts) => {
+        if (injected !== this.injectedProvider) return
+        if (!accounts || accounts.length === 0) {
+          // Locked, or the site's access was revoked: drop the session but
+          // keep the wallet for a silent reconnect next time
+          this.clear()
+          return
+        }
+        if (accounts[0].toLowerCase() === this.address?.toLowerCase()) return
         try {
-          await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: polygonChainId }],
-          })
-        } catch (switchError) {
-          // If chain doesn't exist, add it
-          if (switchError.code === 4902) {
-            await window.ethereum.request({
-              method: 'wallet_addEthereumChain',
-              params: [
-                {
-                  chainId: polygonChainId,
-                  chainName: 'Polygon Mainnet',
-                  nativeCurrency: {
-                    name: 'MATIC',
-                    symbol: 'MATIC',
-                    decimals: 18,
-                  },
-                  rpcUrls: ['https://polygon-rpc.com'],
-                  blockExplorerUrls: ['https://polygonscan.com'],
-                },
-              ],
-            })
-          } else {
-            throw switchError
-          }
+          if (await this.loadSigner(accounts[0])) this.emit(WALLET_EVENTS.ACCOUNT_CHANGED)
+        } catch (error) {
+          console.error('Error switching wallet account:', error)
+          this.clear()
         }
-      }
+      },
+      chainChanged: async (chainId) => {
+        if (injected !== this.injectedProvider) return
+        this.walletChainId = parseInt(chainId, 16)
+        try {
+          if (await this.loadSigner(this.address)) this.emit(WALLET_EVENTS.CHAIN_CHANGED)
+        } catch (error) {
+          console.error('Error following wallet network change:', error)
+          this.clear()
+        }
+      },
+      disconnect: () => {
+        if (injected === this.injectedProvider) this.clear()
+      },
+    }
+    Object.entries(this.providerHandlers).forEach(([event, handler]) => injected.on(event, handler))
+  }
 
-      // Import ethers to create signer
-      const { ethers } = await import('ethers')
-      this.provider = new ethers.BrowserProvider(window.ethereum)
-      this.signer = await this.provider.getSigner()
-      this.address = await this.signer.getAddress()
+  detachProviderEvents() {
+    const injected = this.injectedProvider
+    if (!injected || !this.providerHandlers || typeof injected.removeListener !== 'function') return
+    Object.entries(this.providerHandlers).forEach(([event, handler]) => injected.removeListener(event, handler))
+    this.providerHandlers = null
+  }
 
-      return {
-        address: this.address,
-        provider: this.provider,
-        signer: this.signer,
+  loadWalletId() {
+    try {
+      return localStorage.getItem(WALLET_CONFIG.connectorStorageKey)
+    } catch {
+      return null
+    }
+  }
+
+  saveWalletId(walletId) {
+    try {
+      if (walletId) {
+        localStorage.setItem(WALLET_CONFIG.connectorStorageKey, walletId)
+      } else {
+        localStorage.removeItem(WALLET_CONFIG.connectorStorageKey)
       }
     } catch (error) {
-      console.error('Error connecting MetaMask:', error)
-      throw error
+      console.error('Error saving connected wallet:', error)
     }
   }
 
   /**
    * Disconnect wallet
+   * The wallet is forgotten, so it isn't reconnected on the next visit.
    */
   disconnect() {
+    this.saveWalletId(null)
+    this.clear()
+  }
+
+  /**
+   * Drop the connection, keeping the saved wallet
+   */
+  clear() {
+    const wasConnected = this.address !== null
+    this.detachProviderEvents()
     this.wallet = null
     this.provider = null
     this.signer = null
     this.address = null
+    this.walletId = null
+    this.walletChainId = null
+    this.injectedProvider = null
+    if (wasConnected) this.emit(WALLET_EVENTS.DISCONNECTED)
   }
 
   /**
@@ -216,6 +390,21 @@ class WalletService {
     return this.address !== null && this.signer !== null
   }
 
+  /**
+   * Chain the connected wallet is on (null when not connected)
+   */
+  getChainId() {
+    return this.walletChainId
+  }
+
+  /**
+   * Whether the connected wallet is on a network other than Polygon
+   * Nothing may be signed or sent until it switches back (switchNetwork).
+   */
+  isWrongNetwork() {
+    return this.isConnected() && this.walletChainId !== this.chainId
+  }
+
   /**
    * Get signer for transactions
    */
@@ -229,6 +418,181 @@ class WalletService {
   getProvider() {
     return this.provider
   }
+
+  loadTradingAccounts() {
+    try {
+      return JSON.parse(localStorage.getItem(WALLET_CONFIG.storageKey)) || {}
+    } catch {
+      return {}
+    }
+  }
+
+  /**
+   * How the connected wallet trades
+   * @returns {{ signatureType: number, funderAddress: string }|null} Defaults to
+   *   EOA trading from the wallet address; null if no wallet is connected
+   */
+  getTradingAccount() {
+    if (!this.address) return null
+    const saved = this.loadTradingAccounts()[this.address.toLowerCase()]
+    if (saved && saved.signatureType !== SIGNATURE_TYPES.EOA && saved.funderAddress) {
+      return { signatureType: saved.signatureType, funderAddress: saved.funderAddress }
+    }
+    return { signatureType: SIGNATURE_TYPES.EOA, funderAddress: this.address }
+  }
+
+  /**
+   * Set how the connected wallet trades (saved per wallet address)
+   * @param {Object} account - { signatureType (SIGNATURE_TYPES), funderAddress (proxy address; ignored for EOA) }
+   */
+  setTradingAccount(account) {
+    if (!this.address) {
+      throw new Error('Connect a wallet first')
+    }
+    const isEoa = account.signatureType === SIGNATURE_TYPES.EOA
+    if (!isEoa && !/^0x[0-9a-fA-F]{40}$/.test(account.funderAddress || '')) {
+      throw new Error('Enter the Polymarket proxy address (0x followed by 40 hex characters)')
+    }
+
+    const accounts = this.loadTradingAccounts()
+    accounts[this.address.toLowerCase()] = isEoa
+      ? { signatureType: SIGNATURE_TYPES.EOA }
+      : { signatureType: account.signatureType, funderAddress: account.funderAddress }
+    try {
+      localStorage.setItem(WALLET_CONFIG.storageKey, JSON.stringify(accounts))
+    } catch (error) {
+      console.error('Error saving trading account:', error)
+    }
+    this.emit(WALLET_EVENTS.TRADING_ACCOUNT_CHANGED)
+  }
+
+  /**
+   * Provider for on-chain reads: the connected wallet's, or a public Polygon RPC
+   */
+  async getReadProvider() {
+    if (this.provider && !this.isWrongNetwork()) return this.provider
+    const { ethers } = await import('ethers')
+    if (!this.readProvider) {
+      this.readProvider = new ethers.JsonRpcProvider(POLYMARKET_CONFIG.polygonRpcUrl, this.chainId, { staticNetwork: true })
+    }
+    return this.readProvider
+  }
+
+  /**
+   * USDC balance, allowances and conditional-token approvals of a funder
+   * @param {string} owner - Funder address
+   * @returns {Promise<Object>} { balance (USDC), allowances: { [spender id]: USDC },
+   *   approvals: { [spender id]: boolean } } for exchange, negRiskExchange, negRiskAdapter
+   */
+  async getAccountState(owner) {
+    const { ethers } = await import('ethers')
+    const provider = await this.getReadProvider()
+    const contracts = getContractConfig(this.chainId)
+    const usdc = new ethers.Contract(contracts.collateral, ERC20_ABI, provider)
+    const ctf = new ethers.Contract(contracts.conditionalTokens, CTF_ABI, provider)
+    const toUsdc = value => parseFloat(ethers.formatUnits(value, COLLATERAL_TOKEN_DECIMALS))
+
+    const [balance, ...checks] = await Promise.all([
+      usdc.balanceOf(owner),
+      ...SPENDERS.flatMap(spender => [
+        usdc.allowance(owner, contracts[spender.id]),
+        ctf.isApprovedForAll(owner, contracts[spender.id]),
+      ]),
+    ])
+
+    const allowances = {}
+    const approvals = {}
+    SPENDERS.forEach((spender, index) => {
+      allowances[spender.id] = toUsdc(checks[index * 2])
+      approvals[spender.id] = checks[index * 2 + 1]
+    })
+    return { balance: toUsdc(balance), allowances, approvals }
+  }
+
+  /**
+   * Approvals still needed to trade a market
+   * @param {Object} state - From getAccountState
+   * @param {Object} needs - { negRisk, side ('Buy' | 'Sell'), amount (USDC a buy may spend) }
+   * @returns {Array<Object>} Steps: { kind ('usdc' | 'ctf'), spender (SPENDERS id), label }
+   */
+  getMissingApprovals(state, needs = {}) {
+    return SPENDERS
+      .filter(spender => !spender.negRiskOnly || needs.negRisk)
+      .flatMap((spender) => {
+        if (needs.side === 'Sell') {
+          return state.approvals[spender.id] ? [] : [{ kind: 'ctf', spender: spender.id, label: `Allow the ${spender.label.toLowerCase()} to move your shares` }]
+        }
+        const enough = state.allowances[spender.id] >= Math.max(needs.amount || 0, 1e-6)
+        return enough ? [] : [{ kind: 'usdc', spender: spender.id, label: `Allow the ${spender.label.toLowerCase()} to spend USDC` }]
+      })
+  }
+
+  /**
+   * Send an approval transaction from the connected wallet and wait for it
+   * Only for EOA trading: a proxy's approvals must come from the proxy.
+   * @param {Object} step - From getMissingApprovals
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async approve(step) {
+    if (!this.signer) {
+      throw new Error('Connect a wallet first')
+    }
+    if (this.isWrongNetwork()) {
+      throw new Error('Switch your wallet to Polygon first')
+    }
+    if (this.getTradingAccount().signatureType !== SIGNATURE_TYPES.EOA) {
+      throw new Error('Your Polymarket proxy holds the funds, so its approvals are set on polymarket.com. Enable trading there once.')
+    }
+
+    const { ethers } = await import('ethers')
+    const contracts = getContractConfig(this.chainId)
+    const spender = contracts[step.spender]
+    const transaction = step.kind === 'ctf'
+      ? await new ethers.Contract(contracts.conditionalTokens, CTF_ABI, this.signer).setApprovalForAll(spender, true)
+      : await new ethers.Contract(contracts.collateral, ERC20_ABI, this.signer).approve(spender, ethers.MaxUint256)
+    return transaction.wait()
+  }
+
+  /**
+   * Watch the connection, the wallet's account and network, and trading account changes
+   * @param {Function} listener - Called with { type (WALLET_EVENTS value), address, chainId }
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Watch wallets being detected (EIP-6963 announcements)
+   * @param {Function} listener - Called with no arguments
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToWallets(listener) {
+    this.walletListeners.add(listener)
+    return () => this.walletListeners.delete(listener)
+  }
+
+  emitWallets() {
+    this.walletListeners.forEach((listener) => {
+      try {
+        listener()
+      } catch (error) {
+        console.error('Error in wallet discovery listener:', error)
+      }
+    })
+  }
+
+  emit(type) {
+    const event = { type, address: this.address, chainId: this.walletChainId }
+    this.listeners.forEach((listener) => {
+      try {
+        listener(event)
+      } catch (error) {
+        console.error('Error in wallet listener:', error)
+      }
+    })
+  }
 }
 
 // Export singleton instance